@@ -4,44 +4,43 @@
  * Supports both global API keys and host-specific API keys
  */
 
-/**
- * Parse host-specific API keys from environment variables
- * Format: HOST_API_KEY_LLAMAS=key_for_llamas, HOST_API_KEY_ANOTHER=key_for_another
- */
-function getHostApiKeys() {
-  const hostKeys = {};
+const ApiKeyService = require('../services/apiKeyService');
 
-  Object.keys(process.env).forEach(key => {
-    if (key.startsWith('HOST_API_KEY_')) {
-      const hostName = key.replace('HOST_API_KEY_', '').toLowerCase();
-      hostKeys[hostName] = process.env[key];
-    }
-  });
+const apiKeyService = new ApiKeyService();
 
-  return hostKeys;
-}
+const KEY_ERRORS = {
+  invalid: 'The provided API key is not valid',
+  expired: 'The provided API key has expired',
+  revoked: 'The provided API key has been revoked'
+};
 
 /**
  * Middleware to authenticate API key
- * Supports both header and query parameter authentication
- * Supports host-specific API keys for multi-tenant access
+ * Keys are accepted in the X-API-Key header only
+ * Sets req.apiKey (id, label, tenant, scopes); tenant keys are host-specific for multi-tenant access
  */
 function authenticateApiKey(req, res, next) {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
-  const expectedApiKey = process.env.API_KEY;
-  const hostKeys = getHostApiKeys();
+  const apiKey = req.headers['x-api-key'];
 
   // In development, allow requests without API key for testing
-  if (process.env.NODE_ENV === 'development' && !expectedApiKey && Object.keys(hostKeys).length === 0) {
-    console.warn('⚠️  No API_KEY or HOST_API_KEY_* set in development mode - allowing all requests');
+  if (process.env.NODE_ENV === 'development' && !apiKeyService.hasKeys()) {
+    console.warn('⚠️  No API keys configured in development mode - allowing all requests');
     return next();
   }
 
-  if (!expectedApiKey && Object.keys(hostKeys).length === 0) {
+  if (!apiKeyService.hasKeys()) {
     return res.status(500).json({
       success: false,
       error: 'Server configuration error',
-      message: 'API_KEY or HOST_API_KEY_* not configured'
+      message: 'API_KEY, HOST_API_KEY_* or a managed API key must be configured'
+    });
+  }
+
+  if (!apiKey && req.query.api_key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: 'API keys are no longer accepted in the query string; send them in the X-API-Key header'
     });
   }
 
@@ -49,31 +48,56 @@ function authenticateApiKey(req, res, next) {
     return res.status(401).json({
       success: false,
       error: 'Authentication required',
-      message: 'API key must be provided via X-API-Key header or api_key query parameter'
+      message: 'API key must be provided via X-API-Key header'
     });
   }
 
-  // Check global API key first
-  if (expectedApiKey && apiKey === expectedApiKey) {
-    console.log(`✅ Global API key authenticated for ${req.method} ${req.path}`);
-    req.authenticatedAs = 'global';
-    return next();
+  const { key, error } = apiKeyService.authenticate(apiKey);
+
+  if (!key) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid API key',
+      message: KEY_ERRORS[error]
+    });
   }
 
-  // Check host-specific API keys
-  const authenticatedHost = Object.keys(hostKeys).find(host => hostKeys[host] === apiKey);
-  if (authenticatedHost) {
-    console.log(`✅ Host API key authenticated for host "${authenticatedHost}" - ${req.method} ${req.path}`);
+  req.apiKey = key;
+
+  if (key.tenant) {
+    console.log(`✅ API key ${key.id} authenticated for host "${key.tenant}" - ${req.method} ${req.path}`);
     req.authenticatedAs = 'host';
-    req.authenticatedHost = authenticatedHost;
-    return next();
+    req.authenticatedHost = key.tenant;
+  } else {
+    console.log(`✅ API key ${key.id} authenticated for ${req.method} ${req.path}`);
+    req.authenticatedAs = 'global';
   }
 
-  return res.status(403).json({
-    success: false,
-    error: 'Invalid API key',
-    message: 'The provided API key is not valid'
-  });
+  next();
+}
+
+/**
+ * Middleware to require a scope ('read:orders', 'write:webhooks', 'sync' or 'admin') on the API key
+ * Should be used after authenticateApiKey
+ * @param {string} scope - Required scope
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    // Development mode without any keys configured
+    if (!req.apiKey) {
+      return next();
+    }
+
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `API key ${req.apiKey.id} is missing the "${scope}" scope`
+      });
+    }
+
+    next();
+  };
 }
 
 /**
@@ -109,48 +133,67 @@ function validateHostAccess(req, res, next) {
 }
 
 /**
- * Optional rate limiting middleware
- * Basic in-memory rate limiting by IP
+ * Middleware to restrict admin-only endpoints to the global API key
+ * Should be used after authenticateApiKey
  */
-const rateLimitStore = new Map();
+function requireGlobalKey(req, res, next) {
+  if (req.authenticatedAs === 'host') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: `Host "${req.authenticatedHost}" cannot access admin endpoint ${req.method} ${req.baseUrl}${req.path}`
+    });
+  }
 
-function rateLimit(maxRequests = 100, windowMs = 15 * 60 * 1000) { // 15 minutes
-  return (req, res, next) => {
-    const clientIp = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowStart = now - windowMs;
-
-    // Clean up old entries
-    for (const [ip, requests] of rateLimitStore.entries()) {
-      rateLimitStore.set(ip, requests.filter(time => time > windowStart));
-      if (rateLimitStore.get(ip).length === 0) {
-        rateLimitStore.delete(ip);
-      }
-    }
+  next();
+}
+
+/**
+ * Middleware to scope data endpoints to the authenticated host
+ * Sets req.hostScope to the host of a host-specific key (null for the global key)
+ * and rejects provider/host query filters naming another host
+ * Bookings are in a host's scope when their host is that host, not when only their vendor matches
+ * Should be used after authenticateApiKey
+ */
+function scopeToAuthenticatedHost(req, res, next) {
+  const invalid = ['provider', 'host'].find(param =>
+    req.query[param] !== undefined && typeof req.query[param] !== 'string'
+  );
 
-    // Check current IP
-    const clientRequests = rateLimitStore.get(clientIp) || [];
-    const recentRequests = clientRequests.filter(time => time > windowStart);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      message: `The ${invalid} query parameter must be given once`
+    });
+  }
 
-    if (recentRequests.length >= maxRequests) {
-      return res.status(429).json({
-        success: false,
-        error: 'Too many requests',
-        message: `Rate limit exceeded. Maximum ${maxRequests} requests per ${windowMs / 1000 / 60} minutes.`,
-        retry_after: Math.ceil((recentRequests[0] + windowMs - now) / 1000)
-      });
-    }
+  if (req.authenticatedAs !== 'host') {
+    req.hostScope = null;
+    return next();
+  }
 
-    // Record this request
-    recentRequests.push(now);
-    rateLimitStore.set(clientIp, recentRequests);
+  const requested = ['provider', 'host']
+    .map(param => req.query[param])
+    .find(value => value && value.toLowerCase() !== req.authenticatedHost);
 
-    next();
-  };
+  if (requested) {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: `Host "${req.authenticatedHost}" cannot access data for host "${requested}"`
+    });
+  }
+
+  req.hostScope = req.authenticatedHost;
+  next();
 }
 
 module.exports = {
   authenticateApiKey,
   validateHostAccess,
-  rateLimit
+  requireGlobalKey,
+  requireScope,
+  scopeToAuthenticatedHost,
+  apiKeyService
 };
\ No newline at end of file
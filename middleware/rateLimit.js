@@ -0,0 +1,93 @@
+/**
+ * Rate limiting middleware
+ * Budgets are per route group and per caller: tenant keys share their tenant's budget,
+ * other keys have their own, so one busy partner cannot starve the others
+ */
+
+const { createRateLimitStore } = require('../services/rateLimitStore');
+
+// Default requests per window for each route group, overridable with RATE_LIMIT_<GROUP>
+const ROUTE_GROUP_LIMITS = {
+  read: 120,
+  sync: 10,
+  admin: 30
+};
+
+let defaultStore = null;
+
+/**
+ * Build rate limiting middleware for a route group
+ * Should be used after authenticateApiKey so the caller is known
+ * @param {string} group - Route group ('read', 'sync', 'admin')
+ * @param {Object} options - { limit, windowMs, store } overrides, mainly for tests
+ * @returns {Function} Express middleware
+ */
+function rateLimit(group, options = {}) {
+  const envLimit = parseInt(process.env[`RATE_LIMIT_${group.toUpperCase()}`]);
+  const limit = options.limit || envLimit || ROUTE_GROUP_LIMITS[group] || 60;
+  const windowMs = options.windowMs || (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000;
+
+  // Built when the routes are mounted, so a misconfigured store stops the server at startup
+  const store = options.store || getDefaultStore();
+
+  return async (req, res, next) => {
+    const now = Date.now();
+    const windowIndex = Math.floor(now / windowMs);
+    const resetSeconds = Math.ceil(((windowIndex + 1) * windowMs - now) / 1000);
+
+    let count;
+    try {
+      count = await store.increment(`${group}:${rateLimitSubject(req)}:${windowIndex}`, windowMs);
+    } catch (error) {
+      // A store outage should not take the API down with it
+      console.error(`Rate limit store error (allowing request): ${error.message}`);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${windowMs / 1000}`
+    });
+
+    if (count > limit) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests',
+        message: `Rate limit exceeded for ${group} endpoints. Maximum ${limit} requests per ${windowMs / 1000} seconds.`,
+        retry_after: resetSeconds
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Who a request is counted against: the tenant, the API key, or the IP when unauthenticated
+ */
+function rateLimitSubject(req) {
+  if (req.apiKey && req.apiKey.tenant) {
+    return `tenant:${req.apiKey.tenant}`;
+  }
+
+  if (req.apiKey) {
+    return `key:${req.apiKey.id}`;
+  }
+
+  return `ip:${req.ip}`;
+}
+
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = createRateLimitStore();
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  rateLimit,
+  ROUTE_GROUP_LIMITS
+};
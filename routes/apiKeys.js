@@ -0,0 +1,147 @@
+const express = require('express');
+const {
+  authenticateApiKey,
+  requireGlobalKey,
+  requireScope,
+  apiKeyService
+} = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Every key management endpoint needs a global key with the admin scope
+router.use(authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'));
+
+/**
+ * GET /api/admin/keys
+ * List API keys (stored and environment) without secrets
+ */
+router.get('/', (req, res) => {
+  const keys = apiKeyService.list();
+
+  res.json({
+    success: true,
+    data: keys,
+    count: keys.length
+  });
+});
+
+/**
+ * POST /api/admin/keys
+ * Create an API key
+ * Body: { label, tenant, scopes: ['read:orders', 'write:webhooks', 'sync', 'admin'], expires_at }
+ * The raw key is only returned in this response
+ */
+router.post('/', (req, res) => {
+  try {
+    const { label, tenant, scopes, expires_at } = req.body || {};
+    const { key, apiKey } = apiKeyService.create({ label, tenant, scopes, expiresAt: expires_at });
+
+    console.log(`🔑 API key ${key.id} created by ${req.apiKey ? req.apiKey.id : 'development'}`);
+
+    res.status(201).json({
+      success: true,
+      data: key,
+      api_key: apiKey,
+      message: 'Store this key now - it cannot be shown again'
+    });
+
+  } catch (error) {
+    sendKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * GET /api/admin/keys/:id
+ * Get one API key without its secret
+ */
+router.get('/:id', (req, res) => {
+  const key = apiKeyService.get(req.params.id);
+
+  if (!key) {
+    return sendNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: key
+  });
+});
+
+/**
+ * POST /api/admin/keys/:id/rotate
+ * Issue a new secret; the old one keeps working for grace_period_seconds (default: 24 hours)
+ * Body: { grace_period_seconds }
+ */
+router.post('/:id/rotate', (req, res) => {
+  try {
+    const { grace_period_seconds } = req.body || {};
+    const rotated = apiKeyService.rotate(req.params.id, {
+      gracePeriodSeconds: grace_period_seconds
+    });
+
+    if (!rotated) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    console.log(`🔑 API key ${req.params.id} rotated`);
+
+    res.json({
+      success: true,
+      data: rotated.key,
+      api_key: rotated.apiKey,
+      message: 'Store this key now - it cannot be shown again'
+    });
+
+  } catch (error) {
+    sendKeyError(res, error, 'Failed to rotate API key');
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:id
+ * Revoke an API key immediately
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    const key = apiKeyService.revoke(req.params.id);
+
+    if (!key) {
+      return sendNotFound(res, req.params.id);
+    }
+
+    console.log(`🔑 API key ${req.params.id} revoked`);
+
+    res.json({
+      success: true,
+      data: key
+    });
+
+  } catch (error) {
+    sendKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+function sendNotFound(res, id) {
+  res.status(404).json({
+    success: false,
+    error: 'API key not found',
+    message: `No API key with ID ${id}`
+  });
+}
+
+function sendKeyError(res, error, message) {
+  const invalid = error.message.startsWith('Invalid');
+
+  if (!invalid) {
+    console.error(`${message}:`, error.message);
+  }
+
+  res.status(invalid ? 400 : 500).json({
+    success: false,
+    error: invalid ? 'Invalid request' : message,
+    message: error.message
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const BokunService = require('../services/bokunService');
+const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+const { getConnector } = require('../services/connectors');
+const { authenticateApiKey, requireGlobalKey, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createSyncJobRouter, sendSyncJobQueued } = require('./syncJobs');
+
+const router = express.Router();
+const bokunService = new BokunService();
+const syncJobService = new BookingKitSyncJobService();
+const connector = getConnector('bokun');
+
+/**
+ * POST /api/bokun/sync
+ * Push Shopify Cowlendar bookings into Bokun as external bookings, in the background
+ * Body: { provider, order_ids: [...], limit }
+ * Responds 202 with a job ID; poll GET /api/bokun/sync/:jobId for progress. Bookings are read
+ * from the booking index (refreshed first); only bookings of products mapped to a Bokun
+ * activity are pushed, the others are reported as 'unmapped'
+ */
+router.post('/sync', authenticateApiKey, rateLimit('sync'), requireGlobalKey, requireScope('sync'), (req, res) => {
+  try {
+    const { provider, order_ids, limit = 50 } = req.body || {};
+
+    if (order_ids !== undefined && !Array.isArray(order_ids)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'order_ids must be an array of Shopify order IDs'
+      });
+    }
+
+    if (!bokunService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Bokun not configured',
+        message: 'BOKUN_ACCESS_KEY and BOKUN_SECRET_KEY must be set'
+      });
+    }
+
+    const job = syncJobService.enqueue({ connector: 'bokun', provider, order_ids, limit });
+    sendSyncJobQueued(res, job, `${req.baseUrl}/sync/${job.id}`);
+
+  } catch (error) {
+    console.error('Error queueing Bokun sync job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync bookings to Bokun',
+      message: error.message
+    });
+  }
+});
+
+// List, progress, cancel and retry of Bokun sync jobs
+router.use('/sync', createSyncJobRouter(syncJobService, 'bokun'));
+
+/**
+ * GET /api/bokun/activities
+ * Shopify product to Bokun activity mappings
+ */
+router.get('/activities', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  const mappings = bokunService.listActivityMappings();
+
+  res.json({
+    success: true,
+    data: mappings,
+    count: mappings.length
+  });
+});
+
+/**
+ * PUT /api/bokun/activities/:productId
+ * Map a Shopify product to a Bokun activity
+ * Body: { activity_id, pricing_category_id }
+ */
+router.put('/activities/:productId', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  try {
+    const { activity_id, pricing_category_id } = req.body || {};
+    const mapping = bokunService.setActivityMapping(req.params.productId, { activity_id, pricing_category_id });
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+
+  } catch (error) {
+    const invalid = error.message.startsWith('Invalid');
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      error: invalid ? 'Invalid request' : 'Failed to save activity mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/bokun/activities/:productId
+ * Remove the stored mapping of a Shopify product
+ */
+router.delete('/activities/:productId', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  if (!bokunService.removeActivityMapping(req.params.productId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Mapping not found',
+      message: `No stored Bokun activity mapping for product ${req.params.productId}`
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Activity mapping of product ${req.params.productId} removed`
+  });
+});
+
+/**
+ * GET /api/bokun/health
+ * Bokun integration status, with a signed test request when credentials are configured
+ */
+router.get('/health', authenticateApiKey, rateLimit('admin'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      bokun_integration: await connector.health()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Health check failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
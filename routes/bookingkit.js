@@ -1,37 +1,51 @@
 const express = require('express');
-const crypto = require('crypto');
 const BookingKitService = require('../services/bookingkitService');
+const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+const WebhookInboxService = require('../services/webhookInboxService');
 const ShopifyService = require('../services/shopifyService');
-const { authenticateApiKey } = require('../middleware/auth');
+const BookingIndexService = require('../services/bookingIndexService');
+const { getConnector } = require('../services/connectors');
+const { authenticateApiKey, requireGlobalKey, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createSyncJobRouter, sendSyncJobQueued } = require('./syncJobs');
 
 const router = express.Router();
-const bookingKitService = new BookingKitService();
+const bookingKitService = BookingKitService.forAccount();
 const shopifyService = new ShopifyService();
+const bookingIndex = new BookingIndexService(shopifyService);
+const syncJobService = new BookingKitSyncJobService(bookingIndex);
+const inbox = new WebhookInboxService();
+const connector = getConnector('bookingkit');
 
 /**
- * OAuth Authentication Flow for BookingKit
- * This endpoint initiates the OAuth flow with BookingKit
+ * OAuth Authentication Flow for BookingKit - global API key only
+ * This endpoint initiates the OAuth flow with BookingKit; whoever completes it decides
+ * which BookingKit account the bookings of `account` are pushed to
+ * Query parameters:
+ * - account: BookingKit account to connect, e.g. 'venchi' (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
  */
-router.get('/auth/authorize', (req, res) => {
+router.get('/auth/authorize', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
   try {
-    const redirectUri = `${req.protocol}://${req.get('host')}/api/bookingkit/auth/callback`;
-    const state = crypto.randomBytes(32).toString('hex');
-
-    // Store state in session or cache (for production, use Redis)
-    req.session = req.session || {};
-    req.session.oauth_state = state;
+    let account;
+    try {
+      account = connector.resolveAccount(req.query.account);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account',
+        message: 'account may only contain letters, digits, "-" and "_"'
+      });
+    }
 
-    const authUrl = new URL('https://api.bookingkit.com/v3/oauth/authorize');
-    authUrl.searchParams.set('client_id', process.env.BOOKINGKIT_CLIENT_ID);
-    authUrl.searchParams.set('redirect_uri', redirectUri);
-    authUrl.searchParams.set('response_type', 'code');
-    authUrl.searchParams.set('scope', 'bookings:read bookings:write webhooks:manage');
-    authUrl.searchParams.set('state', state);
+    const redirectUri = `${req.protocol}://${req.get('host')}/api/bookingkit/auth/callback`;
+    // The state is remembered by the connector and redeemed once by the callback
+    const { authorization_url } = await connector.authenticate({ account, redirectUri });
 
     res.json({
       success: true,
-      auth_url: authUrl.toString(),
+      auth_url: authorization_url,
       redirect_uri: redirectUri,
+      account,
       message: 'Visit the auth_url to authorize this application with BookingKit'
     });
   } catch (error) {
@@ -67,32 +81,23 @@ router.get('/auth/callback', async (req, res) => {
       });
     }
 
-    // Verify state parameter (CSRF protection)
-    const sessionState = req.session?.oauth_state;
-    if (!sessionState || sessionState !== state) {
+    // Only flows started through /auth/authorize, once each (CSRF protection)
+    const pending = connector.consumeAuthorizationState(state);
+    if (!pending) {
       return res.status(400).json({
         success: false,
         error: 'Invalid state parameter',
-        message: 'CSRF protection failed'
+        message: 'CSRF protection failed: unknown, used or expired state'
       });
     }
 
     const redirectUri = `${req.protocol}://${req.get('host')}/api/bookingkit/auth/callback`;
-    const tokenData = await bookingKitService.exchangeCodeForToken(code, redirectUri);
-
-    // Clear the state from session
-    if (req.session) {
-      delete req.session.oauth_state;
-    }
+    const result = await connector.authenticate({ account: pending.account, code, redirectUri });
 
     res.json({
       success: true,
       message: 'Authorization successful',
-      token_info: {
-        token_type: tokenData.token_type,
-        expires_in: tokenData.expires_in,
-        scope: tokenData.scope
-      }
+      ...result
     });
   } catch (error) {
     console.error('Error handling OAuth callback:', error.message);
@@ -105,29 +110,48 @@ router.get('/auth/callback', async (req, res) => {
 });
 
 /**
- * Get authorization status
+ * Get authorization status - global API key only
+ * Query parameters:
+ * - account: BookingKit account (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
  */
-router.get('/auth/status', authenticateApiKey, (req, res) => {
+router.get('/auth/status', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
   try {
-    const hasToken = bookingKitService.accessTokens.has(process.env.BOOKINGKIT_CLIENT_ID);
+    let account;
+    try {
+      account = connector.resolveAccount(req.query.account);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid account',
+        message: 'account may only contain letters, digits, "-" and "_"'
+      });
+    }
 
-    if (hasToken) {
-      const tokenData = bookingKitService.accessTokens.get(process.env.BOOKINGKIT_CLIENT_ID);
-      const isExpired = Date.now() >= tokenData.expires_at;
+    // Read from the token store, so unknown accounts do not get a service instance
+    const status = BookingKitService.listAccounts().find(candidate => candidate.account === account);
 
-      res.json({
-        success: true,
-        authorized: true,
-        token_expired: isExpired,
-        expires_at: new Date(tokenData.expires_at).toISOString()
-      });
-    } else {
-      res.json({
+    if (!status) {
+      return res.json({
         success: true,
+        account,
         authorized: false,
         message: 'No authorization token found'
       });
     }
+
+    res.json({
+      success: true,
+      account: account,
+      authorized: status.status === 'connected',
+      needs_reauthorization: status.status === 'needs_reauthorization',
+      token_expired: status.token_expired,
+      expires_at: status.expires_at,
+      refreshed_at: status.refreshed_at,
+      last_error: status.last_error,
+      message: status.status === 'needs_reauthorization'
+        ? `Token refresh failed - visit /api/bookingkit/auth/authorize?account=${account} again`
+        : undefined
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -138,155 +162,331 @@ router.get('/auth/status', authenticateApiKey, (req, res) => {
 });
 
 /**
- * Webhook endpoint - BookingKit sends webhook events here
- * This endpoint receives notifications when bookings are created, updated, or cancelled in BookingKit
+ * List connected BookingKit accounts and their authorization status - global API key only
  */
-router.post('/webhooks', express.raw({ type: 'application/json' }), async (req, res) => {
+router.get('/auth/accounts', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
   try {
-    const signature = req.headers['x-bookingkit-signature'] || req.headers['x-webhook-signature'];
-    const payload = req.body;
+    const accounts = BookingKitService.listAccounts();
 
-    // Verify webhook signature for security
-    if (!bookingKitService.verifyWebhookSignature(payload.toString(), signature)) {
-      console.warn('Invalid webhook signature received');
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid signature'
-      });
+    res.json({
+      success: true,
+      data: accounts,
+      count: accounts.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list BookingKit accounts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * What BookingKit webhooks changed in Shopify, newest first - global API key only
+ * Query: account, booking_id, shopify_order_id, bookingkit_id, action, limit
+ */
+router.get('/webhooks/audit', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  const { account, booking_id, shopify_order_id, bookingkit_id, action, limit } = req.query;
+  const entries = bookingKitService.auditLog.list({ account, booking_id, shopify_order_id, bookingkit_id, action, limit });
+
+  res.json({
+    success: true,
+    data: entries,
+    count: entries.length
+  });
+});
+
+/**
+ * Stored BookingKit webhooks, newest first, without payloads - global API key only
+ * Query: source ('bookingkit' by default, or 'shopify' for the BookingKit and Bokun pushes of
+ * Shopify order webhooks), status (pending, processing, processed, failed, dead), event_type, account, limit
+ */
+router.get('/webhooks/inbox', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  const { source = 'bookingkit', status, event_type, account, limit } = req.query;
+  const events = inbox.list({ source, status, event_type, account, limit });
+
+  res.json({
+    success: true,
+    data: events,
+    counts: inbox.getCounts(),
+    count: events.length
+  });
+});
+
+/**
+ * Get a stored webhook with its payload and attempt history - global API key only
+ */
+router.get('/webhooks/inbox/:id', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  const event = inbox.get(req.params.id);
+
+  if (!event) {
+    return sendInboxEventNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: event
+  });
+});
+
+/**
+ * Process a stored webhook again, e.g. a dead letter after fixing its cause - global API key only
+ * Responds 202; the event is processed in the background
+ */
+router.post('/webhooks/inbox/:id/replay', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  try {
+    const event = inbox.replay(req.params.id);
+
+    if (!event) {
+      return sendInboxEventNotFound(res, req.params.id);
     }
 
-    // Parse the JSON payload
-    let webhookData;
-    try {
-      webhookData = JSON.parse(payload);
-    } catch (parseError) {
-      console.error('Invalid JSON payload:', parseError.message);
+    res.status(202).json({
+      success: true,
+      message: 'Webhook queued for replay',
+      data: event
+    });
+
+  } catch (error) {
+    const conflict = error.message.startsWith('Invalid state');
+    res.status(conflict ? 409 : 500).json({
+      success: false,
+      error: conflict ? 'Invalid event state' : 'Failed to replay webhook',
+      message: error.message
+    });
+  }
+});
+
+function sendInboxEventNotFound(res, id) {
+  res.status(404).json({
+    success: false,
+    error: 'Webhook not found',
+    message: `No stored webhook with ID ${id}`
+  });
+}
+
+/**
+ * Sync Shopify orders to BookingKit in the background
+ * Responds 202 with a job ID; poll GET /api/bookingkit/sync/:jobId for progress
+ * Body: { provider, order_ids, limit, account } - account is the BookingKit account to
+ * sync into (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
+ * Global API key only
+ */
+router.post('/sync', authenticateApiKey, rateLimit('sync'), requireGlobalKey, requireScope('sync'), (req, res) => {
+  try {
+    const { provider, order_ids, limit = 50, account } = req.body || {};
+
+    if (order_ids !== undefined && !Array.isArray(order_ids)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid JSON payload'
+        error: 'Invalid request',
+        message: 'order_ids must be an array of Shopify order IDs'
       });
     }
 
-    // Process the webhook
-    const result = await bookingKitService.processWebhook(webhookData);
+    const job = syncJobService.enqueue({ connector: 'bookingkit', account, provider, order_ids, limit });
+    sendSyncJobQueued(res, job, `${req.baseUrl}/sync/${job.id}`);
 
-    console.log(`Webhook processed successfully:`, result);
+  } catch (error) {
+    const invalid = error.message.startsWith('Invalid');
+    if (!invalid) {
+      console.error('Error queueing sync job:', error.message);
+    }
+
+    res.status(invalid ? 400 : 500).json({
+      success: false,
+      error: invalid ? 'Invalid request' : 'Sync operation failed',
+      message: error.message
+    });
+  }
+});
+
+// List, progress, cancel and retry of BookingKit sync jobs
+router.use('/sync', createSyncJobRouter(syncJobService, 'bookingkit'));
+
+/**
+ * Events (bookable products) of a BookingKit account - global API key only
+ * Query: account
+ */
+router.get('/events', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
+  try {
+    const service = eventAccountService(req);
+    const events = await service.getEvents();
 
-    // Respond with 200 OK to acknowledge receipt
     res.json({
       success: true,
-      processed: true,
-      result: result
+      account: service.accountId,
+      data: events,
+      count: Array.isArray(events) ? events.length : 0
     });
-
   } catch (error) {
-    console.error('Error processing webhook:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process webhook',
-      message: error.message
+    sendEventMappingError(res, error, 'Failed to fetch BookingKit events');
+  }
+});
+
+/**
+ * Shopify product and variant to BookingKit event mappings - global API key only
+ * Query: account
+ */
+router.get('/events/mappings', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  try {
+    const service = eventAccountService(req);
+    const mappings = service.eventMap.list(service.accountId);
+
+    res.json({
+      success: true,
+      account: service.accountId,
+      data: mappings,
+      count: mappings.length
     });
+  } catch (error) {
+    sendEventMappingError(res, error, 'Failed to list event mappings');
   }
 });
 
 /**
- * Sync Shopify orders to BookingKit
- * This endpoint allows manual synchronization of Shopify orders to BookingKit
+ * Suggested events for indexed Shopify products without a mapping - global API key only
+ * Matches product and event names, preferring products whose vendor is the account
+ * Query: account, provider
  */
-router.post('/sync', authenticateApiKey, async (req, res) => {
+router.get('/events/suggestions', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
   try {
-    const { provider, order_ids, limit = 50 } = req.body;
-
-    let ordersToSync = [];
-
-    if (order_ids && Array.isArray(order_ids)) {
-      // Sync specific orders by ID
-      for (const orderId of order_ids) {
-        try {
-          const order = await shopifyService.getOrderById(orderId);
-          if (shopifyService.hasCowlendarMetadata(order)) {
-            const parsedOrder = await shopifyService.parseOrderWithCowlendar(order);
-            ordersToSync.push(parsedOrder);
-          }
-        } catch (error) {
-          console.warn(`Failed to fetch order ${orderId}:`, error.message);
-        }
-      }
-    } else {
-      // Sync orders by provider
-      const shopifyParams = { limit: Math.min(parseInt(limit), 100) };
-
-      if (provider) {
-        ordersToSync = await shopifyService.getOrdersByProvider(provider, shopifyParams);
-      } else {
-        ordersToSync = await shopifyService.getEventOrders(shopifyParams);
-      }
+    const service = eventAccountService(req);
+    const { provider } = req.query;
+
+    if (provider !== undefined && typeof provider !== 'string') {
+      throw new Error('Invalid provider: give the provider query parameter once');
     }
 
-    if (ordersToSync.length === 0) {
-      return res.json({
-        success: true,
-        message: 'No orders found to sync',
-        synced: 0
-      });
+    await bookingIndex.ensureReady();
+
+    // One entry per product, named after its most recent booking
+    const products = new Map();
+    bookingIndex.allBookings()
+      .filter(booking => !provider || shopifyService.matchesProvider(booking, provider))
+      .filter(booking => booking.productId && !products.has(String(booking.productId)))
+      .forEach(booking => products.set(String(booking.productId), {
+        product_id: String(booking.productId),
+        title: booking.eventName,
+        vendor: booking.vendor,
+        provider: booking.provider
+      }));
+
+    const suggestions = await service.suggestEventMappings(Array.from(products.values()));
+
+    res.json({
+      success: true,
+      account: service.accountId,
+      data: suggestions,
+      count: suggestions.length
+    });
+  } catch (error) {
+    sendEventMappingError(res, error, 'Failed to suggest event mappings');
+  }
+});
+
+/**
+ * Map a Shopify product, or one of its variants, to a BookingKit event - global API key only
+ * The event must exist in the account. Synced bookings are then attached to the date slot
+ * of the event starting at the booking's start time.
+ * Body: { event_id, variant_id, account }
+ */
+router.put('/events/mappings/:productId', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
+  try {
+    const { event_id, variant_id } = req.body || {};
+    const service = eventAccountService(req);
+
+    if (!service.isAuthorized()) {
+      throw new Error(`Invalid state: BookingKit account "${service.accountId}" is not authorized`);
     }
 
-    // Transform and send to BookingKit
-    const syncResults = [];
-    for (const order of ordersToSync) {
-      try {
-        const bookingKitData = bookingKitService.transformShopifyOrderToBookingKit(order);
-        const result = await bookingKitService.createBooking(bookingKitData);
-
-        syncResults.push({
-          shopify_order_id: order.shopifyOrderId,
-          bookingkit_id: result.id,
-          status: 'synced'
-        });
-      } catch (error) {
-        console.error(`Failed to sync order ${order.shopifyOrderId}:`, error.message);
-        syncResults.push({
-          shopify_order_id: order.shopifyOrderId,
-          status: 'failed',
-          error: error.message
-        });
-      }
+    const events = await service.getEvents();
+    const event = (Array.isArray(events) ? events : []).find(candidate => String(candidate.id) === String(event_id));
+
+    if (!event) {
+      throw new Error(`Invalid event_id: no event ${event_id} in BookingKit account ${service.accountId}`);
     }
 
-    const syncedCount = syncResults.filter(r => r.status === 'synced').length;
-    const failedCount = syncResults.filter(r => r.status === 'failed').length;
+    const mapping = service.eventMap.set(service.accountId, {
+      product_id: req.params.productId,
+      variant_id,
+      event_id,
+      event_title: event.title || event.name || null
+    });
 
     res.json({
       success: true,
-      message: `Sync completed: ${syncedCount} synced, ${failedCount} failed`,
-      synced: syncedCount,
-      failed: failedCount,
-      results: syncResults
+      account: service.accountId,
+      data: mapping
     });
-
   } catch (error) {
-    console.error('Error during sync operation:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Sync operation failed',
-      message: error.message
+    sendEventMappingError(res, error, 'Failed to save event mapping');
+  }
+});
+
+/**
+ * Remove the event mapping of a product, or of one variant with ?variant_id= - global API key only
+ * Query: account, variant_id
+ */
+router.delete('/events/mappings/:productId', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), (req, res) => {
+  try {
+    const service = eventAccountService(req);
+    const variantId = req.query.variant_id || null;
+
+    if (!service.eventMap.remove(service.accountId, req.params.productId, variantId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mapping not found',
+        message: `No BookingKit event mapping for product ${req.params.productId}${variantId ? ` variant ${variantId}` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Event mapping of product ${req.params.productId}${variantId ? ` variant ${variantId}` : ''} removed`
     });
+  } catch (error) {
+    sendEventMappingError(res, error, 'Failed to remove event mapping');
   }
 });
 
 /**
- * Get BookingKit bookings
+ * Service of the account named in ?account= or the body (default account if omitted)
+ */
+function eventAccountService(req) {
+  return BookingKitService.forAccount(connector.resolveAccount(req.query.account || req.body?.account));
+}
+
+function sendEventMappingError(res, error, message) {
+  const conflict = error.message.startsWith('Invalid state');
+  const invalid = !conflict && error.message.startsWith('Invalid');
+
+  if (!conflict && !invalid) {
+    console.error(`${message}:`, error.message);
+  }
+
+  res.status(conflict ? 409 : (invalid ? 400 : 500)).json({
+    success: false,
+    error: conflict ? 'BookingKit account not authorized' : (invalid ? 'Invalid request' : message),
+    message: error.message
+  });
+}
+
+/**
+ * Get BookingKit bookings - global API key only
+ * Query parameters are passed to BookingKit as filters, except account
  */
-router.get('/bookings', authenticateApiKey, async (req, res) => {
+router.get('/bookings', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
   try {
-    const filters = {
-      ...req.query
-    };
+    const { account, ...filters } = req.query;
+    const accountId = connector.resolveAccount(account);
 
-    const bookings = await bookingKitService.getBookings(filters);
+    const bookings = await connector.pull(filters, { account: accountId });
 
     res.json({
       success: true,
+      account: accountId,
       data: bookings,
       count: Array.isArray(bookings) ? bookings.length : 0,
       filters
@@ -303,41 +503,26 @@ router.get('/bookings', authenticateApiKey, async (req, res) => {
 
 /**
  * Health check for BookingKit integration
+ * Query parameters:
+ * - account: BookingKit account (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
  */
-router.get('/health', authenticateApiKey, async (req, res) => {
+router.get('/health', authenticateApiKey, rateLimit('admin'), async (req, res) => {
+  let account;
   try {
-    const hasCredentials = !!(process.env.BOOKINGKIT_CLIENT_ID && process.env.BOOKINGKIT_CLIENT_SECRET);
-    const hasToken = bookingKitService.accessTokens.has(process.env.BOOKINGKIT_CLIENT_ID);
-
-    let tokenStatus = 'no_token';
-    if (hasToken) {
-      const tokenData = bookingKitService.accessTokens.get(process.env.BOOKINGKIT_CLIENT_ID);
-      tokenStatus = Date.now() >= tokenData.expires_at ? 'expired' : 'valid';
-    }
+    account = connector.resolveAccount(req.query.account);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid account',
+      message: 'account may only contain letters, digits, "-" and "_"'
+    });
+  }
 
-    const health = {
+  try {
+    res.json({
       success: true,
-      bookingkit_integration: {
-        credentials_configured: hasCredentials,
-        has_access_token: hasToken,
-        token_status: tokenStatus,
-        base_url: process.env.BOOKINGKIT_BASE_URL || 'https://api.bookingkit.com/v3'
-      }
-    };
-
-    // Test API connectivity if we have a valid token
-    if (hasToken && tokenStatus === 'valid') {
-      try {
-        // Try to make a simple API call to verify connectivity
-        await bookingKitService.makeAuthenticatedRequest('GET', '/profile');
-        health.bookingkit_integration.api_connectivity = 'ok';
-      } catch (error) {
-        health.bookingkit_integration.api_connectivity = 'failed';
-        health.bookingkit_integration.api_error = error.message;
-      }
-    }
-
-    res.json(health);
+      bookingkit_integration: await connector.health({ account })
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -347,4 +532,4 @@ router.get('/health', authenticateApiKey, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
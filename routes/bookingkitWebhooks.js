@@ -0,0 +1,36 @@
+const express = require('express');
+const { getConnector } = require('../services/connectors');
+
+const router = express.Router();
+const connector = getConnector('bookingkit');
+
+/**
+ * Webhook endpoint - BookingKit sends webhook events here
+ * This endpoint receives notifications when bookings are created, updated, or cancelled in BookingKit
+ * The signature is computed over the raw body, so this router is mounted before express.json()
+ * Verification and storage are done by the BookingKit connector, see
+ * BookingKitConnector.handleWebhook; this is the same endpoint as /api/connectors/bookingkit/webhooks
+ * Query parameters:
+ * - account: BookingKit account the webhook belongs to (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
+ */
+router.post('/', express.raw({ type: () => true, limit: '2mb' }), async (req, res) => {
+  try {
+    const { status, body } = await connector.handleWebhook({
+      rawBody: req.body,
+      headers: req.headers,
+      query: req.query
+    });
+
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('Error receiving webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
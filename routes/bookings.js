@@ -1,18 +1,28 @@
 const express = require('express');
 const ShopifyService = require('../services/shopifyService');
-const { authenticateApiKey, validateHostAccess } = require('../middleware/auth');
+const BookingIndexService = require('../services/bookingIndexService');
+const { transformForBookun } = require('../services/bookingAppFormat');
+const {
+  authenticateApiKey,
+  validateHostAccess,
+  requireGlobalKey,
+  requireScope,
+  scopeToAuthenticatedHost
+} = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 const shopifyService = new ShopifyService();
+const bookingIndex = new BookingIndexService(shopifyService);
 
 /**
  * GET /api/bookings/hosts
  * Get all available hosts - for configuration and debugging
  */
-router.get('/hosts', authenticateApiKey, async (req, res) => {
+router.get('/hosts', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
-    const { limit = 250 } = req.query;
-    const hosts = await shopifyService.getAvailableHosts({ limit: parseInt(limit) });
+    await bookingIndex.ensureReady();
+    const hosts = bookingIndex.getHosts(req.hostScope);
 
     res.json({
       success: true,
@@ -40,7 +50,7 @@ router.get('/hosts', authenticateApiKey, async (req, res) => {
  * - cowlendar_id: Filter by Cowlendar internal ID
  * - limit: Number of results (default: 50)
  */
-router.get('/host/:hostName', authenticateApiKey, validateHostAccess, async (req, res) => {
+router.get('/host/:hostName', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), validateHostAccess, async (req, res) => {
   try {
     const { hostName } = req.params;
     const {
@@ -50,36 +60,19 @@ router.get('/host/:hostName', authenticateApiKey, validateHostAccess, async (req
       limit = 50
     } = req.query;
 
-    let shopifyParams = {
-      limit: parseInt(limit),
-      status: 'any'
-    };
-
-    // Add email filter if provided
-    if (customer_email) {
-      shopifyParams.email = customer_email;
-    }
+    await bookingIndex.ensureReady();
 
     // Get orders filtered by host
-    const hostOrders = await shopifyService.getOrdersByHost(hostName, shopifyParams);
-
-    // Apply additional filters
-    let filteredOrders = hostOrders;
-
-    if (event_date) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.eventDate === event_date
-      );
-    }
-
-    if (cowlendar_id) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.cowlendarId === cowlendar_id
-      );
-    }
+    const { orders } = bookingIndex.query({
+      host: hostName,
+      customerEmail: customer_email,
+      eventDate: event_date,
+      cowlendarId: cowlendar_id,
+      limit
+    });
 
     // Transform to Bookun-compatible format
-    const bookings = filteredOrders.map(transformForBookun);
+    const bookings = orders.map(transformForBookun);
 
     res.json({
       success: true,
@@ -108,17 +101,20 @@ router.get('/host/:hostName', authenticateApiKey, validateHostAccess, async (req
  * GET /api/bookings/host/:hostName/customer/:email
  * Get all bookings for a specific host and customer - Bookun integration
  */
-router.get('/host/:hostName/customer/:email', authenticateApiKey, validateHostAccess, async (req, res) => {
+router.get('/host/:hostName/customer/:email', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), validateHostAccess, async (req, res) => {
   try {
     const { hostName, email } = req.params;
     const { limit = 50 } = req.query;
 
-    const hostOrders = await shopifyService.getOrdersByHost(hostName, {
-      email: email,
-      limit: parseInt(limit)
+    await bookingIndex.ensureReady();
+
+    const { orders } = bookingIndex.query({
+      host: hostName,
+      customerEmail: email,
+      limit
     });
 
-    const bookings = hostOrders.map(transformForBookun);
+    const bookings = orders.map(transformForBookun);
 
     res.json({
       success: true,
@@ -142,21 +138,20 @@ router.get('/host/:hostName/customer/:email', authenticateApiKey, validateHostAc
  * GET /api/bookings/host/:hostName/events/:date
  * Get all bookings for a specific host and event date - Bookun integration
  */
-router.get('/host/:hostName/events/:date', authenticateApiKey, validateHostAccess, async (req, res) => {
+router.get('/host/:hostName/events/:date', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), validateHostAccess, async (req, res) => {
   try {
     const { hostName, date } = req.params; // date in YYYY-MM-DD format
     const { limit = 100 } = req.query;
 
-    const hostOrders = await shopifyService.getOrdersByHost(hostName, {
-      limit: parseInt(limit)
-    });
+    await bookingIndex.ensureReady();
 
-    // Filter by event date
-    const dateFilteredOrders = hostOrders.filter(order =>
-      order.eventDate === date
-    );
+    const { orders } = bookingIndex.query({
+      host: hostName,
+      eventDate: date,
+      limit
+    });
 
-    const bookings = dateFilteredOrders.map(transformForBookun);
+    const bookings = orders.map(transformForBookun);
 
     res.json({
       success: true,
@@ -185,8 +180,10 @@ router.get('/host/:hostName/events/:date', authenticateApiKey, validateHostAcces
  * - cowlendar_id: Filter by Cowlendar internal ID
  * - host: Filter by host name
  * - limit: Number of results (default: 50)
+ * - cursor: Page cursor from a previous response's next_cursor/prev_cursor
+ * Host-specific API keys only see their own bookings
  */
-router.get('/', authenticateApiKey, async (req, res) => {
+router.get('/', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const {
       customer_email,
@@ -194,74 +191,63 @@ router.get('/', authenticateApiKey, async (req, res) => {
       cowlendar_id,
       host,
       limit = 50,
-      order_id
+      order_id,
+      cursor
     } = req.query;
 
-    let shopifyParams = {
-      limit: parseInt(limit),
-      status: 'any'
-    };
-
-    // Add email filter if provided
-    if (customer_email) {
-      shopifyParams.email = customer_email;
-    }
-
     // If specific order ID is requested
     if (order_id) {
-      const order = await shopifyService.getOrderById(order_id);
-      const parsedOrder = await shopifyService.parseOrderWithCowlendar(order);
+      const orderBookings = (await bookingIndex.getOrFetch(order_id, req.hostScope)) || [];
 
       return res.json({
         success: true,
-        data: [transformForBookun(parsedOrder)],
-        count: 1
+        data: orderBookings.map(transformForBookun),
+        count: orderBookings.length
       });
     }
 
-    // Get event orders with Cowlendar metadata
-    let eventOrders;
-    if (host) {
-      // Filter by specific host
-      eventOrders = await shopifyService.getOrdersByHost(host, shopifyParams);
-    } else {
-      // Get all orders
-      eventOrders = await shopifyService.getEventOrders(shopifyParams);
-    }
-
-    // Apply additional filters
-    let filteredOrders = eventOrders;
-
-    if (event_date) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.eventDate === event_date
-      );
-    }
+    await bookingIndex.ensureReady();
 
-    if (cowlendar_id) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.cowlendarId === cowlendar_id
-      );
-    }
+    const page = bookingIndex.query({
+      host,
+      customerEmail: customer_email,
+      eventDate: event_date,
+      cowlendarId: cowlendar_id,
+      limit,
+      cursor,
+      scope: req.hostScope
+    });
 
     // Transform to Bookun-compatible format
-    const bookings = filteredOrders.map(transformForBookun);
+    const bookings = page.orders.map(transformForBookun);
 
     res.json({
       success: true,
       data: bookings,
       count: bookings.length,
+      next_cursor: page.nextCursor,
+      prev_cursor: page.prevCursor,
       filters: {
         customer_email,
         event_date,
         cowlendar_id,
         host,
-        limit
+        limit,
+        cursor
       }
     });
 
   } catch (error) {
     console.error('Error fetching bookings:', error.message);
+
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch bookings',
@@ -272,32 +258,33 @@ router.get('/', authenticateApiKey, async (req, res) => {
 
 /**
  * GET /api/bookings/:id
- * Get specific booking by Shopify order ID or Cowlendar ID
+ * Get specific booking by booking ID ({order_id}-{line_item_id}), Shopify order ID or Cowlendar ID
+ * data is always one booking; bookings lists every booking matched, which for a Shopify
+ * order ID is each booking of the order (data is the first)
  */
-router.get('/:id', authenticateApiKey, async (req, res) => {
+router.get('/:id', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const { id } = req.params;
     const { id_type = 'shopify' } = req.query; // 'shopify' or 'cowlendar'
 
-    let booking = null;
+    let bookings = [];
 
     if (id_type === 'shopify') {
-      // Get by Shopify order ID
-      const order = await shopifyService.getOrderById(id);
-      if (shopifyService.hasCowlendarMetadata(order)) {
-        const parsedOrder = shopifyService.parseOrderWithCowlendar(order);
-        booking = transformForBookun(parsedOrder);
-      }
+      // Get by booking ID or Shopify order ID
+      const [orderId, lineItemId] = id.split('-');
+      const orderBookings = (await bookingIndex.getOrFetch(orderId, req.hostScope)) || [];
+
+      bookings = lineItemId
+        ? orderBookings.filter(item => String(item.lineItemId) === lineItemId)
+        : orderBookings;
     } else if (id_type === 'cowlendar') {
-      // Get by Cowlendar ID - need to search through orders
-      const eventOrders = await shopifyService.getEventOrders({ limit: 250 });
-      const foundOrder = eventOrders.find(order => order.cowlendarId === id);
-      if (foundOrder) {
-        booking = transformForBookun(foundOrder);
-      }
+      // Get by Cowlendar ID
+      await bookingIndex.ensureReady();
+      const { orders } = bookingIndex.query({ cowlendarId: id, limit: 1, scope: req.hostScope });
+      bookings = orders;
     }
 
-    if (!booking) {
+    if (bookings.length === 0) {
       return res.status(404).json({
         success: false,
         error: 'Booking not found',
@@ -305,9 +292,13 @@ router.get('/:id', authenticateApiKey, async (req, res) => {
       });
     }
 
+    const data = bookings.map(transformForBookun);
+
     res.json({
       success: true,
-      data: booking
+      data: data[0],
+      bookings: data,
+      count: data.length
     });
 
   } catch (error) {
@@ -324,17 +315,20 @@ router.get('/:id', authenticateApiKey, async (req, res) => {
  * GET /api/bookings/customer/:email
  * Get all bookings for a specific customer email - Bookun integration
  */
-router.get('/customer/:email', authenticateApiKey, async (req, res) => {
+router.get('/customer/:email', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const { email } = req.params;
     const { limit = 50 } = req.query;
 
-    const eventOrders = await shopifyService.getEventOrders({
-      email: email,
-      limit: parseInt(limit)
+    await bookingIndex.ensureReady();
+
+    const { orders } = bookingIndex.query({
+      customerEmail: email,
+      limit,
+      scope: req.hostScope
     });
 
-    const bookings = eventOrders.map(transformForBookun);
+    const bookings = orders.map(transformForBookun);
 
     res.json({
       success: true,
@@ -357,21 +351,20 @@ router.get('/customer/:email', authenticateApiKey, async (req, res) => {
  * GET /api/bookings/events/:date
  * Get all bookings for a specific event date - Bookun integration
  */
-router.get('/events/:date', authenticateApiKey, async (req, res) => {
+router.get('/events/:date', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const { date } = req.params; // YYYY-MM-DD format
     const { limit = 100 } = req.query;
 
-    const eventOrders = await shopifyService.getEventOrders({
-      limit: parseInt(limit)
-    });
+    await bookingIndex.ensureReady();
 
-    // Filter by event date
-    const dateFilteredOrders = eventOrders.filter(order =>
-      order.eventDate === date
-    );
+    const { orders } = bookingIndex.query({
+      eventDate: date,
+      limit,
+      scope: req.hostScope
+    });
 
-    const bookings = dateFilteredOrders.map(transformForBookun);
+    const bookings = orders.map(transformForBookun);
 
     res.json({
       success: true,
@@ -392,9 +385,9 @@ router.get('/events/:date', authenticateApiKey, async (req, res) => {
 
 /**
  * GET /api/bookings/debug/orders
- * Get raw Shopify orders for debugging (last 5)
+ * Get raw Shopify orders for debugging (last 5) - global API key only
  */
-router.get('/debug/orders', authenticateApiKey, async (req, res) => {
+router.get('/debug/orders', authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'), async (req, res) => {
   try {
     const { limit = 5 } = req.query;
     const orders = await shopifyService.getOrders({ limit: parseInt(limit) });
@@ -416,49 +409,4 @@ router.get('/debug/orders', authenticateApiKey, async (req, res) => {
   }
 });
 
-/**
- * Transform Shopify order to Bookun-compatible booking format
- * @param {Object} order - Parsed Shopify order with Cowlendar data
- * @returns {Object} Bookun-compatible booking object
- */
-function transformForBookun(order) {
-  return {
-    booking_id: order.shopifyOrderId,
-    order_number: order.orderNumber,
-    order_name: order.orderName,
-    customer: {
-      first_name: order.customer.firstName,
-      last_name: order.customer.lastName,
-      full_name: `${order.customer.firstName} ${order.customer.lastName}`.trim(),
-      email: order.customer.email,
-      phone: order.customer.phone
-    },
-    event: {
-      name: order.eventName,
-      host: order.host,
-      date: order.eventDate,
-      start_time: order.startTime,
-      end_time: order.endTime,
-      timezone: order.timezone,
-      start_datetime: order.startDateTime,
-      end_datetime: order.endDateTime
-    },
-    booking_details: {
-      created_at: order.createdAt,
-      financial_status: order.financialStatus,
-      fulfillment_status: order.fulfillmentStatus,
-      items: order.lineItems
-    },
-    cowlendar: {
-      internal_id: order.cowlendarId,
-      integrity: order.cowlendarIntegrity
-    },
-    // Bookun-specific fields
-    status: order.financialStatus === 'paid' ? 'confirmed' : 'pending',
-    booking_type: 'event',
-    source: 'shopify_cowlendar',
-    host: order.host
-  };
-}
-
 module.exports = router;
\ No newline at end of file
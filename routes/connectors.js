@@ -0,0 +1,292 @@
+const express = require('express');
+const BookingIndexService = require('../services/bookingIndexService');
+const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+const { getConnector, listConnectors } = require('../services/connectors');
+const { authenticateApiKey, requireGlobalKey, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { createSyncJobRouter, sendSyncJobQueued } = require('./syncJobs');
+
+const router = express.Router();
+const bookingIndex = new BookingIndexService();
+const syncJobService = new BookingKitSyncJobService(bookingIndex);
+
+// Generated router per connector, built on first use
+const connectorRouters = new Map();
+
+/**
+ * GET /api/connectors
+ * Registered booking platform connectors and the operations each one implements
+ */
+router.get('/', authenticateApiKey, (req, res) => {
+  const connectors = listConnectors().map(connector => connector.describe());
+
+  res.json({
+    success: true,
+    data: connectors,
+    count: connectors.length
+  });
+});
+
+/**
+ * /api/connectors/{name}/* - routes of one connector, see createConnectorRouter
+ */
+router.use('/:name', (req, res, next) => {
+  const connector = getConnector(req.params.name);
+
+  if (!connector) {
+    return res.status(404).json({
+      success: false,
+      error: 'Connector not found',
+      message: `No booking platform connector named ${req.params.name}`
+    });
+  }
+
+  if (!connectorRouters.has(connector)) {
+    connectorRouters.set(connector, createConnectorRouter(connector));
+  }
+
+  connectorRouters.get(connector)(req, res, next);
+});
+
+/**
+ * Build the routes of a connector from the operations it implements
+ * Mounted before express.json(), since webhooks are verified against the raw body;
+ * JSON routes parse their own body
+ * - GET  /health             health (any API key)
+ * - GET  /auth               authenticate: start OAuth, or report the key setup (global key, admin scope)
+ * - GET  /auth/callback      authenticate: finish OAuth with the authorization code
+ * - POST /push               push indexed bookings { provider, order_ids, limit } in a background sync job (global key, sync scope)
+ * - GET  /push/{jobId}       push job progress, with /cancel and /items/{bookingId}/retry, see createSyncJobRouter
+ * - GET  /bookings           pull bookings from the platform (global key, admin scope)
+ * - GET  /preview/{order_id} transform an order's bookings without sending them (global key, admin scope)
+ * - POST /webhooks           handleWebhook
+ * Every route takes ?account= for connectors with several accounts
+ * @param {BookingConnector} connector - Connector to build routes for
+ * @returns {express.Router} Connector router
+ */
+function createConnectorRouter(connector) {
+  const connectorRouter = express.Router();
+  const adminGuard = [authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin')];
+
+  // Resolve ?account= (or "account" in a JSON body) into req.connectorAccount
+  const resolveAccount = (req, res, next) => {
+    try {
+      req.connectorAccount = connector.resolveAccount(req.query.account || (req.body && req.body.account));
+      next();
+    } catch (error) {
+      sendConnectorError(res, error, 'Invalid account');
+    }
+  };
+
+  if (connector.supports('health')) {
+    connectorRouter.get('/health', authenticateApiKey, rateLimit('admin'), resolveAccount, async (req, res) => {
+      try {
+        const health = await connector.health({ account: req.connectorAccount });
+
+        res.json({
+          success: true,
+          connector: connector.name,
+          data: health
+        });
+      } catch (error) {
+        sendConnectorError(res, error, 'Health check failed');
+      }
+    });
+  }
+
+  if (connector.supports('authenticate')) {
+    // Whoever completes an OAuth flow decides where the account's bookings go, so only admins start one
+    connectorRouter.get('/auth', ...adminGuard, resolveAccount, async (req, res) => {
+      try {
+        const result = await connector.authenticate({
+          account: req.connectorAccount,
+          redirectUri: callbackUrl(req)
+        });
+
+        // OAuth flows continue in /auth/callback, which redeems the state with the connector
+        const { state, ...data } = result;
+
+        res.json({
+          success: true,
+          connector: connector.name,
+          data
+        });
+      } catch (error) {
+        sendConnectorError(res, error, 'Failed to start authentication');
+      }
+    });
+
+    connectorRouter.get('/auth/callback', async (req, res) => {
+      try {
+        const { code, state, error } = req.query;
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error: 'Authorization failed',
+            message: error
+          });
+        }
+
+        const pending = code ? connector.consumeAuthorizationState(state) : null;
+        if (!pending) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid state parameter',
+            message: 'Authorization code missing or CSRF protection failed'
+          });
+        }
+
+        const result = await connector.authenticate({
+          account: pending.account,
+          code,
+          redirectUri: callbackUrl(req)
+        });
+
+        res.json({
+          success: true,
+          connector: connector.name,
+          message: 'Authorization successful',
+          data: result
+        });
+      } catch (error) {
+        sendConnectorError(res, error, 'Failed to complete authorization');
+      }
+    });
+  }
+
+  if (connector.supports('push')) {
+    // Pushes run as background sync jobs; poll GET /push/{jobId} for progress
+    connectorRouter.post('/push', express.json(), authenticateApiKey, rateLimit('sync'), requireGlobalKey, requireScope('sync'), resolveAccount, (req, res) => {
+      try {
+        const { provider, order_ids, limit = 50 } = req.body || {};
+
+        if (order_ids !== undefined && !Array.isArray(order_ids)) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            message: 'order_ids must be an array of Shopify order IDs'
+          });
+        }
+
+        connector.checkPushReady({ account: req.connectorAccount });
+
+        const job = syncJobService.enqueue({ connector: connector.name, account: req.connectorAccount, provider, order_ids, limit });
+        sendSyncJobQueued(res, job, `${req.baseUrl}/push/${job.id}`, { connector: connector.name, account: req.connectorAccount });
+      } catch (error) {
+        sendConnectorError(res, error, `Failed to push bookings to ${connector.displayName}`);
+      }
+    });
+
+    connectorRouter.use('/push', createSyncJobRouter(syncJobService, connector.name));
+  }
+
+  if (connector.supports('pull')) {
+    connectorRouter.get('/bookings', ...adminGuard, resolveAccount, async (req, res) => {
+      try {
+        const { account, ...filters } = req.query;
+        const bookings = await connector.pull(filters, { account: req.connectorAccount });
+
+        res.json({
+          success: true,
+          connector: connector.name,
+          account: req.connectorAccount,
+          data: bookings,
+          count: Array.isArray(bookings) ? bookings.length : 0,
+          filters
+        });
+      } catch (error) {
+        sendConnectorError(res, error, `Failed to fetch ${connector.displayName} bookings`);
+      }
+    });
+  }
+
+  if (connector.supports('transform')) {
+    connectorRouter.get('/preview/:orderId', ...adminGuard, resolveAccount, async (req, res) => {
+      try {
+        const bookings = await bookingIndex.getOrFetch(req.params.orderId);
+
+        if (!bookings) {
+          return res.status(404).json({
+            success: false,
+            error: 'Order not found',
+            message: `Order ${req.params.orderId} is not a bookable event order`
+          });
+        }
+
+        const payloads = await Promise.all(bookings.map(async booking => {
+          try {
+            return { booking_id: booking.bookingId, payload: await connector.transform(booking, { account: req.connectorAccount }) };
+          } catch (error) {
+            return { booking_id: booking.bookingId, payload: null, error: error.message };
+          }
+        }));
+
+        res.json({
+          success: true,
+          connector: connector.name,
+          data: payloads,
+          count: payloads.length
+        });
+      } catch (error) {
+        sendConnectorError(res, error, 'Failed to preview order');
+      }
+    });
+  }
+
+  if (connector.supports('handleWebhook')) {
+    connectorRouter.post('/webhooks', express.raw({ type: () => true, limit: '2mb' }), async (req, res) => {
+      try {
+        const { status, body } = await connector.handleWebhook({
+          rawBody: req.body,
+          headers: req.headers,
+          query: req.query
+        });
+
+        res.status(status).json(body);
+      } catch (error) {
+        sendConnectorError(res, error, 'Failed to handle webhook');
+      }
+    });
+  }
+
+  return connectorRouter;
+}
+
+/**
+ * OAuth callback URL of the connector handling the request
+ */
+function callbackUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/auth/callback`;
+}
+
+function sendConnectorError(res, error, message) {
+  const unsupported = error.message.startsWith('Unsupported');
+  const conflict = error.message.startsWith('Invalid state');
+  const invalid = !conflict && error.message.startsWith('Invalid');
+
+  if (!unsupported && !conflict && !invalid) {
+    console.error(`${message}:`, error.message);
+  }
+
+  let status = 500;
+  let label = message;
+  if (unsupported) {
+    status = 501;
+    label = 'Unsupported operation';
+  } else if (conflict) {
+    status = 409;
+    label = 'Invalid connector state';
+  } else if (invalid) {
+    status = 400;
+    label = 'Invalid request';
+  }
+
+  res.status(status).json({
+    success: false,
+    error: label,
+    message: error.message
+  });
+}
+
+module.exports = router;
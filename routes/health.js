@@ -1,5 +1,8 @@
 const express = require('express');
 const ShopifyService = require('../services/shopifyService');
+const BookingIndexService = require('../services/bookingIndexService');
+const WebhookInboxService = require('../services/webhookInboxService');
+const PartnerWebhookService = require('../services/partnerWebhookService');
 
 const router = express.Router();
 
@@ -19,7 +22,7 @@ router.get('/', async (req, res) => {
   try {
     // Test Shopify connection
     const shopifyService = new ShopifyService();
-    await shopifyService.getOrders({ limit: 1 });
+    await shopifyService.getOrdersPage({ limit: 1 });
     healthCheck.shopify_connection = 'OK';
   } catch (error) {
     healthCheck.shopify_connection = 'ERROR';
@@ -46,6 +49,7 @@ router.get('/detailed', async (req, res) => {
       shopify_store_url: process.env.SHOPIFY_STORE_URL ? 'SET' : 'MISSING',
       shopify_access_token: process.env.SHOPIFY_ACCESS_TOKEN ? 'SET' : 'MISSING',
       api_key: process.env.API_KEY ? 'SET' : 'MISSING',
+      shopify_backend: new ShopifyService().backend,
       port: process.env.PORT || 3000
     },
     services: {}
@@ -56,18 +60,20 @@ router.get('/detailed', async (req, res) => {
   // Test Shopify connection
   try {
     const shopifyService = new ShopifyService();
-    const orders = await shopifyService.getOrders({ limit: 1 });
+    const { orders } = await shopifyService.getOrdersPage({ limit: 1 });
     detailedHealth.services.shopify = {
       status: 'OK',
       last_test: new Date().toISOString(),
-      sample_orders_count: orders.length
+      sample_orders_count: orders.length,
+      rate_limit: shopifyService.getRequestStats()
     };
   } catch (error) {
     hasErrors = true;
     detailedHealth.services.shopify = {
       status: 'ERROR',
       error: error.message,
-      last_test: new Date().toISOString()
+      last_test: new Date().toISOString(),
+      rate_limit: new ShopifyService().getRequestStats()
     };
   }
 
@@ -89,6 +95,26 @@ router.get('/detailed', async (req, res) => {
     };
   }
 
+  // Local booking index freshness
+  detailedHealth.services.booking_index = {
+    status: 'OK',
+    ...new BookingIndexService().getStats()
+  };
+
+  // Webhooks waiting, retrying or dead-lettered in the inbox
+  const inboxCounts = new WebhookInboxService().getCounts();
+  detailedHealth.services.webhook_inbox = {
+    status: inboxCounts.dead > 0 ? 'WARNING' : 'OK',
+    ...inboxCounts
+  };
+
+  // Deliveries to partner webhooks that are retrying or gave up
+  const deliveryCounts = new PartnerWebhookService().getCounts();
+  detailedHealth.services.partner_webhooks = {
+    status: deliveryCounts.dead > 0 ? 'WARNING' : 'OK',
+    ...deliveryCounts
+  };
+
   if (hasErrors) {
     detailedHealth.status = 'DEGRADED';
   }
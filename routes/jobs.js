@@ -0,0 +1,110 @@
+const express = require('express');
+const {
+  authenticateApiKey,
+  requireGlobalKey,
+  requireScope
+} = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const JobScheduler = require('../services/jobScheduler');
+
+const router = express.Router();
+const scheduler = new JobScheduler();
+
+// Background jobs are admin-only
+router.use(authenticateApiKey, rateLimit('admin'), requireGlobalKey, requireScope('admin'));
+
+/**
+ * GET /api/jobs
+ * List registered jobs with their schedule, state and last run
+ */
+router.get('/', (req, res) => {
+  const jobs = scheduler.list();
+
+  res.json({
+    success: true,
+    data: jobs,
+    count: jobs.length
+  });
+});
+
+/**
+ * GET /api/jobs/runs
+ * Recent job runs, newest first
+ * Query: job, status (running, succeeded, completed_with_errors, failed, interrupted), limit
+ */
+router.get('/runs', (req, res) => {
+  const { job, status, limit } = req.query;
+  const runs = scheduler.getRuns({ job, status, limit });
+
+  res.json({
+    success: true,
+    data: runs,
+    count: runs.length
+  });
+});
+
+/**
+ * GET /api/jobs/runs/:id
+ * Get one job run
+ */
+router.get('/runs/:id', (req, res) => {
+  const run = scheduler.getRun(req.params.id);
+
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job run not found',
+      message: `No job run with ID ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: run
+  });
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Start a job now; responds 202 with the run record, which can be polled at /api/jobs/runs/:id
+ */
+router.post('/:name/run', async (req, res) => {
+  const { name } = req.params;
+
+  if (!scheduler.has(name)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found',
+      message: `No job named ${name}`
+    });
+  }
+
+  try {
+    const run = await scheduler.trigger(name, 'manual');
+
+    res.status(202).json({
+      success: true,
+      data: run,
+      message: `Job ${name} started`
+    });
+
+  } catch (error) {
+    if (error.run) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job already running',
+        message: error.message,
+        data: error.run
+      });
+    }
+
+    console.error(`Failed to start job ${name}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start job',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
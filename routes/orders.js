@@ -1,9 +1,11 @@
 const express = require('express');
-const ShopifyService = require('../services/shopifyService');
-const { authenticateApiKey, validateHostAccess } = require('../middleware/auth');
+const BookingIndexService = require('../services/bookingIndexService');
+const { transformForBookingApp } = require('../services/bookingAppFormat');
+const { authenticateApiKey, requireScope, scopeToAuthenticatedHost } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
-const shopifyService = new ShopifyService();
+const bookingIndex = new BookingIndexService();
 
 /**
  * GET /api/orders?provider={provider_name}
@@ -17,9 +19,14 @@ const shopifyService = new ShopifyService();
  * - date_from: Filter from date (YYYY-MM-DD)
  * - date_to: Filter to date (YYYY-MM-DD)
  * - limit: Number of results (default: 50, max: 250)
- * - status: Order status filter ('paid', 'pending', 'any')
+ * - status: Order status filter ('open', 'closed', 'cancelled', 'any')
+ * - cursor: Page cursor from a previous response's next_cursor/prev_cursor
+ *
+ * Reads from the local booking index, so every filter applies to the provider's
+ * full history; keep following next_cursor until it is null.
+ * Host-specific API keys only see their own bookings.
  */
-router.get('/', authenticateApiKey, async (req, res) => {
+router.get('/', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const {
       provider,
@@ -28,61 +35,37 @@ router.get('/', authenticateApiKey, async (req, res) => {
       date_from,
       date_to,
       limit = 50,
-      status = 'any'
+      status = 'any',
+      cursor
     } = req.query;
 
     // Validate limit
     const limitNum = Math.min(parseInt(limit), 250);
 
-    let shopifyParams = {
-      limit: limitNum,
-      status: status
-    };
-
-    // Add email filter if provided
-    if (customer_email) {
-      shopifyParams.email = customer_email;
-    }
-
-    // Get orders
-    let orders;
-    if (provider) {
-      // Get orders for specific provider
-      orders = await shopifyService.getOrdersByProvider(provider, shopifyParams);
-    } else {
-      // Get all orders (admin use case)
-      orders = await shopifyService.getEventOrders(shopifyParams);
-    }
-
-    // Apply date filters
-    let filteredOrders = orders;
-
-    if (event_date) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.eventDate === event_date
-      );
-    }
-
-    if (date_from) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.eventDate >= date_from
-      );
-    }
+    await bookingIndex.ensureReady();
 
-    if (date_to) {
-      filteredOrders = filteredOrders.filter(order =>
-        order.eventDate <= date_to
-      );
-    }
+    const page = bookingIndex.query({
+      provider,
+      customerEmail: customer_email,
+      eventDate: event_date,
+      dateFrom: date_from,
+      dateTo: date_to,
+      status,
+      limit: limitNum,
+      cursor,
+      scope: req.hostScope
+    });
 
     // Transform to booking app compatible format
-    const bookings = filteredOrders.map(transformForBookingApp);
+    const bookings = page.orders.map(transformForBookingApp);
 
     res.json({
       success: true,
       data: bookings,
       count: bookings.length,
-      provider: provider || 'all',
+      provider: provider || req.hostScope || 'all',
+      next_cursor: page.nextCursor,
+      prev_cursor: page.prevCursor,
       filters: {
         provider,
         customer_email,
@@ -90,12 +73,22 @@ router.get('/', authenticateApiKey, async (req, res) => {
         date_from,
         date_to,
         status,
-        limit: limitNum
+        limit: limitNum,
+        cursor
       }
     });
 
   } catch (error) {
     console.error('Error fetching orders:', error.message);
+
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to fetch orders',
@@ -104,18 +97,48 @@ router.get('/', authenticateApiKey, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/orders/providers
+ * Get all available providers (hosts and vendors)
+ * Useful for booking apps to know what providers are available
+ */
+router.get('/providers', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
+  try {
+    await bookingIndex.ensureReady();
+    const providers = bookingIndex.getProviders(req.hostScope);
+
+    res.json({
+      success: true,
+      data: providers,
+      count: providers.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching providers:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch providers',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/orders/{order_id}
- * Get specific order by Shopify order ID
+ * Get the bookings of a specific order by Shopify order ID
+ * An order holds one booking per Cowlendar line item; host-specific API keys
+ * only see the bookings of their own line items.
+ * data keeps its single-booking shape (the order's first booking) for existing clients;
+ * bookings lists every booking of the order
  */
-router.get('/:orderId', authenticateApiKey, async (req, res) => {
+router.get('/:orderId', authenticateApiKey, rateLimit('read'), requireScope('read:orders'), scopeToAuthenticatedHost, async (req, res) => {
   try {
     const { orderId } = req.params;
 
-    // Get order by ID
-    const order = await shopifyService.getOrderById(orderId);
+    // Get order from the index, falling back to Shopify for orders not synced yet
+    const orderBookings = await bookingIndex.getOrFetch(orderId, req.hostScope);
 
-    if (!shopifyService.hasCowlendarMetadata(order)) {
+    if (!orderBookings) {
       return res.status(404).json({
         success: false,
         error: 'Order not found',
@@ -123,12 +146,13 @@ router.get('/:orderId', authenticateApiKey, async (req, res) => {
       });
     }
 
-    const parsedOrder = await shopifyService.parseOrderWithCowlendar(order);
-    const booking = transformForBookingApp(parsedOrder);
+    const bookings = orderBookings.map(transformForBookingApp);
 
     res.json({
       success: true,
-      data: booking
+      data: bookings[0],
+      bookings,
+      count: bookings.length
     });
 
   } catch (error) {
@@ -150,88 +174,4 @@ router.get('/:orderId', authenticateApiKey, async (req, res) => {
   }
 });
 
-/**
- * GET /api/orders/providers
- * Get all available providers (hosts and vendors)
- * Useful for booking apps to know what providers are available
- */
-router.get('/providers', authenticateApiKey, async (req, res) => {
-  try {
-    const { limit = 250 } = req.query;
-    const providers = await shopifyService.getAvailableProviders({ limit: parseInt(limit) });
-
-    res.json({
-      success: true,
-      data: providers,
-      count: providers.length
-    });
-
-  } catch (error) {
-    console.error('Error fetching providers:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch providers',
-      message: error.message
-    });
-  }
-});
-
-/**
- * Transform Shopify order to booking app compatible format
- * @param {Object} order - Parsed Shopify order with Cowlendar data
- * @returns {Object} Booking app compatible object
- */
-function transformForBookingApp(order) {
-  return {
-    // Core booking identifiers
-    booking_id: order.shopifyOrderId,
-    order_number: order.orderNumber,
-    order_name: order.orderName,
-
-    // Customer information
-    customer: {
-      first_name: order.customer.firstName,
-      last_name: order.customer.lastName,
-      full_name: `${order.customer.firstName} ${order.customer.lastName}`.trim(),
-      email: order.customer.email,
-      phone: order.customer.phone
-    },
-
-    // Event information
-    event: {
-      name: order.eventName,
-      date: order.eventDate,
-      start_time: order.startTime,
-      end_time: order.endTime,
-      timezone: order.timezone,
-      start_datetime: order.startDateTime,
-      end_datetime: order.endDateTime
-    },
-
-    // Provider information (unified host/vendor)
-    provider: order.provider,
-    host: order.host, // For backward compatibility
-    vendor: order.vendor, // For transparency
-
-    // Booking details
-    booking_details: {
-      created_at: order.createdAt,
-      financial_status: order.financialStatus,
-      fulfillment_status: order.fulfillmentStatus,
-      items: order.lineItems
-    },
-
-    // Cowlendar integration data
-    cowlendar: {
-      internal_id: order.cowlendarId,
-      integrity: order.cowlendarIntegrity
-    },
-
-    // Booking app specific fields
-    status: order.financialStatus === 'paid' ? 'confirmed' : 'pending',
-    booking_type: 'event',
-    source: 'shopify_cowlendar'
-  };
-}
-
 module.exports = router;
\ No newline at end of file
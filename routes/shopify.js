@@ -0,0 +1,199 @@
+const express = require('express');
+const ShopifyService = require('../services/shopifyService');
+const BookingIndexService = require('../services/bookingIndexService');
+const BookingKitService = require('../services/bookingkitService');
+const BokunService = require('../services/bokunService');
+const WebhookInboxService = require('../services/webhookInboxService');
+
+const router = express.Router();
+const shopifyService = new ShopifyService();
+const bookingIndex = new BookingIndexService(shopifyService);
+const bokunService = new BokunService();
+const inbox = new WebhookInboxService();
+
+const ORDER_TOPICS = ['orders/create', 'orders/updated', 'orders/cancelled'];
+const PRODUCT_TOPICS = ['products/update', 'products/delete'];
+
+/**
+ * Webhook endpoint - Shopify sends order events here
+ * Subscribe the store to orders/create, orders/updated and orders/cancelled,
+ * plus products/update and products/delete to keep the product host cache fresh
+ * The HMAC is computed over the raw body, so this router is mounted before express.json()
+ */
+router.post('/webhooks', express.raw({ type: 'application/json', limit: '2mb' }), async (req, res) => {
+  try {
+    const topic = req.headers['x-shopify-topic'];
+    const signature = req.headers['x-shopify-hmac-sha256'];
+    const payload = req.body;
+
+    // Verify webhook signature for security
+    if (!Buffer.isBuffer(payload) || !shopifyService.verifyWebhookSignature(payload, signature)) {
+      console.warn('Invalid Shopify webhook signature received');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    if (PRODUCT_TOPICS.includes(topic)) {
+      return await handleProductWebhook(topic, payload, res);
+    }
+
+    if (!ORDER_TOPICS.includes(topic)) {
+      console.log(`Unhandled Shopify webhook topic: ${topic}`);
+      return res.json({
+        success: true,
+        processed: false,
+        message: `Unhandled topic: ${topic}`
+      });
+    }
+
+    // Parse the JSON payload
+    let order;
+    try {
+      order = JSON.parse(payload.toString('utf8'));
+    } catch (parseError) {
+      console.error('Invalid JSON payload:', parseError.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid JSON payload'
+      });
+    }
+
+    console.log(`Processing Shopify webhook: ${topic} for order ${order.id}`);
+
+    // Update local state; non-Cowlendar orders are dropped from the index and stale payloads skipped
+    const bookings = await bookingIndex.applyOrders([order]);
+
+    // Stored before acknowledging; the inbox worker pushes them and retries failed pushes
+    const webhookId = req.headers['x-shopify-webhook-id'] || null;
+    bookings.forEach(booking => {
+      queueBookingKitPush(topic, booking, webhookId);
+      queueBokunPush(topic, booking, webhookId);
+    });
+
+    // Acknowledge quickly - Shopify retries if we take longer than 5 seconds
+    res.json({
+      success: true,
+      processed: true,
+      topic,
+      order_id: order.id,
+      event_order: bookings.length > 0,
+      bookings: bookings.length
+    });
+
+    inbox.drain();
+
+  } catch (error) {
+    console.error('Error processing Shopify webhook:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Invalidate the cached host of a changed product and re-resolve it on indexed orders
+ * @param {string} topic - Shopify webhook topic
+ * @param {Buffer} payload - Raw product payload
+ * @param {Object} res - Express response
+ */
+async function handleProductWebhook(topic, payload, res) {
+  let product;
+  try {
+    product = JSON.parse(payload.toString('utf8'));
+  } catch (parseError) {
+    console.error('Invalid JSON payload:', parseError.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid JSON payload'
+    });
+  }
+
+  console.log(`Processing Shopify webhook: ${topic} for product ${product.id}`);
+
+  const updatedOrders = await bookingIndex.refreshProductHost(product.id);
+
+  res.json({
+    success: true,
+    processed: true,
+    topic,
+    product_id: product.id,
+    updated_orders: updatedOrders
+  });
+}
+
+/**
+ * Queue an order change for BookingKit in the webhook inbox
+ * Goes to the BookingKit account named after the booking's provider if one is connected,
+ * otherwise to the default account. Only queued once that account's OAuth flow is complete and,
+ * if BOOKINGKIT_SYNC_PROVIDERS is set, only for the providers listed there
+ * @param {string} topic - Shopify webhook topic
+ * @param {Object} booking - Booking parsed from the Shopify order
+ * @param {string|null} webhookId - X-Shopify-Webhook-Id, so Shopify's retries are not queued twice
+ */
+function queueBookingKitPush(topic, booking, webhookId) {
+  const providerAccount = BookingKitService.listAccounts()
+    .find(account => shopifyService.matchesProvider(booking, account.account));
+  const bookingKitService = BookingKitService.forAccount(providerAccount && providerAccount.account);
+
+  if (!bookingKitService.isAuthorized()) {
+    return;
+  }
+
+  const providers = (process.env.BOOKINGKIT_SYNC_PROVIDERS || '')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean);
+
+  if (providers.length > 0 && !providers.some(provider => shopifyService.matchesProvider(booking, provider))) {
+    return;
+  }
+
+  queuePush('bookingkit', bookingKitService.accountId, topic, booking, webhookId);
+}
+
+/**
+ * Queue an order change for Bokun in the webhook inbox
+ * Only queued when Bokun credentials are configured and the booking's product is mapped to a
+ * Bokun activity (or the booking was pushed before, so a cancellation still reaches Bokun)
+ * @param {string} topic - Shopify webhook topic
+ * @param {Object} booking - Booking parsed from the Shopify order
+ * @param {string|null} webhookId - X-Shopify-Webhook-Id
+ */
+function queueBokunPush(topic, booking, webhookId) {
+  if (!bokunService.isConfigured()) {
+    return;
+  }
+
+  if (!bokunService.getActivityMapping(booking.productId) && !bokunService.getSyncMapping(booking.bookingId)) {
+    return;
+  }
+
+  queuePush('bokun', null, topic, booking, webhookId);
+}
+
+/**
+ * Store a booking push in the webhook inbox as a 'shopify' event
+ * @param {string} target - 'bookingkit' or 'bokun'
+ * @param {string|null} account - BookingKit account
+ * @param {string} topic - Shopify webhook topic
+ * @param {Object} booking - Booking parsed from the Shopify order
+ * @param {string|null} webhookId - X-Shopify-Webhook-Id, or null to key the push on the order's updated_at
+ */
+function queuePush(target, account, topic, booking, webhookId) {
+  inbox.receive({
+    source: 'shopify',
+    account,
+    payload: {
+      event_id: `${webhookId || `${booking.shopifyOrderId}@${booking.updatedAt}`}:${booking.bookingId}:${target}`,
+      event_type: topic,
+      target,
+      booking
+    }
+  });
+}
+
+module.exports = router;
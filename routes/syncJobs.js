@@ -0,0 +1,150 @@
+const express = require('express');
+const { authenticateApiKey, requireGlobalKey, requireScope } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+/**
+ * Build the status, cancel and retry routes of one connector's background sync jobs
+ * Mounted next to the route starting the jobs: /api/bookingkit/sync, /api/bokun/sync and
+ * /api/connectors/{name}/push. A route only sees the jobs of its own connector.
+ * - GET  /                             list recent jobs
+ * - GET  /{jobId}                      progress and per-booking results
+ * - POST /{jobId}/cancel               cancel a job
+ * - POST /{jobId}/items/{bookingId}/retry  retry one failed booking
+ * Global key, sync scope
+ * @param {BookingKitSyncJobService} syncJobService - Service running the jobs
+ * @param {string} connectorName - Connector whose jobs are served
+ * @returns {express.Router} Sync job router
+ */
+function createSyncJobRouter(syncJobService, connectorName) {
+  const router = express.Router();
+
+  // 404 for jobs that do not exist or belong to another connector
+  const findJob = (req, res, next) => {
+    const job = syncJobService.get(req.params.jobId);
+
+    if (!job || job.connector !== connectorName) {
+      return sendSyncJobNotFound(res, req.params.jobId);
+    }
+
+    req.syncJob = job;
+    next();
+  };
+
+  /**
+   * List recent sync jobs without their per-booking results
+   * Status reads count against the 'read' budget so polling does not use up the 'sync' one
+   * Query: status (queued, running, completed, completed_with_errors, failed, cancelled, interrupted), limit
+   */
+  router.get('/', authenticateApiKey, rateLimit('read'), requireGlobalKey, requireScope('sync'), (req, res) => {
+    const { status, limit } = req.query;
+    const jobs = syncJobService.list({ connector: connectorName, status, limit });
+
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    });
+  });
+
+  /**
+   * Get a sync job with its progress and per-booking results
+   */
+  router.get('/:jobId', authenticateApiKey, rateLimit('read'), requireGlobalKey, requireScope('sync'), findJob, (req, res) => {
+    res.json({
+      success: true,
+      data: req.syncJob
+    });
+  });
+
+  /**
+   * Cancel a sync job
+   * A queued job is cancelled at once; a running job stops before its next booking
+   */
+  router.post('/:jobId/cancel', authenticateApiKey, rateLimit('sync'), requireGlobalKey, requireScope('sync'), findJob, (req, res) => {
+    try {
+      const job = syncJobService.cancel(req.params.jobId);
+
+      res.status(202).json({
+        success: true,
+        message: job.status === 'cancelled' ? 'Sync job cancelled' : 'Sync job will stop before its next booking',
+        data: job
+      });
+
+    } catch (error) {
+      sendSyncJobError(res, error, 'Failed to cancel sync job');
+    }
+  });
+
+  /**
+   * Retry one failed booking of a finished sync job with fresh order data from Shopify
+   */
+  router.post('/:jobId/items/:bookingId/retry', authenticateApiKey, rateLimit('sync'), requireGlobalKey, requireScope('sync'), findJob, async (req, res) => {
+    try {
+      const item = await syncJobService.retryItem(req.params.jobId, req.params.bookingId);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: 'Sync job item not found',
+          message: `No booking ${req.params.bookingId} in sync job ${req.params.jobId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        message: item.status === 'failed' ? `Retry failed: ${item.error}` : `Booking ${item.status}`,
+        data: item
+      });
+
+    } catch (error) {
+      sendSyncJobError(res, error, 'Failed to retry booking');
+    }
+  });
+
+  return router;
+}
+
+/**
+ * 202 response of a route that queued a sync job
+ * @param {Object} res - Express response
+ * @param {Object} job - Queued job in API response format
+ * @param {string} statusUrl - URL of the job's status route
+ * @param {Object} fields - Extra response fields, e.g. { connector, account }
+ */
+function sendSyncJobQueued(res, job, statusUrl, fields = {}) {
+  res.status(202).json({
+    success: true,
+    ...fields,
+    message: 'Sync job queued',
+    job_id: job.id,
+    status_url: statusUrl,
+    data: job
+  });
+}
+
+function sendSyncJobNotFound(res, jobId) {
+  res.status(404).json({
+    success: false,
+    error: 'Sync job not found',
+    message: `No sync job with ID ${jobId}`
+  });
+}
+
+function sendSyncJobError(res, error, message) {
+  const conflict = error.message.startsWith('Invalid state');
+
+  if (!conflict) {
+    console.error(`${message}:`, error.message);
+  }
+
+  res.status(conflict ? 409 : 500).json({
+    success: false,
+    error: conflict ? 'Invalid job state' : message,
+    message: error.message
+  });
+}
+
+module.exports = {
+  createSyncJobRouter,
+  sendSyncJobQueued
+};
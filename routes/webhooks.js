@@ -0,0 +1,228 @@
+const express = require('express');
+const PartnerWebhookService = require('../services/partnerWebhookService');
+const { authenticateApiKey, requireScope, scopeToAuthenticatedHost } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+const partnerWebhooks = new PartnerWebhookService();
+
+// Host-specific keys see the subscriptions of their own provider only; the global key sees all
+// Reading needs 'read:orders'; creating, changing and deleting subscriptions and redelivering need 'write:webhooks'
+router.use(authenticateApiKey, rateLimit('admin'), requireScope('read:orders'), scopeToAuthenticatedHost);
+const requireWriteScope = requireScope('write:webhooks');
+
+/**
+ * GET /api/webhooks/subscriptions
+ * List partner webhook subscriptions (without secrets)
+ * Query parameters:
+ * - provider: Only subscriptions of this provider (global key)
+ */
+router.get('/subscriptions', (req, res) => {
+  const subscriptions = partnerWebhooks.listSubscriptions(req.hostScope || req.query.provider);
+
+  res.json({
+    success: true,
+    data: subscriptions,
+    count: subscriptions.length
+  });
+});
+
+/**
+ * POST /api/webhooks/subscriptions
+ * Subscribe a callback URL to booking events
+ * Body: { url, events: ['booking.created', 'booking.updated', 'booking.cancelled'], description, provider }
+ * provider defaults to the host of a host-specific key and is required with the global key
+ * The signing secret is only returned in this response
+ */
+router.post('/subscriptions', requireWriteScope, (req, res) => {
+  try {
+    const { url, events, description, provider } = req.body || {};
+
+    if (req.hostScope && provider && String(provider).toLowerCase() !== req.hostScope) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `Host "${req.hostScope}" cannot subscribe to bookings of "${provider}"`
+      });
+    }
+
+    const { subscription, secret } = partnerWebhooks.subscribe({
+      provider: req.hostScope || provider,
+      url,
+      events,
+      description
+    });
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+      secret,
+      message: 'Store this secret now - it is used to verify X-Webhook-Signature and cannot be shown again'
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to create subscription');
+  }
+});
+
+/**
+ * GET /api/webhooks/subscriptions/:id
+ * Get one subscription (without its secret)
+ */
+router.get('/subscriptions/:id', (req, res) => {
+  const subscription = partnerWebhooks.getSubscription(req.params.id, req.hostScope);
+
+  if (!subscription) {
+    return sendSubscriptionNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+/**
+ * PATCH /api/webhooks/subscriptions/:id
+ * Change a subscription
+ * Body: { url, events, description, active }
+ */
+router.patch('/subscriptions/:id', requireWriteScope, (req, res) => {
+  try {
+    const { url, events, description, active } = req.body || {};
+    const subscription = partnerWebhooks.updateSubscription(
+      req.params.id,
+      { url, events, description, active },
+      req.hostScope
+    );
+
+    if (!subscription) {
+      return sendSubscriptionNotFound(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to update subscription');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/subscriptions/:id
+ * Delete a subscription; deliveries waiting for a retry are abandoned
+ */
+router.delete('/subscriptions/:id', requireWriteScope, (req, res) => {
+  const subscription = partnerWebhooks.unsubscribe(req.params.id, req.hostScope);
+
+  if (!subscription) {
+    return sendSubscriptionNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first
+ * Query parameters:
+ * - subscription_id, status (pending, delivering, delivered, failed, dead), event_type, booking_id
+ * - provider: Only deliveries of this provider (global key)
+ * - limit: Number of deliveries (default: 100)
+ */
+router.get('/deliveries', (req, res) => {
+  const { subscription_id, status, event_type, booking_id, provider, limit } = req.query;
+
+  const deliveries = partnerWebhooks.listDeliveries({
+    subscription_id,
+    status,
+    event_type,
+    booking_id,
+    limit,
+    scope: req.hostScope || provider
+  });
+
+  res.json({
+    success: true,
+    data: deliveries,
+    count: deliveries.length
+  });
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with the payload sent and every attempt
+ */
+router.get('/deliveries/:id', (req, res) => {
+  const delivery = partnerWebhooks.getDelivery(req.params.id, req.hostScope);
+
+  if (!delivery) {
+    return sendDeliveryNotFound(res, req.params.id);
+  }
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send a delivery again now, e.g. after fixing the callback endpoint
+ */
+router.post('/deliveries/:id/redeliver', requireWriteScope, (req, res) => {
+  try {
+    const delivery = partnerWebhooks.redeliver(req.params.id, req.hostScope);
+
+    if (!delivery) {
+      return sendDeliveryNotFound(res, req.params.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      data: delivery
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to redeliver webhook');
+  }
+});
+
+function sendSubscriptionNotFound(res, id) {
+  res.status(404).json({
+    success: false,
+    error: 'Subscription not found',
+    message: `No webhook subscription with ID ${id}`
+  });
+}
+
+function sendDeliveryNotFound(res, id) {
+  res.status(404).json({
+    success: false,
+    error: 'Delivery not found',
+    message: `No webhook delivery with ID ${id}`
+  });
+}
+
+function sendWebhookError(res, error, message) {
+  const conflict = error.message.startsWith('Invalid state');
+  const invalid = !conflict && error.message.startsWith('Invalid');
+
+  if (!invalid && !conflict) {
+    console.error(`${message}:`, error.message);
+  }
+
+  res.status(conflict ? 409 : (invalid ? 400 : 500)).json({
+    success: false,
+    error: conflict ? 'Invalid delivery state' : (invalid ? 'Invalid request' : message),
+    message: error.message
+  });
+}
+
+module.exports = router;
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const session = require('express-session');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -14,17 +13,13 @@ const PORT = process.env.PORT || 3000;
 app.use(helmet());
 app.use(cors());
 
-// Session middleware for OAuth state management
-app.use(session({
-  secret: process.env.JWT_SECRET || 'your-fallback-secret',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: process.env.NODE_ENV === 'production', // HTTPS in production
-    httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000 // 24 hours
-  }
-}));
+// Shopify and connector webhooks are verified against the raw body, so mount them before JSON parsing
+const shopifyRoutes = require('./routes/shopify');
+const bookingkitWebhookRoutes = require('./routes/bookingkitWebhooks');
+const connectorRoutes = require('./routes/connectors'); // Booking platform connectors, parse their own JSON
+app.use('/api/shopify', shopifyRoutes);
+app.use('/api/bookingkit/webhooks', bookingkitWebhookRoutes);
+app.use('/api/connectors', connectorRoutes);
 
 app.use(express.json());
 
@@ -32,13 +27,28 @@ app.use(express.json());
 const orderRoutes = require('./routes/orders'); // New simplified routes
 const bookingRoutes = require('./routes/bookings'); // Keep for backward compatibility
 const bookingkitRoutes = require('./routes/bookingkit'); // BookingKit integration
+const bokunRoutes = require('./routes/bokun'); // Bokun integration
 const healthRoutes = require('./routes/health');
+const apiKeyRoutes = require('./routes/apiKeys'); // API key management
+const jobRoutes = require('./routes/jobs'); // Background jobs
+const webhookRoutes = require('./routes/webhooks'); // Partner webhook subscriptions
+const BookingIndexService = require('./services/bookingIndexService');
+const JobScheduler = require('./services/jobScheduler');
+const BookingKitSyncJobService = require('./services/bookingkitSyncJobService');
+const WebhookInboxService = require('./services/webhookInboxService');
+const PartnerWebhookService = require('./services/partnerWebhookService');
+const JsonFileStore = require('./services/jsonFileStore');
+const { registerSyncJobs } = require('./services/syncJobs');
 
 // Routes
 app.use('/api/orders', orderRoutes); // New simplified endpoint
 app.use('/api/bookings', bookingRoutes); // Backward compatibility
 app.use('/api/bookingkit', bookingkitRoutes); // BookingKit integration
+app.use('/api/bokun', bokunRoutes); // Bokun integration
 app.use('/api/health', healthRoutes);
+app.use('/api/admin/keys', apiKeyRoutes); // API key management
+app.use('/api/jobs', jobRoutes); // Background jobs
+app.use('/api/webhooks', webhookRoutes); // Partner webhook subscriptions
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -50,6 +60,12 @@ app.get('/', (req, res) => {
       providers: '/api/orders/providers', // Get available providers
       bookings: '/api/bookings', // Legacy endpoint (deprecated)
       bookingkit: '/api/bookingkit', // BookingKit integration
+      bokun: '/api/bokun', // Bokun integration
+      connectors: '/api/connectors', // Booking platform connectors
+      shopify_webhooks: '/api/shopify/webhooks', // Shopify order webhooks
+      api_keys: '/api/admin/keys', // API key management (admin)
+      jobs: '/api/jobs', // Background sync jobs and run history (admin)
+      webhooks: '/api/webhooks/subscriptions', // Booking change webhooks for partners
       health: '/api/health'
     },
     usage: {
@@ -57,16 +73,36 @@ app.get('/', (req, res) => {
       'Get specific order': 'GET /api/orders/{order_id}',
       'Get available providers': 'GET /api/orders/providers',
       'Filter by date': 'GET /api/orders?provider=YourProvider&event_date=2025-01-15',
-      'Filter by email': 'GET /api/orders?provider=YourProvider&customer_email=test@example.com'
+      'Filter by email': 'GET /api/orders?provider=YourProvider&customer_email=test@example.com',
+      'Subscribe to booking changes': 'POST /api/webhooks/subscriptions'
     },
     bookingkit_integration: {
       'OAuth authorization': 'GET /api/bookingkit/auth/authorize',
       'Authorization status': 'GET /api/bookingkit/auth/status',
       'Webhook endpoint': 'POST /api/bookingkit/webhooks',
+      'Webhook audit log': 'GET /api/bookingkit/webhooks/audit',
+      'Webhook inbox': 'GET /api/bookingkit/webhooks/inbox',
       'Sync Shopify to BookingKit': 'POST /api/bookingkit/sync',
+      'Sync job progress': 'GET /api/bookingkit/sync/{job_id}',
       'Get BookingKit bookings': 'GET /api/bookingkit/bookings',
+      'Product to event mappings': 'GET /api/bookingkit/events/mappings',
+      'Suggested event mappings': 'GET /api/bookingkit/events/suggestions',
       'Health check': 'GET /api/bookingkit/health'
     },
+    bokun_integration: {
+      'Sync Shopify to Bokun': 'POST /api/bokun/sync',
+      'Product to activity mappings': 'GET /api/bokun/activities',
+      'Health check': 'GET /api/bokun/health'
+    },
+    connectors: {
+      'List connectors': 'GET /api/connectors',
+      'Connector health': 'GET /api/connectors/{name}/health',
+      'Connect a platform': 'GET /api/connectors/{name}/auth',
+      'Push bookings': 'POST /api/connectors/{name}/push',
+      'Platform bookings': 'GET /api/connectors/{name}/bookings',
+      'Preview platform payload': 'GET /api/connectors/{name}/preview/{order_id}',
+      'Platform webhooks': 'POST /api/connectors/{name}/webhooks'
+    },
     integration_status: {
       venchi_bookingkit: 'Ready for integration - API keys configured',
       api_access: 'BookingKit can access /api/orders?provider=venchi with X-API-Key header',
@@ -95,6 +131,30 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📚 API documentation: http://localhost:${PORT}`);
+
+  // Keep the local booking index (and scheduled BookingKit accounts) fresh from Shopify
+  const bookingIndex = new BookingIndexService();
+  const scheduler = new JobScheduler();
+  registerSyncJobs(scheduler, bookingIndex);
+  scheduler.start();
+  new BookingKitSyncJobService().recoverInterrupted();
+  new WebhookInboxService().resume().catch(error => {
+    console.error('Webhook inbox processing failed:', error.message);
+  });
+  new PartnerWebhookService().resume().catch(error => {
+    console.error('Partner webhook delivery failed:', error.message);
+  });
+  bookingIndex.sync().catch(error => {
+    console.error('Initial booking index sync failed:', error.message);
+  });
+});
+
+// Write batched store changes before the process is stopped
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.once(signal, () => {
+    JsonFileStore.flushAll();
+    process.kill(process.pid, signal);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
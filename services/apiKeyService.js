@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+// Scopes a key can be granted
+const SCOPES = ['read:orders', 'write:webhooks', 'sync', 'admin'];
+
+// Keys presented after rotation keep working this long by default
+const DEFAULT_ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+// Only persist last-used timestamps this often per key, not on every request
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Managed API keys, stored as salted hashes in the 'api-keys' store
+   * Keys look like "<id>.<secret>"; only the id is stored in clear
+   * API_KEY and HOST_API_KEY_* environment keys are still accepted as
+   * non-rotatable keys so existing deployments keep working
+   */
+  constructor() {
+    this.store = JsonFileStore.open('api-keys', { keys: {} });
+    this.environmentKeys = this.loadEnvironmentKeys();
+  }
+
+  /**
+   * Hash environment keys at startup so they are compared like stored keys
+   * @returns {Array} Key records for API_KEY and HOST_API_KEY_*
+   */
+  loadEnvironmentKeys() {
+    const records = [];
+
+    if (process.env.API_KEY) {
+      records.push(this.environmentRecord('env:global', 'API_KEY', null, SCOPES, process.env.API_KEY));
+    }
+
+    Object.keys(process.env).forEach(name => {
+      if (name.startsWith('HOST_API_KEY_') && process.env[name]) {
+        const tenant = name.replace('HOST_API_KEY_', '').toLowerCase();
+        records.push(this.environmentRecord(`env:${tenant}`, name, tenant, ['read:orders'], process.env[name]));
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Build an in-memory key record for an environment key
+   */
+  environmentRecord(id, label, tenant, scopes, secret) {
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    return {
+      id,
+      label,
+      tenant,
+      scopes,
+      source: 'environment',
+      salt,
+      hash: hashSecret(secret, salt),
+      createdAt: null,
+      expiresAt: null,
+      lastUsedAt: null,
+      revokedAt: null
+    };
+  }
+
+  /**
+   * Whether any key (stored or environment) exists
+   * @returns {boolean} True if at least one key is configured
+   */
+  hasKeys() {
+    return this.environmentKeys.length > 0 || Object.keys(this.store.data.keys).length > 0;
+  }
+
+  /**
+   * Check a presented API key
+   * @param {string} apiKey - Raw key from the X-API-Key header
+   * @returns {Object} { key } with the public key record, or { error } ('invalid', 'expired', 'revoked')
+   */
+  authenticate(apiKey) {
+    const separator = apiKey.indexOf('.');
+    const record = separator > 0 ? this.store.data.keys[apiKey.slice(0, separator)] : null;
+
+    if (record) {
+      const secret = apiKey.slice(separator + 1);
+      const now = Date.now();
+
+      let matches = safeEqual(hashSecret(secret, record.salt), record.hash);
+
+      // The secret replaced by the last rotation stays valid during its grace period
+      if (!matches && record.previous && Date.parse(record.previous.expiresAt) > now) {
+        matches = safeEqual(hashSecret(secret, record.previous.salt), record.previous.hash);
+      }
+
+      if (!matches) return { error: 'invalid' };
+      if (record.revokedAt) return { error: 'revoked' };
+      if (record.expiresAt && Date.parse(record.expiresAt) <= now) return { error: 'expired' };
+
+      this.touch(record);
+      return { key: toPublic(record) };
+    }
+
+    // Environment keys have no id prefix; check them all so timing does not reveal which matched
+    let found = null;
+    this.environmentKeys.forEach(envRecord => {
+      if (safeEqual(hashSecret(apiKey, envRecord.salt), envRecord.hash)) {
+        found = envRecord;
+      }
+    });
+
+    if (found) {
+      found.lastUsedAt = new Date().toISOString();
+      return { key: toPublic(found) };
+    }
+
+    return { error: 'invalid' };
+  }
+
+  /**
+   * Record the last-used time, writing it to disk at most once a minute per key
+   */
+  touch(record) {
+    const now = Date.now();
+    const previous = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+
+    record.lastUsedAt = new Date(now).toISOString();
+
+    if (now - previous >= LAST_USED_WRITE_INTERVAL_MS) {
+      this.store.save();
+    }
+  }
+
+  /**
+   * List every key without secrets
+   * @returns {Array} Public key records, stored keys first
+   */
+  list() {
+    return [
+      ...Object.values(this.store.data.keys),
+      ...this.environmentKeys
+    ].map(toPublic);
+  }
+
+  /**
+   * Get one key without secrets
+   * @param {string} id - Key ID
+   * @returns {Object|null} Public key record
+   */
+  get(id) {
+    const record = this.store.data.keys[id] || this.environmentKeys.find(key => key.id === id);
+    return record ? toPublic(record) : null;
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - { label, tenant, scopes, expiresAt }
+   * @returns {Object} { key, apiKey } - the raw apiKey is only returned here
+   */
+  create({ label, tenant = null, scopes = ['read:orders'], expiresAt = null } = {}) {
+    if (!label || typeof label !== 'string') {
+      throw new Error('Invalid key: label is required');
+    }
+
+    validateScopes(scopes);
+    validateExpiry(expiresAt);
+
+    if (tenant && scopes.includes('admin')) {
+      throw new Error('Invalid key: tenant keys cannot have the admin scope');
+    }
+
+    const id = `key_${crypto.randomBytes(8).toString('hex')}`;
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    const record = {
+      id,
+      label,
+      tenant: tenant ? String(tenant).toLowerCase() : null,
+      scopes,
+      source: 'store',
+      salt,
+      hash: hashSecret(secret, salt),
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+      rotatedAt: null,
+      previous: null
+    };
+
+    this.store.data.keys[id] = record;
+    this.store.flush();
+
+    return { key: toPublic(record), apiKey: `${id}.${secret}` };
+  }
+
+  /**
+   * Issue a new secret for a key; the old secret keeps working for a grace period
+   * @param {string} id - Key ID
+   * @param {Object} options - { gracePeriodSeconds }
+   * @returns {Object|null} { key, apiKey }, or null if the key does not exist
+   */
+  rotate(id, { gracePeriodSeconds = DEFAULT_ROTATION_GRACE_SECONDS } = {}) {
+    const record = this.getManaged(id);
+    if (!record) {
+      return null;
+    }
+
+    if (record.revokedAt) {
+      throw new Error('Invalid key: revoked keys cannot be rotated');
+    }
+
+    const grace = Number(gracePeriodSeconds);
+    if (!Number.isFinite(grace) || grace < 0) {
+      throw new Error('Invalid grace period: must be a number of seconds >= 0');
+    }
+
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+
+    record.previous = {
+      salt: record.salt,
+      hash: record.hash,
+      expiresAt: new Date(Date.now() + grace * 1000).toISOString()
+    };
+    record.salt = salt;
+    record.hash = hashSecret(secret, salt);
+    record.rotatedAt = new Date().toISOString();
+
+    this.store.flush();
+
+    return { key: toPublic(record), apiKey: `${id}.${secret}` };
+  }
+
+  /**
+   * Revoke a key immediately, including any secret still in its rotation grace period
+   * @param {string} id - Key ID
+   * @returns {Object|null} Public key record, or null if the key does not exist
+   */
+  revoke(id) {
+    const record = this.getManaged(id);
+    if (!record) {
+      return null;
+    }
+
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    record.previous = null;
+    this.store.flush();
+
+    return toPublic(record);
+  }
+
+  /**
+   * Get a stored key for modification; environment keys are managed through env vars
+   */
+  getManaged(id) {
+    if (this.environmentKeys.some(key => key.id === id)) {
+      throw new Error('Invalid key: environment keys are managed through environment variables');
+    }
+
+    return this.store.data.keys[id] || null;
+  }
+}
+
+/**
+ * Salted SHA-256 HMAC of a key secret
+ * Secrets are 192 random bits, so a slow KDF would only add latency to every request
+ */
+function hashSecret(secret, salt) {
+  return crypto.createHmac('sha256', salt).update(secret).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a, 'hex');
+  const bufferB = Buffer.from(b, 'hex');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error(`Invalid scopes: expected a non-empty array of ${SCOPES.join(', ')}`);
+  }
+
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid scopes: unknown scope(s) ${unknown.join(', ')}`);
+  }
+}
+
+function validateExpiry(expiresAt) {
+  if (expiresAt && isNaN(Date.parse(expiresAt))) {
+    throw new Error('Invalid expires_at: expected an ISO 8601 date');
+  }
+}
+
+/**
+ * Key record without salts or hashes, in API response format
+ */
+function toPublic(record) {
+  return {
+    id: record.id,
+    label: record.label,
+    tenant: record.tenant,
+    scopes: record.scopes,
+    source: record.source,
+    created_at: record.createdAt,
+    expires_at: record.expiresAt,
+    last_used_at: record.lastUsedAt,
+    rotated_at: record.rotatedAt || null,
+    previous_secret_expires_at: record.previous ? record.previous.expiresAt : null,
+    revoked_at: record.revokedAt
+  };
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
@@ -0,0 +1,488 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const JsonFileStore = require('./jsonFileStore');
+
+// Tail of the pushes queued per Shopify booking, see withBookingLock
+const bookingLocks = new Map();
+
+class BokunService {
+  /**
+   * Bokun REST API client that pushes Shopify Cowlendar bookings into Bokun
+   * Requests are signed with Bokun's HMAC scheme (BOKUN_ACCESS_KEY, BOKUN_SECRET_KEY).
+   * Bookings are submitted as external bookings against the Bokun activity mapped to the
+   * Shopify product, and remembered per Shopify booking in the 'bokun-sync' store so
+   * repeated syncs are idempotent.
+   */
+  constructor() {
+    this.accessKey = process.env.BOKUN_ACCESS_KEY;
+    this.secretKey = process.env.BOKUN_SECRET_KEY;
+    this.baseUrl = process.env.BOKUN_BASE_URL || 'https://api.bokun.io';
+    // Fixed booking currency; by default bookings are submitted in their Shopify order's currency
+    this.currency = process.env.BOKUN_CURRENCY || null;
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Content-Type': 'application/json;charset=UTF-8',
+        'Accept': 'application/json'
+      }
+    });
+
+    // Shopify booking ID -> Bokun booking, for idempotent syncs
+    this.syncMappings = JsonFileStore.open('bokun-sync', { bookings: {} });
+
+    // Shopify product ID -> Bokun activity, managed through /api/bokun/activities
+    this.activityStore = JsonFileStore.open('bokun-activities', { products: {} });
+  }
+
+  /**
+   * Check whether Bokun API credentials are configured
+   * @returns {boolean} True if both the access key and the secret key are set
+   */
+  isConfigured() {
+    return !!(this.accessKey && this.secretKey);
+  }
+
+  /**
+   * Bokun request signature
+   * Base64 HMAC-SHA1 with the secret key over date + access key + method + path (with query string)
+   * @param {string} secretKey - Bokun secret key
+   * @param {string} date - Request date as sent in X-Bokun-Date
+   * @param {string} accessKey - Bokun access key
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path including the query string
+   * @returns {string} Value for X-Bokun-Signature
+   */
+  static sign(secretKey, date, accessKey, method, path) {
+    return crypto
+      .createHmac('sha1', secretKey)
+      .update(`${date}${accessKey}${method.toUpperCase()}${path}`)
+      .digest('base64');
+  }
+
+  /**
+   * Date in the format Bokun expects in X-Bokun-Date ("yyyy-MM-dd HH:mm:ss", UTC)
+   * @param {Date} date - Request time
+   * @returns {string} Formatted date
+   */
+  static formatDate(date = new Date()) {
+    return moment(date).utc().format('YYYY-MM-DD HH:mm:ss');
+  }
+
+  /**
+   * Make a signed request to the Bokun API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path including the query string, e.g. /booking.json/cancel-booking/ABC-123
+   * @param {Object} data - Request body
+   * @returns {Promise<Object>} API response
+   */
+  async makeSignedRequest(method, path, data = null) {
+    if (!this.isConfigured()) {
+      throw new Error('Bokun is not configured: BOKUN_ACCESS_KEY and BOKUN_SECRET_KEY are required');
+    }
+
+    const date = BokunService.formatDate();
+
+    try {
+      const response = await this.client.request({
+        method,
+        url: path,
+        data: data || undefined,
+        headers: {
+          'X-Bokun-Date': date,
+          'X-Bokun-AccessKey': this.accessKey,
+          'X-Bokun-Signature': BokunService.sign(this.secretKey, date, this.accessKey, method, path)
+        }
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error making signed request to Bokun ${path}:`, error.response?.data || error.message);
+      throw new Error(`Bokun request failed: ${error.response?.data?.message || error.message}`);
+    }
+  }
+
+  /**
+   * Submit a booking to Bokun
+   * @param {Object} bookingData - Checkout request from transformShopifyOrderToBokun
+   * @param {string|null} currency - Booking currency; Bokun uses the vendor's currency when omitted
+   * @returns {Promise<Object>} Created Bokun booking ({ bookingId, confirmationCode, ... })
+   */
+  async submitBooking(bookingData, currency = null) {
+    const query = currency ? `?currency=${encodeURIComponent(currency)}` : '';
+    const response = await this.makeSignedRequest('POST', `/checkout.json/submit${query}`, bookingData);
+    return response.booking || response;
+  }
+
+  /**
+   * Cancel a Bokun booking without notifying the customer (Shopify already did)
+   * @param {string} confirmationCode - Bokun booking confirmation code
+   * @returns {Promise<Object>} Response from Bokun
+   */
+  async cancelBooking(confirmationCode) {
+    return this.makeSignedRequest('POST', `/booking.json/cancel-booking/${encodeURIComponent(confirmationCode)}`, {
+      note: 'Cancelled in Shopify',
+      notify: false,
+      refund: false
+    });
+  }
+
+  /**
+   * Check API connectivity and credentials with a cheap signed request
+   * @returns {Promise<Object>} { api_connectivity, api_error }
+   */
+  async checkConnectivity() {
+    try {
+      await this.makeSignedRequest('GET', '/currency.json/findAll');
+      return { api_connectivity: 'ok' };
+    } catch (error) {
+      return { api_connectivity: 'failed', api_error: error.message };
+    }
+  }
+
+  /**
+   * Bokun activity mapped to a Shopify product
+   * Mappings saved through the API take precedence over BOKUN_ACTIVITY_MAP ("productId=activityId,...")
+   * @param {string|number} productId - Shopify product ID
+   * @returns {Object|null} { product_id, activity_id, pricing_category_id, source }
+   */
+  getActivityMapping(productId) {
+    if (!productId) {
+      return null;
+    }
+
+    return this.listActivityMappings().find(mapping => mapping.product_id === String(productId)) || null;
+  }
+
+  /**
+   * Every product to activity mapping
+   * @returns {Array} Mappings, stored ones first
+   */
+  listActivityMappings() {
+    const stored = Object.entries(this.activityStore.data.products).map(([productId, mapping]) => ({
+      product_id: productId,
+      ...mapping,
+      source: 'stored'
+    }));
+
+    const fromEnvironment = parseActivityMap(process.env.BOKUN_ACTIVITY_MAP)
+      .filter(mapping => !stored.some(existing => existing.product_id === mapping.product_id))
+      .map(mapping => ({ ...mapping, pricing_category_id: null, source: 'environment' }));
+
+    return [...stored, ...fromEnvironment];
+  }
+
+  /**
+   * Map a Shopify product to a Bokun activity
+   * @param {string|number} productId - Shopify product ID
+   * @param {Object} mapping - { activity_id, pricing_category_id }
+   * @returns {Object} Saved mapping
+   */
+  setActivityMapping(productId, { activity_id, pricing_category_id = null } = {}) {
+    if (!/^\d+$/.test(String(productId))) {
+      throw new Error('Invalid product ID: expected a numeric Shopify product ID');
+    }
+
+    if (!/^\d+$/.test(String(activity_id))) {
+      throw new Error('Invalid activity_id: expected a numeric Bokun activity ID');
+    }
+
+    if (pricing_category_id !== null && !/^\d+$/.test(String(pricing_category_id))) {
+      throw new Error('Invalid pricing_category_id: expected a numeric Bokun pricing category ID');
+    }
+
+    this.activityStore.data.products[String(productId)] = {
+      activity_id: String(activity_id),
+      pricing_category_id: pricing_category_id !== null ? String(pricing_category_id) : null,
+      updated_at: new Date().toISOString()
+    };
+    this.activityStore.save();
+
+    return this.getActivityMapping(productId);
+  }
+
+  /**
+   * Remove the stored mapping of a Shopify product
+   * @param {string|number} productId - Shopify product ID
+   * @returns {boolean} True if a stored mapping was removed
+   */
+  removeActivityMapping(productId) {
+    if (!this.activityStore.data.products[String(productId)]) {
+      return false;
+    }
+
+    delete this.activityStore.data.products[String(productId)];
+    this.activityStore.save();
+    return true;
+  }
+
+  /**
+   * Bring Bokun in line with a parsed Shopify booking
+   * Idempotent: unchanged bookings are skipped using a content hash of the last submission.
+   * Bokun bookings cannot be moved through the API, so a changed booking is cancelled
+   * and submitted again; cancelled or fully refunded bookings are cancelled in Bokun.
+   * Pushes of the same booking wait for each other, see withBookingLock
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action: 'created'|'updated'|'cancelled'|'skipped', booking_id }
+   */
+  async syncBooking(shopifyOrder) {
+    return this.withBookingLock(shopifyOrder.bookingId, () => this.isCancelledBooking(shopifyOrder)
+      ? this.cancelBookingForOrder(shopifyOrder)
+      : this.upsertBookingForOrder(shopifyOrder));
+  }
+
+  /**
+   * Run a push of one Shopify booking once earlier pushes of it are done
+   * Order webhooks, /api/bokun/sync and connector pushes all write to Bokun; without this,
+   * two of them could both find no sync mapping and submit the booking twice
+   * @param {string} bookingId - Shopify booking ID ({order_id}-{line_item_id})
+   * @param {Function} task - Async push, reading the sync mapping only once it runs
+   * @returns {Promise<*>} Result of the task
+   */
+  withBookingLock(bookingId, task) {
+    const previous = bookingLocks.get(bookingId) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+
+    bookingLocks.set(bookingId, tail);
+    tail.then(() => {
+      if (bookingLocks.get(bookingId) === tail) {
+        bookingLocks.delete(bookingId);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Sync a list of Shopify bookings, one at a time
+   * A failing booking is recorded and does not stop the others
+   * @param {Array} bookings - Parsed Shopify bookings
+   * @param {Object} options - { onResult(result), shouldStop() }, used by background sync jobs
+   * @returns {Promise<Object>} { created, updated, cancelled, skipped, unmapped, failed, results, stopped }
+   */
+  async syncBookings(bookings, { onResult, shouldStop } = {}) {
+    const summary = { created: 0, updated: 0, cancelled: 0, skipped: 0, unmapped: 0, failed: 0, results: [], stopped: false };
+
+    for (const booking of bookings) {
+      if (shouldStop && shouldStop()) {
+        summary.stopped = true;
+        break;
+      }
+
+      const result = await this.trySyncBooking(booking);
+      summary[result.status]++;
+      summary.results.push(result);
+
+      if (onResult) {
+        await onResult(result);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sync one booking, catching the error of a failed sync
+   * Bookings of products without a Bokun activity are reported as 'unmapped'
+   * @param {Object} booking - Parsed Shopify booking
+   * @returns {Promise<Object>} Result in API response format:
+   *   { booking_id, shopify_order_id, line_item_id, product_id, bokun_confirmation_code, status, error }
+   */
+  async trySyncBooking(booking) {
+    const result = {
+      booking_id: booking.bookingId,
+      shopify_order_id: booking.shopifyOrderId,
+      line_item_id: booking.lineItemId,
+      product_id: booking.productId
+    };
+
+    if (!this.getActivityMapping(booking.productId) && !this.getSyncMapping(booking.bookingId)) {
+      return { ...result, status: 'unmapped', error: `No Bokun activity mapped to product ${booking.productId}` };
+    }
+
+    try {
+      const { action, booking_id } = await this.syncBooking(booking);
+      return { ...result, bokun_confirmation_code: booking_id, status: action };
+    } catch (error) {
+      console.error(`Failed to sync booking ${booking.bookingId} to Bokun:`, error.message);
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Whether a Shopify booking should be cancelled in Bokun
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {boolean} True if the order was cancelled, refunded or voided, or the line item fully refunded
+   */
+  isCancelledBooking(shopifyOrder) {
+    return Boolean(
+      shopifyOrder.cancelledAt ||
+      ['refunded', 'voided'].includes(shopifyOrder.financialStatus) ||
+      (shopifyOrder.quantity > 0 && shopifyOrder.refundedQuantity >= shopifyOrder.quantity)
+    );
+  }
+
+  /**
+   * Submit the Bokun booking for a parsed Shopify order, replacing it if the booking changed;
+   * callers hold the booking's lock
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action, booking_id } with the Bokun confirmation code
+   */
+  async upsertBookingForOrder(shopifyOrder) {
+    if (!shopifyOrder.startDateTime) {
+      throw new Error(`Booking ${shopifyOrder.bookingId} has no start date: ${shopifyOrder.parseError || 'missing Cowlendar date'}`);
+    }
+
+    const activity = this.getActivityMapping(shopifyOrder.productId);
+    if (!activity) {
+      throw new Error(`No Bokun activity mapped to product ${shopifyOrder.productId}`);
+    }
+
+    const mapping = this.getSyncMapping(shopifyOrder.bookingId);
+    const bokunData = this.transformShopifyOrderToBokun(shopifyOrder, activity);
+    const contentHash = hashContent(bokunData);
+
+    if (mapping && !mapping.cancelled && mapping.contentHash === contentHash) {
+      return { action: 'skipped', booking_id: mapping.confirmationCode };
+    }
+
+    // Recorded before submitting: if the submit fails, the next sync must not cancel again
+    if (mapping && !mapping.cancelled) {
+      await this.cancelBooking(mapping.confirmationCode);
+      this.saveSyncMapping(shopifyOrder, { contentHash: null, cancelled: true });
+    }
+
+    const booking = await this.submitBooking(bokunData, this.currency || shopifyOrder.money?.currency);
+    this.saveSyncMapping(shopifyOrder, {
+      bokunBookingId: booking.bookingId,
+      confirmationCode: booking.confirmationCode,
+      activityId: activity.activity_id,
+      contentHash,
+      cancelled: false
+    });
+
+    return { action: mapping ? 'updated' : 'created', booking_id: booking.confirmationCode };
+  }
+
+  /**
+   * Cancel the Bokun booking of a Shopify order; callers hold the booking's lock
+   * Bookings that never reached Bokun, or were already cancelled, are skipped
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action, booking_id }
+   */
+  async cancelBookingForOrder(shopifyOrder) {
+    const mapping = this.getSyncMapping(shopifyOrder.bookingId);
+
+    if (!mapping) {
+      return { action: 'skipped', booking_id: null };
+    }
+
+    if (mapping.cancelled) {
+      return { action: 'skipped', booking_id: mapping.confirmationCode };
+    }
+
+    await this.cancelBooking(mapping.confirmationCode);
+    this.saveSyncMapping(shopifyOrder, { contentHash: null, cancelled: true });
+    return { action: 'cancelled', booking_id: mapping.confirmationCode };
+  }
+
+  /**
+   * Get the sync record of a Shopify booking
+   * @param {string} bookingId - Shopify booking ID ({order_id}-{line_item_id})
+   * @returns {Object|null} { bokunBookingId, confirmationCode, activityId, contentHash, cancelled, syncedAt }
+   */
+  getSyncMapping(bookingId) {
+    return this.syncMappings.data.bookings[bookingId] || null;
+  }
+
+  /**
+   * Remember which Bokun booking a Shopify booking was submitted as
+   * Fields of the existing record that are not in `record` are kept
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object} record - { bokunBookingId, confirmationCode, activityId, contentHash, cancelled }
+   */
+  saveSyncMapping(shopifyOrder, record) {
+    const bookings = this.syncMappings.data.bookings;
+
+    bookings[shopifyOrder.bookingId] = {
+      ...bookings[shopifyOrder.bookingId],
+      ...record,
+      shopifyOrderId: shopifyOrder.shopifyOrderId,
+      lineItemId: shopifyOrder.lineItemId,
+      syncedAt: new Date().toISOString()
+    };
+
+    this.syncMappings.flush();
+  }
+
+  /**
+   * Transform a Shopify booking into a Bokun checkout request for an external booking
+   * The booking is reserved for external payment, since the customer already paid in Shopify
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object} activity - Activity mapping of the booking's product
+   * @returns {Object} Bokun checkout request
+   */
+  transformShopifyOrderToBokun(shopifyOrder, activity) {
+    const activityBooking = {
+      activityId: Number(activity.activity_id),
+      date: shopifyOrder.eventDate,
+      startTime: shopifyOrder.allDay ? null : shopifyOrder.startTime,
+      externalBookingReference: shopifyOrder.bookingId
+    };
+
+    // Headcount from the ticket counts of the booking form, or the line item quantity
+    const participants = shopifyOrder.participants ? shopifyOrder.participants.total : shopifyOrder.quantity;
+
+    // One entry per participant when the activity prices by category
+    if (activity.pricing_category_id) {
+      activityBooking.pricingCategoryBookings = Array.from({ length: participants }, () => ({
+        pricingCategoryId: Number(activity.pricing_category_id)
+      }));
+    } else {
+      activityBooking.participants = participants;
+    }
+
+    return {
+      source: 'DIRECT_REQUEST',
+      paymentMethod: 'RESERVE_FOR_EXTERNAL_PAYMENT',
+      sendNotificationToMainContact: false,
+      directBooking: {
+        externalBookingReference: shopifyOrder.bookingId,
+        externalBookingEntityName: 'Shopify',
+        note: `Shopify order ${shopifyOrder.orderName || shopifyOrder.shopifyOrderId}`,
+        mainContactDetails: [
+          { questionId: 'firstName', values: [shopifyOrder.customer.firstName] },
+          { questionId: 'lastName', values: [shopifyOrder.customer.lastName] },
+          { questionId: 'email', values: [shopifyOrder.customer.email] },
+          { questionId: 'phoneNumber', values: [shopifyOrder.customer.phone] }
+        ].filter(contact => contact.values[0]),
+        activityBookings: [activityBooking]
+      }
+    };
+  }
+}
+
+/**
+ * Parse BOKUN_ACTIVITY_MAP ("productId=activityId,productId=activityId")
+ */
+function parseActivityMap(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [productId, activityId] = entry.split('=').map(part => (part || '').trim());
+      return { product_id: productId, activity_id: activityId };
+    })
+    .filter(mapping => mapping.product_id && mapping.activity_id);
+}
+
+/**
+ * Stable hash of a Bokun checkout request, used to skip syncing unchanged bookings
+ */
+function hashContent(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+module.exports = BokunService;
@@ -0,0 +1,105 @@
+/**
+ * Booking app formats, shared by /api/orders, /api/bookings and the webhooks pushed to booking partners
+ */
+
+const { moneyPayload } = require('./money');
+const { participantsPayload } = require('./cowlendarProperties');
+
+/**
+ * Transform Shopify order to booking app compatible format
+ * @param {Object} order - Parsed Shopify order with Cowlendar data
+ * @returns {Object} Booking app compatible object
+ */
+function transformForBookingApp(order) {
+  return {
+    // Core booking identifiers (one booking per Cowlendar line item)
+    booking_id: order.bookingId,
+    legacy_booking_id: order.legacyBookingId ?? null,
+    shopify_order_id: order.shopifyOrderId,
+    line_item_id: order.lineItemId,
+    order_number: order.orderNumber,
+    order_name: order.orderName,
+
+    // Customer information
+    customer: {
+      first_name: order.customer.firstName,
+      last_name: order.customer.lastName,
+      full_name: `${order.customer.firstName} ${order.customer.lastName}`.trim(),
+      email: order.customer.email,
+      phone: order.customer.phone
+    },
+
+    // Event information
+    event: {
+      name: order.eventName,
+      quantity: order.quantity,
+      date: order.eventDate,
+      end_date: order.endDate,
+      all_day: order.allDay,
+      start_time: order.startTime,
+      end_time: order.endTime,
+      timezone: order.timezone,
+      start_datetime: order.startDateTime,
+      end_datetime: order.endDateTime,
+      start_datetime_utc: order.startDateTimeUtc,
+      end_datetime_utc: order.endDateTimeUtc,
+      duration_minutes: order.durationMinutes
+    },
+
+    // Provider information (unified host/vendor)
+    provider: order.provider,
+    host: order.host, // For backward compatibility
+    vendor: order.vendor, // For transparency
+
+    // Booking details
+    booking_details: {
+      created_at: order.createdAt,
+      financial_status: order.financialStatus,
+      fulfillment_status: order.fulfillmentStatus,
+      items: order.lineItems
+    },
+
+    // Amounts of the booking's line item in integer minor units, for reconciling payouts
+    money: moneyPayload(order.money),
+
+    // Headcount and booking form answers, for hosts planning their sessions
+    participants: participantsPayload(order.participants),
+    custom_fields: order.customFields || [],
+
+    // Cowlendar integration data
+    cowlendar: {
+      internal_id: order.cowlendarId,
+      integrity: order.cowlendarIntegrity
+    },
+
+    // Set when the Cowlendar date could not be parsed; event timing fields are then null
+    parse_error: order.parseError,
+
+    // Booking app specific fields
+    status: order.cancelledAt ? 'cancelled' : (order.financialStatus === 'paid' ? 'confirmed' : 'pending'),
+    booking_type: 'event',
+    source: 'shopify_cowlendar'
+  };
+}
+
+/**
+ * Transform Shopify order to the Bookun format served by /api/bookings
+ * Same fields as the booking app format, with the host in the event instead of provider and vendor
+ * @param {Object} order - Parsed Shopify order with Cowlendar data
+ * @returns {Object} Bookun compatible object
+ */
+function transformForBookun(order) {
+  const { provider, vendor, host, ...booking } = transformForBookingApp(order);
+  const { name, ...event } = booking.event;
+
+  return {
+    ...booking,
+    event: { name, host, ...event },
+    host
+  };
+}
+
+module.exports = {
+  transformForBookingApp,
+  transformForBookun
+};
@@ -0,0 +1,421 @@
+const JsonFileStore = require('./jsonFileStore');
+const ShopifyService = require('./shopifyService');
+const PartnerWebhookService = require('./partnerWebhookService');
+const { transformForBookingApp } = require('./bookingAppFormat');
+
+// Re-read a little before the last sync so orders updated while it ran are not missed
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Bumped when the stored booking shape changes; a mismatch triggers a full re-sync
+const INDEX_SCHEMA_VERSION = 9;
+
+// Only one sync may run at a time across all instances
+let runningSync = null;
+
+class BookingIndexService {
+  /**
+   * Local index of parsed Cowlendar bookings, grouped by Shopify order ID
+   * Kept fresh by incremental syncs so query routes never fan out to Shopify
+   * @param {ShopifyService} shopifyService - Service used to fetch and parse orders
+   */
+  constructor(shopifyService = new ShopifyService()) {
+    this.shopifyService = shopifyService;
+    this.partnerWebhooks = new PartnerWebhookService(shopifyService);
+    this.store = JsonFileStore.open('booking-index', { orders: {}, lastSyncedAt: null });
+
+    if (this.store.data.schemaVersion !== INDEX_SCHEMA_VERSION) {
+      this.store.data = { orders: {}, lastSyncedAt: null, schemaVersion: INDEX_SCHEMA_VERSION };
+    }
+  }
+
+  /**
+   * Get the indexed bookings of a Shopify order
+   * @param {string|number} orderId - Shopify order ID
+   * @returns {Array|null} Bookings of the order, or null if it is not indexed
+   */
+  get(orderId) {
+    return this.store.data.orders[String(orderId)] || null;
+  }
+
+  /**
+   * Get the bookings of an order, fetching it from Shopify if it is not indexed yet
+   * @param {string|number} orderId - Shopify order ID
+   * @param {string|null} scope - Only return bookings of this provider (host key scope)
+   * @returns {Promise<Array|null>} Bookings, or null if it is not an event order (or none are in scope)
+   */
+  async getOrFetch(orderId, scope = null) {
+    let bookings = this.get(orderId);
+
+    if (!bookings) {
+      const order = await this.shopifyService.getOrderById(orderId);
+      bookings = await this.applyOrders([order]);
+    }
+
+    const visible = bookings.filter(booking => this.inScope(booking, scope));
+    return visible.length > 0 ? visible : null;
+  }
+
+  /**
+   * All indexed bookings
+   * @param {string|null} scope - Only return bookings of this host (host key scope)
+   * @returns {Array} Bookings across every indexed order
+   */
+  allBookings(scope = null) {
+    return Object.values(this.store.data.orders)
+      .flat()
+      .filter(booking => this.inScope(booking, scope));
+  }
+
+  /**
+   * Indexed bookings to push to a booking platform
+   * @param {Object} selection - { provider, orderIds, limit (default 50, max 100) }
+   * @returns {Array} Bookings of the provider and orders given, newest first
+   */
+  select({ provider = null, orderIds = null, limit = 50 } = {}) {
+    const ids = orderIds ? orderIds.map(String) : null;
+
+    return this.allBookings()
+      .filter(booking => !provider || this.shopifyService.matchesProvider(booking, provider))
+      .filter(booking => !ids || ids.includes(String(booking.shopifyOrderId)))
+      .sort(compareOrders)
+      .slice(0, Math.min(parseInt(limit) || 50, 100));
+  }
+
+  /**
+   * Check whether a booking is visible within a host key scope
+   * @param {Object} booking - Indexed booking
+   * @param {string|null} scope - Host the caller is limited to, or null for no limit
+   * @returns {boolean} True if the booking is visible
+   */
+  inScope(booking, scope) {
+    return !scope || this.shopifyService.matchesHost(booking, scope);
+  }
+
+  /**
+   * Parse raw Shopify orders into the index
+   * Orders without Cowlendar metadata are removed if they were indexed before, and orders
+   * older than the indexed version (by updated_at, e.g. a late or retried webhook) are skipped.
+   * Once the index has been populated, bookings that were created, changed or cancelled
+   * are published to the partner webhooks subscribed to their provider
+   * @param {Array} orders - Raw Shopify orders
+   * @returns {Promise<Array>} Bookings that were indexed
+   */
+  async applyOrders(orders) {
+    const indexed = [];
+    const changes = [];
+    const notify = !!this.store.data.lastSyncedAt;
+
+    const current = orders.filter(order => {
+      if (!this.isStale(order)) {
+        return true;
+      }
+
+      console.log(`📇 Skipped order ${order.id} updated at ${order.updated_at}; the index has a newer version`);
+      return false;
+    });
+
+    await this.shopifyService.warmProductHostsForOrders(
+      current.filter(order => this.shopifyService.hasCowlendarMetadata(order))
+    );
+
+    for (const order of current) {
+      if (this.shopifyService.hasCowlendarMetadata(order)) {
+        const bookings = await this.shopifyService.parseOrderWithCowlendar(order);
+        changes.push(...bookingChanges(this.store.data.orders[String(order.id)] || [], bookings));
+        this.store.data.orders[String(order.id)] = bookings;
+        indexed.push(...bookings);
+      } else {
+        delete this.store.data.orders[String(order.id)];
+      }
+    }
+
+    this.store.save();
+
+    if (notify) {
+      changes.forEach(({ eventType, booking }) => this.partnerWebhooks.publish(eventType, booking));
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Whether a Shopify order is older than the version already indexed
+   * @param {Object} order - Raw Shopify order
+   * @returns {boolean} True if the index holds a more recent update of the order
+   */
+  isStale(order) {
+    const [indexed] = this.store.data.orders[String(order.id)] || [];
+
+    if (!indexed || !indexed.updatedAt || !order.updated_at) {
+      return false;
+    }
+
+    return Date.parse(order.updated_at) < Date.parse(indexed.updatedAt);
+  }
+
+  /**
+   * Re-resolve the host of indexed bookings after a product changed in Shopify
+   * @param {string|number} productId - Shopify product ID
+   * @returns {Promise<number>} Number of bookings updated
+   */
+  async refreshProductHost(productId) {
+    this.shopifyService.invalidateProductHosts(productId);
+
+    const affected = this.allBookings().filter(booking =>
+      String(booking.productId) === String(productId)
+    );
+
+    if (affected.length === 0) {
+      return 0;
+    }
+
+    const host = await this.shopifyService.getProductHost(productId);
+    affected.forEach(order => {
+      order.host = host || order.vendor;
+      order.provider = host || order.vendor;
+    });
+
+    this.store.save();
+    return affected.length;
+  }
+
+  /**
+   * Remove an order from the index
+   * @param {string|number} orderId - Shopify order ID
+   */
+  remove(orderId) {
+    delete this.store.data.orders[String(orderId)];
+    this.store.save();
+  }
+
+  /**
+   * Sync the index from Shopify
+   * Incremental by default (orders updated since the last sync); concurrent calls share one run
+   * @param {Object} options - { full: true } to re-read every order
+   * @returns {Promise<Object>} Sync summary
+   */
+  async sync(options = {}) {
+    if (!runningSync) {
+      runningSync = this.runSync(options).finally(() => {
+        runningSync = null;
+      });
+    }
+
+    return runningSync;
+  }
+
+  async runSync({ full = false } = {}) {
+    const startedAt = new Date();
+    const lastSyncedAt = this.store.data.lastSyncedAt;
+    const incremental = !full && !!lastSyncedAt;
+
+    const params = { status: 'any', limit: Infinity };
+    if (incremental) {
+      params.updated_at_min = new Date(Date.parse(lastSyncedAt) - SYNC_OVERLAP_MS).toISOString();
+    }
+
+    const orders = await this.shopifyService.getOrders(params);
+    const indexed = await this.applyOrders(orders);
+
+    this.store.data.lastSyncedAt = startedAt.toISOString();
+    this.store.save();
+
+    console.log(`📇 Booking index ${incremental ? 'incremental' : 'full'} sync: ${orders.length} orders fetched, ${indexed.length} bookings indexed`);
+
+    return {
+      mode: incremental ? 'incremental' : 'full',
+      fetched: orders.length,
+      indexed: indexed.length,
+      synced_at: this.store.data.lastSyncedAt
+    };
+  }
+
+  /**
+   * Make sure the index has been populated at least once
+   * @returns {Promise<void>}
+   */
+  async ensureReady() {
+    if (!this.store.data.lastSyncedAt) {
+      await this.sync({ full: true });
+    }
+  }
+
+  /**
+   * Query indexed bookings
+   * Results are ordered newest first and paginated with opaque keyset cursors,
+   * which stay valid when orders are added or updated between requests
+   * @param {Object} filters - provider, host, customerEmail, eventDate, dateFrom, dateTo,
+   *                           cowlendarId, status ('any', 'open', 'closed', 'cancelled'), limit, cursor,
+   *                           scope (provider a host key is limited to)
+   * @returns {Object} { orders, nextCursor, prevCursor }
+   */
+  query(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 50, 250);
+
+    const matches = this.allBookings(filters.scope)
+      .filter(order => this.matchesFilters(order, filters))
+      .sort(compareOrders);
+
+    let start = 0;
+    let end = Math.min(limit, matches.length);
+
+    if (filters.cursor) {
+      const { key, direction } = decodeCursor(filters.cursor);
+
+      if (direction === 'prev') {
+        end = matches.findIndex(order => compareOrders(order, key) >= 0);
+        if (end === -1) end = matches.length;
+        start = Math.max(0, end - limit);
+      } else {
+        start = matches.findIndex(order => compareOrders(order, key) > 0);
+        if (start === -1) start = matches.length;
+        end = Math.min(start + limit, matches.length);
+      }
+    }
+
+    const orders = matches.slice(start, end);
+
+    return {
+      orders,
+      nextCursor: end < matches.length && orders.length > 0 ? encodeCursor(orders[orders.length - 1], 'next') : null,
+      prevCursor: start > 0 && orders.length > 0 ? encodeCursor(orders[0], 'prev') : null
+    };
+  }
+
+  /**
+   * Check an indexed order against query filters
+   * @param {Object} order - Parsed order
+   * @param {Object} filters - Query filters
+   * @returns {boolean} True if the order matches every filter given
+   */
+  matchesFilters(order, filters) {
+    const { provider, host, customerEmail, eventDate, dateFrom, dateTo, cowlendarId, status = 'any' } = filters;
+
+    if (provider && !this.shopifyService.matchesProvider(order, provider)) return false;
+    if (host && !this.shopifyService.matchesHost(order, host)) return false;
+    if (customerEmail && (order.customer.email || '').toLowerCase() !== customerEmail.toLowerCase()) return false;
+    if (eventDate && order.eventDate !== eventDate) return false;
+    if (dateFrom && !(order.eventDate && order.eventDate >= dateFrom)) return false;
+    if (dateTo && !(order.eventDate && order.eventDate <= dateTo)) return false;
+    if (cowlendarId && order.cowlendarId !== cowlendarId) return false;
+
+    if (status === 'open' && (order.closedAt || order.cancelledAt)) return false;
+    if (status === 'closed' && !order.closedAt) return false;
+    if (status === 'cancelled' && !order.cancelledAt) return false;
+
+    return true;
+  }
+
+  /**
+   * Get all providers (hosts and vendors) present in the index
+   * @param {string|null} scope - Only consider bookings of this provider (host key scope)
+   * @returns {Array} Sorted unique provider names
+   */
+  getProviders(scope = null) {
+    const providers = new Set();
+
+    this.allBookings(scope).forEach(order => {
+      if (order.host) {
+        providers.add(order.host);
+      }
+      order.lineItems.forEach(item => {
+        if (item.vendor) {
+          providers.add(item.vendor);
+        }
+      });
+    });
+
+    return Array.from(providers).sort();
+  }
+
+  /**
+   * Get all hosts present in the index
+   * @param {string|null} scope - Only consider bookings of this provider (host key scope)
+   * @returns {Array} Sorted unique host names
+   */
+  getHosts(scope = null) {
+    const hosts = this.allBookings(scope)
+      .map(order => order.host)
+      .filter(host => host !== null && host !== undefined);
+
+    return Array.from(new Set(hosts)).sort();
+  }
+
+  /**
+   * Index statistics for health checks
+   * @returns {Object} Index size and sync state
+   */
+  getStats() {
+    return {
+      indexed_orders: Object.keys(this.store.data.orders).length,
+      indexed_bookings: this.allBookings().length,
+      last_synced_at: this.store.data.lastSyncedAt,
+      sync_in_progress: !!runningSync
+    };
+  }
+}
+
+/**
+ * Partner webhook events for the bookings of a re-parsed order
+ * Compared in the booking app format, so re-reading an unchanged order publishes nothing
+ * @param {Array} previous - Bookings indexed before
+ * @param {Array} bookings - Bookings parsed now
+ * @returns {Array} { eventType, booking } pairs
+ */
+function bookingChanges(previous, bookings) {
+  return bookings.flatMap(booking => {
+    const before = previous.find(existing => existing.bookingId === booking.bookingId);
+
+    if (!before) {
+      return booking.cancelledAt ? [] : [{ eventType: 'booking.created', booking }];
+    }
+
+    if (booking.cancelledAt && !before.cancelledAt) {
+      return [{ eventType: 'booking.cancelled', booking }];
+    }
+
+    if (JSON.stringify(transformForBookingApp(before)) !== JSON.stringify(transformForBookingApp(booking))) {
+      return [{ eventType: 'booking.updated', booking }];
+    }
+
+    return [];
+  });
+}
+
+/**
+ * Sort bookings newest first, breaking ties on order ID then line item ID
+ * Accepts either bookings or a decoded cursor key
+ */
+function compareOrders(a, b) {
+  const createdA = a.createdAt || '';
+  const createdB = b.createdAt || '';
+
+  if (createdA !== createdB) {
+    return createdA < createdB ? 1 : -1;
+  }
+
+  if (String(a.shopifyOrderId) !== String(b.shopifyOrderId)) {
+    return Number(b.shopifyOrderId) - Number(a.shopifyOrderId);
+  }
+
+  return Number(a.lineItemId || 0) - Number(b.lineItemId || 0);
+}
+
+function encodeCursor(order, direction) {
+  const key = { createdAt: order.createdAt, shopifyOrderId: order.shopifyOrderId, lineItemId: order.lineItemId };
+  return Buffer.from(JSON.stringify({ key, direction })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded.key || !['next', 'prev'].includes(decoded.direction)) {
+      throw new Error('missing key or direction');
+    }
+    return decoded;
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${error.message}`);
+  }
+}
+
+module.exports = BookingIndexService;
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+class BookingKitAuditLog {
+  /**
+   * Record of what BookingKit webhooks changed in Shopify, newest first
+   * Kept in the 'bookingkit-audit' store, limited to BOOKINGKIT_AUDIT_LIMIT entries (default: 1000)
+   */
+  constructor() {
+    this.store = JsonFileStore.open('bookingkit-audit', { entries: [] });
+    this.limit = parseInt(process.env.BOOKINGKIT_AUDIT_LIMIT) || 1000;
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry - { account, event_type, bookingkit_id, booking_id, shopify_order_id,
+   *                           action, policy, details, error }
+   * @returns {Object} Stored entry
+   */
+  record(entry) {
+    const stored = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      account: null,
+      event_type: null,
+      bookingkit_id: null,
+      booking_id: null,
+      shopify_order_id: null,
+      action: null,
+      policy: null,
+      details: null,
+      error: null,
+      ...entry
+    };
+
+    const entries = this.store.data.entries;
+    entries.unshift(stored);
+    entries.splice(this.limit);
+    this.store.save();
+
+    console.log(`📝 BookingKit ${stored.event_type} ${stored.bookingkit_id}: ${stored.action}${stored.error ? ` (${stored.error})` : ''}`);
+    return stored;
+  }
+
+  /**
+   * Recent entries, newest first
+   * @param {Object} filters - { account, booking_id, shopify_order_id, bookingkit_id, action, limit }
+   * @returns {Array} Audit entries
+   */
+  list({ limit = 100, ...filters } = {}) {
+    const matches = entry => Object.entries(filters)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .every(([field, value]) => String(entry[field]) === String(value));
+
+    return this.store.data.entries
+      .filter(matches)
+      .slice(0, Math.min(parseInt(limit) || 100, this.limit));
+  }
+}
+
+module.exports = BookingKitAuditLog;
@@ -0,0 +1,111 @@
+const JsonFileStore = require('./jsonFileStore');
+
+// BookingKit event IDs, e.g. 'a8f2c91b0d4e5f6a7b8c9d0e1f2a3b4c'
+const EVENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class BookingKitEventMap {
+  /**
+   * Shopify product and variant -> BookingKit event mappings, per BookingKit account
+   * Kept in the 'bookingkit-events' store. A variant mapping wins over the mapping of its
+   * product, so ticket types sold as variants can point at different events.
+   */
+  constructor() {
+    this.store = JsonFileStore.open('bookingkit-events', { accounts: {} });
+  }
+
+  /**
+   * Event mapped to a Shopify product or variant
+   * @param {string} accountId - BookingKit account
+   * @param {string|number} productId - Shopify product ID
+   * @param {string|number} variantId - Shopify variant ID, if any
+   * @returns {Object|null} { product_id, variant_id, event_id, event_title, source, updated_at }
+   */
+  get(accountId, productId, variantId = null) {
+    const mappings = this.store.data.accounts[accountId] || {};
+
+    if (!productId) {
+      return null;
+    }
+
+    return (variantId && mappings[mappingKey(productId, variantId)]) || mappings[mappingKey(productId)] || null;
+  }
+
+  /**
+   * Every mapping of an account, by product and then variant
+   * @param {string} accountId - BookingKit account
+   * @returns {Array} Mappings
+   */
+  list(accountId) {
+    return Object.values(this.store.data.accounts[accountId] || {})
+      .sort((a, b) => a.product_id.localeCompare(b.product_id, undefined, { numeric: true }) ||
+        String(a.variant_id || '').localeCompare(String(b.variant_id || ''), undefined, { numeric: true }));
+  }
+
+  /**
+   * Map a Shopify product, or one of its variants, to a BookingKit event
+   * @param {string} accountId - BookingKit account
+   * @param {Object} mapping - { product_id, variant_id, event_id, event_title, source }
+   * @returns {Object} Stored mapping
+   */
+  set(accountId, { product_id, variant_id = null, event_id, event_title = null, source = 'manual' }) {
+    if (!/^\d+$/.test(String(product_id))) {
+      throw new Error('Invalid product_id: must be a numeric Shopify product ID');
+    }
+
+    if (variant_id !== null && variant_id !== undefined && variant_id !== '' && !/^\d+$/.test(String(variant_id))) {
+      throw new Error('Invalid variant_id: must be a numeric Shopify variant ID');
+    }
+
+    if (!EVENT_ID_PATTERN.test(String(event_id || ''))) {
+      throw new Error('Invalid event_id: must be a BookingKit event ID');
+    }
+
+    const variantId = variant_id ? String(variant_id) : null;
+    const mapping = {
+      product_id: String(product_id),
+      variant_id: variantId,
+      event_id: String(event_id),
+      event_title,
+      source,
+      updated_at: new Date().toISOString()
+    };
+
+    const accounts = this.store.data.accounts;
+    accounts[accountId] = accounts[accountId] || {};
+    accounts[accountId][mappingKey(product_id, variantId)] = mapping;
+    this.store.save();
+
+    return mapping;
+  }
+
+  /**
+   * Remove the mapping of a product or variant
+   * @param {string} accountId - BookingKit account
+   * @param {string|number} productId - Shopify product ID
+   * @param {string|number} variantId - Shopify variant ID, or null for the product mapping
+   * @returns {boolean} True if a mapping was removed
+   */
+  remove(accountId, productId, variantId = null) {
+    const mappings = this.store.data.accounts[accountId] || {};
+    const key = mappingKey(productId, variantId);
+
+    if (!mappings[key]) {
+      return false;
+    }
+
+    delete mappings[key];
+    this.store.save();
+    return true;
+  }
+}
+
+/**
+ * Store key of a product ('123') or variant ('123:456') mapping
+ */
+function mappingKey(productId, variantId = null) {
+  return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+BookingKitEventMap.EVENT_ID_PATTERN = EVENT_ID_PATTERN;
+
+module.exports = BookingKitEventMap;
@@ -1,12 +1,47 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const moment = require('moment-timezone');
+const BookingKitTokenStore = require('./bookingkitTokenStore');
+const BookingKitAuditLog = require('./bookingkitAuditLog');
+const BookingKitEventMap = require('./bookingkitEventMap');
+const JsonFileStore = require('./jsonFileStore');
+const ShopifyService = require('./shopifyService');
+const { formatCowlendarDate } = require('./cowlendarDateParser');
+const { formatMinorUnits, moneyPayload } = require('./money');
+const { participantsPayload } = require('./cowlendarProperties');
+
+// In-flight token refreshes per account, shared by every service instance
+const pendingRefreshes = new Map();
+
+// Service instances per account, see BookingKitService.forAccount
+const accountServices = new Map();
+
+// Tail of the pushes queued per account and Shopify booking, see withBookingLock
+const bookingLocks = new Map();
+
+// BookingKit account IDs name the connected vendor, e.g. 'venchi'
+const ACCOUNT_ID_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+// What a BookingKit reschedule or cancellation does to the Shopify order
+const RESCHEDULE_POLICIES = ['date', 'note', 'ignore'];
+const CANCELLATION_POLICIES = ['note', 'refund', 'cancel', 'ignore'];
 
 class BookingKitService {
-  constructor() {
+  /**
+   * BookingKit API client for one connected BookingKit account
+   * @param {string} accountId - Account whose OAuth tokens are used (default: BOOKINGKIT_DEFAULT_ACCOUNT or 'default')
+   */
+  constructor(accountId = BookingKitService.defaultAccountId()) {
+    this.accountId = accountId;
     this.clientId = process.env.BOOKINGKIT_CLIENT_ID;
     this.clientSecret = process.env.BOOKINGKIT_CLIENT_SECRET;
     this.baseUrl = process.env.BOOKINGKIT_BASE_URL || 'https://api.bookingkit.com/v3';
-    this.webhookSecret = process.env.BOOKINGKIT_WEBHOOK_SECRET;
+    // Comma-separated, newest first: every listed secret is accepted while one is being rotated
+    this.webhookSecrets = (process.env.BOOKINGKIT_WEBHOOK_SECRET || '')
+      .split(',')
+      .map(secret => secret.trim())
+      .filter(Boolean);
+    this.webhookTolerance = parseInt(process.env.BOOKINGKIT_WEBHOOK_TOLERANCE_SECONDS) || 300;
 
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -16,8 +51,79 @@ class BookingKitService {
       }
     });
 
-    // Store access tokens in memory (in production, use Redis or database)
-    this.accessTokens = new Map();
+    // Encrypted, persistent OAuth tokens of every connected account
+    this.tokenStore = new BookingKitTokenStore();
+
+    // Shopify booking ID -> BookingKit booking ID per account, for idempotent syncs
+    this.syncMappings = JsonFileStore.open('bookingkit-sync', { accounts: {} });
+
+    // Shopify product/variant -> BookingKit event, so synced bookings land on a real date slot
+    this.eventMap = new BookingKitEventMap();
+
+    // Write-back of BookingKit webhooks into Shopify, and the record of what it changed
+    this.shopifyService = new ShopifyService();
+    this.auditLog = new BookingKitAuditLog();
+  }
+
+  /**
+   * Account used when none is given
+   * @returns {string} Default BookingKit account ID
+   */
+  static defaultAccountId() {
+    return (process.env.BOOKINGKIT_DEFAULT_ACCOUNT || 'default').toLowerCase();
+  }
+
+  /**
+   * Shared service instance for an account
+   * @param {string} accountId - BookingKit account ID (default account if omitted)
+   * @returns {BookingKitService} Service bound to the account
+   */
+  static forAccount(accountId) {
+    const id = (accountId || BookingKitService.defaultAccountId()).toLowerCase();
+
+    if (!accountServices.has(id)) {
+      accountServices.set(id, new BookingKitService(id));
+    }
+
+    return accountServices.get(id);
+  }
+
+  /**
+   * Service for the BookingKit account of a provider
+   * Uses the account named after the provider if it has connected, otherwise the default account
+   * @param {string} provider - Provider (host or vendor) name
+   * @returns {BookingKitService} Service bound to the account
+   */
+  static forProvider(provider) {
+    const accountId = String(provider || '').toLowerCase();
+    const connected = BookingKitService.listAccounts().some(account => account.account === accountId);
+
+    return BookingKitService.forAccount(connected ? accountId : null);
+  }
+
+  /**
+   * Connection status of every BookingKit account, without tokens
+   * @returns {Array} Account statuses
+   */
+  static listAccounts() {
+    return new BookingKitTokenStore().list();
+  }
+
+  /**
+   * OAuth authorization URL the account owner visits to connect BookingKit
+   * @param {string} redirectUri - Callback URL receiving the authorization code
+   * @param {string} state - CSRF state, checked again in the callback
+   * @returns {string} Authorization URL
+   */
+  getAuthorizationUrl(redirectUri, state) {
+    const authUrl = new URL(`${this.baseUrl}/oauth/authorize`);
+    authUrl.searchParams.set('client_id', this.clientId);
+    authUrl.searchParams.set('redirect_uri', redirectUri);
+    authUrl.searchParams.set('response_type', 'code');
+    authUrl.searchParams.set('scope', 'bookings:read bookings:write webhooks:manage');
+    authUrl.searchParams.set('state', state);
+
+    return authUrl.toString();
   }
 
   /**
@@ -38,14 +144,7 @@ class BookingKitService {
       });
 
       const tokenData = response.data;
-
-      // Store the token (in production, persist to database)
-      this.accessTokens.set(this.clientId, {
-        access_token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token,
-        expires_at: Date.now() + (tokenData.expires_in * 1000),
-        token_type: tokenData.token_type
-      });
+      this.tokenStore.save(this.accountId, tokenData);
 
       return tokenData;
     } catch (error) {
@@ -56,10 +155,28 @@ class BookingKitService {
 
   /**
    * Refresh access token using refresh token
+   * Concurrent calls for the same account share one request; if BookingKit rejects
+   * the refresh token the account is marked as needing re-authorization
+   * @param {string} refreshToken - The refresh token
+   * @returns {Promise<Object>} New token response
+   */
+  refreshToken(refreshToken) {
+    if (!pendingRefreshes.has(this.accountId)) {
+      const refresh = this.requestTokenRefresh(refreshToken).finally(() => {
+        pendingRefreshes.delete(this.accountId);
+      });
+      pendingRefreshes.set(this.accountId, refresh);
+    }
+
+    return pendingRefreshes.get(this.accountId);
+  }
+
+  /**
+   * Exchange a refresh token for new tokens and store them
    * @param {string} refreshToken - The refresh token
    * @returns {Promise<Object>} New token response
    */
-  async refreshToken(refreshToken) {
+  async requestTokenRefresh(refreshToken) {
     try {
       const response = await this.client.post('/oauth/token', {
         grant_type: 'refresh_token',
@@ -70,18 +187,20 @@ class BookingKitService {
 
       const tokenData = response.data;
 
-      // Update stored token
-      this.accessTokens.set(this.clientId, {
-        access_token: tokenData.access_token,
-        refresh_token: tokenData.refresh_token || refreshToken, // Some providers don't return new refresh token
-        expires_at: Date.now() + (tokenData.expires_in * 1000),
-        token_type: tokenData.token_type
-      });
+      // Some providers don't return a new refresh token
+      this.tokenStore.save(this.accountId, tokenData, refreshToken);
 
       return tokenData;
     } catch (error) {
-      console.error('Error refreshing token:', error.response?.data || error.message);
-      throw new Error(`Failed to refresh token: ${error.response?.data?.error || error.message}`);
+      const reason = error.response?.data?.error || error.message;
+      console.error(`Error refreshing token for BookingKit account "${this.accountId}":`, error.response?.data || error.message);
+
+      // A rejected refresh token will not start working again; network errors and 5xx might
+      if (error.response && error.response.status >= 400 && error.response.status < 500) {
+        this.tokenStore.markNeedsReauthorization(this.accountId, `Token refresh rejected: ${reason}`);
+      }
+
+      throw new Error(`Failed to refresh token: ${reason}`);
     }
   }
 
@@ -90,22 +209,26 @@ class BookingKitService {
    * @returns {Promise<string>} Valid access token
    */
   async getValidAccessToken() {
-    const tokenData = this.accessTokens.get(this.clientId);
+    const tokenData = this.tokenStore.get(this.accountId);
 
     if (!tokenData) {
-      throw new Error('No access token available. Please complete OAuth flow first.');
+      throw new Error(`No access token available for BookingKit account "${this.accountId}". Please complete OAuth flow first.`);
+    }
+
+    if (tokenData.status === 'needs_reauthorization') {
+      throw new Error(`BookingKit account "${this.accountId}" needs re-authorization. Please complete OAuth flow again.`);
     }
 
     // Check if token is expired (with 5 minute buffer)
-    const isExpired = Date.now() >= (tokenData.expires_at - 300000); // 5 minutes before expiry
+    const isExpired = Date.now() >= (tokenData.expiresAt - 300000); // 5 minutes before expiry
 
-    if (isExpired && tokenData.refresh_token) {
-      console.log('Access token expired, refreshing...');
-      const newTokenData = await this.refreshToken(tokenData.refresh_token);
+    if (isExpired && tokenData.refreshToken) {
+      console.log(`Access token for BookingKit account "${this.accountId}" expired, refreshing...`);
+      const newTokenData = await this.refreshToken(tokenData.refreshToken);
       return newTokenData.access_token;
     }
 
-    return tokenData.access_token;
+    return tokenData.accessToken;
   }
 
   /**
@@ -189,38 +312,481 @@ class BookingKitService {
   }
 
   /**
-   * Verify webhook signature for security
-   * @param {string} payload - Raw webhook payload
-   * @param {string} signature - Webhook signature from headers
-   * @returns {boolean} True if signature is valid
+   * Get the events (bookable products) of the account
+   * @returns {Promise<Array>} BookingKit events ({ id, title, ... })
    */
-  verifyWebhookSignature(payload, signature) {
-    if (!this.webhookSecret) {
-      console.warn('No webhook secret configured - skipping signature verification');
-      return true; // Allow in development
+  async getEvents() {
+    const response = await this.makeAuthenticatedRequest('GET', '/events');
+    return response.data || response;
+  }
+
+  /**
+   * Get the dates (bookable slots) of an event on one day
+   * @param {string} eventId - BookingKit event ID
+   * @param {string} day - Day as YYYY-MM-DD
+   * @returns {Promise<Array>} BookingKit dates ({ id, event_id, start_date, end_date, ... })
+   */
+  async getEventDates(eventId, day) {
+    const queryParams = new URLSearchParams({ event_id: eventId, start_date: day, end_date: day }).toString();
+    const response = await this.makeAuthenticatedRequest('GET', `/dates?${queryParams}`);
+    return response.data || response;
+  }
+
+  /**
+   * BookingKit event a Shopify booking's product or variant is mapped to
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Object|null} Event mapping, see BookingKitEventMap
+   */
+  getEventMapping(shopifyOrder) {
+    return this.eventMap.get(this.accountId, shopifyOrder.productId, shopifyOrder.variantId);
+  }
+
+  /**
+   * Find the BookingKit date slot a Shopify booking belongs to
+   * The slot must start at the booking's start time; all-day bookings take the only slot of
+   * their day. Dates rescheduled in BookingKit under the 'note' policy are looked up instead
+   * of the Shopify date. Unmapped products get no slot, or fail when
+   * BOOKINGKIT_REQUIRE_EVENT_MAPPING=true.
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object|null} mapping - Sync record of the booking
+   * @returns {Promise<Object|null>} { event_id, date_id }, or null for unmapped products
+   */
+  async resolveEventSlot(shopifyOrder, mapping = null) {
+    const eventMapping = this.getEventMapping(shopifyOrder);
+
+    if (!eventMapping) {
+      if (process.env.BOOKINGKIT_REQUIRE_EVENT_MAPPING === 'true') {
+        throw new Error(`No BookingKit event mapped to product ${shopifyOrder.productId}${shopifyOrder.variantId ? ` (variant ${shopifyOrder.variantId})` : ''} in account ${this.accountId}`);
+      }
+      return null;
     }
 
-    try {
-      const expectedSignature = crypto
-        .createHmac('sha256', this.webhookSecret)
-        .update(payload, 'utf8')
-        .digest('hex');
+    const startDateTime = mapping?.bookingkitSchedule?.start_date || shopifyOrder.startDateTime;
+    const start = moment.parseZone(startDateTime);
+    const day = start.format('YYYY-MM-DD');
+    const dates = await this.getEventDates(eventMapping.event_id, day);
+    const slots = Array.isArray(dates) ? dates : [];
+
+    const matches = shopifyOrder.allDay
+      ? slots.filter(slot => moment.parseZone(slot.start_date).format('YYYY-MM-DD') === day)
+      : slots.filter(slot => moment(slot.start_date).valueOf() === start.valueOf());
+
+    if (matches.length === 0) {
+      const available = slots.map(slot => moment(slot.start_date).utcOffset(start.utcOffset()).format('HH:mm')).join(', ') || 'none';
+      throw new Error(`No BookingKit date of event ${eventMapping.event_id} starts at ${startDateTime} (dates on ${day}: ${available})`);
+    }
 
-      const providedSignature = signature.replace('sha256=', '');
+    if (shopifyOrder.allDay && matches.length > 1) {
+      throw new Error(`All-day booking matches ${matches.length} dates of BookingKit event ${eventMapping.event_id} on ${day}; map the product to an event with one date per day`);
+    }
+
+    return { event_id: eventMapping.event_id, date_id: matches[0].id };
+  }
+
+  /**
+   * Suggest BookingKit events for Shopify products that have no event mapping yet
+   * Events are ranked by how many words their title shares with the product's event name;
+   * products whose vendor or provider is this account, or appears in the event title, rank higher
+   * @param {Array} products - { product_id, title, vendor, provider }
+   * @param {Object} options - { limit } suggestions per product (default 3)
+   * @returns {Promise<Array>} { product_id, title, vendor, suggestions: [{ event_id, event_title, confidence }] }
+   */
+  async suggestEventMappings(products, { limit = 3 } = {}) {
+    const events = await this.getEvents();
+    const account = normalizeWords(this.accountId).join(' ');
+
+    return products
+      .filter(product => !this.eventMap.get(this.accountId, product.product_id))
+      .map(product => {
+        const productWords = normalizeWords(product.title);
+        const vendors = [product.vendor, product.provider].filter(Boolean).map(vendor => normalizeWords(vendor).join(' '));
+
+        const suggestions = (Array.isArray(events) ? events : [])
+          .map(event => {
+            const eventWords = normalizeWords(event.title || event.name);
+            const eventTitle = eventWords.join(' ');
+            const vendorMatch = vendors.some(vendor => vendor && (vendor === account || ` ${eventTitle} `.includes(` ${vendor} `)));
+            const confidence = 0.8 * wordSimilarity(productWords, eventWords) + (vendorMatch ? 0.2 : 0);
 
-      return crypto.timingSafeEqual(
-        Buffer.from(expectedSignature),
-        Buffer.from(providedSignature)
-      );
+            return { event_id: String(event.id), event_title: event.title || event.name || null, confidence: Math.round(confidence * 100) / 100 };
+          })
+          .filter(suggestion => suggestion.confidence >= 0.3)
+          .sort((a, b) => b.confidence - a.confidence)
+          .slice(0, limit);
+
+        return { ...product, suggestions };
+      });
+  }
+
+  /**
+   * Check whether the account has a usable OAuth connection
+   * @returns {boolean} True if the OAuth flow has been completed and not invalidated since
+   */
+  isAuthorized() {
+    const status = this.tokenStore.getStatus(this.accountId);
+    return !!status && status.status === 'connected';
+  }
+
+  /**
+   * OAuth connection status of the account, without tokens
+   * @returns {Object|null} Account status, or null if it never connected
+   */
+  getAuthorizationStatus() {
+    return this.tokenStore.getStatus(this.accountId);
+  }
+
+  /**
+   * Find the BookingKit booking created for a Shopify booking
+   * @param {string} externalId - Shopify booking ID ({order_id}-{line_item_id}), or the order ID of legacy bookings
+   * @returns {Promise<Object|null>} BookingKit booking or null
+   */
+  async findBookingByExternalId(externalId) {
+    const bookings = await this.getBookings({ external_id: externalId });
+    return Array.isArray(bookings) && bookings.length > 0 ? bookings[0] : null;
+  }
+
+  /**
+   * Find the BookingKit booking of a Shopify booking that has no sync record yet
+   * Its external_id is the booking ID, or for bookings synced before orders were split per
+   * line item, the bare order ID on the order's first booking
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<string|null>} BookingKit booking ID, or null if it was never synced
+   */
+  async findUnmappedBookingKitId(shopifyOrder) {
+    const booking = await this.findBookingByExternalId(shopifyOrder.bookingId);
+    if (booking) {
+      return booking.id;
+    }
+
+    if (!shopifyOrder.legacyBookingId) {
+      return null;
+    }
+
+    // A legacy booking already linked to another Shopify booking is not taken over
+    const legacy = await this.findBookingByExternalId(String(shopifyOrder.legacyBookingId));
+    return legacy && !this.findSyncMappingByBookingKitId(legacy.id) ? legacy.id : null;
+  }
+
+  /**
+   * Bring BookingKit in line with a parsed Shopify booking
+   * Idempotent: the BookingKit booking ID is remembered per Shopify order + line item, and
+   * a content hash of the last payload sent means unchanged bookings are skipped.
+   * Cancelled or fully refunded bookings are cancelled in BookingKit.
+   * Pushes of the same booking wait for each other, see withBookingLock
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action: 'created'|'updated'|'cancelled'|'skipped', booking_id }
+   */
+  async syncBooking(shopifyOrder) {
+    return this.withBookingLock(shopifyOrder.bookingId, () => this.isCancelledBooking(shopifyOrder)
+      ? this.cancelSyncedBooking(shopifyOrder)
+      : this.upsertBookingForOrder(shopifyOrder));
+  }
+
+  /**
+   * Run a push of one Shopify booking once earlier pushes of it in this account are done
+   * Order webhooks, sync jobs, scheduled syncs and connector pushes all write to BookingKit;
+   * without this, two of them could both find no sync mapping and create the booking twice
+   * @param {string} bookingId - Shopify booking ID ({order_id}-{line_item_id})
+   * @param {Function} task - Async push, reading the sync mapping only once it runs
+   * @returns {Promise<*>} Result of the task
+   */
+  withBookingLock(bookingId, task) {
+    const key = `${this.accountId}:${bookingId}`;
+    const previous = bookingLocks.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+
+    bookingLocks.set(key, tail);
+    tail.then(() => {
+      if (bookingLocks.get(key) === tail) {
+        bookingLocks.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Sync a list of Shopify bookings, one at a time
+   * A failing booking is recorded and does not stop the others
+   * @param {Array} bookings - Parsed Shopify bookings
+   * @param {Object} options - { onResult(result), shouldStop() } hooks for background jobs;
+   *                           shouldStop is checked before each booking
+   * @returns {Promise<Object>} { created, updated, cancelled, skipped, failed, results, stopped }
+   */
+  async syncBookings(bookings, { onResult, shouldStop } = {}) {
+    const summary = { created: 0, updated: 0, cancelled: 0, skipped: 0, failed: 0, results: [], stopped: false };
+
+    for (const booking of bookings) {
+      if (shouldStop && shouldStop()) {
+        summary.stopped = true;
+        break;
+      }
+
+      const result = await this.trySyncBooking(booking);
+      summary[result.status]++;
+      summary.results.push(result);
+
+      if (onResult) {
+        await onResult(result);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Sync one booking, catching the error of a failed sync
+   * @param {Object} booking - Parsed Shopify booking
+   * @returns {Promise<Object>} Result in API response format:
+   *   { booking_id, shopify_order_id, line_item_id, bookingkit_id, status, error }
+   */
+  async trySyncBooking(booking) {
+    const result = {
+      booking_id: booking.bookingId,
+      shopify_order_id: booking.shopifyOrderId,
+      line_item_id: booking.lineItemId
+    };
+
+    try {
+      const { action, booking_id } = await this.syncBooking(booking);
+      return { ...result, bookingkit_id: booking_id, status: action };
     } catch (error) {
-      console.error('Error verifying webhook signature:', error.message);
-      return false;
+      console.error(`Failed to sync booking ${booking.bookingId}:`, error.message);
+      return { ...result, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Whether a Shopify booking should be cancelled in BookingKit
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {boolean} True if the order was cancelled, refunded or voided, or the line item fully refunded
+   */
+  isCancelledBooking(shopifyOrder) {
+    return Boolean(
+      shopifyOrder.cancelledAt ||
+      ['refunded', 'voided'].includes(shopifyOrder.financialStatus) ||
+      (shopifyOrder.quantity > 0 && shopifyOrder.refundedQuantity >= shopifyOrder.quantity)
+    );
+  }
+
+  /**
+   * Create or update the BookingKit booking for a parsed Shopify order; callers hold the booking's lock
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action, booking_id }
+   */
+  async upsertBookingForOrder(shopifyOrder) {
+    if (!shopifyOrder.startDateTime) {
+      throw new Error(`Booking ${shopifyOrder.bookingId} has no start date: ${shopifyOrder.parseError || 'missing Cowlendar date'}`);
+    }
+
+    const mapping = this.getSyncMapping(shopifyOrder.bookingId);
+
+    // Cancelled in BookingKit: Shopify must not bring the booking back
+    if (mapping && mapping.cancelledIn === 'bookingkit') {
+      return { action: 'skipped', booking_id: mapping.bookingkitId };
+    }
+
+    const contentHash = this.syncContentHash(shopifyOrder, mapping);
+    if (mapping && !mapping.cancelled && mapping.contentHash === contentHash) {
+      return { action: 'skipped', booking_id: mapping.bookingkitId };
+    }
+
+    const slot = await this.resolveEventSlot(shopifyOrder, mapping);
+    const bookingKitData = this.bookingKitPayload(shopifyOrder, mapping, slot);
+
+    // Bookings synced before the mapping existed are found by external_id; updating them
+    // moves legacy ones to the current external_id
+    const bookingkitId = mapping
+      ? mapping.bookingkitId
+      : await this.findUnmappedBookingKitId(shopifyOrder);
+
+    if (bookingkitId) {
+      await this.updateBooking(bookingkitId, bookingKitData);
+      this.saveSyncMapping(shopifyOrder, { bookingkitId, contentHash, cancelled: false });
+      return { action: 'updated', booking_id: bookingkitId };
     }
+
+    const result = await this.createBooking(bookingKitData);
+    this.saveSyncMapping(shopifyOrder, { bookingkitId: result.id, contentHash, cancelled: false });
+    return { action: 'created', booking_id: result.id };
+  }
+
+  /**
+   * BookingKit payload for a Shopify booking
+   * Dates rescheduled in BookingKit under the 'note' policy stay in place of the Shopify dates
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object|null} mapping - Sync record of the booking
+   * @param {Object|null} slot - BookingKit { event_id, date_id }, see resolveEventSlot
+   * @returns {Object} BookingKit booking payload
+   */
+  bookingKitPayload(shopifyOrder, mapping, slot = null) {
+    const bookingKitData = this.transformShopifyOrderToBookingKit(shopifyOrder, slot);
+
+    return mapping && mapping.bookingkitSchedule
+      ? { ...bookingKitData, ...mapping.bookingkitSchedule }
+      : bookingKitData;
+  }
+
+  /**
+   * Hash of what a sync would send, used to skip unchanged bookings
+   * Covers the mapped event instead of the date slot, so unchanged bookings are skipped
+   * without looking their slot up
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object|null} mapping - Sync record of the booking
+   * @returns {string} Content hash
+   */
+  syncContentHash(shopifyOrder, mapping) {
+    const eventMapping = this.getEventMapping(shopifyOrder);
+
+    return hashContent({
+      ...this.bookingKitPayload(shopifyOrder, mapping),
+      event_id: eventMapping ? eventMapping.event_id : undefined
+    });
+  }
+
+  /**
+   * Mark the BookingKit booking for a Shopify order as cancelled
+   * Bookings that never reached BookingKit, or were already cancelled, are skipped
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action, booking_id }
+   */
+  async cancelBookingForOrder(shopifyOrder) {
+    return this.withBookingLock(shopifyOrder.bookingId, () => this.cancelSyncedBooking(shopifyOrder));
+  }
+
+  /**
+   * Cancel the BookingKit booking of a Shopify order; callers hold the booking's lock
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @returns {Promise<Object>} { action, booking_id }
+   */
+  async cancelSyncedBooking(shopifyOrder) {
+    const mapping = this.getSyncMapping(shopifyOrder.bookingId);
+
+    if (mapping && mapping.cancelled) {
+      return { action: 'skipped', booking_id: mapping.bookingkitId };
+    }
+
+    const bookingkitId = mapping
+      ? mapping.bookingkitId
+      : await this.findUnmappedBookingKitId(shopifyOrder);
+
+    if (!bookingkitId) {
+      return { action: 'skipped', booking_id: null };
+    }
+
+    await this.updateBooking(bookingkitId, { status: 'cancelled' });
+    this.saveSyncMapping(shopifyOrder, { bookingkitId, contentHash: null, cancelled: true });
+    return { action: 'cancelled', booking_id: bookingkitId };
+  }
+
+  /**
+   * Get the sync record of a Shopify booking in this account
+   * @param {string} bookingId - Shopify booking ID ({order_id}-{line_item_id})
+   * @returns {Object|null} { bookingkitId, contentHash, cancelled, shopifyOrderId, lineItemId, syncedAt }
+   */
+  getSyncMapping(bookingId) {
+    const mappings = this.syncMappings.data.accounts[this.accountId] || {};
+    return mappings[bookingId] || null;
+  }
+
+  /**
+   * Find the sync record of a BookingKit booking in this account
+   * @param {string} bookingkitId - BookingKit booking ID
+   * @returns {Object|null} Sync record with its Shopify `bookingId`
+   */
+  findSyncMappingByBookingKitId(bookingkitId) {
+    const mappings = this.syncMappings.data.accounts[this.accountId] || {};
+    const bookingId = Object.keys(mappings).find(id => String(mappings[id].bookingkitId) === String(bookingkitId));
+
+    return bookingId ? { bookingId, ...mappings[bookingId] } : null;
+  }
+
+  /**
+   * Remember which BookingKit booking a Shopify booking was synced to
+   * Fields of the existing record that are not in `record` are kept
+   * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object} record - { bookingkitId, contentHash, cancelled, cancelledIn, bookingkitSchedule }
+   */
+  saveSyncMapping(shopifyOrder, record) {
+    const accounts = this.syncMappings.data.accounts;
+    accounts[this.accountId] = accounts[this.accountId] || {};
+
+    accounts[this.accountId][shopifyOrder.bookingId] = {
+      ...accounts[this.accountId][shopifyOrder.bookingId],
+      ...record,
+      shopifyOrderId: shopifyOrder.shopifyOrderId,
+      lineItemId: shopifyOrder.lineItemId,
+      syncedAt: new Date().toISOString()
+    };
+
+    this.syncMappings.flush();
+  }
+
+  /**
+   * Verify a webhook's HMAC-SHA256 signature against the raw request body
+   * Accepted headers:
+   * - X-BookingKit-Signature: t=<unix seconds>,v1=<hex>   signed over "<t>.<raw body>"
+   * - X-BookingKit-Signature: sha256=<hex> with X-BookingKit-Timestamp: <unix seconds>, same signed content
+   * - X-BookingKit-Signature: sha256=<hex> alone, signed over the raw body; refused when
+   *   BOOKINGKIT_WEBHOOK_REQUIRE_TIMESTAMP=true
+   * Timestamped signatures older or newer than BOOKINGKIT_WEBHOOK_TOLERANCE_SECONDS (default: 300)
+   * are refused, so a captured webhook cannot be replayed later.
+   * @param {Buffer} rawBody - Raw request body exactly as received
+   * @param {Object} headers - Request headers (lowercase names)
+   * @returns {Object} { valid, error }
+   */
+  verifyWebhookSignature(rawBody, headers = {}) {
+    if (this.webhookSecrets.length === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('BOOKINGKIT_WEBHOOK_SECRET not configured - rejecting webhook');
+        return { valid: false, error: 'Webhook secret not configured' };
+      }
+      console.warn('No BookingKit webhook secret configured - skipping signature verification');
+      return { valid: true, error: null }; // Allow in development
+    }
+
+    const header = headers['x-bookingkit-signature'] || headers['x-webhook-signature'];
+    if (!header) {
+      return { valid: false, error: 'Missing signature' };
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header, headers['x-bookingkit-timestamp']);
+
+    if (timestamp === null && process.env.BOOKINGKIT_WEBHOOK_REQUIRE_TIMESTAMP === 'true') {
+      return { valid: false, error: 'Missing signature timestamp' };
+    }
+
+    if (timestamp !== null) {
+      if (!Number.isFinite(timestamp)) {
+        return { valid: false, error: 'Invalid signature timestamp' };
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > this.webhookTolerance) {
+        return { valid: false, error: 'Signature timestamp outside the replay window' };
+      }
+    }
+
+    const signedContent = timestamp !== null
+      ? Buffer.concat([Buffer.from(`${timestamp}.`), rawBody])
+      : rawBody;
+
+    const matches = this.webhookSecrets.some(secret => {
+      const expected = crypto.createHmac('sha256', secret).update(signedContent).digest();
+
+      return signatures.some(signature => {
+        const provided = Buffer.from(signature, 'hex');
+        return provided.length === expected.length && crypto.timingSafeEqual(expected, provided);
+      });
+    });
+
+    return matches
+      ? { valid: true, error: null }
+      : { valid: false, error: 'Invalid signature' };
   }
 
   /**
    * Process webhook payload
-   * @param {Object} payload - Webhook payload
+   * @param {Object} payload - Webhook payload ({ event_type, data })
    * @returns {Promise<Object>} Processing result
    */
   async processWebhook(payload) {
@@ -248,49 +814,268 @@ class BookingKitService {
 
   /**
    * Handle booking created webhook
+   * Links bookings created from Shopify (by external_id) that have no sync record yet;
+   * bookings made directly in BookingKit are not written to Shopify
    * @param {Object} bookingData - Booking data from webhook
    * @returns {Promise<Object>} Processing result
    */
   async handleBookingCreated(bookingData) {
-    console.log('Handling booking created:', bookingData.id);
-    // Here you can sync the booking with your local database
-    // or trigger other business logic
-    return { processed: true, action: 'booking_created', booking_id: bookingData.id };
+    return this.handleWebhookEvent('booking.created', bookingData, async linked => {
+      if (!linked) {
+        return { action: 'ignored', details: 'Booking was not created from a Shopify order' };
+      }
+
+      return { action: 'linked', details: `Linked to Shopify booking ${linked.booking.bookingId}` };
+    });
   }
 
   /**
    * Handle booking updated webhook
+   * A changed start or end time is written back to the Shopify order following
+   * BOOKINGKIT_RESCHEDULE_POLICY; a booking updated to status 'cancelled' is handled as a cancellation
    * @param {Object} bookingData - Updated booking data
    * @returns {Promise<Object>} Processing result
    */
   async handleBookingUpdated(bookingData) {
-    console.log('Handling booking updated:', bookingData.id);
-    // Handle booking updates
-    return { processed: true, action: 'booking_updated', booking_id: bookingData.id };
+    if (bookingData.status === 'cancelled') {
+      return this.handleBookingCancelled(bookingData, 'booking.updated');
+    }
+
+    return this.handleWebhookEvent('booking.updated', bookingData, async linked => {
+      if (!linked) {
+        return { action: 'ignored', details: 'No linked Shopify booking' };
+      }
+
+      if (!isRescheduled(linked.booking, bookingData)) {
+        return { action: 'unchanged', details: 'Start and end time match Shopify' };
+      }
+
+      return this.rescheduleShopifyBooking(linked, bookingData);
+    });
   }
 
   /**
    * Handle booking cancelled webhook
+   * The Shopify order gets a note and tag, or is refunded or cancelled, following
+   * BOOKINGKIT_CANCELLATION_POLICY; the booking is never pushed to BookingKit again
    * @param {Object} bookingData - Cancelled booking data
+   * @param {string} eventType - Webhook event that reported the cancellation
    * @returns {Promise<Object>} Processing result
    */
-  async handleBookingCancelled(bookingData) {
-    console.log('Handling booking cancelled:', bookingData.id);
-    // Handle booking cancellation
-    return { processed: true, action: 'booking_cancelled', booking_id: bookingData.id };
+  async handleBookingCancelled(bookingData, eventType = 'booking.cancelled') {
+    return this.handleWebhookEvent(eventType, bookingData, async linked => {
+      if (!linked) {
+        return { action: 'ignored', details: 'No linked Shopify booking' };
+      }
+
+      if (linked.mapping.cancelled) {
+        return { action: 'ignored', details: `Already cancelled (in ${linked.mapping.cancelledIn || 'shopify'})` };
+      }
+
+      return this.cancelShopifyBooking(linked);
+    });
+  }
+
+  /**
+   * Run a webhook handler against the linked Shopify booking and record the outcome
+   * Failures are recorded too, then rethrown so BookingKit retries the webhook
+   * @param {string} eventType - Webhook event type
+   * @param {Object} bookingData - Booking data from webhook
+   * @param {Function} handler - async (linked) → { action, policy, details }
+   * @returns {Promise<Object>} Processing result with the audit entry ID
+   */
+  async handleWebhookEvent(eventType, bookingData, handler) {
+    const entry = {
+      account: this.accountId,
+      event_type: eventType,
+      bookingkit_id: bookingData.id
+    };
+
+    let linked = null;
+    try {
+      linked = await this.findLinkedShopifyBooking(bookingData);
+      if (linked) {
+        entry.booking_id = linked.booking.bookingId;
+        entry.shopify_order_id = linked.booking.shopifyOrderId;
+      }
+
+      const outcome = await handler(linked);
+      const audit = this.auditLog.record({ ...entry, ...outcome });
+
+      return {
+        processed: true,
+        action: audit.action,
+        booking_id: bookingData.id,
+        shopify_booking_id: audit.booking_id,
+        audit_id: audit.id
+      };
+
+    } catch (error) {
+      this.auditLog.record({ ...entry, action: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the Shopify booking a BookingKit booking was synced from, with fresh order data
+   * Uses the sync record, or the booking's external_id for bookings synced before records existed:
+   * {order_id}-{line_item_id}, or the bare order ID from before orders were split per line item
+   * @param {Object} bookingData - Booking data from webhook
+   * @returns {Promise<Object|null>} { mapping, booking, order, orderBookings }, or null if not linked
+   */
+  async findLinkedShopifyBooking(bookingData) {
+    let mapping = this.findSyncMappingByBookingKitId(bookingData.id);
+    const bookingId = String(mapping ? mapping.bookingId : bookingData.external_id || '');
+    const legacy = !mapping && /^\d+$/.test(bookingId);
+
+    if (!legacy && !/^\d+-\d+$/.test(bookingId)) {
+      return null;
+    }
+
+    const order = await this.shopifyService.getOrderById(bookingId.split('-')[0]);
+    const orderBookings = await this.shopifyService.parseOrderWithCowlendar(order);
+    const booking = orderBookings.find(candidate => legacy
+      ? String(candidate.legacyBookingId) === bookingId
+      : candidate.bookingId === bookingId);
+
+    // A Shopify booking already synced to another BookingKit booking keeps that link
+    if (!booking || (legacy && this.getSyncMapping(booking.bookingId))) {
+      return null;
+    }
+
+    if (!mapping) {
+      this.saveSyncMapping(booking, { bookingkitId: bookingData.id, contentHash: null, cancelled: false });
+      mapping = { bookingId: booking.bookingId, ...this.getSyncMapping(booking.bookingId) };
+    }
+
+    return { mapping, booking, order, orderBookings };
+  }
+
+  /**
+   * Write a BookingKit reschedule back to the Shopify order
+   * 'date': the new date goes into the line item's "Rescheduled Date #{line_item_id}" note
+   *         attribute, which replaces the Cowlendar Date everywhere the order is read
+   * 'note': only a note and tag; the BookingKit dates are kept for later syncs
+   * 'ignore': nothing is written
+   * @param {Object} linked - Result of findLinkedShopifyBooking
+   * @param {Object} bookingData - Booking data from webhook
+   * @returns {Promise<Object>} Audit outcome
+   */
+  async rescheduleShopifyBooking({ mapping, booking }, bookingData) {
+    const policy = webhookPolicy('BOOKINGKIT_RESCHEDULE_POLICY', RESCHEDULE_POLICIES, 'date');
+    const timezone = bookingData.timezone || booking.timezone;
+    const newDate = formatCowlendarDate({
+      startDateTime: bookingData.start_date,
+      endDateTime: bookingData.end_date || null,
+      timezone,
+      allDay: bookingData.all_day !== undefined ? !!bookingData.all_day : booking.allDay
+    });
+    const oldDate = booking.startDateTime
+      ? formatCowlendarDate({ startDateTime: booking.startDateTime, endDateTime: booking.endDateTime, timezone: booking.timezone, allDay: booking.allDay })
+      : 'no date';
+    const details = `${booking.eventName}: ${oldDate} → ${newDate}`;
+
+    if (policy === 'ignore') {
+      return { action: 'ignored', policy, details };
+    }
+
+    const updatedOrder = await this.shopifyService.annotateOrder(booking.shopifyOrderId, {
+      note: `BookingKit rescheduled ${details}`,
+      tags: ['bookingkit-rescheduled'],
+      noteAttributes: policy === 'date'
+        ? [{ name: ShopifyService.rescheduledDateAttribute(booking.lineItemId), value: newDate }]
+        : []
+    });
+
+    const record = { bookingkitId: mapping.bookingkitId };
+    if (policy === 'note') {
+      record.bookingkitSchedule = { start_date: bookingData.start_date, end_date: bookingData.end_date || null, timezone };
+    }
+
+    // The next Shopify sync should find BookingKit already up to date
+    const rescheduled = (await this.shopifyService.parseOrderWithCowlendar(updatedOrder))
+      .find(candidate => candidate.bookingId === booking.bookingId) || booking;
+    record.contentHash = this.syncContentHash(rescheduled, { ...mapping, ...record });
+    this.saveSyncMapping(booking, record);
+
+    return { action: 'rescheduled', policy, details };
+  }
+
+  /**
+   * Write a BookingKit cancellation back to the Shopify order
+   * 'note': note and tag only
+   * 'refund': refund the line item's remaining quantity
+   * 'cancel': cancel the order when it has no other active booking, otherwise refund the line item
+   * 'ignore': nothing is written
+   * @param {Object} linked - Result of findLinkedShopifyBooking
+   * @returns {Promise<Object>} Audit outcome
+   */
+  async cancelShopifyBooking({ mapping, booking, order, orderBookings }) {
+    const policy = webhookPolicy('BOOKINGKIT_CANCELLATION_POLICY', CANCELLATION_POLICIES, 'note');
+    let action = 'noted';
+    let details = `${booking.eventName} cancelled in BookingKit`;
+
+    if (policy === 'ignore') {
+      action = 'ignored';
+    } else if (this.isCancelledBooking(booking)) {
+      details += '; already cancelled or refunded in Shopify';
+    } else if (policy === 'cancel' && !this.hasOtherActiveBookings(booking, orderBookings)) {
+      await this.shopifyService.cancelOrder(booking.shopifyOrderId, { reason: 'customer' });
+      action = 'order_cancelled';
+    } else if (policy === 'refund' || policy === 'cancel') {
+      const quantity = booking.quantity - booking.refundedQuantity;
+      await this.shopifyService.refundLineItem(booking.shopifyOrderId, booking.lineItemId, quantity, {
+        note: `Cancelled in BookingKit (booking ${mapping.bookingkitId})`
+      });
+      action = 'refunded';
+      details += `; refunded ${quantity} × line item ${booking.lineItemId}`;
+      if (policy === 'cancel') {
+        details += ` (order ${order.name || order.id} has other active bookings)`;
+      }
+    }
+
+    if (policy !== 'ignore') {
+      await this.shopifyService.annotateOrder(booking.shopifyOrderId, {
+        note: `BookingKit cancelled booking ${mapping.bookingkitId}: ${details}`,
+        tags: ['bookingkit-cancelled']
+      });
+    }
+
+    this.saveSyncMapping(booking, { bookingkitId: mapping.bookingkitId, contentHash: null, cancelled: true, cancelledIn: 'bookingkit' });
+
+    return { action, policy, details };
+  }
+
+  /**
+   * Whether another booking of the same order is still active in Shopify and BookingKit
+   * @param {Object} booking - Parsed Shopify booking
+   * @param {Array} orderBookings - Every parsed booking of its order
+   * @returns {boolean} True if the order has another active booking
+   */
+  hasOtherActiveBookings(booking, orderBookings) {
+    return orderBookings.some(other => {
+      const mapping = this.getSyncMapping(other.bookingId);
+      return other.bookingId !== booking.bookingId &&
+        !this.isCancelledBooking(other) &&
+        !(mapping && mapping.cancelled);
+    });
   }
 
   /**
    * Transform Shopify order data to BookingKit format
    * @param {Object} shopifyOrder - Parsed Shopify order with Cowlendar data
+   * @param {Object|null} slot - BookingKit { event_id, date_id } the booking is attached to
    * @returns {Object} BookingKit compatible booking object
    */
-  transformShopifyOrderToBookingKit(shopifyOrder) {
+  transformShopifyOrderToBookingKit(shopifyOrder, slot = null) {
     return {
       // BookingKit booking object structure
-      external_id: shopifyOrder.shopifyOrderId,
+      external_id: shopifyOrder.bookingId,
       source: 'shopify',
 
+      // BookingKit inventory: the event and date slot the booking takes places on
+      ...(slot ? { event_id: slot.event_id, date_id: slot.date_id } : {}),
+
       // Customer information
       customer: {
         first_name: shopifyOrder.customer.firstName,
@@ -305,27 +1090,120 @@ class BookingKitService {
         description: `Event: ${shopifyOrder.eventName}`
       },
 
-      // Event timing
+      // Event timing (ISO 8601 with the event's UTC offset)
       start_date: shopifyOrder.startDateTime,
       end_date: shopifyOrder.endDateTime,
       timezone: shopifyOrder.timezone,
+      all_day: shopifyOrder.allDay,
+      duration_minutes: shopifyOrder.durationMinutes,
+
+      // Headcount: ticket counts of the booking form, or the line item quantity
+      participants: shopifyOrder.participants ? shopifyOrder.participants.total : shopifyOrder.quantity,
 
       // Booking status
-      status: shopifyOrder.financialStatus === 'paid' ? 'confirmed' : 'pending',
+      status: this.isCancelledBooking(shopifyOrder) ? 'cancelled' : (shopifyOrder.financialStatus === 'paid' ? 'confirmed' : 'pending'),
 
-      // Financial information
-      total_amount: shopifyOrder.lineItems.reduce((total, item) => total + parseFloat(item.price), 0),
-      currency: 'EUR', // Adjust based on your currency
+      // Financial information: what the customer paid for the booking after discounts and refunds
+      total_amount: shopifyOrder.money ? Number(formatMinorUnits(shopifyOrder.money.net, shopifyOrder.money.currency)) : null,
+      currency: shopifyOrder.money ? shopifyOrder.money.currency : null,
 
       // Metadata
       metadata: {
+        shopify_order_id: shopifyOrder.shopifyOrderId,
+        shopify_line_item_id: shopifyOrder.lineItemId,
         shopify_order_number: shopifyOrder.orderNumber,
         cowlendar_id: shopifyOrder.cowlendarId,
         host: shopifyOrder.host,
-        provider: shopifyOrder.provider
+        provider: shopifyOrder.provider,
+        money: moneyPayload(shopifyOrder.money),
+        participants: participantsPayload(shopifyOrder.participants),
+        custom_fields: shopifyOrder.customFields || []
       }
     };
   }
 }
 
+/**
+ * Split a signature header into its timestamp and hex signatures
+ * "t=1700000000,v1=abc,v1=def" or "sha256=abc" (timestamp from a separate header, if any)
+ */
+function parseSignatureHeader(header, timestampHeader) {
+  const parts = String(header).split(',').map(part => part.trim());
+  const keyed = parts.filter(part => part.includes('='));
+
+  if (keyed.some(part => part.startsWith('t='))) {
+    return {
+      timestamp: Number(keyed.find(part => part.startsWith('t=')).slice(2)),
+      signatures: keyed.filter(part => part.startsWith('v1=')).map(part => part.slice(3))
+    };
+  }
+
+  return {
+    timestamp: timestampHeader !== undefined ? Number(timestampHeader) : null,
+    signatures: parts.map(part => part.replace(/^sha256=/, ''))
+  };
+}
+
+/**
+ * Policy from the environment, falling back to the default for unknown values
+ */
+function webhookPolicy(name, allowed, fallback) {
+  const policy = (process.env[name] || fallback).toLowerCase();
+
+  if (!allowed.includes(policy)) {
+    console.warn(`Unknown ${name} "${policy}", using "${fallback}"`);
+    return fallback;
+  }
+
+  return policy;
+}
+
+/**
+ * Whether BookingKit's start or end time differs from the Shopify booking
+ */
+function isRescheduled(booking, bookingData) {
+  const sameInstant = (a, b) => (!a && !b) || (!!a && !!b && moment(a).valueOf() === moment(b).valueOf());
+
+  return !!bookingData.start_date && (
+    !sameInstant(booking.startDateTime, bookingData.start_date) ||
+    (bookingData.end_date !== undefined && !sameInstant(booking.endDateTime, bookingData.end_date))
+  );
+}
+
+/**
+ * Lowercase words of a name without accents, for matching product and event names
+ */
+function normalizeWords(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Share of words two names have in common (Dice coefficient, 0 to 1)
+ */
+function wordSimilarity(a, b) {
+  const wordsA = new Set(a);
+  const wordsB = new Set(b);
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Stable hash of a BookingKit payload, used to skip syncing unchanged bookings
+ */
+function hashContent(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+BookingKitService.ACCOUNT_ID_PATTERN = ACCOUNT_ID_PATTERN;
+
 module.exports = BookingKitService;
\ No newline at end of file
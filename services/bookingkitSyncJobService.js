@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const BookingIndexService = require('./bookingIndexService');
+const JsonFileStore = require('./jsonFileStore');
+const { getConnector } = require('./connectors');
+
+// Jobs waiting for the worker, in order, and the worker's current drain of that queue
+const queue = [];
+let draining = null;
+
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'failed', 'cancelled', 'interrupted'];
+
+class BookingKitSyncJobService {
+  /**
+   * Background Shopify → booking platform sync jobs, started from POST /api/bookingkit/sync,
+   * POST /api/bokun/sync and POST /api/connectors/{name}/push
+   * Jobs push through their connector and run one at a time in the process; each job records
+   * its progress and a result per booking in the 'bookingkit-sync-jobs' store so it can be
+   * polled, cancelled and retried. Jobs stored before connectors were added are BookingKit jobs.
+   * @param {BookingIndexService} bookingIndex - Source of the bookings to sync, the same the
+   *                                            scheduled syncs and connector pushes read
+   */
+  constructor(bookingIndex = new BookingIndexService()) {
+    this.bookingIndex = bookingIndex;
+    this.store = JsonFileStore.open('bookingkit-sync-jobs', { jobs: [] });
+    this.historyLimit = parseInt(process.env.JOB_HISTORY_LIMIT) || 200;
+  }
+
+  /**
+   * Create a sync job and queue it
+   * @param {Object} request - { connector, account, provider, order_ids, limit }; connector is
+   *                           the name of the connector to push through (default 'bookingkit')
+   * @returns {Object} Job in API response format, with status 'queued'
+   */
+  enqueue({ connector = 'bookingkit', account, provider = null, order_ids = null, limit = 50 }) {
+    const platform = getConnector(connector);
+    if (!platform || !platform.supports('push')) {
+      throw new Error(`Invalid connector: no booking platform connector named ${connector} pushes bookings`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      connector: platform.name,
+      account: platform.resolveAccount(account),
+      status: 'queued',
+      request: {
+        provider,
+        order_ids,
+        limit: Math.min(parseInt(limit) || 50, 100)
+      },
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      cancel_requested: false,
+      progress: emptyProgress(),
+      error: null,
+      items: []
+    };
+
+    const jobs = this.store.data.jobs;
+    jobs.unshift(job);
+    jobs.splice(this.historyLimit);
+    this.store.save();
+
+    const queued = this.toSummary(job);
+    queue.push(job.id);
+    this.drain();
+
+    return queued;
+  }
+
+  /**
+   * Work through the queue unless the worker is already doing so
+   * @returns {Promise} Resolves once the queue is empty
+   */
+  drain() {
+    if (!draining) {
+      draining = (async () => {
+        while (queue.length > 0) {
+          const job = this.findJob(queue.shift());
+          if (job && job.status === 'queued') {
+            await this.run(job);
+          }
+        }
+      })().finally(() => {
+        draining = null;
+      });
+    }
+
+    return draining;
+  }
+
+  /**
+   * Collect the job's bookings from the booking index and push them one by one, saving progress after each
+   * @param {Object} job - Stored job record
+   */
+  async run(job) {
+    const connector = jobConnector(job);
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.store.save();
+
+    try {
+      const bookings = await this.collectBookings(job.request);
+
+      job.items = bookings.map(booking => ({
+        booking_id: booking.bookingId,
+        shopify_order_id: booking.shopifyOrderId,
+        line_item_id: booking.lineItemId,
+        status: 'pending',
+        error: null,
+        attempts: 0,
+        synced_at: null
+      }));
+      job.progress = countProgress(job.items);
+      this.store.save();
+
+      const { stopped } = await connector.push(bookings, {
+        account: job.account,
+        shouldStop: () => job.cancel_requested,
+        onResult: result => {
+          this.applyResult(job, result);
+          this.store.save();
+        }
+      });
+
+      job.status = stopped ? 'cancelled' : (job.progress.failed > 0 ? 'completed_with_errors' : 'completed');
+
+    } catch (error) {
+      console.error(`${connector.displayName} sync job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finished_at = new Date().toISOString();
+    this.store.save();
+
+    console.log(`🔄 ${connector.displayName} sync job ${job.id} ${job.status}: ${job.progress.processed}/${job.progress.total} bookings processed`);
+  }
+
+  /**
+   * Indexed bookings for a sync request, after picking up Shopify changes since the last index sync
+   * @param {Object} request - { provider, order_ids, limit }
+   * @returns {Promise<Array>} Parsed bookings, newest first
+   */
+  async collectBookings({ provider, order_ids, limit }) {
+    await this.bookingIndex.ensureReady();
+    await this.bookingIndex.sync();
+
+    return this.bookingIndex.select({
+      provider,
+      orderIds: Array.isArray(order_ids) ? order_ids : null,
+      limit: Array.isArray(order_ids) ? 100 : limit
+    });
+  }
+
+  /**
+   * Record a booking's sync result on its job item and recount progress
+   * The item keeps the platform's fields of the result (bookingkit_id, bokun_confirmation_code, ...)
+   */
+  applyResult(job, result) {
+    const item = job.items.find(candidate => candidate.booking_id === result.booking_id);
+    if (!item) {
+      return;
+    }
+
+    const { booking_id, shopify_order_id, line_item_id, status, error, ...platformFields } = result;
+    Object.entries(platformFields)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([field, value]) => { item[field] = value; });
+
+    item.status = status;
+    item.error = error || null;
+    item.attempts++;
+    item.synced_at = new Date().toISOString();
+
+    job.progress = countProgress(job.items);
+  }
+
+  /**
+   * Ask a job to stop
+   * Queued jobs are cancelled immediately; running jobs stop before their next booking
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job in API response format, or null if not found
+   */
+  cancel(id) {
+    const job = this.findJob(id);
+    if (!job) {
+      return null;
+    }
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Invalid state: job ${id} is already ${job.status}`);
+    }
+
+    job.cancel_requested = true;
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finished_at = new Date().toISOString();
+    }
+    this.store.save();
+
+    console.log(`🔄 ${jobConnector(job).displayName} sync job ${id} cancellation requested`);
+    return this.toSummary(job);
+  }
+
+  /**
+   * Sync one failed item of a finished job again, once the booking index has picked up the latest Shopify changes
+   * @param {string} id - Job ID
+   * @param {string} bookingId - Item booking ID ({orderId}-{lineItemId})
+   * @returns {Promise<Object|null>} Updated item, or null if the job or item was not found
+   */
+  async retryItem(id, bookingId) {
+    const job = this.findJob(id);
+    const item = job && job.items.find(candidate => candidate.booking_id === bookingId);
+    if (!item) {
+      return null;
+    }
+
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      throw new Error(`Invalid state: job ${id} is still ${job.status}`);
+    }
+    if (item.status !== 'failed') {
+      throw new Error(`Invalid state: booking ${bookingId} is ${item.status}, only failed bookings can be retried`);
+    }
+
+    await this.bookingIndex.sync();
+    const bookings = (await this.bookingIndex.getOrFetch(item.shopify_order_id)) || [];
+    const booking = bookings.find(candidate => candidate.bookingId === bookingId);
+
+    const result = booking
+      ? (await jobConnector(job).push([booking], { account: job.account })).results[0]
+      : { booking_id: bookingId, status: 'failed', error: `Booking ${bookingId} is no longer in Shopify order ${item.shopify_order_id}` };
+
+    this.applyResult(job, result);
+    if (job.progress.failed === 0 && job.status === 'completed_with_errors') {
+      job.status = 'completed';
+    }
+    this.store.save();
+
+    return item;
+  }
+
+  /**
+   * Mark jobs cut short by a restart as interrupted
+   * Called once at server startup
+   */
+  recoverInterrupted() {
+    let interrupted = false;
+
+    this.store.data.jobs.forEach(job => {
+      if (['queued', 'running'].includes(job.status) && !queue.includes(job.id)) {
+        job.status = 'interrupted';
+        job.finished_at = new Date().toISOString();
+        interrupted = true;
+      }
+    });
+
+    if (interrupted) {
+      this.store.save();
+    }
+  }
+
+  /**
+   * Get a job with its per-booking results
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job in API response format
+   */
+  get(id) {
+    const job = this.findJob(id);
+    return job ? { ...this.toSummary(job), items: job.items } : null;
+  }
+
+  /**
+   * Recent jobs without their items, newest first
+   * @param {Object} filters - { connector, status, limit }
+   * @returns {Array} Jobs in API response format
+   */
+  list({ connector, status, limit = 50 } = {}) {
+    return this.store.data.jobs
+      .filter(job => !connector || jobConnectorName(job) === connector)
+      .filter(job => !status || job.status === status)
+      .slice(0, Math.min(parseInt(limit) || 50, this.historyLimit))
+      .map(job => this.toSummary(job));
+  }
+
+  findJob(id) {
+    return this.store.data.jobs.find(job => job.id === id) || null;
+  }
+
+  toSummary(job) {
+    const { items, ...summary } = job;
+    return { ...summary, connector: jobConnectorName(job), progress: { ...emptyProgress(), ...job.progress } };
+  }
+}
+
+function jobConnectorName(job) {
+  return job.connector || 'bookingkit';
+}
+
+function jobConnector(job) {
+  return getConnector(jobConnectorName(job));
+}
+
+function emptyProgress() {
+  return { total: 0, processed: 0, pending: 0, created: 0, updated: 0, cancelled: 0, skipped: 0, unmapped: 0, failed: 0 };
+}
+
+function countProgress(items) {
+  const progress = emptyProgress();
+  progress.total = items.length;
+
+  items.forEach(item => {
+    progress[item.status]++;
+    if (item.status !== 'pending') {
+      progress.processed++;
+    }
+  });
+
+  return progress;
+}
+
+module.exports = BookingKitSyncJobService;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const JsonFileStore = require('./jsonFileStore');
+
+const CIPHER = 'aes-256-gcm';
+
+class BookingKitTokenStore {
+  /**
+   * OAuth tokens of connected BookingKit accounts, one per account ID (e.g. 'venchi')
+   * Access and refresh tokens are encrypted with AES-256-GCM using
+   * BOOKINGKIT_TOKEN_ENCRYPTION_KEY; the rest of the record is kept in clear for status checks
+   */
+  constructor() {
+    this.store = JsonFileStore.open('bookingkit-tokens', { accounts: {} });
+  }
+
+  /**
+   * Get the decrypted tokens of an account
+   * @param {string} accountId - BookingKit account ID
+   * @returns {Object|null} { accessToken, refreshToken, expiresAt, tokenType, scope, status }
+   */
+  get(accountId) {
+    const account = this.store.data.accounts[accountId];
+    if (!account) {
+      return null;
+    }
+
+    const tokens = JSON.parse(decrypt(account.tokens));
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: account.expiresAt,
+      tokenType: account.tokenType,
+      scope: account.scope,
+      status: account.status
+    };
+  }
+
+  /**
+   * Save tokens from an OAuth token response and mark the account connected
+   * @param {string} accountId - BookingKit account ID
+   * @param {Object} tokenData - Token response ({ access_token, refresh_token, expires_in, token_type, scope })
+   * @param {string|null} previousRefreshToken - Refresh token used for a refresh, kept if the
+   *                                             response has none; null for a new authorization
+   */
+  save(accountId, tokenData, previousRefreshToken = null) {
+    const existing = this.store.data.accounts[accountId];
+    const refreshed = !!(existing && previousRefreshToken);
+    const now = new Date().toISOString();
+
+    this.store.data.accounts[accountId] = {
+      accountId,
+      status: 'connected',
+      tokens: encrypt(JSON.stringify({
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token || previousRefreshToken
+      })),
+      expiresAt: Date.now() + (tokenData.expires_in * 1000),
+      tokenType: tokenData.token_type,
+      scope: tokenData.scope || (existing && existing.scope) || null,
+      connectedAt: refreshed ? existing.connectedAt : now,
+      refreshedAt: refreshed ? now : null,
+      lastError: null
+    };
+
+    this.store.flush();
+  }
+
+  /**
+   * Mark an account as needing the OAuth flow again, e.g. after its refresh token was rejected
+   * @param {string} accountId - BookingKit account ID
+   * @param {string} reason - Error to report in the account status
+   */
+  markNeedsReauthorization(accountId, reason) {
+    const account = this.store.data.accounts[accountId];
+    if (!account) {
+      return;
+    }
+
+    account.status = 'needs_reauthorization';
+    account.lastError = reason;
+    this.store.flush();
+  }
+
+  /**
+   * Forget an account's tokens
+   * @param {string} accountId - BookingKit account ID
+   * @returns {boolean} True if the account existed
+   */
+  remove(accountId) {
+    const existed = !!this.store.data.accounts[accountId];
+    delete this.store.data.accounts[accountId];
+    this.store.flush();
+    return existed;
+  }
+
+  /**
+   * Status of one account without tokens
+   * @param {string} accountId - BookingKit account ID
+   * @returns {Object|null} Account status in API response format
+   */
+  getStatus(accountId) {
+    const account = this.store.data.accounts[accountId];
+    if (!account) {
+      return null;
+    }
+
+    return {
+      account: account.accountId,
+      status: account.status,
+      token_expired: Date.now() >= account.expiresAt,
+      expires_at: new Date(account.expiresAt).toISOString(),
+      scope: account.scope,
+      connected_at: account.connectedAt,
+      refreshed_at: account.refreshedAt,
+      last_error: account.lastError
+    };
+  }
+
+  /**
+   * Status of every account without tokens
+   * @returns {Array} Account statuses sorted by account ID
+   */
+  list() {
+    return Object.keys(this.store.data.accounts)
+      .sort()
+      .map(accountId => this.getStatus(accountId));
+  }
+}
+
+/**
+ * 256-bit key derived from BOOKINGKIT_TOKEN_ENCRYPTION_KEY
+ * Outside production a fixed development key is used when it is not set
+ */
+function encryptionKey() {
+  const secret = process.env.BOOKINGKIT_TOKEN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('BOOKINGKIT_TOKEN_ENCRYPTION_KEY must be set to store BookingKit tokens');
+    }
+    return crypto.createHash('sha256').update('development-only-bookingkit-token-key').digest();
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(encrypted) {
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, encryptionKey(), Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Failed to decrypt BookingKit tokens - was BOOKINGKIT_TOKEN_ENCRYPTION_KEY changed?');
+  }
+}
+
+module.exports = BookingKitTokenStore;
@@ -0,0 +1,86 @@
+const BookingConnector = require('./bookingConnector');
+const BokunService = require('../bokunService');
+
+class BokunConnector extends BookingConnector {
+  /**
+   * Bokun connector: signed REST API with an access key pair, pushing bookings of
+   * products mapped to Bokun activities
+   * @param {BokunService} bokunService - Bokun API client
+   */
+  constructor(bokunService = new BokunService()) {
+    super({ name: 'bokun', displayName: 'Bokun' });
+    this.bokunService = bokunService;
+  }
+
+  /**
+   * Bokun uses static API keys, so there is no flow to run; reports whether they are set
+   * @returns {Promise<Object>} { configured, message }
+   */
+  async authenticate() {
+    const configured = this.bokunService.isConfigured();
+
+    return {
+      configured,
+      message: configured
+        ? 'Bokun API keys are configured'
+        : 'Set BOKUN_ACCESS_KEY and BOKUN_SECRET_KEY to the API key pair created in Bokun'
+    };
+  }
+
+  /**
+   * Bokun checkout request for a booking
+   * @param {Object} booking - Parsed Shopify booking
+   * @returns {Object} Bokun checkout request
+   */
+  transform(booking) {
+    const activity = this.bokunService.getActivityMapping(booking.productId);
+
+    if (!activity) {
+      throw new Error(`Invalid booking: no Bokun activity mapped to product ${booking.productId}`);
+    }
+
+    return this.bokunService.transformShopifyOrderToBokun(booking, activity);
+  }
+
+  /**
+   * Push bookings into Bokun as external bookings
+   * @param {Array} bookings - Parsed Shopify bookings
+   * @param {Object} options - { onResult, shouldStop }
+   * @returns {Promise<Object>} { created, updated, cancelled, skipped, unmapped, failed, results, stopped }
+   */
+  async push(bookings, { onResult, shouldStop } = {}) {
+    this.checkPushReady();
+
+    return this.bokunService.syncBookings(bookings, { onResult, shouldStop });
+  }
+
+  /**
+   * Check that the Bokun API keys are set
+   */
+  checkPushReady() {
+    if (!this.bokunService.isConfigured()) {
+      throw new Error('Invalid state: Bokun is not configured, BOKUN_ACCESS_KEY and BOKUN_SECRET_KEY must be set');
+    }
+  }
+
+  /**
+   * Credentials, activity mappings and API connectivity
+   * @returns {Promise<Object>} Health details
+   */
+  async health() {
+    const health = {
+      credentials_configured: this.bokunService.isConfigured(),
+      base_url: this.bokunService.baseUrl,
+      currency: this.bokunService.currency,
+      mapped_products: this.bokunService.listActivityMappings().length
+    };
+
+    if (health.credentials_configured) {
+      Object.assign(health, await this.bokunService.checkConnectivity());
+    }
+
+    return health;
+  }
+}
+
+module.exports = BokunConnector;
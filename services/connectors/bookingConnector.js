@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+// Operations a connector can implement; each one becomes routes under /api/connectors/{name}
+const OPERATIONS = ['authenticate', 'transform', 'push', 'pull', 'handleWebhook', 'health'];
+
+// How long an OAuth flow started by an admin may take to reach its callback
+const AUTHORIZATION_STATE_TTL_MS = 10 * 60 * 1000;
+
+class BookingConnector {
+  /**
+   * Base class of booking platform connectors (BookingKit, Bokun, ...)
+   * A connector overrides the operations its platform supports; the others throw an
+   * 'Unsupported operation' error and get no routes. Register new connectors in
+   * services/connectors/index.js.
+   * @param {Object} definition - { name, displayName, accounts }
+   *   name: URL-safe connector name, used in /api/connectors/{name}
+   *   accounts: true if the platform has several accounts, selected with ?account=
+   */
+  constructor({ name, displayName, accounts = false }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.accounts = accounts;
+
+    // OAuth state -> { account, expiresAt } of flows waiting for their callback
+    this.authorizationStates = new Map();
+  }
+
+  /**
+   * Issue the single-use state of an OAuth flow for an account
+   * Kept on the server rather than in a session: the flow is started with an admin API key,
+   * while the callback arrives from the browser of whoever logs in to the platform
+   * @param {string|null} account - Account being connected
+   * @returns {string} Unguessable state for the authorization URL
+   */
+  createAuthorizationState(account) {
+    const now = Date.now();
+    for (const [state, pending] of this.authorizationStates) {
+      if (pending.expiresAt <= now) {
+        this.authorizationStates.delete(state);
+      }
+    }
+
+    const state = crypto.randomBytes(32).toString('hex');
+    this.authorizationStates.set(state, { account, expiresAt: now + AUTHORIZATION_STATE_TTL_MS });
+    return state;
+  }
+
+  /**
+   * Redeem the state of an OAuth callback
+   * @param {string} state - State from the callback query
+   * @returns {Object|null} { account } of the flow, or null if the state is unknown, used or expired
+   */
+  consumeAuthorizationState(state) {
+    const pending = typeof state === 'string' ? this.authorizationStates.get(state) : null;
+    if (!pending) {
+      return null;
+    }
+
+    this.authorizationStates.delete(state);
+    return pending.expiresAt > Date.now() ? { account: pending.account } : null;
+  }
+
+  /**
+   * Validate and normalize the account of a request
+   * Platforms with several accounts override this; others ignore the account
+   * @param {string} account - Account from the request, if any
+   * @returns {string|null} Account ID passed to the operations in options.account
+   */
+  resolveAccount(account) {
+    return null;
+  }
+
+  /**
+   * Connect the platform
+   * OAuth platforms return an authorization URL first ({ authorization_url, state }, with the
+   * state from createAuthorizationState) and exchange the code of the callback when it is given;
+   * key-based platforms report their status
+   * @param {Object} request - { account, code, redirectUri }
+   * @returns {Promise<Object>} Authentication result in API response format
+   */
+  async authenticate(request) {
+    throw this.unsupported('authenticate');
+  }
+
+  /**
+   * Platform payload for a booking parsed from a Shopify order
+   * May be async when the payload needs platform lookups (e.g. BookingKit date slots)
+   * @param {Object} booking - Parsed Shopify booking
+   * @param {Object} options - { account }
+   * @returns {Object|Promise<Object>} Payload the connector would send
+   */
+  transform(booking, options = {}) {
+    throw this.unsupported('transform');
+  }
+
+  /**
+   * Create, update or cancel the platform's bookings to match Shopify, one at a time
+   * Pushes run in background sync jobs, which follow them through the options' hooks
+   * @param {Array} bookings - Parsed Shopify bookings
+   * @param {Object} options - { account, onResult(result), shouldStop() }; shouldStop is
+   *                           checked before each booking
+   * @returns {Promise<Object>} Counts per action, a result per booking ({ booking_id, status, error, ... })
+   *                            and whether the push was stopped ({ ..., results, stopped })
+   */
+  async push(bookings, options = {}) {
+    throw this.unsupported('push');
+  }
+
+  /**
+   * Check that bookings can be pushed, so a push job is not queued for a platform that is
+   * not connected; connectors implementing push override this
+   * @param {Object} options - { account }
+   * @throws {Error} 'Invalid state' error naming what is missing
+   */
+  checkPushReady(options = {}) {}
+
+  /**
+   * Read bookings from the platform
+   * @param {Object} filters - Platform-specific filters
+   * @param {Object} options - { account }
+   * @returns {Promise<Array>} Platform bookings
+   */
+  async pull(filters, options = {}) {
+    throw this.unsupported('pull');
+  }
+
+  /**
+   * Verify and accept a webhook from the platform
+   * @param {Object} request - { rawBody, headers, query }; rawBody is the unparsed body Buffer
+   * @returns {Promise<Object>} { status, body } HTTP response to send
+   */
+  async handleWebhook(request) {
+    throw this.unsupported('handleWebhook');
+  }
+
+  /**
+   * Configuration and connectivity of the platform
+   * @param {Object} options - { account }
+   * @returns {Promise<Object>} Health details in API response format
+   */
+  async health(options = {}) {
+    throw this.unsupported('health');
+  }
+
+  /**
+   * Check whether the connector implements an operation
+   * @param {string} operation - One of BookingConnector.OPERATIONS
+   * @returns {boolean} True if the operation is overridden
+   */
+  supports(operation) {
+    return OPERATIONS.includes(operation) && this[operation] !== BookingConnector.prototype[operation];
+  }
+
+  /**
+   * Connector summary for GET /api/connectors
+   * @returns {Object} { name, display_name, accounts, operations }
+   */
+  describe() {
+    return {
+      name: this.name,
+      display_name: this.displayName,
+      accounts: this.accounts,
+      operations: OPERATIONS.filter(operation => this.supports(operation))
+    };
+  }
+
+  unsupported(operation) {
+    return new Error(`Unsupported operation: the ${this.displayName} connector does not implement ${operation}`);
+  }
+}
+
+BookingConnector.OPERATIONS = OPERATIONS;
+
+module.exports = BookingConnector;
@@ -0,0 +1,218 @@
+const BookingConnector = require('./bookingConnector');
+const BookingKitService = require('../bookingkitService');
+const WebhookInboxService = require('../webhookInboxService');
+
+class BookingKitConnector extends BookingConnector {
+  /**
+   * BookingKit connector: OAuth per account, booking sync both ways and signed webhooks
+   * Every operation takes the BookingKit account in options.account (default account if omitted)
+   */
+  constructor() {
+    super({ name: 'bookingkit', displayName: 'BookingKit', accounts: true });
+    this.inbox = new WebhookInboxService();
+  }
+
+  /**
+   * Validate and normalize a BookingKit account ID
+   * @param {string} account - Account from the request, if any
+   * @returns {string} Account ID (default account if omitted)
+   */
+  resolveAccount(account) {
+    if (account !== undefined && account !== null && account !== '' &&
+        (typeof account !== 'string' || !BookingKitService.ACCOUNT_ID_PATTERN.test(account))) {
+      throw new Error('Invalid account: account may only contain letters, digits, "-" and "_"');
+    }
+
+    return (account || BookingKitService.defaultAccountId()).toLowerCase();
+  }
+
+  /**
+   * Start the OAuth flow, or finish it with the callback's authorization code
+   * @param {Object} request - { account, code, redirectUri }
+   * @returns {Promise<Object>} { account, authorization_url, state } or { account, token_info }
+   */
+  async authenticate({ account, code, redirectUri }) {
+    const service = BookingKitService.forAccount(account);
+
+    if (!code) {
+      const state = this.createAuthorizationState(service.accountId);
+      return {
+        account: service.accountId,
+        authorization_url: service.getAuthorizationUrl(redirectUri, state),
+        state
+      };
+    }
+
+    const tokenData = await service.exchangeCodeForToken(code, redirectUri);
+    return {
+      account: service.accountId,
+      token_info: {
+        token_type: tokenData.token_type,
+        expires_in: tokenData.expires_in,
+        scope: tokenData.scope
+      }
+    };
+  }
+
+  /**
+   * BookingKit booking payload, attached to the date slot of the mapped event and
+   * including dates kept from BookingKit reschedules
+   * @param {Object} booking - Parsed Shopify booking
+   * @param {Object} options - { account }
+   * @returns {Promise<Object>} BookingKit booking payload
+   */
+  async transform(booking, { account } = {}) {
+    const service = BookingKitService.forAccount(account);
+    const mapping = service.getSyncMapping(booking.bookingId);
+
+    return service.bookingKitPayload(booking, mapping, await service.resolveEventSlot(booking, mapping));
+  }
+
+  /**
+   * Sync bookings to a BookingKit account, one at a time
+   * @param {Array} bookings - Parsed Shopify bookings
+   * @param {Object} options - { account, onResult, shouldStop }
+   * @returns {Promise<Object>} { created, updated, cancelled, skipped, failed, results, stopped }
+   */
+  async push(bookings, { account, onResult, shouldStop } = {}) {
+    this.checkPushReady({ account });
+
+    return BookingKitService.forAccount(account).syncBookings(bookings, { onResult, shouldStop });
+  }
+
+  /**
+   * Check that the BookingKit account is authorized
+   * @param {Object} options - { account }
+   */
+  checkPushReady({ account } = {}) {
+    const service = BookingKitService.forAccount(account);
+
+    if (!service.isAuthorized()) {
+      throw new Error(`Invalid state: BookingKit account "${service.accountId}" is not authorized`);
+    }
+  }
+
+  /**
+   * Bookings of a BookingKit account
+   * @param {Object} filters - Passed to BookingKit as query parameters
+   * @param {Object} options - { account }
+   * @returns {Promise<Array>} BookingKit bookings
+   */
+  async pull(filters, { account } = {}) {
+    return BookingKitService.forAccount(account).getBookings(filters);
+  }
+
+  /**
+   * Verify a BookingKit webhook and store it in the webhook inbox
+   * Stored events are acknowledged with 202 and processed in the background; redeliveries
+   * of a stored event are acknowledged with 200 without processing them again
+   * @param {Object} request - { rawBody, headers, query } with query.account naming the account
+   * @returns {Promise<Object>} { status, body }
+   */
+  async handleWebhook({ rawBody, headers, query = {} }) {
+    let account;
+    try {
+      account = this.resolveAccount(query.account);
+    } catch (error) {
+      return {
+        status: 400,
+        body: { success: false, error: 'Invalid account', message: error.message.replace('Invalid account: ', '') }
+      };
+    }
+
+    const service = BookingKitService.forAccount(account);
+    const payload = Buffer.isBuffer(rawBody) ? rawBody : Buffer.alloc(0);
+
+    // Verify webhook signature for security
+    const verification = service.verifyWebhookSignature(payload, headers);
+    if (!verification.valid) {
+      console.warn(`Rejected BookingKit webhook for account ${service.accountId}: ${verification.error}`);
+      return {
+        status: 401,
+        body: { success: false, error: 'Invalid signature', message: verification.error }
+      };
+    }
+
+    // Parse the JSON payload
+    let webhookData;
+    try {
+      webhookData = JSON.parse(payload.toString('utf8'));
+      if (!webhookData || typeof webhookData !== 'object') {
+        throw new Error('Payload is not a JSON object');
+      }
+    } catch (parseError) {
+      console.error('Invalid JSON payload:', parseError.message);
+      return {
+        status: 400,
+        body: { success: false, error: 'Invalid JSON payload' }
+      };
+    }
+
+    // Store first, so a crash while processing never loses the event
+    const { event, duplicate } = this.inbox.receive({
+      source: 'bookingkit',
+      account: service.accountId,
+      payload: webhookData,
+      rawBody: payload,
+      headers
+    });
+
+    // Reschedules and cancellations are written back to Shopify by the inbox worker
+    if (!duplicate) {
+      this.inbox.drain();
+    }
+
+    return {
+      status: duplicate ? 200 : 202,
+      body: {
+        success: true,
+        duplicate,
+        event_id: event.event_id,
+        inbox_id: event.id,
+        status: event.status
+      }
+    };
+  }
+
+  /**
+   * Credentials, OAuth token state and API connectivity of an account
+   * @param {Object} options - { account }
+   * @returns {Promise<Object>} Health details
+   */
+  async health({ account } = {}) {
+    const service = BookingKitService.forAccount(account);
+    const authorization = service.getAuthorizationStatus();
+
+    let tokenStatus = 'no_token';
+    if (authorization) {
+      if (authorization.status === 'needs_reauthorization') {
+        tokenStatus = 'needs_reauthorization';
+      } else {
+        tokenStatus = authorization.token_expired ? 'expired' : 'valid';
+      }
+    }
+
+    const health = {
+      account: service.accountId,
+      credentials_configured: !!(service.clientId && service.clientSecret),
+      has_access_token: !!authorization,
+      token_status: tokenStatus,
+      base_url: service.baseUrl
+    };
+
+    // Test API connectivity if we have a valid token
+    if (tokenStatus === 'valid') {
+      try {
+        await service.makeAuthenticatedRequest('GET', '/profile');
+        health.api_connectivity = 'ok';
+      } catch (error) {
+        health.api_connectivity = 'failed';
+        health.api_error = error.message;
+      }
+    }
+
+    return health;
+  }
+}
+
+module.exports = BookingKitConnector;
@@ -0,0 +1,59 @@
+const BookingConnector = require('./bookingConnector');
+const BookingKitConnector = require('./bookingkitConnector');
+const BokunConnector = require('./bokunConnector');
+
+// Connector name -> connector instance, served under /api/connectors/{name}
+const connectors = new Map();
+
+const CONNECTOR_NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Register a booking platform connector
+ * A FareHarbor, Regiondo or Checkfront integration is a BookingConnector subclass
+ * registered here; its routes are generated from the operations it implements
+ * @param {BookingConnector} connector - Connector instance
+ * @returns {BookingConnector} The registered connector
+ */
+function registerConnector(connector) {
+  if (!(connector instanceof BookingConnector)) {
+    throw new Error('Invalid connector: connectors must extend BookingConnector');
+  }
+
+  if (!CONNECTOR_NAME_PATTERN.test(connector.name)) {
+    throw new Error(`Invalid connector: name "${connector.name}" may only contain lowercase letters, digits and "-"`);
+  }
+
+  if (connectors.has(connector.name)) {
+    throw new Error(`Invalid connector: a connector named "${connector.name}" is already registered`);
+  }
+
+  connectors.set(connector.name, connector);
+  return connector;
+}
+
+/**
+ * Get a registered connector
+ * @param {string} name - Connector name
+ * @returns {BookingConnector|null} Connector, or null if none is registered under the name
+ */
+function getConnector(name) {
+  return connectors.get(String(name).toLowerCase()) || null;
+}
+
+/**
+ * Every registered connector
+ * @returns {Array} Connectors in registration order
+ */
+function listConnectors() {
+  return Array.from(connectors.values());
+}
+
+registerConnector(new BookingKitConnector());
+registerConnector(new BokunConnector());
+
+module.exports = {
+  BookingConnector,
+  registerConnector,
+  getConnector,
+  listConnectors
+};
@@ -0,0 +1,260 @@
+const moment = require('moment-timezone');
+
+/**
+ * Parser for the event date strings Cowlendar writes into line item properties
+ * e.g. "30 nov 2025, 17:00 - 18:30 (Europe/Rome)", "sab 6 dicembre 2025, 10.00 - 12.00",
+ * "Nov 30, 2025, 5:00 PM - 6:30 PM (America/New_York)", "30 nov - 2 dic 2025 (Europe/Rome)"
+ */
+
+// Month names and abbreviations (en, it, de, fr), lowercase without accents
+const MONTHS = {
+  january: 1, jan: 1, gennaio: 1, gen: 1, januar: 1, janner: 1, janvier: 1, janv: 1,
+  february: 2, feb: 2, febbraio: 2, februar: 2, fevrier: 2, fevr: 2, fev: 2,
+  march: 3, mar: 3, marzo: 3, marz: 3, maerz: 3, mrz: 3, mars: 3,
+  april: 4, apr: 4, aprile: 4, avril: 4, avr: 4,
+  may: 5, maggio: 5, mag: 5, mai: 5,
+  june: 6, jun: 6, giugno: 6, giu: 6, juni: 6, juin: 6,
+  july: 7, jul: 7, luglio: 7, lug: 7, juli: 7, juillet: 7, juil: 7,
+  august: 8, aug: 8, agosto: 8, ago: 8, aout: 8,
+  september: 9, sep: 9, sept: 9, settembre: 9, set: 9, septembre: 9,
+  october: 10, oct: 10, ottobre: 10, ott: 10, oktober: 10, okt: 10, octobre: 10,
+  november: 11, nov: 11, novembre: 11,
+  december: 12, dec: 12, dicembre: 12, dic: 12, dezember: 12, dez: 12, decembre: 12
+};
+
+// Longest names first so "sept" wins over "sep" and "marzo" over "mar"
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+
+// Date and time tokens, tried in this order at each position
+const TOKEN_PATTERN = new RegExp([
+  `(?<isoYear>\\d{4})-(?<isoMonth>\\d{2})-(?<isoDay>\\d{2})`,
+  `(?<numDay>\\d{1,2})[./](?<numMonth>\\d{1,2})[./](?<numYear>\\d{4})`,
+  `(?<dmDay>\\d{1,2})(?:st|nd|rd|th|er)?\\.?\\s+(?<dmMonth>${MONTH_PATTERN})(?![a-z])\\.?(?:,?\\s+(?<dmYear>\\d{4}))?`,
+  `(?<mdMonth>${MONTH_PATTERN})(?![a-z])\\.?\\s+(?<mdDay>\\d{1,2})(?:st|nd|rd|th)?(?!\\d)(?!\\.?\\s+(?:${MONTH_PATTERN})(?![a-z]))(?:,?\\s+(?<mdYear>\\d{4}))?`,
+  `(?<h12Hour>\\d{1,2})(?:[:.](?<h12Minute>\\d{2}))?\\s*(?<meridiem>a\\.?m\\.?|p\\.?m\\.?)(?![a-z])`,
+  `(?<h24Hour>\\d{1,2})(?::(?<h24Minute>\\d{2})|h(?<h24MinuteFr>\\d{2})?|\\.(?<h24MinuteIt>\\d{2})(?![./]\\d))`
+].join('|'), 'g');
+
+/**
+ * Parse a Cowlendar event date string
+ * Never throws: problems are reported in `parseError` with the other fields left null
+ * @param {string} input - Cowlendar date string
+ * @param {Object} options - Parser options
+ * @param {string} options.defaultTimezone - IANA zone used when the string has none
+ * @returns {Object} { eventDate, endDate, startTime, endTime, timezone, allDay, multiDay,
+ *                     overnight, startDateTime, endDateTime, startDateTimeUtc, endDateTimeUtc,
+ *                     durationMinutes, parseError }
+ *                   startDateTime/endDateTime are ISO 8601 with the event's UTC offset,
+ *                   the *Utc fields are the same instants in UTC
+ */
+function parseCowlendarDate(input, options = {}) {
+  const defaultTimezone = options.defaultTimezone || 'UTC';
+
+  if (!input || !String(input).trim()) {
+    return failure(defaultTimezone, 'Missing event date');
+  }
+
+  let text = normalize(String(input));
+
+  // Time zone in trailing parentheses, e.g. "(Europe/Rome)"
+  let timezone = defaultTimezone;
+  const timezoneMatch = text.match(/\(([^)]+)\)\s*$/);
+  if (timezoneMatch) {
+    timezone = String(input).match(/\(([^)]+)\)\s*$/)[1].trim();
+    text = text.slice(0, timezoneMatch.index).trim();
+  }
+
+  if (!moment.tz.zone(timezone)) {
+    return failure(timezone, `Unknown time zone "${timezone}"`);
+  }
+
+  const { dates, times } = tokenize(text);
+
+  if (dates.length === 0) {
+    const unknownMonth = text.match(/\d{1,2}\.?\s+([a-z]+)\.?\s+\d{4}/);
+    return failure(timezone, unknownMonth
+      ? `Unknown month "${unknownMonth[1]}"`
+      : `Unrecognized date format: "${input}"`);
+  }
+
+  if (dates.length > 2 || times.length > 2) {
+    return failure(timezone, `Too many dates or times in "${input}"`);
+  }
+
+  // "30 nov - 2 dic 2025": the first date borrows the year of the second
+  const [start, end = { ...start }] = dates;
+  if (!start.year) {
+    start.year = end.year && (start.month > end.month) ? end.year - 1 : end.year;
+  }
+
+  if (!start.year || !end.year) {
+    return failure(timezone, `Missing year in "${input}"`);
+  }
+
+  const startDate = moment.tz([start.year, start.month - 1, start.day], timezone);
+  let endDate = moment.tz([end.year, end.month - 1, end.day], timezone);
+
+  if (!startDate.isValid() || !endDate.isValid()) {
+    return failure(timezone, `Invalid calendar date in "${input}"`);
+  }
+
+  if (endDate.isBefore(startDate)) {
+    return failure(timezone, `End date is before start date in "${input}"`);
+  }
+
+  const invalidTime = times.find(time => time.hour > 23 || time.minute > 59);
+  if (invalidTime) {
+    return failure(timezone, `Invalid time in "${input}"`);
+  }
+
+  const [startTime, endTime] = times;
+  const multiDay = !endDate.isSame(startDate, 'day');
+  let overnight = false;
+
+  // Single-day event running past midnight, e.g. "22:00 - 01:30"
+  if (!multiDay && startTime && endTime && toMinutes(endTime) <= toMinutes(startTime)) {
+    endDate = endDate.clone().add(1, 'day');
+    overnight = true;
+  }
+
+  const startDateTime = startTime ? at(startDate, startTime) : startDate.clone();
+  let endDateTime = null;
+  if (endTime) {
+    endDateTime = at(endDate, endTime);
+  } else if (!startTime) {
+    // All-day events end at midnight after the last day
+    endDateTime = endDate.clone().add(1, 'day');
+  }
+
+  return {
+    eventDate: startDate.format('YYYY-MM-DD'),
+    endDate: endDate.format('YYYY-MM-DD'),
+    startTime: startTime ? formatTime(startTime) : null,
+    endTime: endTime ? formatTime(endTime) : null,
+    timezone,
+    allDay: !startTime,
+    multiDay,
+    overnight,
+    startDateTime: startDateTime.format(),
+    endDateTime: endDateTime ? endDateTime.format() : null,
+    startDateTimeUtc: startDateTime.toISOString(),
+    endDateTimeUtc: endDateTime ? endDateTime.toISOString() : null,
+    // Elapsed minutes, so events spanning a DST change get their real length
+    durationMinutes: endDateTime ? endDateTime.diff(startDateTime, 'minutes') : null,
+    parseError: null
+  };
+}
+
+/**
+ * Lowercase, strip accents and unify dashes/spaces so one pattern covers every locale
+ */
+function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\u2012-\u2015\u2212]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into date and time tokens in the order they appear
+ */
+function tokenize(text) {
+  const dates = [];
+  const times = [];
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const g = match.groups;
+
+    if (g.isoYear) {
+      dates.push({ year: +g.isoYear, month: +g.isoMonth, day: +g.isoDay });
+    } else if (g.numDay) {
+      dates.push({ year: +g.numYear, month: +g.numMonth, day: +g.numDay });
+    } else if (g.dmDay) {
+      dates.push({ year: g.dmYear ? +g.dmYear : null, month: MONTHS[g.dmMonth], day: +g.dmDay });
+    } else if (g.mdMonth) {
+      dates.push({ year: g.mdYear ? +g.mdYear : null, month: MONTHS[g.mdMonth], day: +g.mdDay });
+    } else if (g.h12Hour) {
+      const hour = +g.h12Hour;
+      if (hour < 1 || hour > 12) {
+        times.push({ hour: 99, minute: 0 });
+        continue;
+      }
+      const pm = g.meridiem.startsWith('p');
+      times.push({ hour: (hour % 12) + (pm ? 12 : 0), minute: +(g.h12Minute || 0) });
+    } else if (g.h24Hour) {
+      times.push({ hour: +g.h24Hour, minute: +(g.h24Minute || g.h24MinuteFr || g.h24MinuteIt || 0) });
+    }
+  }
+
+  return { dates, times };
+}
+
+function toMinutes(time) {
+  return time.hour * 60 + time.minute;
+}
+
+function formatTime(time) {
+  return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+}
+
+function at(date, time) {
+  return date.clone().set({ hour: time.hour, minute: time.minute, second: 0, millisecond: 0 });
+}
+
+function failure(timezone, parseError) {
+  return {
+    eventDate: null,
+    endDate: null,
+    startTime: null,
+    endTime: null,
+    timezone,
+    allDay: false,
+    multiDay: false,
+    overnight: false,
+    startDateTime: null,
+    endDateTime: null,
+    startDateTimeUtc: null,
+    endDateTimeUtc: null,
+    durationMinutes: null,
+    parseError
+  };
+}
+
+/**
+ * Format an event as a Cowlendar date string that parseCowlendarDate reads back
+ * e.g. "30 nov 2025, 17:00 - 18:30 (Europe/Rome)", "30 nov 2025 - 2 dec 2025 (Europe/Rome)"
+ * @param {Object} event - { startDateTime, endDateTime, timezone, allDay }; all-day events end
+ *                         at midnight after their last day, like the parser's output
+ * @returns {string} Cowlendar date string
+ */
+function formatCowlendarDate({ startDateTime, endDateTime = null, timezone = 'UTC', allDay = false }) {
+  const start = moment.tz(startDateTime, timezone).locale('en');
+  const end = endDateTime ? moment.tz(endDateTime, timezone).locale('en') : null;
+  const day = date => date.format('D MMM YYYY').toLowerCase();
+
+  if (allDay) {
+    const lastDay = end ? end.clone().subtract(1, 'day') : start;
+    const days = lastDay.isAfter(start, 'day') ? `${day(start)} - ${day(lastDay)}` : day(start);
+    return `${days} (${timezone})`;
+  }
+
+  if (!end) {
+    return `${day(start)}, ${start.format('HH:mm')} (${timezone})`;
+  }
+
+  // Same day, or past midnight by less than a day, is written as a single-day event
+  const singleDay = end.isSame(start, 'day') ||
+    (end.isSame(start.clone().add(1, 'day'), 'day') && end.format('HH:mm') <= start.format('HH:mm'));
+  const days = singleDay ? day(start) : `${day(start)} - ${day(end)}`;
+
+  return `${days}, ${start.format('HH:mm')} - ${end.format('HH:mm')} (${timezone})`;
+}
+
+module.exports = {
+  parseCowlendarDate,
+  formatCowlendarDate,
+  MONTHS
+};
@@ -0,0 +1,149 @@
+/**
+ * Participants and custom fields of Cowlendar bookings
+ * Cowlendar stores the booking form in line item properties next to its own metadata:
+ * ticket counts ("Adults: 2", "Children: 1"), attendee names ("Attendee 1: Ada Lovelace")
+ * and the answers to the host's custom questions ("Dietary requirements: vegan").
+ * Order note attributes carry the questions asked once per checkout; ShopifyService.extractBookingForm
+ * decides which of them belong to a booking.
+ */
+
+// Property names counted as ticket types (en, it, de, fr), lowercase without accents
+const TICKET_TYPES = [
+  'adult', 'adults', 'child', 'children', 'kid', 'kids', 'infant', 'infants', 'baby', 'babies',
+  'youth', 'teen', 'teens', 'senior', 'seniors', 'student', 'students', 'concession', 'concessions',
+  'guest', 'guests', 'participant', 'participants', 'person', 'persons', 'people', 'ticket', 'tickets',
+  'adulto', 'adulti', 'bambino', 'bambini', 'ragazzo', 'ragazzi', 'studente', 'studenti', 'partecipanti', 'persone',
+  'erwachsene', 'erwachsener', 'kind', 'kinder', 'jugendliche', 'studenten', 'teilnehmer', 'personen',
+  'adultes', 'enfant', 'enfants', 'etudiant', 'etudiants', 'personnes'
+];
+
+// Names of attendee properties: "Attendee 1", "Participant name", "Guest 2 name", "Nome partecipante"
+const ATTENDEE_PATTERN = /^(?:(?:full )?(?:name|nome|nom)(?: e cognome)?(?: (?:of|des|du|del))? )?(?:attendee|participant|guest|teilnehmer|partecipante)s?(?: ?#?\d+)?(?: (?:full )?name)?(?: ?#?\d+)?$/;
+
+/**
+ * Normalize a property name for matching: lowercase, no accents, no trailing colon
+ * @param {string} name - Property name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[:\s]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extra ticket type property names configured in COWLENDAR_TICKET_PROPERTIES
+ * @returns {Array} Normalized names
+ */
+function configuredTicketTypes() {
+  return (process.env.COWLENDAR_TICKET_PROPERTIES || '')
+    .split(',')
+    .map(normalizeName)
+    .filter(Boolean);
+}
+
+/**
+ * Ticket count held by a property, if it is a ticket type property
+ * @param {Object} property - { name, value }
+ * @param {Array} ticketTypes - Normalized ticket type names
+ * @returns {number|null} Count, or null for any other property
+ */
+function ticketCount(property, ticketTypes) {
+  const value = String(property.value ?? '').trim();
+
+  if (!ticketTypes.includes(normalizeName(property.name)) || !/^\d{1,4}$/.test(value)) {
+    return null;
+  }
+
+  return Number(value);
+}
+
+/**
+ * Ticket type of a variant sold as a ticket, e.g. "Adult" or "Child"
+ * @param {string} variantTitle - Shopify variant title
+ * @returns {string|null} Ticket type, or null for the default variant
+ */
+function variantTicketType(variantTitle) {
+  return variantTitle && variantTitle !== 'Default Title' ? variantTitle : null;
+}
+
+/**
+ * Split the booking form of a Cowlendar line item into participants and custom fields
+ * - participants.byTicketType: ticket type properties with a count; without any, one entry
+ *   for the line item quantity, typed by the variant title when tickets are sold as variants
+ * - participants.total: sum of the ticket counts, or the line item quantity
+ * - participants.attendees: values of attendee name properties, in order
+ * - customFields: every other property (source 'line_item') and note attribute (source 'order')
+ * Callers pass the properties and note attributes without Cowlendar's own metadata
+ * @param {Object} form - { properties, noteAttributes, quantity, variantTitle }
+ * @returns {Object} { participants: { total, byTicketType, attendees }, customFields }
+ */
+function parseBookingForm({ properties = [], noteAttributes = [], quantity = 0, variantTitle = null }) {
+  const ticketTypes = [...TICKET_TYPES, ...configuredTicketTypes()];
+  const byTicketType = [];
+  const attendees = [];
+  const customFields = [];
+
+  properties.forEach(property => {
+    const count = ticketCount(property, ticketTypes);
+    const value = String(property.value ?? '').trim();
+
+    if (count !== null) {
+      byTicketType.push({ type: String(property.name).replace(/[:\s]+$/, ''), quantity: count });
+    } else if (ATTENDEE_PATTERN.test(normalizeName(property.name))) {
+      if (value) {
+        attendees.push(value);
+      }
+    } else if (value) {
+      customFields.push({ name: property.name, value, source: 'line_item' });
+    }
+  });
+
+  noteAttributes.forEach(attribute => {
+    const value = String(attribute.value ?? '').trim();
+
+    if (value) {
+      customFields.push({ name: attribute.name, value, source: 'order' });
+    }
+  });
+
+  if (byTicketType.length === 0 && quantity > 0) {
+    byTicketType.push({ type: variantTicketType(variantTitle), quantity });
+  }
+
+  return {
+    participants: {
+      total: byTicketType.reduce((total, ticket) => total + ticket.quantity, 0),
+      byTicketType,
+      attendees
+    },
+    customFields
+  };
+}
+
+/**
+ * Participants of a booking in API response format
+ * @param {Object} participants - participants of parseBookingForm
+ * @returns {Object|null} { total, by_ticket_type, attendees }, or null
+ */
+function participantsPayload(participants) {
+  if (!participants) {
+    return null;
+  }
+
+  return {
+    total: participants.total,
+    by_ticket_type: participants.byTicketType.map(ticket => ({ type: ticket.type, quantity: ticket.quantity })),
+    attendees: participants.attendees
+  };
+}
+
+module.exports = {
+  parseBookingForm,
+  participantsPayload,
+  TICKET_TYPES
+};
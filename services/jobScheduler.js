@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const JsonFileStore = require('./jsonFileStore');
+
+// Registered jobs and runs in progress, shared by every scheduler instance in the process
+const jobs = new Map();
+const runningJobs = new Map();
+
+class JobScheduler {
+  /**
+   * Runs background jobs on cron schedules or on demand
+   * A job never overlaps with itself, and every run is recorded in the
+   * 'job-runs' store with its timing, counts and errors
+   */
+  constructor() {
+    this.store = JsonFileStore.open('job-runs', { runs: [] });
+    this.historyLimit = parseInt(process.env.JOB_HISTORY_LIMIT) || 200;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {Object} definition - { schedule, description, provider, run }
+   *   run(run) → Promise<Object> with optional counts/errors for the run record
+   */
+  register(name, definition) {
+    if (definition.schedule && !cron.validate(definition.schedule)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${definition.schedule}`);
+    }
+
+    jobs.set(name, { name, ...definition, task: null });
+  }
+
+  /**
+   * Start the cron schedules of every registered job
+   * Called once at server startup
+   */
+  start() {
+    // Runs still marked running were cut short by a restart
+    let interrupted = false;
+    this.store.data.runs.forEach(run => {
+      if (run.status === 'running' && !runningJobs.has(run.job)) {
+        run.status = 'interrupted';
+        interrupted = true;
+      }
+    });
+    if (interrupted) {
+      this.store.save();
+    }
+
+    jobs.forEach(job => {
+      if (!job.schedule || job.task) {
+        return;
+      }
+
+      job.task = cron.schedule(job.schedule, () => {
+        this.trigger(job.name, 'schedule').catch(error => {
+          console.error(`Scheduled job ${job.name} could not start:`, error.message);
+        });
+      });
+    });
+  }
+
+  /**
+   * Start a job run now
+   * Resolves as soon as the run has started; the run itself continues in the background
+   * @param {string} name - Job name
+   * @param {string} trigger - What started the run ('schedule' or 'manual')
+   * @returns {Promise<Object>} The run record, with status 'running'
+   */
+  async trigger(name, trigger = 'manual') {
+    const job = jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    if (runningJobs.has(name)) {
+      const error = new Error(`Job already running: ${name}`);
+      error.run = runningJobs.get(name).run;
+      throw error;
+    }
+
+    const run = {
+      id: crypto.randomUUID(),
+      job: name,
+      provider: job.provider || null,
+      trigger,
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      counts: null,
+      errors: []
+    };
+
+    this.record(run);
+
+    const promise = this.execute(job, run).finally(() => {
+      runningJobs.delete(name);
+    });
+    runningJobs.set(name, { run, promise });
+
+    // Snapshot: the stored record keeps changing while the run continues
+    return { ...run };
+  }
+
+  /**
+   * Run a job and complete its run record
+   * @returns {Promise<Object>} Completed run record
+   */
+  async execute(job, run) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.run(run) || {};
+      const { errors = [], ...counts } = result;
+
+      run.counts = counts;
+      run.errors = errors;
+      run.status = errors.length > 0 ? 'completed_with_errors' : 'succeeded';
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error.message);
+      run.status = 'failed';
+      run.errors = [error.message];
+    }
+
+    run.finished_at = new Date().toISOString();
+    run.duration_ms = Date.now() - startedAt;
+    this.store.save();
+
+    console.log(`⏱️  Job ${job.name} ${run.status} in ${run.duration_ms}ms`);
+    return run;
+  }
+
+  /**
+   * Wait for a job's current run, if any
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Completed run record, or null if the job is idle
+   */
+  async waitFor(name) {
+    const running = runningJobs.get(name);
+    return running ? running.promise : null;
+  }
+
+  /**
+   * Add a run to the history, keeping the most recent historyLimit runs
+   */
+  record(run) {
+    const runs = this.store.data.runs;
+    runs.unshift(run);
+    runs.splice(this.historyLimit);
+    this.store.save();
+  }
+
+  /**
+   * Registered jobs with their state
+   * @returns {Array} Jobs in API response format
+   */
+  list() {
+    return Array.from(jobs.values()).map(job => {
+      const lastRun = this.store.data.runs.find(run => run.job === job.name) || null;
+
+      return {
+        name: job.name,
+        description: job.description || null,
+        provider: job.provider || null,
+        schedule: job.schedule || null,
+        scheduled: !!job.task,
+        running: runningJobs.has(job.name),
+        last_run: lastRun
+      };
+    });
+  }
+
+  /**
+   * Whether a job is registered
+   * @param {string} name - Job name
+   * @returns {boolean} True if the job exists
+   */
+  has(name) {
+    return jobs.has(name);
+  }
+
+  /**
+   * Recent runs, newest first
+   * @param {Object} filters - { job, status, limit }
+   * @returns {Array} Run records
+   */
+  getRuns({ job, status, limit = 50 } = {}) {
+    return this.store.data.runs
+      .filter(run => (!job || run.job === job) && (!status || run.status === status))
+      .slice(0, Math.min(parseInt(limit) || 50, this.historyLimit));
+  }
+
+  /**
+   * Get one run
+   * @param {string} id - Run ID
+   * @returns {Object|null} Run record
+   */
+  getRun(id) {
+    return this.store.data.runs.find(run => run.id === id) || null;
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+
+// One store per file, shared by every service instance in the process
+const openStores = new Map();
+
+// Changes saved within this window are written to disk together
+const WRITE_DELAY_MS = process.env.DATA_WRITE_DELAY_MS !== undefined ? parseInt(process.env.DATA_WRITE_DELAY_MS) : 100;
+
+class JsonFileStore {
+  /**
+   * File-backed JSON document store
+   * The whole document is kept in memory; save() batches changes into one atomic write
+   * (temp file renamed into place) and flush() writes them right away
+   * @param {string} filePath - Absolute path of the JSON file
+   * @param {Object} defaults - Initial document when the file does not exist yet
+   */
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.writeTimer = null;
+    this.data = { ...defaults, ...this.load() };
+  }
+
+  /**
+   * Get the shared store for a name, creating it on first use
+   * Files live in DATA_DIR (default: ./data)
+   * @param {string} name - Store name, used as the file name
+   * @param {Object} defaults - Initial document when the file does not exist yet
+   * @returns {JsonFileStore} Shared store instance
+   */
+  static open(name, defaults = {}) {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+    const filePath = path.join(dataDir, `${name}.json`);
+
+    if (!openStores.has(filePath)) {
+      openStores.set(filePath, new JsonFileStore(filePath, defaults));
+    }
+
+    return openStores.get(filePath);
+  }
+
+  /**
+   * Write the pending changes of every open store
+   * Called when the process exits or is stopped
+   */
+  static flushAll() {
+    openStores.forEach(store => {
+      if (store.writeTimer) {
+        try {
+          store.flush();
+        } catch (error) {
+          console.error(`Error writing store ${store.filePath}:`, error.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Read the document from disk
+   * A file that exists but cannot be read or parsed stops the service instead of being
+   * replaced with an empty document on the next save
+   * @returns {Object} Parsed document, or an empty object if the file does not exist
+   */
+  load() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Cannot read store ${this.filePath}: ${error.message}`);
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Store ${this.filePath} is not valid JSON (${error.message}); restore it from a backup or remove it, it has been left unchanged`);
+    }
+  }
+
+  /**
+   * Mark the document changed; it is written within DATA_WRITE_DELAY_MS (default 100)
+   * together with any other change made meanwhile
+   */
+  save() {
+    if (this.writeTimer) {
+      return;
+    }
+
+    this.writeTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (error) {
+        // Keep the changes pending and try again with the next batch
+        console.error(`Error writing store ${this.filePath}:`, error.message);
+        this.save();
+      }
+    }, WRITE_DELAY_MS);
+    this.writeTimer.unref();
+  }
+
+  /**
+   * Write the document to disk now, via a temp file so a crash never leaves it half-written
+   * Used where a change must be on disk before it is acknowledged
+   */
+  flush() {
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+process.on('exit', () => JsonFileStore.flushAll());
+
+module.exports = JsonFileStore;
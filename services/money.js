@@ -0,0 +1,149 @@
+/**
+ * Money of Shopify bookings in integer minor units (cents for EUR and USD, yen for JPY)
+ * Shopify amounts are decimal strings in the shop currency; converting them once, without
+ * floating point arithmetic, keeps totals, refunds and payouts reconcilable to the cent
+ */
+
+// ISO 4217 currencies whose minor unit is not 1/100
+const CURRENCY_DECIMALS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+/**
+ * Number of decimals of a currency's minor unit
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Decimals (2 unless listed in CURRENCY_DECIMALS)
+ */
+function currencyDecimals(currency) {
+  const code = String(currency || '').toUpperCase();
+  return code in CURRENCY_DECIMALS ? CURRENCY_DECIMALS[code] : 2;
+}
+
+/**
+ * Convert a decimal amount to integer minor units
+ * Extra decimals are rounded half away from zero
+ * @param {string|number} amount - Amount such as '25.00', 12.5 or null
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Amount in minor units (0 for empty amounts)
+ */
+function toMinorUnits(amount, currency) {
+  if (amount === null || amount === undefined || amount === '') {
+    return 0;
+  }
+
+  const match = String(amount).trim().match(/^(-)?(\d*)(?:\.(\d*))?$/);
+  if (!match) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const decimals = currencyDecimals(currency);
+  const digits = fraction.padEnd(decimals + 1, '0');
+  const roundUp = Number(digits[decimals]) >= 5 ? 1 : 0;
+  const minor = Number(whole || 0) * 10 ** decimals + Number(digits.slice(0, decimals) || 0) + roundUp;
+
+  return sign && minor !== 0 ? -minor : minor;
+}
+
+/**
+ * Format integer minor units as a decimal string
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Decimal amount, e.g. '25.00'
+ */
+function formatMinorUnits(minor, currency) {
+  const decimals = currencyDecimals(currency);
+  const absolute = String(Math.abs(minor)).padStart(decimals + 1, '0');
+  const whole = absolute.slice(0, absolute.length - decimals);
+  const fraction = absolute.slice(absolute.length - decimals);
+
+  return `${minor < 0 ? '-' : ''}${whole}${decimals > 0 ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Money of one line item of a Shopify order (REST shape), in minor units
+ * - subtotal: unit price × quantity
+ * - discount: discounts allocated to the line, including order-level discounts
+ * - tax: tax lines of the line; already part of the prices when taxesIncluded
+ * - total: what the customer paid for the line (subtotal - discount, plus tax unless included)
+ * - refunded: refunded amount of the line, tax included the same way as total
+ * - net: total - refunded
+ * @param {Object} order - Shopify order with currency, taxes_included, total_price and refunds
+ * @param {Object} lineItem - Line item of the order
+ * @returns {Object} { currency, unitPrice, quantity, subtotal, discount, tax, taxesIncluded,
+ *                     total, refundedQuantity, refunded, net, orderTotal }
+ */
+function lineItemMoney(order, lineItem) {
+  const currency = order.currency || null;
+  const minor = amount => toMinorUnits(amount, currency);
+  const sum = (items, amountOf) => (items || []).reduce((total, item) => total + minor(amountOf(item)), 0);
+
+  const taxesIncluded = !!order.taxes_included;
+  const quantity = lineItem.quantity || 0;
+  const unitPrice = minor(lineItem.price);
+  const subtotal = unitPrice * quantity;
+  const discount = Array.isArray(lineItem.discount_allocations)
+    ? sum(lineItem.discount_allocations, allocation => allocation.amount)
+    : minor(lineItem.total_discount);
+  const tax = sum(lineItem.tax_lines, taxLine => taxLine.price);
+  const total = subtotal - discount + (taxesIncluded ? 0 : tax);
+
+  const refundItems = (order.refunds || [])
+    .flatMap(refund => refund.refund_line_items || [])
+    .filter(refundItem => String(refundItem.line_item_id) === String(lineItem.id));
+  const refundedQuantity = refundItems.reduce((total, refundItem) => total + (refundItem.quantity || 0), 0);
+  const refunded = sum(refundItems, refundItem => refundItem.subtotal) +
+    (taxesIncluded ? 0 : sum(refundItems, refundItem => refundItem.total_tax));
+
+  return {
+    currency,
+    unitPrice,
+    quantity,
+    subtotal,
+    discount,
+    tax,
+    taxesIncluded,
+    total,
+    refundedQuantity,
+    refunded,
+    net: total - refunded,
+    orderTotal: order.total_price !== undefined ? minor(order.total_price) : null
+  };
+}
+
+/**
+ * Money of a booking in API response format
+ * @param {Object} money - Result of lineItemMoney
+ * @returns {Object|null} Amounts in minor units with the currency and its decimals, or null
+ */
+function moneyPayload(money) {
+  if (!money) {
+    return null;
+  }
+
+  return {
+    currency: money.currency,
+    decimals: currencyDecimals(money.currency),
+    unit_price: money.unitPrice,
+    quantity: money.quantity,
+    subtotal: money.subtotal,
+    discount: money.discount,
+    tax: money.tax,
+    taxes_included: money.taxesIncluded,
+    total: money.total,
+    refunded_quantity: money.refundedQuantity,
+    refunded: money.refunded,
+    net: money.net,
+    order_total: money.orderTotal
+  };
+}
+
+module.exports = {
+  currencyDecimals,
+  toMinorUnits,
+  formatMinorUnits,
+  lineItemMoney,
+  moneyPayload
+};
@@ -0,0 +1,580 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const JsonFileStore = require('./jsonFileStore');
+const ShopifyService = require('./shopifyService');
+const { transformForBookingApp } = require('./bookingAppFormat');
+
+// The worker's current pass over due deliveries, and its timer for the next retry
+let draining = null;
+let retryTimer = null;
+
+const EVENT_TYPES = ['booking.created', 'booking.updated', 'booking.cancelled'];
+const DELIVERY_STATUSES = ['pending', 'delivering', 'delivered', 'failed', 'dead'];
+
+// Callbacks may not reach the server's own network: loopback, private, shared (CGNAT),
+// link-local (cloud metadata at 169.254.169.254), unspecified, multicast and reserved addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+['0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16', '224.0.0.0/3']
+  .forEach(range => BLOCKED_ADDRESSES.addSubnet(...rangeParts(range), 'ipv4'));
+['::/127', 'fc00::/7', 'fe80::/10', 'ff00::/8']
+  .forEach(range => BLOCKED_ADDRESSES.addSubnet(...rangeParts(range), 'ipv6'));
+
+class PartnerWebhookService {
+  /**
+   * Webhooks pushed to booking partners (Bokun, BookingIt, ...) when their bookings change
+   * Partners subscribe a callback URL per provider and event type, kept in the 'partner-webhooks'
+   * store with a log of every delivery. Payloads are in the /api/orders booking format and signed
+   * with the subscription's secret; failed deliveries are retried with exponential backoff
+   * (PARTNER_WEBHOOK_RETRY_BASE_SECONDS, default 60) until PARTNER_WEBHOOK_MAX_ATTEMPTS (default 8)
+   * @param {ShopifyService} shopifyService - Service used to match bookings to providers
+   */
+  constructor(shopifyService = new ShopifyService()) {
+    this.shopifyService = shopifyService;
+    this.store = JsonFileStore.open('partner-webhooks', { subscriptions: [], deliveries: [] });
+    this.maxAttempts = parseInt(process.env.PARTNER_WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryBaseMs = (parseInt(process.env.PARTNER_WEBHOOK_RETRY_BASE_SECONDS) || 60) * 1000;
+    this.timeoutMs = parseInt(process.env.PARTNER_WEBHOOK_TIMEOUT_MS) || 10000;
+    this.limit = parseInt(process.env.PARTNER_WEBHOOK_DELIVERY_LIMIT) || 1000;
+  }
+
+  /**
+   * Subscribe a callback URL to booking events of a provider
+   * @param {Object} subscription - { provider, url, events, description }
+   * @returns {Object} { subscription, secret }; the secret is only returned here
+   */
+  subscribe({ provider, url, events = EVENT_TYPES, description = null } = {}) {
+    if (!provider || typeof provider !== 'string') {
+      throw new Error('Invalid subscription: provider is required');
+    }
+
+    validateUrl(url);
+    validateEvents(events);
+
+    const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    const subscription = {
+      id: crypto.randomUUID(),
+      provider: provider.toLowerCase(),
+      url,
+      events: Array.from(new Set(events)),
+      description,
+      active: true,
+      secret,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.store.data.subscriptions.push(subscription);
+    this.store.save();
+
+    console.log(`🔔 Partner webhook ${subscription.id} subscribed for ${subscription.provider}: ${url}`);
+    return { subscription: this.toPublicSubscription(subscription), secret };
+  }
+
+  /**
+   * Change a subscription's URL, events, description or active flag
+   * @param {string} id - Subscription ID
+   * @param {Object} changes - { url, events, description, active }
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Object|null} Subscription, or null if not found in scope
+   */
+  updateSubscription(id, { url, events, description, active } = {}, scope = null) {
+    const subscription = this.findSubscription(id, scope);
+    if (!subscription) {
+      return null;
+    }
+
+    if (url !== undefined) {
+      validateUrl(url);
+      subscription.url = url;
+    }
+
+    if (events !== undefined) {
+      validateEvents(events);
+      subscription.events = Array.from(new Set(events));
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        throw new Error('Invalid subscription: active must be true or false');
+      }
+      subscription.active = active;
+    }
+
+    if (description !== undefined) {
+      subscription.description = description;
+    }
+
+    subscription.updated_at = new Date().toISOString();
+    this.store.save();
+
+    return this.toPublicSubscription(subscription);
+  }
+
+  /**
+   * Delete a subscription; its delivery log is kept
+   * Deliveries still waiting for a retry are abandoned
+   * @param {string} id - Subscription ID
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Object|null} Deleted subscription, or null if not found in scope
+   */
+  unsubscribe(id, scope = null) {
+    const subscription = this.findSubscription(id, scope);
+    if (!subscription) {
+      return null;
+    }
+
+    this.store.data.subscriptions = this.store.data.subscriptions.filter(existing => existing.id !== id);
+    this.store.data.deliveries
+      .filter(delivery => delivery.subscription_id === id && ['pending', 'failed'].includes(delivery.status))
+      .forEach(delivery => {
+        delivery.status = 'dead';
+        delivery.next_attempt_at = null;
+        delivery.last_error = 'Subscription deleted';
+      });
+    this.store.save();
+
+    console.log(`🔔 Partner webhook ${id} unsubscribed`);
+    return this.toPublicSubscription(subscription);
+  }
+
+  /**
+   * Get a subscription without its secret
+   * @param {string} id - Subscription ID
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Object|null} Subscription, or null if not found in scope
+   */
+  getSubscription(id, scope = null) {
+    const subscription = this.findSubscription(id, scope);
+    return subscription ? this.toPublicSubscription(subscription) : null;
+  }
+
+  /**
+   * List subscriptions without their secrets
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Array} Subscriptions
+   */
+  listSubscriptions(scope = null) {
+    return this.store.data.subscriptions
+      .filter(subscription => inScope(subscription, scope))
+      .map(subscription => this.toPublicSubscription(subscription));
+  }
+
+  /**
+   * Queue a booking event for every active subscription of the booking's host
+   * @param {string} eventType - 'booking.created', 'booking.updated' or 'booking.cancelled'
+   * @param {Object} booking - Booking parsed from the Shopify order
+   * @returns {Array} Queued deliveries in API response format
+   */
+  publish(eventType, booking) {
+    const subscriptions = this.store.data.subscriptions.filter(subscription =>
+      subscription.active &&
+      subscription.events.includes(eventType) &&
+      this.shopifyService.matchesHost(booking, subscription.provider)
+    );
+
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data: transformForBookingApp(booking)
+    };
+
+    const deliveries = subscriptions.map(subscription => ({
+      id: crypto.randomUUID(),
+      subscription_id: subscription.id,
+      provider: subscription.provider,
+      url: subscription.url,
+      event_id: event.id,
+      event_type: eventType,
+      booking_id: booking.bookingId,
+      status: 'pending',
+      attempts: 0,
+      created_at: event.created_at,
+      next_attempt_at: event.created_at,
+      delivered_at: null,
+      response_status: null,
+      last_error: null,
+      history: [],
+      payload: { ...event, provider: subscription.provider }
+    }));
+
+    this.store.data.deliveries.push(...deliveries);
+    this.prune();
+    this.store.save();
+
+    console.log(`🔔 ${eventType} for booking ${booking.bookingId} queued for ${deliveries.length} partner webhook(s)`);
+    const queued = deliveries.map(delivery => this.toSummary(delivery));
+    this.drain().catch(error => {
+      console.error('Partner webhook delivery failed:', error.message);
+    });
+
+    return queued;
+  }
+
+  /**
+   * Deliver every due delivery, oldest first, unless the worker is already doing so
+   * @returns {Promise} Resolves once no delivery is due
+   */
+  drain() {
+    if (!draining) {
+      draining = (async () => {
+        let delivery;
+        while ((delivery = this.nextDueDelivery())) {
+          await this.deliver(delivery);
+        }
+      })().finally(() => {
+        draining = null;
+        this.scheduleRetry();
+      });
+    }
+
+    return draining;
+  }
+
+  /**
+   * POST one delivery to its callback URL and record the attempt
+   * Any 2xx response counts as delivered
+   * @param {Object} delivery - Stored delivery
+   */
+  async deliver(delivery) {
+    const subscription = this.store.data.subscriptions.find(existing => existing.id === delivery.subscription_id);
+
+    delivery.status = 'delivering';
+    delivery.attempts++;
+    this.store.save();
+
+    try {
+      if (!subscription) {
+        throw new Error('Subscription deleted');
+      }
+
+      // Subscriptions saved before the URL rules were tightened are checked again here
+      validateUrl(subscription.url);
+
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'shopify-bokun-api-webhooks',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Signature': `t=${timestamp},v1=${PartnerWebhookService.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: allowLocalUrls() ? undefined : lookupPublicAddresses,
+        validateStatus: () => true
+      });
+
+      delivery.response_status = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Callback responded with HTTP ${response.status}`);
+      }
+
+      delivery.status = 'delivered';
+      delivery.delivered_at = new Date().toISOString();
+      delivery.next_attempt_at = null;
+      delivery.last_error = null;
+
+    } catch (error) {
+      delivery.last_error = error.message;
+
+      if (!subscription || delivery.attempts >= this.maxAttempts) {
+        delivery.status = 'dead';
+        delivery.next_attempt_at = null;
+        console.error(`🔔 Partner webhook delivery ${delivery.id} dead after ${delivery.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = Math.min(this.retryBaseMs * 2 ** (delivery.attempts - 1), 60 * 60 * 1000);
+        delivery.status = 'failed';
+        delivery.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        console.error(`🔔 Partner webhook delivery ${delivery.id} failed (attempt ${delivery.attempts}), retrying in ${delay / 1000}s: ${error.message}`);
+      }
+    }
+
+    delivery.history.push({
+      at: new Date().toISOString(),
+      status: delivery.status,
+      response_status: delivery.response_status,
+      error: delivery.status === 'delivered' ? null : delivery.last_error
+    });
+    this.store.save();
+  }
+
+  /**
+   * Oldest delivery that is pending, or failed with its retry time reached
+   * @returns {Object|null} Stored delivery
+   */
+  nextDueDelivery() {
+    const now = Date.now();
+
+    return this.store.data.deliveries.find(delivery =>
+      delivery.status === 'pending' || (delivery.status === 'failed' && Date.parse(delivery.next_attempt_at) <= now)
+    ) || null;
+  }
+
+  /**
+   * Wake the worker when the earliest failed delivery is due again
+   */
+  scheduleRetry() {
+    clearTimeout(retryTimer);
+
+    const nextAttempts = this.store.data.deliveries
+      .filter(delivery => delivery.status === 'failed')
+      .map(delivery => Date.parse(delivery.next_attempt_at));
+
+    if (nextAttempts.length > 0) {
+      retryTimer = setTimeout(() => this.drain(), Math.max(0, Math.min(...nextAttempts) - Date.now()));
+      retryTimer.unref();
+    }
+  }
+
+  /**
+   * Queue a delivery to be sent again now, e.g. after the partner fixed their endpoint
+   * @param {string} id - Delivery ID
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Object|null} Delivery in API response format, or null if not found in scope
+   */
+  redeliver(id, scope = null) {
+    const delivery = this.findDelivery(id, scope);
+    if (!delivery) {
+      return null;
+    }
+
+    if (delivery.status === 'delivering') {
+      throw new Error(`Invalid state: delivery ${id} is being sent`);
+    }
+
+    if (!this.store.data.subscriptions.some(subscription => subscription.id === delivery.subscription_id)) {
+      throw new Error(`Invalid state: the subscription of delivery ${id} was deleted`);
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.next_attempt_at = new Date().toISOString();
+    delivery.history.push({ at: delivery.next_attempt_at, status: 'redelivery', response_status: null, error: null });
+    this.store.save();
+
+    console.log(`🔔 Partner webhook delivery ${id} queued for redelivery`);
+    const queued = this.toSummary(delivery);
+    this.drain().catch(error => {
+      console.error('Partner webhook delivery failed:', error.message);
+    });
+
+    return queued;
+  }
+
+  /**
+   * Resume deliveries cut short by a restart
+   * Called once at server startup
+   */
+  resume() {
+    let interrupted = false;
+
+    this.store.data.deliveries.forEach(delivery => {
+      if (delivery.status === 'delivering') {
+        delivery.status = 'pending';
+        interrupted = true;
+      }
+    });
+
+    if (interrupted) {
+      this.store.save();
+    }
+
+    return this.drain();
+  }
+
+  /**
+   * Drop the oldest delivered and dead deliveries beyond PARTNER_WEBHOOK_DELIVERY_LIMIT
+   * Deliveries still waiting to be sent are always kept
+   */
+  prune() {
+    const deliveries = this.store.data.deliveries;
+    let excess = deliveries.length - this.limit;
+
+    for (let i = 0; i < deliveries.length && excess > 0;) {
+      if (['delivered', 'dead'].includes(deliveries[i].status)) {
+        deliveries.splice(i, 1);
+        excess--;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Get a delivery with its payload and attempt history
+   * @param {string} id - Delivery ID
+   * @param {string|null} scope - Provider the caller is limited to (host key scope)
+   * @returns {Object|null} Delivery in API response format
+   */
+  getDelivery(id, scope = null) {
+    const delivery = this.findDelivery(id, scope);
+    return delivery ? { ...delivery } : null;
+  }
+
+  /**
+   * Recent deliveries without payloads, newest first
+   * @param {Object} filters - { subscription_id, status, event_type, booking_id, limit, scope }
+   * @returns {Array} Deliveries in API response format
+   */
+  listDeliveries({ subscription_id, status, event_type, booking_id, limit = 100, scope = null } = {}) {
+    return this.store.data.deliveries
+      .filter(delivery =>
+        inScope(delivery, scope) &&
+        (!subscription_id || delivery.subscription_id === subscription_id) &&
+        (!status || delivery.status === status) &&
+        (!event_type || delivery.event_type === event_type) &&
+        (!booking_id || delivery.booking_id === booking_id)
+      )
+      .reverse()
+      .slice(0, Math.min(parseInt(limit) || 100, this.limit))
+      .map(delivery => this.toSummary(delivery));
+  }
+
+  /**
+   * Number of deliveries per status
+   * @returns {Object} { pending, delivering, delivered, failed, dead }
+   */
+  getCounts() {
+    const counts = Object.fromEntries(DELIVERY_STATUSES.map(status => [status, 0]));
+    this.store.data.deliveries.forEach(delivery => { counts[delivery.status]++; });
+    return counts;
+  }
+
+  findSubscription(id, scope) {
+    return this.store.data.subscriptions.find(subscription => subscription.id === id && inScope(subscription, scope)) || null;
+  }
+
+  findDelivery(id, scope) {
+    return this.store.data.deliveries.find(delivery => delivery.id === id && inScope(delivery, scope)) || null;
+  }
+
+  toPublicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  toSummary(delivery) {
+    const { payload, history, ...summary } = delivery;
+    return summary;
+  }
+
+  /**
+   * Signature sent in X-Webhook-Signature as t={timestamp},v1={signature}
+   * Partners recompute it over "{timestamp}.{raw body}" with their subscription secret
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix time in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Hex HMAC-SHA256
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+}
+
+function inScope(record, scope) {
+  return !scope || record.provider === scope.toLowerCase();
+}
+
+/**
+ * Check a callback URL: https, and not a loopback, private or link-local host
+ * Host names are checked again when they are resolved for each delivery
+ * @param {string} url - Callback URL
+ */
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid subscription: url must be an absolute URL');
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    throw new Error('Invalid subscription: url must use http or https');
+  }
+
+  if (allowLocalUrls()) {
+    return;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new Error('Invalid subscription: url must use https');
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) {
+    throw new Error('Invalid subscription: url must not point to a loopback, private or link-local address');
+  }
+}
+
+/**
+ * Whether http and local callback URLs are allowed (PARTNER_WEBHOOK_ALLOW_LOCAL_URLS, never in production)
+ * @returns {boolean} True for local development against a callback on this machine
+ */
+function allowLocalUrls() {
+  return process.env.PARTNER_WEBHOOK_ALLOW_LOCAL_URLS === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Whether an IP address is in a blocked range; host names are not addresses and pass
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for deliveries that refuses host names resolving to a blocked address,
+ * so a public name cannot be pointed at the internal network after subscribing
+ * @param {string} hostname - Callback host name
+ * @param {Object} options - Lookup options from the HTTP client
+ * @returns {Promise<Array>} Resolved { address, family } entries
+ */
+async function lookupPublicAddresses(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { family: options.family, all: true });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+
+  if (blocked) {
+    throw new Error(`Callback host ${hostname} resolves to the non-public address ${blocked.address}`);
+  }
+
+  return addresses;
+}
+
+function rangeParts(range) {
+  const [network, prefix] = range.split('/');
+  return [network, Number(prefix)];
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error(`Invalid subscription: events must be a non-empty array of ${EVENT_TYPES.join(', ')}`);
+  }
+
+  const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid subscription: unknown event(s) ${unknown.join(', ')}`);
+  }
+}
+
+PartnerWebhookService.EVENT_TYPES = EVENT_TYPES;
+PartnerWebhookService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = PartnerWebhookService;
@@ -0,0 +1,312 @@
+const net = require('net');
+
+/**
+ * Counter stores for the rate limiter
+ * A store implements increment(key, windowMs) → Promise<number>, the count of the
+ * key in its window; keys already carry the window index, so entries only need to
+ * live until the window ends
+ */
+
+class MemoryRateLimitStore {
+  /**
+   * In-process counters, lost on restart; suited to tests and single instances
+   */
+  constructor() {
+    this.counters = new Map();
+    this.nextSweepAt = 0;
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<number>} Hits in the window including this one
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    const counter = this.counters.get(key);
+    if (counter && counter.expiresAt > now) {
+      counter.count++;
+      return counter.count;
+    }
+
+    this.counters.set(key, { count: 1, expiresAt: now + windowMs });
+    return 1;
+  }
+
+  /**
+   * Drop expired counters, at most once a second rather than on every request
+   */
+  sweep(now) {
+    if (now < this.nextSweepAt) {
+      return;
+    }
+
+    this.nextSweepAt = now + 1000;
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+// Counts a hit and gives the counter its expiry in one atomic step; a counter left
+// without a TTL (e.g. by an interrupted client) gets one on its next hit
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return count
+`;
+
+class RedisRateLimitStore {
+  /**
+   * Counters in Redis (or anything speaking its EVAL command), shared by every instance
+   * @param {Object} client - Client with a promise-returning eval(script, numKeys, ...args),
+   *                          e.g. ioredis or RespClient below
+   * @param {string} prefix - Key prefix
+   */
+  constructor(client, prefix = 'ratelimit:') {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<number>} Hits in the window including this one
+   */
+  async increment(key, windowMs) {
+    return Number(await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, String(windowMs)));
+  }
+}
+
+class RespClient {
+  /**
+   * Minimal Redis protocol client for the commands the rate limiter needs
+   * Avoids a driver dependency; replies are matched to commands in order
+   * @param {string} url - redis://[:password@]host:port[/db]
+   * @param {Object} options - { timeoutMs }: how long connecting or a command may take
+   *                           (default REDIS_TIMEOUT_MS or 1000)
+   */
+  constructor(url, options = {}) {
+    const parsed = new URL(url);
+
+    this.host = parsed.hostname || 'localhost';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parsed.pathname && parsed.pathname.length > 1 ? parsed.pathname.slice(1) : null;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.REDIS_TIMEOUT_MS) || 1000;
+
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  eval(script, numKeys, ...args) {
+    return this.command(['EVAL', script, String(numKeys), ...args]);
+  }
+
+  /**
+   * Send a command, connecting (and authenticating) on first use
+   * A command without a reply within timeoutMs rejects and drops the connection, since
+   * later replies could no longer be matched to their commands
+   * @param {Array<string>} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  command(args) {
+    if (!this.socket) {
+      this.connect();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue(resolve, reject, `Redis command ${args[0]} timed out after ${this.timeoutMs}ms`);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Wait for the next reply
+   */
+  queue(resolve, reject, timeoutMessage) {
+    const socket = this.socket;
+    const timer = setTimeout(() => {
+      if (this.socket === socket) {
+        this.disconnect(new Error(timeoutMessage));
+      }
+    }, this.timeoutMs);
+
+    this.pending.push({ resolve, reject, timer });
+  }
+
+  connect() {
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    this.socket = socket;
+    socket.setNoDelay(true);
+
+    // Commands written before the connection is up wait for it, but no longer than timeoutMs
+    const connectTimer = setTimeout(() => {
+      if (this.socket === socket) {
+        this.disconnect(new Error(`Redis connection to ${this.host}:${this.port} timed out after ${this.timeoutMs}ms`));
+      }
+    }, this.timeoutMs);
+    socket.once('connect', () => clearTimeout(connectTimer));
+
+    socket.on('data', chunk => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readReplies();
+    });
+
+    // A socket already replaced by a newer connection must not fail the newer one's commands
+    const fail = error => {
+      clearTimeout(connectTimer);
+      if (this.socket === socket) {
+        this.disconnect(error || new Error('Redis connection closed'));
+      }
+    };
+
+    socket.on('error', fail);
+    socket.on('close', () => fail());
+
+    if (this.password) {
+      this.queue(() => {}, () => {}, 'Redis AUTH timed out');
+      socket.write(encodeCommand(['AUTH', this.password]));
+    }
+
+    if (this.db) {
+      this.queue(() => {}, () => {}, 'Redis SELECT timed out');
+      socket.write(encodeCommand(['SELECT', this.db]));
+    }
+  }
+
+  /**
+   * Drop the connection and reject every command waiting for a reply
+   * @param {Error} error - Rejection reason
+   */
+  disconnect(error) {
+    const socket = this.socket;
+    const pending = this.pending;
+
+    this.socket = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+
+    if (socket) {
+      socket.destroy();
+    }
+
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  }
+
+  readReplies() {
+    while (this.pending.length > 0) {
+      const parsed = parseReply(this.buffer, 0);
+      if (!parsed) {
+        return;
+      }
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      const { resolve, reject, timer } = this.pending.shift();
+      clearTimeout(timer);
+
+      if (parsed.value instanceof Error) {
+        reject(parsed.value);
+      } else {
+        resolve(parsed.value);
+      }
+    }
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
+
+function encodeCommand(args) {
+  return `*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('');
+}
+
+/**
+ * Parse one RESP reply starting at offset
+ * @returns {Object|null} { value, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      const values = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        values.push(item.value);
+        position = item.offset;
+      }
+      return { value: count === -1 ? null : values, offset: position };
+    }
+    default:
+      return { value: new Error(`Unexpected Redis reply type "${type}"`), offset: next };
+  }
+}
+
+/**
+ * Build the store selected by RATE_LIMIT_STORE ('memory' or 'redis' with REDIS_URL)
+ * @returns {MemoryRateLimitStore|RedisRateLimitStore} Rate limit store
+ */
+function createRateLimitStore() {
+  if ((process.env.RATE_LIMIT_STORE || 'memory') === 'redis') {
+    if (!process.env.REDIS_URL) {
+      throw new Error('RATE_LIMIT_STORE=redis requires REDIS_URL');
+    }
+    return new RedisRateLimitStore(new RespClient(process.env.REDIS_URL));
+  }
+
+  return new MemoryRateLimitStore();
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  RespClient,
+  createRateLimitStore
+};
@@ -0,0 +1,212 @@
+/**
+ * Request scheduler for the Shopify Admin API
+ * Keeps concurrency bounded, backs off when the leaky bucket reported in
+ * X-Shopify-Shop-Api-Call-Limit fills up, and retries 429/5xx responses
+ */
+
+// Read-only methods, safe to send again when it is unknown whether Shopify got the first attempt
+// Writes (including the order PUT, whose body is built from an earlier read) are not
+const READ_METHODS = ['get', 'head', 'options'];
+
+class ShopifyRequestScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrency - Requests allowed in flight at once
+   * @param {number} options.leakRate - Bucket leak rate in requests per second
+   * @param {number} options.bucketHeadroom - Bucket slots to keep free before pausing
+   * @param {number} options.maxRetries - Retries per request for 429/5xx/network errors
+   * @param {number} options.baseDelayMs - First backoff delay, doubled on each retry
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = options.maxConcurrency || 4;
+    this.leakRate = options.leakRate || 2;
+    this.bucketHeadroom = options.bucketHeadroom || 4;
+    this.maxRetries = options.maxRetries ?? 4;
+    this.baseDelayMs = options.baseDelayMs || 500;
+
+    this.queue = [];
+    this.active = 0;
+    this.pausedUntil = 0;
+    this.drainTimer = null;
+    this.bucket = { used: null, size: null };
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      throttled: 0,
+      server_errors: 0,
+      failures: 0,
+      last_throttled_at: null
+    };
+  }
+
+  /**
+   * Route every request of an axios instance through the scheduler
+   * @param {Object} client - axios instance
+   */
+  attach(client) {
+    client.interceptors.request.use(async config => {
+      await this.acquire();
+      return config;
+    });
+
+    client.interceptors.response.use(
+      response => {
+        this.release(response);
+        return response;
+      },
+      error => this.handleError(client, error)
+    );
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Free a slot and record the bucket state from the response headers
+   * @param {Object|null} response - axios response, if one was received
+   */
+  release(response) {
+    this.active = Math.max(0, this.active - 1);
+    this.stats.requests++;
+
+    if (response) {
+      this.updateBucket(response.headers || {});
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Start queued requests while there are free slots and the bucket is not paused
+   */
+  drain() {
+    const wait = this.pausedUntil - Date.now();
+
+    if (wait > 0) {
+      if (!this.drainTimer && this.queue.length > 0) {
+        this.drainTimer = setTimeout(() => {
+          this.drainTimer = null;
+          this.drain();
+        }, wait);
+      }
+      return;
+    }
+
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      this.active++;
+      this.queue.shift()();
+    }
+  }
+
+  /**
+   * Parse X-Shopify-Shop-Api-Call-Limit ("32/40") and pause until enough has leaked out
+   * @param {Object} headers - Response headers
+   */
+  updateBucket(headers) {
+    const callLimit = headers['x-shopify-shop-api-call-limit'];
+    const match = callLimit && String(callLimit).match(/^(\d+)\/(\d+)$/);
+
+    if (!match) {
+      return;
+    }
+
+    const used = parseInt(match[1]);
+    const size = parseInt(match[2]);
+    this.bucket = { used, size };
+
+    const over = used - (size - this.bucketHeadroom);
+    if (over > 0) {
+      this.pauseFor((over / this.leakRate) * 1000);
+    }
+  }
+
+  /**
+   * Hold back new requests for a while
+   * @param {number} ms - Milliseconds to pause
+   */
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Retry throttled, server and network errors with exponential backoff
+   * A 429 means Shopify did not process the request, so every method is retried. After a
+   * network error or 5xx a write may already have been applied (a second refund or cancel),
+   * so only reads are retried: READ_METHODS, or requests with `shopifyIdempotent: true` in
+   * their config (GraphQL queries and refund calculations, which are POSTs)
+   * @param {Object} client - axios instance the request came from
+   * @param {Error} error - axios error
+   * @returns {Promise<Object>} Response of a successful retry
+   */
+  async handleError(client, error) {
+    const { config, response } = error;
+
+    // The request never got a slot (e.g. cancelled before sending)
+    if (!config) {
+      throw error;
+    }
+
+    this.release(response || null);
+
+    const status = response?.status;
+    const idempotent = config.shopifyIdempotent === true ||
+      READ_METHODS.includes(String(config.method || 'get').toLowerCase());
+    const retryable = status === 429 || (idempotent && (!response || status >= 500));
+    const attempt = config.shopifyRetryCount || 0;
+
+    if (status === 429) {
+      this.stats.throttled++;
+      this.stats.last_throttled_at = new Date().toISOString();
+    } else if (status >= 500) {
+      this.stats.server_errors++;
+    }
+
+    if (!retryable || attempt >= this.maxRetries) {
+      this.stats.failures++;
+      throw error;
+    }
+
+    let delay = this.baseDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+
+    if (status === 429) {
+      const retryAfter = parseFloat(response.headers?.['retry-after']);
+      if (!isNaN(retryAfter)) {
+        delay = retryAfter * 1000;
+      }
+      // A 429 applies to the whole shop, so hold every queued request too
+      this.pauseFor(delay);
+    }
+
+    this.stats.retries++;
+    config.shopifyRetryCount = attempt + 1;
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return client.request(config);
+  }
+
+  /**
+   * Scheduler statistics for health checks
+   * @returns {Object} Counters and current queue/bucket state
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.active,
+      queued: this.queue.length,
+      max_concurrency: this.maxConcurrency,
+      bucket: this.bucket,
+      paused_until: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = ShopifyRequestScheduler;
@@ -1,12 +1,259 @@
 const axios = require('axios');
-const moment = require('moment-timezone');
+const crypto = require('crypto');
+const ShopifyRequestScheduler = require('./shopifyRequestScheduler');
+const { parseCowlendarDate } = require('./cowlendarDateParser');
+const { lineItemMoney } = require('./money');
+const { parseBookingForm } = require('./cowlendarProperties');
+
+const ORDER_FIELDS = 'id,order_number,name,customer,line_items,created_at,updated_at,closed_at,cancelled_at,financial_status,fulfillment_status,note_attributes,refunds,currency,total_price,taxes_included';
+
+// One scheduler per process: the leaky bucket belongs to the shop, not to a service instance
+const requestScheduler = new ShopifyRequestScheduler({
+  maxConcurrency: parseInt(process.env.SHOPIFY_MAX_CONCURRENCY) || 4,
+  leakRate: parseFloat(process.env.SHOPIFY_LEAK_RATE) || 2,
+  maxRetries: process.env.SHOPIFY_MAX_RETRIES !== undefined ? parseInt(process.env.SHOPIFY_MAX_RETRIES) : 4
+});
+
+// Product ID -> { host, expiresAt }, shared by every instance in the process
+const productHostCache = new Map();
+
+// Order note attribute holding a line item's date after a reschedule in a booking system,
+// e.g. "Rescheduled Date #7001"; line item properties cannot be edited once an order exists
+const RESCHEDULED_DATE_ATTRIBUTE = 'Rescheduled Date';
+
+// Products per bulk GraphQL lookup; keeps each query well under Shopify's cost limit
+const PRODUCT_HOST_BATCH_SIZE = 100;
+
+const PRODUCT_HOSTS_QUERY = `
+  query ProductHosts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        tags
+        host: metafield(namespace: "custom", key: "host") {
+          value
+        }
+      }
+    }
+  }
+`;
+
+// Nested lists read with each order; longer ones are followed with the queries below
+const LINE_ITEMS_PAGE_SIZE = 50;
+const REFUND_LINE_ITEMS_PAGE_SIZE = 50;
+
+// Order.refunds is a plain list without cursors, so refunds past this many are not read
+const ORDER_REFUNDS_LIMIT = 20;
+
+const LINE_ITEM_GRAPHQL_FIELDS = `
+  fragment LineItemFields on LineItem {
+    id
+    name
+    variantTitle
+    quantity
+    vendor
+    originalUnitPriceSet {
+      shopMoney {
+        amount
+      }
+    }
+    discountAllocations {
+      allocatedAmountSet {
+        shopMoney {
+          amount
+        }
+      }
+    }
+    taxLines {
+      title
+      rate
+      priceSet {
+        shopMoney {
+          amount
+        }
+      }
+    }
+    customAttributes {
+      key
+      value
+    }
+    variant {
+      legacyResourceId
+    }
+    product {
+      legacyResourceId
+      tags
+      host: metafield(namespace: "custom", key: "host") {
+        value
+      }
+    }
+  }
+`;
+
+const REFUND_LINE_ITEM_GRAPHQL_FIELDS = `
+  fragment RefundLineItemFields on RefundLineItem {
+    quantity
+    lineItem {
+      id
+    }
+    subtotalSet {
+      shopMoney {
+        amount
+      }
+    }
+    totalTaxSet {
+      shopMoney {
+        amount
+      }
+    }
+  }
+`;
+
+const ORDER_GRAPHQL_FIELDS = `
+  fragment OrderFields on Order {
+    legacyResourceId
+    number
+    name
+    email
+    createdAt
+    updatedAt
+    closedAt
+    cancelledAt
+    displayFinancialStatus
+    displayFulfillmentStatus
+    currencyCode
+    taxesIncluded
+    totalPriceSet {
+      shopMoney {
+        amount
+      }
+    }
+    customAttributes {
+      key
+      value
+    }
+    refunds(first: ${ORDER_REFUNDS_LIMIT}) {
+      id
+      refundLineItems(first: ${REFUND_LINE_ITEMS_PAGE_SIZE}) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          ...RefundLineItemFields
+        }
+      }
+    }
+    customer {
+      firstName
+      lastName
+      email
+      phone
+    }
+    lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        ...LineItemFields
+      }
+    }
+  }
+  ${LINE_ITEM_GRAPHQL_FIELDS}
+  ${REFUND_LINE_ITEM_GRAPHQL_FIELDS}
+`;
+
+const ORDER_LINE_ITEMS_GRAPHQL_QUERY = `
+  query OrderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: ${LINE_ITEMS_PAGE_SIZE}, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          ...LineItemFields
+        }
+      }
+    }
+  }
+  ${LINE_ITEM_GRAPHQL_FIELDS}
+`;
+
+const REFUND_LINE_ITEMS_GRAPHQL_QUERY = `
+  query RefundLineItems($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on Refund {
+        refundLineItems(first: ${REFUND_LINE_ITEMS_PAGE_SIZE}, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ...RefundLineItemFields
+          }
+        }
+      }
+    }
+  }
+  ${REFUND_LINE_ITEM_GRAPHQL_FIELDS}
+`;
+
+const ORDERS_GRAPHQL_QUERY = `
+  query Orders($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+    orders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: CREATED_AT, reverse: true) {
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        startCursor
+        endCursor
+      }
+      nodes {
+        ...OrderFields
+      }
+    }
+  }
+  ${ORDER_GRAPHQL_FIELDS}
+`;
+
+const ORDER_GRAPHQL_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) {
+      ...OrderFields
+    }
+  }
+  ${ORDER_GRAPHQL_FIELDS}
+`;
+
+// REST query params that map onto GraphQL order search syntax
+const ORDER_SEARCH_FILTERS = {
+  email: value => `email:${JSON.stringify(value)}`,
+  created_at_min: value => `created_at:>='${value}'`,
+  created_at_max: value => `created_at:<='${value}'`,
+  updated_at_min: value => `updated_at:>='${value}'`,
+  updated_at_max: value => `updated_at:<='${value}'`,
+  financial_status: value => `financial_status:${value}`,
+  status: value => (value && value !== 'any' ? `status:${value}` : null)
+};
+
+// Attempts for a GraphQL query rejected with THROTTLED before giving up
+const GRAPHQL_THROTTLE_RETRIES = 3;
 
 class ShopifyService {
-  constructor() {
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {string} options.backend - 'rest' or 'graphql' (default: SHOPIFY_BACKEND or 'rest')
+   */
+  constructor(options = {}) {
     this.storeUrl = process.env.SHOPIFY_STORE_URL;
     this.accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
     this.apiVersion = process.env.SHOPIFY_API_VERSION || '2023-10';
+    this.graphqlApiVersion = process.env.SHOPIFY_GRAPHQL_API_VERSION || '2025-07';
+    this.backend = (options.backend || process.env.SHOPIFY_BACKEND || 'rest').toLowerCase();
     this.baseUrl = `https://${this.storeUrl}/admin/api/${this.apiVersion}`;
+    this.webhookSecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+    this.productHostTtlMs = (parseInt(process.env.PRODUCT_HOST_CACHE_TTL) || 3600) * 1000;
 
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -15,37 +262,126 @@ class ShopifyService {
         'Content-Type': 'application/json'
       }
     });
+
+    this.graphqlClient = axios.create({
+      baseURL: `https://${this.storeUrl}/admin/api/${this.graphqlApiVersion}`,
+      headers: {
+        'X-Shopify-Access-Token': this.accessToken,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    requestScheduler.attach(this.client);
+    requestScheduler.attach(this.graphqlClient);
   }
 
   /**
-   * Fetch orders from Shopify with optional filters
+   * Shopify API scheduler statistics (throttling, retries, bucket usage)
+   * @returns {Object} Request scheduler stats
+   */
+  getRequestStats() {
+    return requestScheduler.getStats();
+  }
+
+  /**
+   * Fetch orders from Shopify with optional filters, following page_info cursors
+   * until `limit` orders have been collected (Shopify caps a single page at 250)
+   * Pass `limit: Infinity` to walk every page
    * @param {Object} params - Query parameters for filtering orders
    * @returns {Promise<Array>} Array of orders
    */
   async getOrders(params = {}) {
+    const limit = Number(params.limit) || 50;
+    const orders = [];
+    let cursor = params.page_info || null;
+
+    do {
+      const page = await this.getOrdersPage({
+        ...params,
+        limit: Math.min(limit - orders.length, 250),
+        page_info: cursor || undefined
+      });
+
+      orders.push(...page.orders);
+      cursor = page.nextCursor;
+    } while (cursor && orders.length < limit);
+
+    return orders;
+  }
+
+  /**
+   * Fetch a single page of orders from Shopify
+   * When `page_info` is set, Shopify only accepts `limit` and `fields` alongside it,
+   * since the cursor already encodes the original filters
+   * @param {Object} params - Query parameters, optionally including a `page_info` cursor
+   * @returns {Promise<Object>} { orders, nextCursor, prevCursor }
+   */
+  async getOrdersPage(params = {}) {
+    if (this.backend === 'graphql') {
+      return this.getOrdersPageGraphql(params);
+    }
+
     try {
       const defaultParams = {
         status: 'any',
         limit: 50,
-        fields: 'id,order_number,name,customer,line_items,created_at,financial_status,fulfillment_status,note_attributes'
+        fields: ORDER_FIELDS
       };
 
-      const queryParams = { ...defaultParams, ...params };
+      const queryParams = params.page_info
+        ? {
+          limit: Math.min(parseInt(params.limit) || defaultParams.limit, 250),
+          fields: params.fields || defaultParams.fields,
+          page_info: params.page_info
+        }
+        : { ...defaultParams, ...params, limit: Math.min(parseInt(params.limit) || defaultParams.limit, 250) };
+
       const response = await this.client.get('/orders.json', { params: queryParams });
+      const cursors = this.parseLinkHeader(response.headers?.link);
 
-      return response.data.orders;
+      return {
+        orders: response.data.orders,
+        nextCursor: cursors.next,
+        prevCursor: cursors.previous
+      };
     } catch (error) {
       console.error('Error fetching orders from Shopify:', error.response?.data || error.message);
       throw new Error(`Failed to fetch orders: ${error.response?.data?.errors || error.message}`);
     }
   }
 
+  /**
+   * Extract page_info cursors from a Shopify Link header
+   * @param {string} linkHeader - e.g. '<https://...&page_info=abc>; rel="next"'
+   * @returns {Object} { next, previous } cursors (null when absent)
+   */
+  parseLinkHeader(linkHeader) {
+    const cursors = { next: null, previous: null };
+
+    if (!linkHeader) {
+      return cursors;
+    }
+
+    linkHeader.split(',').forEach(part => {
+      const match = part.match(/<([^>]+)>;\s*rel="(next|previous)"/);
+      if (match) {
+        cursors[match[2]] = new URL(match[1]).searchParams.get('page_info');
+      }
+    });
+
+    return cursors;
+  }
+
   /**
    * Get a specific order by ID
    * @param {string} orderId - Shopify order ID
    * @returns {Promise<Object>} Order details
    */
   async getOrderById(orderId) {
+    if (this.backend === 'graphql') {
+      return this.getOrderByIdGraphql(orderId);
+    }
+
     try {
       const response = await this.client.get(`/orders/${orderId}.json`);
       return response.data.order;
@@ -55,6 +391,316 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Add a note line, tags and note attributes to an order
+   * The existing note and tags are kept; note attributes with the same name are replaced
+   * @param {string|number} orderId - Shopify order ID
+   * @param {Object} changes - { note, tags, noteAttributes: [{ name, value }] }
+   * @returns {Promise<Object>} Updated order
+   */
+  async annotateOrder(orderId, { note = null, tags = [], noteAttributes = [] }) {
+    try {
+      const response = await this.client.get(`/orders/${orderId}.json`, {
+        params: { fields: 'id,note,tags,note_attributes' }
+      });
+      const order = response.data.order;
+
+      const currentTags = (order.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+      const replaced = new Set(noteAttributes.map(attr => attr.name));
+
+      const update = {
+        id: order.id,
+        note: note ? [order.note, note].filter(Boolean).join('\n') : order.note,
+        tags: [...new Set([...currentTags, ...tags])].join(', '),
+        note_attributes: [
+          ...(order.note_attributes || []).filter(attr => !replaced.has(attr.name)),
+          ...noteAttributes
+        ]
+      };
+
+      const updated = await this.client.put(`/orders/${orderId}.json`, { order: update });
+      return updated.data.order;
+    } catch (error) {
+      console.error(`Error updating order ${orderId}:`, error.response?.data || error.message);
+      throw new Error(`Failed to update order ${orderId}: ${JSON.stringify(error.response?.data?.errors || error.message)}`);
+    }
+  }
+
+  /**
+   * Cancel an order in Shopify
+   * @param {string|number} orderId - Shopify order ID
+   * @param {Object} options - { reason, email, restock }
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId, { reason = 'customer', email = false, restock = true } = {}) {
+    try {
+      const response = await this.client.post(`/orders/${orderId}/cancel.json`, { reason, email, restock });
+      return response.data.order;
+    } catch (error) {
+      console.error(`Error cancelling order ${orderId}:`, error.response?.data || error.message);
+      throw new Error(`Failed to cancel order ${orderId}: ${JSON.stringify(error.response?.data?.errors || error.message)}`);
+    }
+  }
+
+  /**
+   * Refund a quantity of one line item, to the original payment method
+   * Shopify calculates the refundable amount; the refund is created from that calculation
+   * @param {string|number} orderId - Shopify order ID
+   * @param {string|number} lineItemId - Line item to refund
+   * @param {number} quantity - Quantity to refund
+   * @param {Object} options - { notify, note }
+   * @returns {Promise<Object>} Created refund
+   */
+  async refundLineItem(orderId, lineItemId, quantity, { notify = false, note = null } = {}) {
+    try {
+      const refundLineItems = [{ line_item_id: Number(lineItemId), quantity, restock_type: 'cancel' }];
+
+      // Calculating creates nothing, so it may be retried like a read
+      const calculation = await this.client.post(`/orders/${orderId}/refunds/calculate.json`, {
+        refund: { refund_line_items: refundLineItems }
+      }, { shopifyIdempotent: true });
+      const transactions = (calculation.data.refund.transactions || []).map(transaction => ({
+        parent_id: transaction.parent_id,
+        amount: transaction.amount,
+        kind: 'refund',
+        gateway: transaction.gateway
+      }));
+
+      const response = await this.client.post(`/orders/${orderId}/refunds.json`, {
+        refund: { notify, note, refund_line_items: refundLineItems, transactions }
+      });
+      return response.data.refund;
+    } catch (error) {
+      console.error(`Error refunding line item ${lineItemId} of order ${orderId}:`, error.response?.data || error.message);
+      throw new Error(`Failed to refund order ${orderId}: ${JSON.stringify(error.response?.data?.errors || error.message)}`);
+    }
+  }
+
+  /**
+   * Name of the order note attribute holding a line item's rescheduled date
+   * @param {string|number} lineItemId - Shopify line item ID
+   * @returns {string} Note attribute name
+   */
+  static rescheduledDateAttribute(lineItemId) {
+    return `${RESCHEDULED_DATE_ATTRIBUTE} #${lineItemId}`;
+  }
+
+  /**
+   * Fetch a single page of orders through the Admin GraphQL API
+   * Orders, line item attributes, vendors and the product `host` metafield come back in
+   * one query; hosts go straight into the product host cache so parsing needs no extra calls.
+   * Orders are returned in the REST shape so parseOrderWithCowlendar output is the same for both backends.
+   * @param {Object} params - REST-style query parameters, optionally including a `page_info` cursor
+   * @returns {Promise<Object>} { orders, nextCursor, prevCursor }
+   */
+  async getOrdersPageGraphql(params = {}) {
+    try {
+      const pageSize = Math.min(parseInt(params.limit) || 50, 250);
+      const cursor = params.page_info ? decodeGraphqlCursor(params.page_info) : null;
+      const searchQuery = cursor ? cursor.query : this.buildOrderSearchQuery(params);
+
+      const variables = { query: searchQuery };
+      if (cursor && cursor.before) {
+        variables.last = pageSize;
+        variables.before = cursor.before;
+      } else {
+        variables.first = pageSize;
+        variables.after = cursor ? cursor.after : null;
+      }
+
+      const data = await this.graphql(ORDERS_GRAPHQL_QUERY, variables);
+      const { nodes, pageInfo } = data.orders;
+
+      const orders = [];
+      for (const node of nodes) {
+        orders.push(this.toRestOrder(await this.completeOrderNode(node)));
+      }
+
+      return {
+        orders,
+        nextCursor: pageInfo.hasNextPage ? encodeGraphqlCursor({ after: pageInfo.endCursor, query: searchQuery }) : null,
+        prevCursor: pageInfo.hasPreviousPage ? encodeGraphqlCursor({ before: pageInfo.startCursor, query: searchQuery }) : null
+      };
+    } catch (error) {
+      console.error('Error fetching orders from Shopify GraphQL:', error.message);
+      throw new Error(`Failed to fetch orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a specific order by ID through the Admin GraphQL API
+   * @param {string} orderId - Shopify order ID
+   * @returns {Promise<Object>} Order details in the REST shape
+   */
+  async getOrderByIdGraphql(orderId) {
+    try {
+      const data = await this.graphql(ORDER_GRAPHQL_QUERY, { id: `gid://shopify/Order/${orderId}` });
+
+      if (!data.order) {
+        throw new Error('Not Found');
+      }
+
+      return this.toRestOrder(await this.completeOrderNode(data.order));
+    } catch (error) {
+      console.error(`Error fetching order ${orderId} from Shopify GraphQL:`, error.message);
+      throw new Error(`Failed to fetch order ${orderId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the line items and refund line items past the first page of a GraphQL order node
+   * Refunds themselves are not paginated by Shopify; orders with ORDER_REFUNDS_LIMIT of them are logged
+   * @param {Object} node - GraphQL Order node (OrderFields fragment), completed in place
+   * @returns {Promise<Object>} The same node with every line item and refund line item
+   */
+  async completeOrderNode(node) {
+    const orderGid = `gid://shopify/Order/${node.legacyResourceId}`;
+
+    let pageInfo = node.lineItems.pageInfo;
+    while (pageInfo && pageInfo.hasNextPage) {
+      const data = await this.graphql(ORDER_LINE_ITEMS_GRAPHQL_QUERY, { id: orderGid, after: pageInfo.endCursor });
+      node.lineItems.nodes.push(...data.order.lineItems.nodes);
+      pageInfo = data.order.lineItems.pageInfo;
+    }
+
+    const refunds = node.refunds || [];
+    if (refunds.length >= ORDER_REFUNDS_LIMIT) {
+      console.warn(`Order ${node.legacyResourceId} has ${ORDER_REFUNDS_LIMIT} or more refunds; only the first ${ORDER_REFUNDS_LIMIT} are read`);
+    }
+
+    for (const refund of refunds) {
+      let refundPageInfo = refund.refundLineItems.pageInfo;
+      while (refundPageInfo && refundPageInfo.hasNextPage) {
+        const data = await this.graphql(REFUND_LINE_ITEMS_GRAPHQL_QUERY, { id: refund.id, after: refundPageInfo.endCursor });
+        refund.refundLineItems.nodes.push(...data.node.refundLineItems.nodes);
+        refundPageInfo = data.node.refundLineItems.pageInfo;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Translate REST order filters into a GraphQL order search query
+   * @param {Object} params - REST-style query parameters
+   * @returns {string|null} Search query, or null for no filter
+   */
+  buildOrderSearchQuery(params) {
+    const terms = Object.keys(ORDER_SEARCH_FILTERS)
+      .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .map(key => ORDER_SEARCH_FILTERS[key](params[key]))
+      .filter(Boolean);
+
+    return terms.length > 0 ? terms.join(' AND ') : null;
+  }
+
+  /**
+   * Convert a GraphQL order node to the REST order shape and cache its product hosts
+   * @param {Object} node - GraphQL Order node (OrderFields fragment)
+   * @returns {Object} REST-shaped order
+   */
+  toRestOrder(node) {
+    const toAttributes = attributes => (attributes || []).map(attr => ({ name: attr.key, value: attr.value }));
+
+    const lineItems = node.lineItems.nodes.map(item => {
+      const productId = item.product ? Number(item.product.legacyResourceId) : null;
+
+      if (productId) {
+        this.cacheProductHost(productId, item.product.host?.value || this.extractHostFromTags(item.product.tags));
+      }
+
+      return {
+        id: Number(item.id.split('/').pop()),
+        name: item.name,
+        variant_title: item.variantTitle || null,
+        quantity: item.quantity,
+        // Decimal string as Shopify sends it; the currency decides how many decimals it has
+        price: item.originalUnitPriceSet.shopMoney.amount,
+        vendor: item.vendor,
+        product_id: productId,
+        variant_id: item.variant ? Number(item.variant.legacyResourceId) : null,
+        discount_allocations: (item.discountAllocations || []).map(allocation => ({
+          amount: allocation.allocatedAmountSet.shopMoney.amount
+        })),
+        tax_lines: (item.taxLines || []).map(taxLine => ({
+          title: taxLine.title,
+          rate: taxLine.rate,
+          price: taxLine.priceSet.shopMoney.amount
+        })),
+        properties: toAttributes(item.customAttributes)
+      };
+    });
+
+    const fulfillmentStatus = {
+      UNFULFILLED: null,
+      PARTIALLY_FULFILLED: 'partial',
+      FULFILLED: 'fulfilled'
+    };
+
+    return {
+      id: Number(node.legacyResourceId),
+      order_number: node.number,
+      name: node.name,
+      email: node.email,
+      customer: node.customer ? {
+        first_name: node.customer.firstName,
+        last_name: node.customer.lastName,
+        email: node.customer.email || node.email,
+        phone: node.customer.phone
+      } : null,
+      line_items: lineItems,
+      note_attributes: toAttributes(node.customAttributes),
+      currency: node.currencyCode,
+      total_price: node.totalPriceSet?.shopMoney.amount,
+      taxes_included: node.taxesIncluded,
+      refunds: (node.refunds || []).map(refund => ({
+        refund_line_items: refund.refundLineItems.nodes.map(refundItem => ({
+          line_item_id: Number(refundItem.lineItem.id.split('/').pop()),
+          quantity: refundItem.quantity,
+          subtotal: refundItem.subtotalSet?.shopMoney.amount,
+          total_tax: refundItem.totalTaxSet?.shopMoney.amount
+        }))
+      })),
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      closed_at: node.closedAt,
+      cancelled_at: node.cancelledAt,
+      financial_status: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+      fulfillment_status: node.displayFulfillmentStatus in fulfillmentStatus
+        ? fulfillmentStatus[node.displayFulfillmentStatus]
+        : (node.displayFulfillmentStatus || '').toLowerCase() || null
+    };
+  }
+
+  /**
+   * Verify a Shopify webhook HMAC (base64 SHA-256 of the raw body)
+   * @param {Buffer|string} rawBody - Raw request body exactly as received
+   * @param {string} hmacHeader - Value of the X-Shopify-Hmac-Sha256 header
+   * @returns {boolean} True if signature is valid
+   */
+  verifyWebhookSignature(rawBody, hmacHeader) {
+    if (!this.webhookSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('SHOPIFY_WEBHOOK_SECRET not configured - rejecting webhook');
+        return false;
+      }
+      console.warn('No Shopify webhook secret configured - skipping signature verification');
+      return true; // Allow in development
+    }
+
+    if (!hmacHeader) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(rawBody)
+      .digest();
+    const provided = Buffer.from(hmacHeader, 'base64');
+
+    return provided.length === expected.length && crypto.timingSafeEqual(expected, provided);
+  }
+
   /**
    * Get orders with Cowlendar metadata, optionally filtered by host
    * @param {Object} params - Query parameters
@@ -67,11 +713,12 @@ class ShopifyService {
 
       // Filter orders that have Cowlendar metadata
       const eventOrders = orders.filter(order => this.hasCowlendarMetadata(order));
+      await this.warmProductHostsForOrders(eventOrders);
 
-      // Parse and enrich with Cowlendar data
-      const parsedOrders = await Promise.all(
+      // Parse and enrich with Cowlendar data, one booking per Cowlendar line item
+      const parsedOrders = (await Promise.all(
         eventOrders.map(order => this.parseOrderWithCowlendar(order))
-      );
+      )).flat();
 
       // Filter by host if specified
       if (hostFilter) {
@@ -85,6 +732,33 @@ class ShopifyService {
     }
   }
 
+  /**
+   * Get one page of orders with Cowlendar metadata, along with the Shopify cursors
+   * needed to fetch the neighbouring pages
+   * @param {Object} params - Query parameters, optionally including a `page_info` cursor
+   * @returns {Promise<Object>} { orders, nextCursor, prevCursor }
+   */
+  async getEventOrdersPage(params = {}) {
+    try {
+      const page = await this.getOrdersPage(params);
+      const eventOrders = page.orders.filter(order => this.hasCowlendarMetadata(order));
+      await this.warmProductHostsForOrders(eventOrders);
+
+      const parsedOrders = (await Promise.all(
+        eventOrders.map(order => this.parseOrderWithCowlendar(order))
+      )).flat();
+
+      return {
+        orders: parsedOrders,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor
+      };
+    } catch (error) {
+      console.error('Error fetching event orders page:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Check if order has Cowlendar metadata
    * @param {Object} order - Shopify order object
@@ -112,22 +786,53 @@ class ShopifyService {
   }
 
   /**
-   * Parse order with Cowlendar metadata
+   * Parse order with Cowlendar metadata into bookings
+   * Every Cowlendar line item becomes its own booking with its own date, host, vendor,
+   * quantity and Cowlendar IDs, so one cart can hold workshops from different hosts.
+   * Legacy orders that only carry metadata in note_attributes yield a single booking
+   * for their first line item.
    * @param {Object} order - Shopify order object
-   * @returns {Promise<Object>} Enriched order with parsed Cowlendar data
+   * @returns {Promise<Array>} Bookings parsed from the order
    */
   async parseOrderWithCowlendar(order) {
-    const cowlendarData = this.extractCowlendarMetadata(order);
+    const lineItems = order.line_items || [];
+    let bookingItems = lineItems.filter(item => this.isCowlendarLineItem(item));
+
+    if (bookingItems.length === 0) {
+      bookingItems = lineItems.slice(0, 1);
+    }
+
+    if (bookingItems.length === 0) {
+      bookingItems = [{}];
+    }
+
+    return Promise.all(bookingItems.map((item, index) => this.parseLineItemBooking(order, item, index)));
+  }
+
+  /**
+   * Parse one Cowlendar line item of an order into a booking
+   * @param {Object} order - Shopify order object
+   * @param {Object} lineItem - Line item of the order
+   * @param {number} index - Position of the booking within the order
+   * @returns {Promise<Object>} Booking with parsed Cowlendar data
+   */
+  async parseLineItemBooking(order, lineItem, index = 0) {
+    const cowlendarData = this.extractCowlendarMetadata(order, lineItem);
     const eventDetails = this.parseEventDate(cowlendarData.eventData);
+    const bookingForm = this.extractBookingForm(order, lineItem);
 
     // Get host information from product metafields
-    const host = await this.extractHostFromOrder(order);
+    const host = await this.extractHostFromLineItem(lineItem);
 
-    // Get vendor information from line items
-    const vendor = this.extractVendorFromOrder(order);
+    // Get vendor information from the line item
+    const vendor = this.extractVendorFromLineItem(lineItem);
 
     return {
+      bookingId: lineItem.id ? `${order.id}-${lineItem.id}` : String(order.id),
       shopifyOrderId: order.id,
+      lineItemId: lineItem.id || null,
+      // Orders used to be a single booking identified by the order ID; the first booking keeps it
+      legacyBookingId: index === 0 ? order.id : null,
       orderNumber: order.order_number,
       orderName: order.name,
       customer: {
@@ -136,35 +841,82 @@ class ShopifyService {
         email: order.customer?.email || '',
         phone: order.customer?.phone || ''
       },
-      eventName: this.extractEventName(order),
+      eventName: this.extractEventName(lineItem),
       host: host || vendor, // Fallback to vendor if host is missing
       vendor: vendor,
       provider: host || vendor, // Unified provider field for booking apps
+      quantity: lineItem.quantity || 0,
+      refundedQuantity: this.getRefundedQuantity(order, lineItem),
+      money: lineItemMoney(order, lineItem),
+      productId: lineItem.product_id || null,
+      variantId: lineItem.variant_id || null,
+      participants: bookingForm.participants,
+      customFields: bookingForm.customFields,
       eventDate: eventDetails.eventDate,
+      endDate: eventDetails.endDate,
       startTime: eventDetails.startTime,
       endTime: eventDetails.endTime,
       timezone: eventDetails.timezone,
+      startDateTime: eventDetails.startDateTime,
+      endDateTime: eventDetails.endDateTime,
+      startDateTimeUtc: eventDetails.startDateTimeUtc,
+      endDateTimeUtc: eventDetails.endDateTimeUtc,
+      durationMinutes: eventDetails.durationMinutes,
+      allDay: eventDetails.allDay,
+      parseError: eventDetails.parseError,
       cowlendarId: cowlendarData.internalId,
       cowlendarIntegrity: cowlendarData.integrity,
       createdAt: order.created_at,
+      updatedAt: order.updated_at,
+      closedAt: order.closed_at || null,
+      cancelledAt: order.cancelled_at || null,
       financialStatus: order.financial_status,
       fulfillmentStatus: order.fulfillment_status,
-      lineItems: order.line_items?.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        price: item.price,
-        vendor: item.vendor,
-        productId: item.product_id
-      })) || []
+      lineItems: lineItem.name ? [{
+        name: lineItem.name,
+        quantity: lineItem.quantity,
+        price: lineItem.price,
+        vendor: lineItem.vendor,
+        productId: lineItem.product_id
+      }] : []
     };
   }
 
   /**
-   * Extract Cowlendar metadata from order note attributes or line item properties
+   * Total quantity of a line item refunded across the order's refunds
    * @param {Object} order - Shopify order object
+   * @param {Object} lineItem - Line item of the order
+   * @returns {number} Refunded quantity
+   */
+  getRefundedQuantity(order, lineItem) {
+    return (order.refunds || [])
+      .flatMap(refund => refund.refund_line_items || [])
+      .filter(refundItem => String(refundItem.line_item_id) === String(lineItem.id))
+      .reduce((total, refundItem) => total + (refundItem.quantity || 0), 0);
+  }
+
+  /**
+   * Check if a line item carries Cowlendar properties
+   * @param {Object} lineItem - Shopify line item
+   * @returns {boolean} True if the line item is a Cowlendar booking
+   */
+  isCowlendarLineItem(lineItem) {
+    const prefix = process.env.COWLENDAR_METADATA_PREFIX || '__cow_';
+
+    return !!(lineItem.properties && lineItem.properties.some(prop =>
+      prop.name && prop.name.startsWith(prefix)
+    ));
+  }
+
+  /**
+   * Extract Cowlendar metadata for one line item
+   * Order note attributes (original location) are read first; the line item's own
+   * properties (new location) take precedence, so each booking keeps its own date and IDs
+   * @param {Object} order - Shopify order object
+   * @param {Object} lineItem - Line item the booking belongs to
    * @returns {Object} Cowlendar metadata
    */
-  extractCowlendarMetadata(order) {
+  extractCowlendarMetadata(order, lineItem = {}) {
     const metadata = {
       eventData: null,
       internalId: null,
@@ -172,7 +924,7 @@ class ShopifyService {
     };
 
     // Helper function to process attributes/properties
-    const processAttributes = (attrs) => {
+    const processAttributes = (attrs, noteAttributes) => {
       attrs.forEach(attr => {
         if (attr.name === '__cow_internal_id') {
           metadata.internalId = attr.value;
@@ -181,8 +933,9 @@ class ShopifyService {
         } else if (attr.name === 'Date') {
           // This captures the event date/time data from line item properties
           metadata.eventData = attr.value;
-        } else if (attr.name && attr.name.toLowerCase().includes('data')) {
-          // This captures the event date/time data from note attributes
+        } else if (noteAttributes && attr.name && attr.name.toLowerCase().includes('data')) {
+          // This captures the event date/time data from note attributes; line item properties
+          // only use Date, so booking form questions like "Data di nascita" are not taken for it
           metadata.eventData = attr.value;
         }
       });
@@ -190,131 +943,139 @@ class ShopifyService {
 
     // Check note_attributes first (original location)
     if (order.note_attributes && order.note_attributes.length > 0) {
-      processAttributes(order.note_attributes);
+      processAttributes(order.note_attributes, true);
     }
 
-    // Check line item properties (new location)
-    if (order.line_items && order.line_items.length > 0) {
-      order.line_items.forEach(item => {
-        if (item.properties && item.properties.length > 0) {
-          processAttributes(item.properties);
-        }
-      });
+    // Check the line item's properties (new location)
+    if (lineItem.properties && lineItem.properties.length > 0) {
+      processAttributes(lineItem.properties, false);
+    }
+
+    // A reschedule written back to the order replaces the original date
+    const rescheduled = (order.note_attributes || []).find(attr =>
+      lineItem.id && attr.name === ShopifyService.rescheduledDateAttribute(lineItem.id)
+    );
+    if (rescheduled) {
+      metadata.eventData = rescheduled.value;
     }
 
     return metadata;
   }
 
   /**
-   * Parse event date string from Cowlendar
-   * @param {string} eventDataString - Event date string like "30 nov 2025, 17:00 - 18:30 (Europe/Rome)"
-   * @returns {Object} Parsed event timing details
+   * Extract the booking form of one line item: participants and custom fields
+   * Cowlendar's own metadata (prefixed IDs, the Date property, the note attribute legacy orders
+   * keep the date in), rescheduled dates and hidden properties starting with "_" are left out.
+   * Note attributes belong to the whole order, so they are only kept when the order holds a single
+   * booking; in multi-booking orders only attributes addressed to the line item ("Name #{line_item_id}") are
+   * @param {Object} order - Shopify order object
+   * @param {Object} lineItem - Line item the booking belongs to
+   * @returns {Object} { participants: { total, byTicketType, attendees }, customFields }
    */
-  parseEventDate(eventDataString) {
-    if (!eventDataString) {
-      return {
-        eventDate: null,
-        startTime: null,
-        endTime: null,
-        timezone: 'UTC'
-      };
-    }
+  extractBookingForm(order, lineItem = {}) {
+    const prefix = process.env.COWLENDAR_METADATA_PREFIX || '__cow_';
+    const isFormField = attr => attr.name &&
+      !attr.name.startsWith(prefix) &&
+      !attr.name.startsWith('_') &&
+      attr.name !== 'Date' &&
+      !attr.name.startsWith(`${RESCHEDULED_DATE_ATTRIBUTE} #`);
 
-    try {
-      // Parse: "30 nov 2025, 17:00 - 18:30 (Europe/Rome)"
-      const timezoneMatch = eventDataString.match(/\(([^)]+)\)$/);
-      const timezone = timezoneMatch ? timezoneMatch[1] : 'UTC';
+    const properties = lineItem.properties || [];
+    const noteAttributes = order.note_attributes || [];
 
-      const dateTimeMatch = eventDataString.match(/^(.+?),\s*(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})/);
+    // Without a Date property the date came from a note attribute (see extractCowlendarMetadata)
+    const legacyDateAttribute = properties.some(prop => prop.name === 'Date')
+      ? null
+      : noteAttributes.filter(attr => attr.name && attr.name.toLowerCase().includes('data')).pop();
 
-      if (!dateTimeMatch) {
-        throw new Error('Unable to parse event date format');
-      }
+    const lineItemIds = (order.line_items || []).map(item => String(item.id));
+    const singleBooking = (order.line_items || []).filter(item => this.isCowlendarLineItem(item)).length <= 1;
+    const orderAnswers = noteAttributes
+      .filter(attr => attr !== legacyDateAttribute && isFormField(attr))
+      .map(attr => {
+        const addressed = attr.name.match(/^(.*\S)\s+#(\d+)$/);
+        if (!addressed || !lineItemIds.includes(addressed[2])) {
+          return singleBooking ? attr : null;
+        }
+        return addressed[2] === String(lineItem.id) ? { ...attr, name: addressed[1] } : null;
+      })
+      .filter(Boolean);
 
-      const [, datePart, startTime, endTime] = dateTimeMatch;
+    return parseBookingForm({
+      properties: properties.filter(isFormField),
+      noteAttributes: orderAnswers,
+      quantity: lineItem.quantity || 0,
+      variantTitle: lineItem.variant_title || null
+    });
+  }
 
-      // Parse date part (e.g., "30 nov 2025")
-      const eventDate = moment.tz(datePart, 'DD MMM YYYY', timezone);
+  /**
+   * Parse event date string from Cowlendar
+   * Accepts English/Italian/German/French month names, 12/24-hour clocks, full-day,
+   * multi-day and past-midnight events; see cowlendarDateParser for the formats
+   * @param {string} eventDataString - Event date string like "30 nov 2025, 17:00 - 18:30 (Europe/Rome)"
+   * @returns {Object} Parsed event timing details, with `parseError` set when the string is unusable
+   */
+  parseEventDate(eventDataString) {
+    const eventDetails = parseCowlendarDate(eventDataString, {
+      defaultTimezone: process.env.COWLENDAR_DEFAULT_TIMEZONE || 'Europe/Rome'
+    });
 
-      return {
-        eventDate: eventDate.format('YYYY-MM-DD'),
-        startTime: startTime,
-        endTime: endTime,
-        timezone: timezone,
-        startDateTime: eventDate.clone().add(moment.duration(startTime)).toISOString(),
-        endDateTime: eventDate.clone().add(moment.duration(endTime)).toISOString()
-      };
-    } catch (error) {
-      console.error('Error parsing event date:', error.message);
-      return {
-        eventDate: null,
-        startTime: null,
-        endTime: null,
-        timezone: 'UTC'
-      };
+    if (eventDetails.parseError) {
+      console.warn(`Error parsing event date: ${eventDetails.parseError}`);
     }
+
+    return eventDetails;
   }
 
   /**
-   * Extract event name from order line items
-   * @param {Object} order - Shopify order object
+   * Extract event name from a line item
+   * @param {Object} lineItem - Shopify line item
    * @returns {string} Event name
    */
-  extractEventName(order) {
-    if (!order.line_items || order.line_items.length === 0) {
-      return 'Unknown Event';
-    }
-
-    // Typically the first line item would be the event
-    return order.line_items[0].name || 'Unknown Event';
+  extractEventName(lineItem) {
+    return lineItem.name || 'Unknown Event';
   }
 
   /**
-   * Extract host information from order products' metafields
-   * @param {Object} order - Shopify order object
+   * Extract host information from a line item's product metafields
+   * @param {Object} lineItem - Shopify line item
    * @returns {Promise<string>} Host name or null
    */
-  async extractHostFromOrder(order) {
-    if (!order.line_items || order.line_items.length === 0) {
+  async extractHostFromLineItem(lineItem) {
+    if (!lineItem.product_id) {
       return null;
     }
 
     try {
-      // Check the first product (typically the event product)
-      const firstLineItem = order.line_items[0];
-      if (!firstLineItem.product_id) {
-        return null;
-      }
-
-      const host = await this.getProductHost(firstLineItem.product_id);
-      return host;
+      return await this.getProductHost(lineItem.product_id);
     } catch (error) {
-      console.error('Error extracting host from order:', error.message);
+      console.error('Error extracting host from line item:', error.message);
       return null;
     }
   }
 
   /**
-   * Extract vendor from order line items
-   * @param {Object} order - Shopify order object
+   * Extract vendor from a line item
+   * @param {Object} lineItem - Shopify line item
    * @returns {string|null} Vendor name or null
    */
-  extractVendorFromOrder(order) {
-    if (!order.line_items || order.line_items.length === 0) {
-      return null;
-    }
-
-    // Get vendor from first line item (typically the event product)
-    const firstLineItem = order.line_items[0];
-    return firstLineItem.vendor || null;
+  extractVendorFromLineItem(lineItem) {
+    return lineItem.vendor || null;
   }
 
   /**
    * Get host information from product metafields
+   * Served from the product host cache when possible
    * @param {string} productId - Shopify product ID
    * @returns {Promise<string>} Host name or null
    */
   async getProductHost(productId) {
+    const cached = productHostCache.get(String(productId));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.host;
+    }
+
     try {
       // First try to get from product metafields
       const metafieldsResponse = await this.client.get(`/products/${productId}/metafields.json`);
@@ -329,31 +1090,141 @@ class ShopifyService {
         )
       );
 
-      if (hostMetafield) {
-        return hostMetafield.value;
-      }
+      let host = hostMetafield ? hostMetafield.value : null;
 
-      // Fallback: try to get from product itself if metafield not found
-      const productResponse = await this.client.get(`/products/${productId}.json`);
-      const product = productResponse.data.product;
-
-      // Check if host is in product tags (alternative storage method)
-      if (product.tags) {
-        const hostTag = product.tags.split(',').find(tag =>
-          tag.trim().toLowerCase().startsWith('host:')
-        );
-        if (hostTag) {
-          return hostTag.split(':')[1].trim();
-        }
+      if (!host) {
+        // Fallback: try to get from product itself if metafield not found
+        const productResponse = await this.client.get(`/products/${productId}.json`);
+        host = this.extractHostFromTags(productResponse.data.product.tags);
       }
 
-      return null;
+      this.cacheProductHost(productId, host);
+      return host;
     } catch (error) {
       console.error(`Error fetching host for product ${productId}:`, error.response?.data || error.message);
       return null;
     }
   }
 
+  /**
+   * Find a `host:Name` tag (alternative storage method)
+   * @param {string|Array} tags - Comma-separated tags (REST) or tag array (GraphQL)
+   * @returns {string|null} Host name or null
+   */
+  extractHostFromTags(tags) {
+    if (!tags) {
+      return null;
+    }
+
+    const tagList = Array.isArray(tags) ? tags : tags.split(',');
+    const hostTag = tagList.find(tag => tag.trim().toLowerCase().startsWith('host:'));
+
+    return hostTag ? hostTag.split(':')[1].trim() : null;
+  }
+
+  /**
+   * Store a product host lookup in the cache
+   * @param {string} productId - Shopify product ID
+   * @param {string|null} host - Host name (null is cached too, to avoid repeat misses)
+   */
+  cacheProductHost(productId, host) {
+    productHostCache.set(String(productId), {
+      host,
+      expiresAt: Date.now() + this.productHostTtlMs
+    });
+  }
+
+  /**
+   * Drop cached hosts, e.g. when a product is updated in Shopify
+   * @param {string|Array} productIds - Product ID(s) to invalidate; omit to clear the whole cache
+   */
+  invalidateProductHosts(productIds) {
+    if (productIds === undefined) {
+      productHostCache.clear();
+      return;
+    }
+
+    [].concat(productIds).forEach(productId => productHostCache.delete(String(productId)));
+  }
+
+  /**
+   * Warm the product host cache for every product in a set of orders
+   * @param {Array} orders - Raw Shopify orders
+   * @returns {Promise<void>}
+   */
+  async warmProductHostsForOrders(orders) {
+    const productIds = orders.flatMap(order =>
+      (order.line_items || []).map(item => item.product_id).filter(Boolean)
+    );
+
+    await this.warmProductHosts(productIds);
+  }
+
+  /**
+   * Fetch `custom.host` metafields and tags for many products with one GraphQL query per batch
+   * Products already cached are skipped; a failed batch is left for getProductHost to fetch one by one
+   * @param {Array} productIds - Shopify product IDs
+   * @returns {Promise<void>}
+   */
+  async warmProductHosts(productIds) {
+    const now = Date.now();
+    const missing = Array.from(new Set(productIds.map(String))).filter(productId => {
+      const cached = productHostCache.get(productId);
+      return !cached || cached.expiresAt <= now;
+    });
+
+    for (let i = 0; i < missing.length; i += PRODUCT_HOST_BATCH_SIZE) {
+      const batch = missing.slice(i, i + PRODUCT_HOST_BATCH_SIZE);
+
+      try {
+        const data = await this.graphql(PRODUCT_HOSTS_QUERY, {
+          ids: batch.map(productId => `gid://shopify/Product/${productId}`)
+        });
+
+        data.nodes.filter(Boolean).forEach(product => {
+          const productId = product.id.split('/').pop();
+          this.cacheProductHost(productId, product.host?.value || this.extractHostFromTags(product.tags));
+        });
+      } catch (error) {
+        console.error('Error warming product host cache:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Run an Admin GraphQL query
+   * Queries rejected for exceeding the cost bucket wait for it to refill and are retried
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} Response `data`
+   */
+  async graphql(query, variables = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await this.graphqlClient.post('/graphql.json', { query, variables }, {
+        shopifyIdempotent: !/^\s*mutation\b/.test(query)
+      });
+      const { errors, extensions } = response.data;
+
+      if (!errors) {
+        return response.data.data;
+      }
+
+      const throttled = Array.isArray(errors) && errors.some(error => error.extensions?.code === 'THROTTLED');
+      if (throttled && attempt < GRAPHQL_THROTTLE_RETRIES) {
+        const cost = extensions?.cost;
+        const missing = cost ? cost.requestedQueryCost - cost.throttleStatus.currentlyAvailable : 0;
+        const restoreRate = cost?.throttleStatus.restoreRate || 50;
+        await new Promise(resolve => setTimeout(resolve, Math.max(1000, (missing / restoreRate) * 1000)));
+        continue;
+      }
+
+      const message = Array.isArray(errors)
+        ? errors.map(error => error.message).join('; ')
+        : errors;
+      throw new Error(`GraphQL request failed: ${message}`);
+    }
+  }
+
   /**
    * Get orders for a specific host
    * @param {string} hostName - Name of the host (e.g., "Llamas")
@@ -405,25 +1276,45 @@ class ShopifyService {
       const eventOrders = await this.getEventOrders(params);
 
       // Filter by provider (check both host and vendor)
-      return eventOrders.filter(order => {
-        // Check host field (from product metafields/tags)
-        const hostMatch = order.host &&
-          order.host.toLowerCase() === providerName.toLowerCase();
-
-        // Check vendor field (from line items)
-        const vendorMatch = order.lineItems &&
-          order.lineItems.some(item =>
-            item.vendor && item.vendor.toLowerCase() === providerName.toLowerCase()
-          );
-
-        return hostMatch || vendorMatch;
-      });
+      return eventOrders.filter(order => this.matchesProvider(order, providerName));
     } catch (error) {
       console.error(`Error fetching orders for provider ${providerName}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Check whether a parsed booking belongs to a provider (host or vendor)
+   * @param {Object} order - Booking from parseOrderWithCowlendar
+   * @param {string} providerName - Host name or vendor name
+   * @returns {boolean} True if the order belongs to the provider
+   */
+  matchesProvider(order, providerName) {
+    // Check host field (from product metafields/tags)
+    const hostMatch = order.host &&
+      order.host.toLowerCase() === providerName.toLowerCase();
+
+    // Check vendor field (from line items)
+    const vendorMatch = order.lineItems &&
+      order.lineItems.some(item =>
+        item.vendor && item.vendor.toLowerCase() === providerName.toLowerCase()
+      );
+
+    return Boolean(hostMatch || vendorMatch);
+  }
+
+  /**
+   * Check whether a parsed booking belongs to a host, by its host only
+   * Used for host key scoping, where a vendor name shared by several hosts must not grant access
+   * @param {Object} order - Booking from parseOrderWithCowlendar
+   * @param {string} hostName - Host name
+   * @returns {boolean} True if the booking's host is hostName
+   */
+  matchesHost(order, hostName) {
+    return Boolean(order.host && typeof hostName === 'string' &&
+      order.host.toLowerCase() === hostName.toLowerCase());
+  }
+
   /**
    * Get all available providers (hosts and vendors) from recent orders
    * @param {Object} params - Query parameters
@@ -434,13 +1325,17 @@ class ShopifyService {
       const orders = await this.getOrders({ ...params, limit: 250 });
       const providers = new Set();
 
+      await this.warmProductHostsForOrders(orders.filter(order => this.hasCowlendarMetadata(order)));
+
       for (const order of orders) {
-        // Get host from parsed order if it has Cowlendar metadata
+        // Get hosts from parsed bookings if it has Cowlendar metadata
         if (this.hasCowlendarMetadata(order)) {
-          const parsedOrder = await this.parseOrderWithCowlendar(order);
-          if (parsedOrder.host) {
-            providers.add(parsedOrder.host);
-          }
+          const bookings = await this.parseOrderWithCowlendar(order);
+          bookings.forEach(booking => {
+            if (booking.host) {
+              providers.add(booking.host);
+            }
+          });
         }
 
         // Get vendor from line items
@@ -461,4 +1356,19 @@ class ShopifyService {
   }
 }
 
+/**
+ * GraphQL cursors carry the search query too, like REST page_info does
+ */
+function encodeGraphqlCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeGraphqlCursor(pageInfo) {
+  try {
+    return JSON.parse(Buffer.from(pageInfo, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid page_info cursor');
+  }
+}
+
 module.exports = ShopifyService;
\ No newline at end of file
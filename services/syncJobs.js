@@ -0,0 +1,92 @@
+const BookingIndexService = require('./bookingIndexService');
+const BookingKitService = require('./bookingkitService');
+
+/**
+ * Background jobs run by the JobScheduler
+ * - booking-index-sync: incremental Shopify → booking index sync (BOOKING_INDEX_SYNC_CRON)
+ * - bookingkit-sync:{provider}: provider-scoped Shopify → BookingKit sync, one per entry in
+ *   BOOKINGKIT_SYNC_SCHEDULES, e.g. "venchi=*\/15 * * * *;llamas=0 * * * *"
+ */
+
+/**
+ * Parse BOOKINGKIT_SYNC_SCHEDULES into provider schedules
+ * @param {string} value - "provider=cron;provider=cron"
+ * @returns {Array} [{ provider, schedule }]
+ */
+function parseSyncSchedules(value) {
+  return (value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid BOOKINGKIT_SYNC_SCHEDULES entry "${entry}", expected provider=cron`);
+      }
+      return {
+        provider: entry.slice(0, separator).trim(),
+        schedule: entry.slice(separator + 1).trim()
+      };
+    });
+}
+
+/**
+ * Sync every indexed booking of a provider to its BookingKit account
+ * @param {BookingIndexService} bookingIndex - Booking index to read from
+ * @param {string} provider - Provider (host or vendor) name
+ * @returns {Promise<Object>} Counts and errors for the run record
+ */
+async function syncProviderToBookingKit(bookingIndex, provider) {
+  const bookingKitService = BookingKitService.forProvider(provider);
+
+  if (!bookingKitService.isAuthorized()) {
+    throw new Error(`BookingKit account "${bookingKitService.accountId}" is not authorized`);
+  }
+
+  // Pick up Shopify changes since the last index sync first
+  await bookingIndex.sync();
+
+  // By host or vendor: providers that only appear as a line item vendor have bookings too
+  const bookings = bookingIndex.allBookings()
+    .filter(booking => bookingIndex.shopifyService.matchesProvider(booking, provider));
+  const { results, stopped, ...counts } = await bookingKitService.syncBookings(bookings);
+
+  return {
+    account: bookingKitService.accountId,
+    bookings: bookings.length,
+    ...counts,
+    errors: results
+      .filter(result => result.status === 'failed')
+      .map(result => `${result.booking_id}: ${result.error}`)
+  };
+}
+
+/**
+ * Register the sync jobs with a scheduler
+ * @param {JobScheduler} scheduler - Scheduler to register with
+ * @param {BookingIndexService} bookingIndex - Booking index shared by the jobs
+ */
+function registerSyncJobs(scheduler, bookingIndex = new BookingIndexService()) {
+  scheduler.register('booking-index-sync', {
+    description: 'Incremental sync of Shopify orders into the booking index',
+    schedule: process.env.BOOKING_INDEX_SYNC_CRON || '*/5 * * * *',
+    run: async () => {
+      const { mode, fetched, indexed } = await bookingIndex.sync();
+      return { mode, fetched, indexed };
+    }
+  });
+
+  parseSyncSchedules(process.env.BOOKINGKIT_SYNC_SCHEDULES).forEach(({ provider, schedule }) => {
+    scheduler.register(`bookingkit-sync:${provider.toLowerCase()}`, {
+      description: `Sync ${provider} bookings to BookingKit`,
+      provider,
+      schedule,
+      run: () => syncProviderToBookingKit(bookingIndex, provider)
+    });
+  });
+}
+
+module.exports = {
+  registerSyncJobs,
+  parseSyncSchedules
+};
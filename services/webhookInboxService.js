@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const BokunService = require('./bokunService');
+const BookingIndexService = require('./bookingIndexService');
+const BookingKitService = require('./bookingkitService');
+const JsonFileStore = require('./jsonFileStore');
+
+// The worker's current pass over due events, and its timer for the next retry
+let draining = null;
+let retryTimer = null;
+
+const STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+class WebhookInboxService {
+  /**
+   * Inbox of incoming webhooks, kept in the 'webhook-inbox' store
+   * Holds BookingKit webhooks ('bookingkit' source) and the BookingKit and Bokun pushes of
+   * Shopify order webhooks ('shopify' source).
+   * Events are stored before they are acknowledged and deduplicated by event ID, then processed
+   * one at a time in the background. A failed event is retried with exponential backoff
+   * (WEBHOOK_INBOX_RETRY_BASE_SECONDS, default 30) and moves to 'dead' after
+   * WEBHOOK_INBOX_MAX_ATTEMPTS (default 5) attempts.
+   */
+  constructor() {
+    this.store = JsonFileStore.open('webhook-inbox', { events: [] });
+    this.maxAttempts = parseInt(process.env.WEBHOOK_INBOX_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = (parseInt(process.env.WEBHOOK_INBOX_RETRY_BASE_SECONDS) || 30) * 1000;
+    this.limit = parseInt(process.env.WEBHOOK_INBOX_LIMIT) || 1000;
+  }
+
+  /**
+   * Store an incoming webhook unless it was received before
+   * @param {Object} webhook - { source, account, payload, rawBody, headers }
+   * @returns {Object} { event, duplicate } with the event in API response format
+   */
+  receive({ source, account, payload, rawBody, headers = {} }) {
+    const eventId = String(
+      payload.event_id || payload.id || headers['x-bookingkit-event-id'] || headers['x-webhook-id'] ||
+      crypto.createHash('sha256').update(rawBody).digest('hex')
+    );
+
+    const existing = this.store.data.events.find(event =>
+      event.source === source && event.account === account && event.event_id === eventId
+    );
+
+    if (existing) {
+      existing.duplicates++;
+      existing.last_duplicate_at = new Date().toISOString();
+      this.store.save();
+
+      console.log(`📥 Duplicate ${source} webhook ${eventId} ignored (${existing.status})`);
+      return { event: this.toSummary(existing), duplicate: true };
+    }
+
+    const event = {
+      id: crypto.randomUUID(),
+      source,
+      account,
+      event_id: eventId,
+      event_type: payload.event_type || null,
+      status: 'pending',
+      attempts: 0,
+      received_at: new Date().toISOString(),
+      next_attempt_at: new Date().toISOString(),
+      processed_at: null,
+      last_error: null,
+      result: null,
+      duplicates: 0,
+      last_duplicate_at: null,
+      history: [],
+      payload
+    };
+
+    this.store.data.events.push(event);
+    this.prune();
+    this.store.flush();
+
+    console.log(`📥 ${source} webhook ${eventId} (${event.event_type}) stored as ${event.id}`);
+    return { event: this.toSummary(event), duplicate: false };
+  }
+
+  /**
+   * Process every due event, oldest first, unless the worker is already doing so
+   * @returns {Promise} Resolves once no event is due
+   */
+  drain() {
+    if (!draining) {
+      draining = (async () => {
+        let event;
+        while ((event = this.nextDueEvent())) {
+          await this.process(event);
+        }
+      })().finally(() => {
+        draining = null;
+        this.scheduleRetry();
+      });
+    }
+
+    return draining;
+  }
+
+  /**
+   * Process one event and record the attempt
+   * @param {Object} event - Stored event
+   */
+  async process(event) {
+    event.status = 'processing';
+    event.attempts++;
+    this.store.save();
+
+    try {
+      event.result = await this.handle(event);
+      event.status = 'processed';
+      event.processed_at = new Date().toISOString();
+      event.last_error = null;
+      event.next_attempt_at = null;
+
+    } catch (error) {
+      event.last_error = error.message;
+
+      if (event.attempts >= this.maxAttempts) {
+        event.status = 'dead';
+        event.next_attempt_at = null;
+        console.error(`📥 Webhook ${event.event_id} dead after ${event.attempts} attempts: ${error.message}`);
+      } else {
+        const delay = Math.min(this.retryBaseMs * 2 ** (event.attempts - 1), 60 * 60 * 1000);
+        event.status = 'failed';
+        event.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        console.error(`📥 Webhook ${event.event_id} failed (attempt ${event.attempts}), retrying in ${delay / 1000}s: ${error.message}`);
+      }
+    }
+
+    event.history.push({ at: new Date().toISOString(), status: event.status, error: event.status === 'processed' ? null : event.last_error });
+    this.store.save();
+  }
+
+  /**
+   * Run the handler of an event's source
+   * @param {Object} event - Stored event
+   * @returns {Promise<Object>} Handler result
+   */
+  async handle(event) {
+    switch (event.source) {
+      case 'bookingkit':
+        return BookingKitService.forAccount(event.account).processWebhook(event.payload);
+      case 'shopify':
+        return this.pushShopifyBooking(event);
+      default:
+        throw new Error(`No handler for webhook source ${event.source}`);
+    }
+  }
+
+  /**
+   * Push a booking changed by a Shopify order webhook to BookingKit or Bokun
+   * The booking is read from the index when it is there, so a retry never sends an older
+   * version than a later webhook already did
+   * @param {Object} event - Stored event; payload { event_type (topic), target, booking }
+   * @returns {Promise<Object>} { action, booking_id }
+   */
+  async pushShopifyBooking({ account, payload }) {
+    const { bookingId, shopifyOrderId } = payload.booking;
+    const indexed = (new BookingIndexService().get(shopifyOrderId) || [])
+      .find(booking => booking.bookingId === bookingId);
+    const booking = indexed || payload.booking;
+
+    let result;
+    if (payload.target === 'bokun') {
+      result = await new BokunService().syncBooking(booking);
+    } else {
+      const bookingKitService = BookingKitService.forAccount(account);
+      result = payload.event_type === 'orders/cancelled'
+        ? await bookingKitService.cancelBookingForOrder(booking)
+        : await bookingKitService.syncBooking(booking);
+    }
+
+    console.log(`${payload.target === 'bokun' ? 'Bokun' : 'BookingKit'} ${result.action} for booking ${bookingId}`);
+    return result;
+  }
+
+  /**
+   * Oldest event that is pending, or failed with its retry time reached
+   * @returns {Object|null} Stored event
+   */
+  nextDueEvent() {
+    const now = Date.now();
+
+    return this.store.data.events.find(event =>
+      event.status === 'pending' || (event.status === 'failed' && Date.parse(event.next_attempt_at) <= now)
+    ) || null;
+  }
+
+  /**
+   * Wake the worker when the earliest failed event is due again
+   */
+  scheduleRetry() {
+    clearTimeout(retryTimer);
+
+    const nextAttempts = this.store.data.events
+      .filter(event => event.status === 'failed')
+      .map(event => Date.parse(event.next_attempt_at));
+
+    if (nextAttempts.length > 0) {
+      retryTimer = setTimeout(() => this.drain(), Math.max(0, Math.min(...nextAttempts) - Date.now()));
+      retryTimer.unref();
+    }
+  }
+
+  /**
+   * Queue an event to be processed again, e.g. after fixing the cause of a dead letter
+   * @param {string} id - Inbox event ID
+   * @returns {Object|null} Event in API response format, or null if not found
+   */
+  replay(id) {
+    const event = this.findEvent(id);
+    if (!event) {
+      return null;
+    }
+
+    if (event.status === 'processing') {
+      throw new Error(`Invalid state: event ${id} is being processed`);
+    }
+
+    event.status = 'pending';
+    event.attempts = 0;
+    event.next_attempt_at = new Date().toISOString();
+    event.history.push({ at: event.next_attempt_at, status: 'replayed', error: null });
+    this.store.save();
+
+    console.log(`📥 Webhook ${event.event_id} queued for replay`);
+    const queued = this.toSummary(event);
+    this.drain();
+
+    return queued;
+  }
+
+  /**
+   * Resume events cut short by a restart
+   * Called once at server startup
+   */
+  resume() {
+    let interrupted = false;
+
+    this.store.data.events.forEach(event => {
+      if (event.status === 'processing') {
+        event.status = 'pending';
+        interrupted = true;
+      }
+    });
+
+    if (interrupted) {
+      this.store.save();
+    }
+
+    return this.drain();
+  }
+
+  /**
+   * Drop the oldest processed and dead events beyond WEBHOOK_INBOX_LIMIT
+   * Events still waiting to be processed are always kept
+   */
+  prune() {
+    const events = this.store.data.events;
+    let excess = events.length - this.limit;
+
+    for (let i = 0; i < events.length && excess > 0;) {
+      if (['processed', 'dead'].includes(events[i].status)) {
+        events.splice(i, 1);
+        excess--;
+      } else {
+        i++;
+      }
+    }
+  }
+
+  /**
+   * Get an event with its payload and attempt history
+   * @param {string} id - Inbox event ID
+   * @returns {Object|null} Event in API response format
+   */
+  get(id) {
+    const event = this.findEvent(id);
+    return event ? { ...event } : null;
+  }
+
+  /**
+   * Recent events without payloads, newest first
+   * @param {Object} filters - { source, account, status, event_type, limit }
+   * @returns {Array} Events in API response format
+   */
+  list({ source, account, status, event_type, limit = 100 } = {}) {
+    return this.store.data.events
+      .filter(event =>
+        (!source || event.source === source) &&
+        (!account || event.account === account) &&
+        (!status || event.status === status) &&
+        (!event_type || event.event_type === event_type)
+      )
+      .reverse()
+      .slice(0, Math.min(parseInt(limit) || 100, this.limit))
+      .map(event => this.toSummary(event));
+  }
+
+  /**
+   * Number of events per status
+   * @returns {Object} { pending, processing, processed, failed, dead }
+   */
+  getCounts() {
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    this.store.data.events.forEach(event => { counts[event.status]++; });
+    return counts;
+  }
+
+  findEvent(id) {
+    return this.store.data.events.find(event => event.id === id) || null;
+  }
+
+  toSummary(event) {
+    const { payload, history, ...summary } = event;
+    return summary;
+  }
+}
+
+WebhookInboxService.STATUSES = STATUSES;
+
+module.exports = WebhookInboxService;
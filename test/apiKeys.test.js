@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEY = 'global-key';
+
+const { authenticateApiKey } = require('../middleware/auth');
+const apiKeyRoutes = require('../routes/apiKeys');
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('/api/admin/keys', () => {
+  let server;
+  let baseUrl;
+
+  async function request(method, url, key, body) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function createKey(body = {}) {
+    return request('POST', '/api/admin/keys', 'global-key', { label: 'Llamas', tenant: 'llamas', ...body });
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin/keys', apiKeyRoutes);
+    app.get('/protected', authenticateApiKey, (req, res) => res.json({ success: true, key: req.apiKey.id }));
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('stores only a salted hash of the key', async () => {
+    const created = await createKey({ scopes: ['read:orders'] });
+    const { data, api_key: apiKey } = created.body;
+    const secret = apiKey.slice(apiKey.indexOf('.') + 1);
+
+    expect(created.status).toBe(201);
+    expect(apiKey.startsWith(`${data.id}.`)).toBe(true);
+    expect(await request('GET', '/protected', apiKey)).toEqual({ status: 200, body: { success: true, key: data.id } });
+
+    const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'api-keys.json'), 'utf8');
+    expect(stored).not.toContain(secret);
+    expect(JSON.parse(stored).keys[data.id]).toMatchObject({ salt: expect.any(String), hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    const listed = await request('GET', `/api/admin/keys/${data.id}`, 'global-key');
+    expect(listed.body.data).not.toHaveProperty('hash');
+    expect(listed.body.data).not.toHaveProperty('salt');
+  });
+
+  test('rejects the old secret of a rotated key once its grace period is over', async () => {
+    const { data, api_key: oldKey } = (await createKey()).body;
+
+    const rotated = await request('POST', `/api/admin/keys/${data.id}/rotate`, 'global-key', { grace_period_seconds: 0 });
+    const newKey = rotated.body.api_key;
+
+    expect(newKey).not.toBe(oldKey);
+    expect((await request('GET', '/protected', newKey)).status).toBe(200);
+    expect(await request('GET', '/protected', oldKey)).toMatchObject({
+      status: 403,
+      body: { error: 'Invalid API key', message: 'The provided API key is not valid' }
+    });
+  });
+
+  test('keeps the old secret working during the grace period', async () => {
+    const { data, api_key: oldKey } = (await createKey()).body;
+
+    const rotated = await request('POST', `/api/admin/keys/${data.id}/rotate`, 'global-key', { grace_period_seconds: 3600 });
+
+    expect(rotated.body.data.previous_secret_expires_at).not.toBeNull();
+    expect((await request('GET', '/protected', oldKey)).status).toBe(200);
+    expect((await request('GET', '/protected', rotated.body.api_key)).status).toBe(200);
+  });
+
+  test('rejects revoked keys, including a rotated secret still in its grace period', async () => {
+    const { data, api_key: oldKey } = (await createKey()).body;
+    const newKey = (await request('POST', `/api/admin/keys/${data.id}/rotate`, 'global-key', {})).body.api_key;
+
+    const revoked = await request('DELETE', `/api/admin/keys/${data.id}`, 'global-key');
+    expect(revoked.body.data.revoked_at).not.toBeNull();
+
+    expect(await request('GET', '/protected', newKey)).toMatchObject({
+      status: 403,
+      body: { message: 'The provided API key has been revoked' }
+    });
+    expect((await request('GET', '/protected', oldKey)).status).toBe(403);
+    expect((await request('POST', `/api/admin/keys/${data.id}/rotate`, 'global-key', {})).status).toBe(400);
+  });
+
+  test('rejects expired keys and admin scopes on tenant keys', async () => {
+    const expired = (await createKey({ expires_at: '2020-01-01T00:00:00Z' })).body.api_key;
+    expect(await request('GET', '/protected', expired)).toMatchObject({
+      status: 403,
+      body: { message: 'The provided API key has expired' }
+    });
+
+    const admin = await createKey({ scopes: ['admin'] });
+    expect(admin).toMatchObject({ status: 400, body: { message: 'Invalid key: tenant keys cannot have the admin scope' } });
+  });
+
+  test('only global keys with the admin scope manage keys', async () => {
+    const { api_key: tenantKey } = (await createKey()).body;
+
+    expect((await request('GET', '/api/admin/keys', tenantKey)).status).toBe(403);
+    expect((await request('POST', '/api/admin/keys/env:global/rotate', 'global-key', {})).status).toBe(400);
+  });
+});
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bokun-'));
+process.env.API_KEY = 'global-key';
+process.env.BOKUN_ACCESS_KEY = 'access-key';
+process.env.BOKUN_SECRET_KEY = 'secret-key';
+process.env.BOKUN_ACTIVITY_MAP = '111=9001';
+
+const BokunService = require('../services/bokunService');
+const BookingIndexService = require('../services/bookingIndexService');
+
+function booking(overrides = {}) {
+  return {
+    bookingId: '3001-9101',
+    shopifyOrderId: 3001,
+    lineItemId: 9101,
+    orderName: '#3001',
+    productId: 111,
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '' },
+    quantity: 2,
+    refundedQuantity: 0,
+    eventDate: '2025-12-05',
+    startTime: '10:00',
+    allDay: false,
+    startDateTime: '2025-12-05T10:00:00+01:00',
+    cancelledAt: null,
+    financialStatus: 'paid',
+    money: { currency: 'EUR' },
+    ...overrides
+  };
+}
+
+/**
+ * Minimal Bokun API: checks every request's HMAC signature like Bokun does
+ */
+function mockBokun() {
+  const state = { requests: [], bookings: [] };
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    const expected = crypto.createHmac('sha1', 'secret-key')
+      .update(`${req.get('X-Bokun-Date')}${req.get('X-Bokun-AccessKey')}${req.method}${req.originalUrl}`)
+      .digest('base64');
+
+    if (req.get('X-Bokun-AccessKey') !== 'access-key' || req.get('X-Bokun-Signature') !== expected) {
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+
+    state.requests.push({ method: req.method, url: req.originalUrl, body: req.body });
+    next();
+  });
+
+  app.get('/currency.json/findAll', (req, res) => res.json([{ code: 'EUR' }]));
+
+  app.post('/checkout.json/submit', (req, res) => {
+    if (state.failSubmit) {
+      return res.status(503).json({ message: 'Service unavailable' });
+    }
+
+    const booking = { bookingId: state.bookings.length + 1, confirmationCode: `SHO-${state.bookings.length + 1}`, status: 'CONFIRMED' };
+    state.bookings.push({ ...booking, request: req.body });
+    res.json({ booking });
+  });
+
+  app.post('/booking.json/cancel-booking/:code', (req, res) => {
+    const existing = state.bookings.find(item => item.confirmationCode === req.params.code);
+    existing.status = 'CANCELLED';
+    res.json({ confirmationCode: req.params.code, status: 'CANCELLED' });
+  });
+
+  return { app, state };
+}
+
+describe('BokunService', () => {
+  let server;
+  let bokun;
+  let service;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    bokun = mockBokun();
+    await new Promise(resolve => { server = bokun.app.listen(0, resolve); });
+    process.env.BOKUN_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    bokun.state.requests = [];
+    service = new BokunService();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('signs requests over date, access key, method and path', () => {
+    expect(BokunService.formatDate(new Date('2025-01-02T03:04:05.678Z'))).toBe('2025-01-02 03:04:05');
+
+    // Example from the Bokun API documentation
+    expect(BokunService.sign('23e2c7da7f7048e5b46f96bc91324800', '2013-11-09 14:33:46', 'de235a6a15c340b6b1e1cb5f3687d04a', 'POST', '/activity.json/search?lang=EN&currency=ISK'))
+      .toBe('XrOiTYa9Y34zscnLCsAEh8ieoyo=');
+  });
+
+  test('reports connectivity through a signed request', async () => {
+    expect(await service.checkConnectivity()).toEqual({ api_connectivity: 'ok' });
+
+    const unsigned = new BokunService();
+    unsigned.secretKey = 'wrong';
+    expect(await unsigned.checkConnectivity()).toEqual({ api_connectivity: 'failed', api_error: 'Bokun request failed: Invalid signature' });
+  });
+
+  test('submits a mapped booking once as an external booking', async () => {
+    const first = await service.trySyncBooking(booking());
+    const second = await service.trySyncBooking(booking());
+
+    expect(first).toMatchObject({ status: 'created', bokun_confirmation_code: 'SHO-1' });
+    expect(second).toMatchObject({ status: 'skipped', bokun_confirmation_code: 'SHO-1' });
+    expect(bokun.state.requests.map(request => request.url)).toEqual(['/checkout.json/submit?currency=EUR']);
+    expect(bokun.state.bookings[0].request).toMatchObject({
+      paymentMethod: 'RESERVE_FOR_EXTERNAL_PAYMENT',
+      directBooking: {
+        externalBookingReference: '3001-9101',
+        activityBookings: [{ activityId: 9001, date: '2025-12-05', startTime: '10:00', participants: 2 }]
+      }
+    });
+  });
+
+  test('replaces a changed booking and cancels a cancelled one', async () => {
+    const moved = booking({ eventDate: '2025-12-06', startDateTime: '2025-12-06T10:00:00+01:00' });
+
+    expect((await service.trySyncBooking(moved)).status).toBe('updated');
+    expect(bokun.state.requests.map(request => request.url))
+      .toEqual(['/booking.json/cancel-booking/SHO-1', '/checkout.json/submit?currency=EUR']);
+
+    const cancelled = await service.trySyncBooking({ ...moved, cancelledAt: '2025-11-20T09:00:00Z' });
+    expect(cancelled).toMatchObject({ status: 'cancelled', bokun_confirmation_code: 'SHO-2' });
+    expect(bokun.state.bookings.map(item => item.status)).toEqual(['CANCELLED', 'CANCELLED']);
+    expect((await service.trySyncBooking({ ...moved, cancelledAt: '2025-11-20T09:00:00Z' })).status).toBe('skipped');
+  });
+
+  test('a replacement that fails to submit is submitted later without cancelling again', async () => {
+    const original = booking({ bookingId: '3010-9110', lineItemId: 9110 });
+    const { bokun_confirmation_code: code } = await service.trySyncBooking(original);
+
+    bokun.state.requests = [];
+    bokun.state.failSubmit = true;
+    const moved = { ...original, eventDate: '2025-12-07', startDateTime: '2025-12-07T10:00:00+01:00' };
+
+    expect((await service.trySyncBooking(moved)).status).toBe('failed');
+    expect(service.getSyncMapping('3010-9110')).toMatchObject({ confirmationCode: code, cancelled: true, contentHash: null });
+
+    bokun.state.requests = [];
+    bokun.state.failSubmit = false;
+
+    expect((await service.trySyncBooking(moved)).status).toBe('updated');
+    expect(bokun.state.requests.map(request => request.url)).toEqual(['/checkout.json/submit?currency=EUR']);
+  });
+
+  test('concurrent syncs of the same booking submit it only once', async () => {
+    const fresh = booking({ bookingId: '3020-9120', lineItemId: 9120 });
+    bokun.state.requests = [];
+
+    // orders/create and orders/updated arrive within the same second
+    const results = await Promise.all([
+      service.syncBooking(fresh),
+      new BokunService().syncBooking(fresh),
+      service.syncBooking({ ...fresh, cancelledAt: '2025-11-20T09:00:00Z' })
+    ]);
+
+    expect(results.map(result => result.action)).toEqual(['created', 'skipped', 'cancelled']);
+    expect(bokun.state.requests.map(request => request.url))
+      .toEqual(['/checkout.json/submit?currency=EUR', `/booking.json/cancel-booking/${results[0].booking_id}`]);
+  });
+
+  test('uses stored activity mappings and reports unmapped products', async () => {
+    service.setActivityMapping(222, { activity_id: 9002, pricing_category_id: 77 });
+
+    const summary = await service.syncBookings([
+      booking({ bookingId: '3002-9102', productId: 222, quantity: 2 }),
+      booking({ bookingId: '3003-9103', productId: 333 })
+    ]);
+
+    expect(summary).toMatchObject({ created: 1, unmapped: 1, failed: 0 });
+    expect(bokun.state.bookings[bokun.state.bookings.length - 1].request.directBooking.activityBookings[0].pricingCategoryBookings)
+      .toEqual([{ pricingCategoryId: 77 }, { pricingCategoryId: 77 }]);
+    expect(service.listActivityMappings().map(mapping => [mapping.product_id, mapping.source]))
+      .toEqual([['222', 'stored'], ['111', 'environment']]);
+    expect(() => service.setActivityMapping(222, { activity_id: 'abc' })).toThrow('Invalid activity_id');
+  });
+
+  test('GET /api/bokun/health checks the signed connection', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bokun', require('../routes/bokun'));
+
+    const api = await new Promise(resolve => { const listener = app.listen(0, () => resolve(listener)); });
+    try {
+      const response = await fetch(`http://127.0.0.1:${api.address().port}/api/bokun/health`, { headers: { 'X-API-Key': 'global-key' } });
+      expect(await response.json()).toMatchObject({
+        success: true,
+        bokun_integration: { credentials_configured: true, api_connectivity: 'ok' }
+      });
+    } finally {
+      await new Promise(resolve => api.close(resolve));
+    }
+  });
+
+  test('POST /api/bokun/sync pushes in a background sync job', async () => {
+    const ready = jest.spyOn(BookingIndexService.prototype, 'ensureReady').mockResolvedValue();
+    const sync = jest.spyOn(BookingIndexService.prototype, 'sync').mockResolvedValue({});
+    const select = jest.spyOn(BookingIndexService.prototype, 'select')
+      .mockReturnValue([booking({ bookingId: '3004-9104', shopifyOrderId: 3004, lineItemId: 9104 })]);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bokun', require('../routes/bokun'));
+
+    const api = await new Promise(resolve => { const listener = app.listen(0, () => resolve(listener)); });
+    const base = `http://127.0.0.1:${api.address().port}/api/bokun/sync`;
+    const headers = { 'X-API-Key': 'global-key', 'Content-Type': 'application/json' };
+
+    try {
+      const response = await fetch(base, { method: 'POST', headers, body: JSON.stringify({ order_ids: [3004] }) });
+      const queued = await response.json();
+
+      expect(response.status).toBe(202);
+      expect(queued).toMatchObject({
+        job_id: queued.data.id,
+        status_url: `/api/bokun/sync/${queued.data.id}`,
+        data: { connector: 'bokun', status: 'queued', request: { order_ids: [3004] } }
+      });
+
+      const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+      await new BookingKitSyncJobService().drain();
+
+      const job = await (await fetch(`${base}/${queued.job_id}`, { headers })).json();
+      expect(job.data).toMatchObject({ status: 'completed', progress: { total: 1, created: 1 } });
+      expect(job.data.items[0]).toMatchObject({ booking_id: '3004-9104', status: 'created', bokun_confirmation_code: expect.stringMatching(/^SHO-/) });
+      expect(select).toHaveBeenCalledWith({ provider: null, orderIds: [3004], limit: 100 });
+    } finally {
+      await new Promise(resolve => api.close(resolve));
+      select.mockRestore();
+      sync.mockRestore();
+      ready.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-index-'));
+
+const BookingIndexService = require('../services/bookingIndexService');
+const ShopifyService = require('../services/shopifyService');
+
+function order(id, { vendor = 'Llamas', date = '5 dec 2025', createdAt = '2025-11-01T10:00:00Z', email = 'ada@example.com', ...overrides } = {}) {
+  return {
+    id,
+    order_number: id,
+    name: `#${id}`,
+    email,
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email },
+    financial_status: 'paid',
+    note_attributes: [],
+    created_at: createdAt,
+    updated_at: createdAt,
+    closed_at: null,
+    cancelled_at: null,
+    line_items: [{
+      id: id * 10,
+      name: `${vendor} workshop`,
+      quantity: 1,
+      price: '25.00',
+      vendor,
+      product_id: id,
+      properties: [
+        { name: 'Date', value: `${date}, 10:00 - 12:00 (Europe/Rome)` },
+        { name: '__cow_internal_id', value: `cow-${id}` }
+      ]
+    }],
+    ...overrides
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('BookingIndexService', () => {
+  let shopify;
+  let index;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ShopifyService.prototype, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(ShopifyService.prototype, 'getProductHost').mockResolvedValue(null);
+
+    shopify = new ShopifyService();
+    index = new BookingIndexService(shopify);
+    index.store.data.orders = {};
+    index.store.data.lastSyncedAt = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs a full sync first, then only reads orders updated since the last one', async () => {
+    const getOrders = jest.spyOn(shopify, 'getOrders')
+      .mockResolvedValueOnce([order(1001), order(1002, { line_items: [] })])
+      .mockResolvedValueOnce([order(1001, { cancelled_at: '2025-11-03T10:00:00Z' })]);
+
+    const full = await index.sync();
+    expect(full).toMatchObject({ mode: 'full', fetched: 2, indexed: 1 });
+    expect(getOrders.mock.calls[0][0]).toEqual({ status: 'any', limit: Infinity });
+
+    const incremental = await index.sync();
+    expect(incremental).toMatchObject({ mode: 'incremental', fetched: 1, indexed: 1 });
+
+    // Re-reads a minute before the previous sync started, so orders changed while it ran are not missed
+    const since = Date.parse(full.synced_at) - 60 * 1000;
+    expect(getOrders.mock.calls[1][0]).toEqual({ status: 'any', limit: Infinity, updated_at_min: new Date(since).toISOString() });
+
+    expect(index.get(1001)[0].cancelledAt).toBe('2025-11-03T10:00:00Z');
+    expect(index.get(1002)).toBeNull();
+    expect(index.getStats()).toMatchObject({ indexed_orders: 1, indexed_bookings: 1, sync_in_progress: false });
+  });
+
+  test('shares one run between concurrent syncs', async () => {
+    const getOrders = jest.spyOn(shopify, 'getOrders').mockResolvedValue([order(1001)]);
+
+    const [first, second] = await Promise.all([index.sync(), index.sync({ full: true })]);
+
+    expect(first).toBe(second);
+    expect(getOrders).toHaveBeenCalledTimes(1);
+  });
+
+  test('filters bookings by provider, customer, event date and status', async () => {
+    await index.applyOrders([
+      order(1001, { vendor: 'Llamas', date: '5 dec 2025' }),
+      order(1002, { vendor: 'Venchi', date: '7 dec 2025', email: 'grace@example.com' }),
+      order(1003, { vendor: 'Llamas', date: '9 dec 2025', cancelled_at: '2025-11-05T10:00:00Z' })
+    ]);
+
+    const ids = filters => index.query(filters).orders.map(booking => booking.shopifyOrderId);
+
+    expect(ids({ provider: 'llamas' }).sort()).toEqual([1001, 1003]);
+    expect(ids({ customerEmail: 'GRACE@example.com' })).toEqual([1002]);
+    expect(ids({ eventDate: '2025-12-07' })).toEqual([1002]);
+    expect(ids({ dateFrom: '2025-12-06', dateTo: '2025-12-31' }).sort()).toEqual([1002, 1003]);
+    expect(ids({ cowlendarId: 'cow-1001' })).toEqual([1001]);
+    expect(ids({ status: 'open' }).sort()).toEqual([1001, 1002]);
+    expect(ids({ status: 'cancelled' })).toEqual([1003]);
+    expect(index.getProviders()).toEqual(['Llamas', 'Venchi']);
+  });
+
+  test('pages newest first with cursors that survive new orders', async () => {
+    await index.applyOrders([1, 2, 3, 4, 5].map(day => order(1000 + day, { createdAt: `2025-11-0${day}T10:00:00Z` })));
+
+    const first = index.query({ limit: 2 });
+    expect(first.orders.map(booking => booking.shopifyOrderId)).toEqual([1005, 1004]);
+    expect(first.prevCursor).toBeNull();
+
+    // An order created between requests does not shift the next page
+    await index.applyOrders([order(1006, { createdAt: '2025-11-06T10:00:00Z' })]);
+
+    const second = index.query({ limit: 2, cursor: first.nextCursor });
+    expect(second.orders.map(booking => booking.shopifyOrderId)).toEqual([1003, 1002]);
+
+    const last = index.query({ limit: 2, cursor: second.nextCursor });
+    expect(last.orders.map(booking => booking.shopifyOrderId)).toEqual([1001]);
+    expect(last.nextCursor).toBeNull();
+
+    const back = index.query({ limit: 2, cursor: second.prevCursor });
+    expect(back.orders.map(booking => booking.shopifyOrderId)).toEqual([1005, 1004]);
+    expect(back.prevCursor).not.toBeNull();
+
+    expect(() => index.query({ cursor: 'not-a-cursor' })).toThrow(/^Invalid cursor/);
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-events-'));
+process.env.API_KEY = 'global-key';
+
+const BookingKitService = require('../services/bookingkitService');
+
+function booking(overrides = {}) {
+  return {
+    bookingId: '1001-7001',
+    shopifyOrderId: 1001,
+    lineItemId: 7001,
+    orderNumber: 1,
+    productId: 501,
+    variantId: 601,
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '' },
+    eventName: 'Chocolate tasting',
+    startDateTime: '2025-11-30T17:00:00+01:00',
+    endDateTime: '2025-11-30T18:30:00+01:00',
+    timezone: 'Europe/Rome',
+    allDay: false,
+    durationMinutes: 90,
+    quantity: 2,
+    refundedQuantity: 0,
+    financialStatus: 'paid',
+    cancelledAt: null,
+    lineItems: [{ name: 'Chocolate tasting', quantity: 2, price: '25.00', vendor: 'Venchi' }],
+    host: 'Venchi',
+    provider: 'Venchi',
+    ...overrides
+  };
+}
+
+// BookingKit dates of event ev-1 on 30 November: 15:00 and 17:00 Rome time
+const DATES = [
+  { id: 'date-1500', event_id: 'ev-1', start_date: '2025-11-30T15:00:00+01:00' },
+  { id: 'date-1700', event_id: 'ev-1', start_date: '2025-11-30T16:00:00Z' }
+];
+
+describe('BookingKit event mappings', () => {
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    delete process.env.BOOKINGKIT_REQUIRE_EVENT_MAPPING;
+
+    service = new BookingKitService(`account-${Math.random().toString(36).slice(2)}`);
+    jest.spyOn(service, 'getBookings').mockResolvedValue([]);
+    jest.spyOn(service, 'createBooking').mockResolvedValue({ id: 'bk-1' });
+    jest.spyOn(service, 'updateBooking').mockResolvedValue({ id: 'bk-1' });
+    jest.spyOn(service, 'getEventDates').mockResolvedValue(DATES);
+  });
+
+  test('attaches synced bookings to the date slot starting at the booking time', async () => {
+    service.eventMap.set(service.accountId, { product_id: 501, event_id: 'ev-1' });
+
+    expect(await service.syncBooking(booking())).toEqual({ action: 'created', booking_id: 'bk-1' });
+    expect(service.getEventDates).toHaveBeenCalledWith('ev-1', '2025-11-30');
+    expect(service.createBooking).toHaveBeenCalledWith(expect.objectContaining({ event_id: 'ev-1', date_id: 'date-1700' }));
+
+    // Unchanged bookings are skipped without looking their slot up again
+    expect(await service.syncBooking(booking())).toEqual({ action: 'skipped', booking_id: 'bk-1' });
+    expect(service.getEventDates).toHaveBeenCalledTimes(1);
+  });
+
+  test('prefers the mapping of the variant and resyncs when the mapped event changes', async () => {
+    service.eventMap.set(service.accountId, { product_id: 501, event_id: 'ev-1' });
+    await service.syncBooking(booking());
+
+    service.eventMap.set(service.accountId, { product_id: 501, variant_id: 601, event_id: 'ev-2' });
+    service.getEventDates.mockResolvedValue([{ id: 'date-ev2', event_id: 'ev-2', start_date: '2025-11-30T17:00:00+01:00' }]);
+
+    expect(await service.syncBooking(booking())).toEqual({ action: 'updated', booking_id: 'bk-1' });
+    expect(service.updateBooking).toHaveBeenCalledWith('bk-1', expect.objectContaining({ event_id: 'ev-2', date_id: 'date-ev2' }));
+    expect(service.getEventMapping(booking({ variantId: 602 }))).toMatchObject({ event_id: 'ev-1', variant_id: null });
+  });
+
+  test('fails clearly when no date slot matches', async () => {
+    service.eventMap.set(service.accountId, { product_id: 501, event_id: 'ev-1' });
+
+    const result = await service.trySyncBooking(booking({ startDateTime: '2025-11-30T19:00:00+01:00' }));
+
+    expect(result).toMatchObject({
+      status: 'failed',
+      error: 'No BookingKit date of event ev-1 starts at 2025-11-30T19:00:00+01:00 (dates on 2025-11-30: 15:00, 17:00)'
+    });
+    expect(service.createBooking).not.toHaveBeenCalled();
+  });
+
+  test('all-day bookings take the only slot of their day', async () => {
+    service.eventMap.set(service.accountId, { product_id: 501, event_id: 'ev-1' });
+    const allDay = booking({ allDay: true, startDateTime: '2025-11-30T00:00:00+01:00' });
+
+    await expect(service.resolveEventSlot(allDay)).rejects.toThrow('All-day booking matches 2 dates of BookingKit event ev-1 on 2025-11-30');
+
+    service.getEventDates.mockResolvedValue([DATES[0]]);
+    expect(await service.resolveEventSlot(allDay)).toEqual({ event_id: 'ev-1', date_id: 'date-1500' });
+  });
+
+  test('sends unmapped products as before, unless a mapping is required', async () => {
+    await service.syncBooking(booking());
+    expect(service.createBooking.mock.calls[0][0]).not.toHaveProperty('event_id');
+
+    process.env.BOOKINGKIT_REQUIRE_EVENT_MAPPING = 'true';
+    await expect(service.syncBooking(booking({ bookingId: '1002-7002' })))
+      .rejects.toThrow(`No BookingKit event mapped to product 501 (variant 601) in account ${service.accountId}`);
+  });
+
+  test('suggests events by name and vendor for unmapped products', async () => {
+    const venchi = new BookingKitService('venchi');
+    jest.spyOn(venchi, 'getEvents').mockResolvedValue([
+      { id: 'ev-gelato', title: 'Gelato workshop' },
+      { id: 'ev-tasting', title: 'Venchi Chocolate Tasting' }
+    ]);
+    venchi.eventMap.set('venchi', { product_id: 502, event_id: 'ev-gelato' });
+
+    const suggestions = await venchi.suggestEventMappings([
+      { product_id: '501', title: 'Chocolate tasting', vendor: 'Venchi', provider: 'Venchi' },
+      { product_id: '502', title: 'Gelato workshop', vendor: 'Venchi', provider: 'Venchi' }
+    ]);
+
+    expect(suggestions).toEqual([{
+      product_id: '501',
+      title: 'Chocolate tasting',
+      vendor: 'Venchi',
+      provider: 'Venchi',
+      suggestions: [{ event_id: 'ev-tasting', event_title: 'Venchi Chocolate Tasting', confidence: 0.84 }]
+    }]);
+  });
+
+  test('validates mappings', () => {
+    expect(() => service.eventMap.set(service.accountId, { product_id: 'abc', event_id: 'ev-1' })).toThrow('Invalid product_id');
+    expect(() => service.eventMap.set(service.accountId, { product_id: 501, variant_id: 'x', event_id: 'ev-1' })).toThrow('Invalid variant_id');
+    expect(() => service.eventMap.set(service.accountId, { product_id: 501, event_id: '../ev' })).toThrow('Invalid event_id');
+  });
+});
+
+describe('/api/bookingkit/events/mappings', () => {
+  let server;
+  let base;
+  let service;
+
+  const headers = { 'X-API-Key': 'global-key', 'Content-Type': 'application/json' };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookingkit', require('../routes/bookingkit'));
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    base = `http://127.0.0.1:${server.address().port}/api/bookingkit/events/mappings`;
+
+    service = BookingKitService.forAccount('mapped');
+    jest.spyOn(service, 'getEvents').mockResolvedValue([{ id: 'ev-1', title: 'Chocolate tasting' }]);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('maps products to events of an authorized account', async () => {
+    const unauthorized = await fetch(`${base}/501?account=mapped`, { method: 'PUT', headers, body: JSON.stringify({ event_id: 'ev-1' }) });
+    expect(unauthorized.status).toBe(409);
+
+    jest.spyOn(service, 'isAuthorized').mockReturnValue(true);
+
+    const unknown = await fetch(`${base}/501?account=mapped`, { method: 'PUT', headers, body: JSON.stringify({ event_id: 'ev-9' }) });
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).message).toBe('Invalid event_id: no event ev-9 in BookingKit account mapped');
+
+    const saved = await fetch(`${base}/501?account=mapped`, { method: 'PUT', headers, body: JSON.stringify({ event_id: 'ev-1' }) });
+    expect((await saved.json()).data).toMatchObject({ product_id: '501', variant_id: null, event_id: 'ev-1', event_title: 'Chocolate tasting' });
+
+    const list = await (await fetch(`${base}?account=mapped`, { headers })).json();
+    expect(list.data.map(mapping => mapping.event_id)).toEqual(['ev-1']);
+
+    expect((await fetch(`${base}/501?account=mapped`, { method: 'DELETE', headers })).status).toBe(200);
+    expect((await fetch(`${base}/501?account=mapped`, { method: 'DELETE', headers })).status).toBe(404);
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
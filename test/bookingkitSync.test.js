@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-sync-'));
+
+const BookingKitService = require('../services/bookingkitService');
+
+function booking(overrides = {}) {
+  return {
+    bookingId: '1001-7001',
+    shopifyOrderId: 1001,
+    lineItemId: 7001,
+    orderNumber: 1,
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '' },
+    eventName: 'Chocolate tasting',
+    startDateTime: '2025-11-30T17:00:00+01:00',
+    endDateTime: '2025-11-30T18:30:00+01:00',
+    timezone: 'Europe/Rome',
+    allDay: false,
+    durationMinutes: 90,
+    quantity: 2,
+    refundedQuantity: 0,
+    financialStatus: 'paid',
+    cancelledAt: null,
+    lineItems: [{ name: 'Chocolate tasting', quantity: 2, price: '25.00', vendor: 'Venchi' }],
+    host: 'Venchi',
+    provider: 'Venchi',
+    ...overrides
+  };
+}
+
+describe('BookingKitService.syncBooking', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new BookingKitService(`account-${Math.random().toString(36).slice(2)}`);
+    jest.spyOn(service, 'getBookings').mockResolvedValue([]);
+    jest.spyOn(service, 'createBooking').mockResolvedValue({ id: 'bk-1' });
+    jest.spyOn(service, 'updateBooking').mockResolvedValue({ id: 'bk-1' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('creates once, skips unchanged bookings and updates changed ones', async () => {
+    expect(await service.syncBooking(booking())).toEqual({ action: 'created', booking_id: 'bk-1' });
+    expect(await service.syncBooking(booking())).toEqual({ action: 'skipped', booking_id: 'bk-1' });
+    expect(await service.syncBooking(booking({ startDateTime: '2025-12-01T17:00:00+01:00' }))).toEqual({ action: 'updated', booking_id: 'bk-1' });
+
+    expect(service.createBooking).toHaveBeenCalledTimes(1);
+    expect(service.updateBooking).toHaveBeenCalledTimes(1);
+    expect(service.getSyncMapping('1001-7001')).toMatchObject({ bookingkitId: 'bk-1', shopifyOrderId: 1001, lineItemId: 7001 });
+  });
+
+  test('concurrent pushes of the same booking create it only once', async () => {
+    // The BookingKit API answers slowly, so both pushes start before either has a mapping
+    service.createBooking.mockImplementation(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return { id: 'bk-1' };
+    });
+
+    const results = await Promise.all([
+      service.syncBooking(booking()),
+      service.syncBooking(booking({ quantity: 3 })),
+      service.cancelBookingForOrder(booking())
+    ]);
+
+    expect(results.map(result => result.action)).toEqual(['created', 'updated', 'cancelled']);
+    expect(service.createBooking).toHaveBeenCalledTimes(1);
+
+    // Other bookings are not held up by the lock
+    const other = service.syncBooking(booking({ bookingId: '1002-7002' }));
+    expect(await other).toEqual({ action: 'created', booking_id: 'bk-1' });
+  });
+
+  test('a failed push does not block the next one', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    service.createBooking.mockRejectedValueOnce(new Error('BookingKit API error'));
+
+    const [failed, created] = await Promise.all([
+      service.trySyncBooking(booking()),
+      service.trySyncBooking(booking())
+    ]);
+
+    expect(failed).toMatchObject({ status: 'failed', error: 'BookingKit API error' });
+    expect(created).toMatchObject({ status: 'created' });
+  });
+
+  test('adopts bookings created before the mapping existed', async () => {
+    service.getBookings.mockResolvedValue([{ id: 'bk-legacy' }]);
+
+    expect(await service.syncBooking(booking())).toEqual({ action: 'updated', booking_id: 'bk-legacy' });
+    expect(service.createBooking).not.toHaveBeenCalled();
+  });
+
+  test('adopts bookings synced under the bare order ID before orders were split per line item', async () => {
+    service.getBookings.mockImplementation(async ({ external_id: externalId }) => externalId === '1001' ? [{ id: 'bk-legacy' }] : []);
+
+    expect(await service.syncBooking(booking({ legacyBookingId: 1001 }))).toEqual({ action: 'updated', booking_id: 'bk-legacy' });
+    expect(service.updateBooking).toHaveBeenCalledWith('bk-legacy', expect.objectContaining({ external_id: '1001-7001' }));
+
+    // Other bookings of the order do not take over the legacy booking
+    expect(await service.syncBooking(booking({ bookingId: '1001-7002', lineItemId: 7002 }))).toEqual({ action: 'created', booking_id: 'bk-1' });
+    expect(service.createBooking).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancels bookings that were cancelled or fully refunded in Shopify, once', async () => {
+    await service.syncBooking(booking());
+
+    expect(await service.syncBooking(booking({ refundedQuantity: 2 }))).toEqual({ action: 'cancelled', booking_id: 'bk-1' });
+    expect(service.updateBooking).toHaveBeenLastCalledWith('bk-1', { status: 'cancelled' });
+    expect(await service.syncBooking(booking({ cancelledAt: '2025-11-20T10:00:00Z' }))).toEqual({ action: 'skipped', booking_id: 'bk-1' });
+  });
+
+  test('skips cancellations of bookings that never reached BookingKit', async () => {
+    expect(await service.syncBooking(booking({ financialStatus: 'refunded' }))).toEqual({ action: 'skipped', booking_id: null });
+    expect(service.updateBooking).not.toHaveBeenCalled();
+  });
+});
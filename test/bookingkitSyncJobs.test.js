@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-sync-jobs-'));
+
+const BokunService = require('../services/bokunService');
+const BookingKitService = require('../services/bookingkitService');
+const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+
+function booking(orderId, lineItemId) {
+  return { bookingId: `${orderId}-${lineItemId}`, shopifyOrderId: orderId, lineItemId };
+}
+
+describe('BookingKitSyncJobService', () => {
+  let bookingIndex;
+  let syncJobs;
+  let bookingKitService;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    bookingIndex = {
+      ensureReady: jest.fn().mockResolvedValue(),
+      sync: jest.fn().mockResolvedValue({}),
+      select: jest.fn().mockReturnValue([booking(1001, 1), booking(1002, 1), booking(1003, 1)]),
+      getOrFetch: jest.fn(async id => [booking(id, 1)])
+    };
+    syncJobs = new BookingKitSyncJobService(bookingIndex);
+
+    bookingKitService = BookingKitService.forAccount(`account-${Math.random().toString(36).slice(2)}`);
+    jest.spyOn(bookingKitService, 'isAuthorized').mockReturnValue(true);
+    jest.spyOn(bookingKitService, 'syncBooking').mockImplementation(async ({ bookingId }) => {
+      if (bookingId === '1002-1') {
+        throw new Error('BookingKit API error');
+      }
+      return { action: 'created', booking_id: `bk-${bookingId}` };
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('runs queued jobs in the background and records a result per booking', async () => {
+    const queued = syncJobs.enqueue({ account: bookingKitService.accountId, provider: 'Venchi' });
+    expect(queued).toMatchObject({ status: 'queued', request: { provider: 'Venchi', limit: 50 } });
+
+    await syncJobs.drain();
+
+    // Reads the booking index, like the scheduled syncs, after picking up Shopify changes
+    expect(bookingIndex.sync).toHaveBeenCalled();
+    expect(bookingIndex.select).toHaveBeenCalledWith({ provider: 'Venchi', orderIds: null, limit: 50 });
+
+    const job = syncJobs.get(queued.id);
+    expect(job).toMatchObject({
+      status: 'completed_with_errors',
+      progress: { total: 3, processed: 3, pending: 0, created: 2, failed: 1 }
+    });
+    expect(job.items.find(item => item.booking_id === '1002-1')).toMatchObject({
+      status: 'failed',
+      error: 'BookingKit API error',
+      attempts: 1
+    });
+  });
+
+  test('retries a failed booking on its own', async () => {
+    const { id } = syncJobs.enqueue({ account: bookingKitService.accountId, provider: 'Venchi' });
+    await syncJobs.drain();
+
+    bookingKitService.syncBooking.mockResolvedValue({ action: 'created', booking_id: 'bk-retried' });
+
+    await expect(syncJobs.retryItem(id, '1001-1')).rejects.toThrow('only failed bookings can be retried');
+    expect(await syncJobs.retryItem(id, '1002-1')).toMatchObject({ status: 'created', bookingkit_id: 'bk-retried', attempts: 2, error: null });
+    expect(bookingIndex.getOrFetch).toHaveBeenCalledWith(1002);
+    expect(syncJobs.get(id)).toMatchObject({ status: 'completed', progress: { created: 3, failed: 0 } });
+  });
+
+  test('stops a running job before its next booking when cancelled', async () => {
+    const { id } = syncJobs.enqueue({ account: bookingKitService.accountId, provider: 'Venchi' });
+
+    bookingKitService.syncBooking.mockImplementationOnce(async () => {
+      syncJobs.cancel(id);
+      return { action: 'created', booking_id: 'bk-1' };
+    });
+    await syncJobs.drain();
+
+    expect(syncJobs.get(id)).toMatchObject({
+      status: 'cancelled',
+      cancel_requested: true,
+      progress: { processed: 1, pending: 2 }
+    });
+    expect(() => syncJobs.cancel(id)).toThrow('Invalid state');
+  });
+
+  test('fails jobs of an account that is not authorized', async () => {
+    bookingKitService.isAuthorized.mockReturnValue(false);
+
+    const { id } = syncJobs.enqueue({ account: bookingKitService.accountId });
+    await syncJobs.drain();
+
+    expect(syncJobs.get(id)).toMatchObject({
+      status: 'failed',
+      error: `Invalid state: BookingKit account "${bookingKitService.accountId}" is not authorized`
+    });
+    expect(bookingKitService.syncBooking).not.toHaveBeenCalled();
+  });
+
+  test('runs Bokun pushes as jobs of the Bokun connector', async () => {
+    const configured = jest.spyOn(BokunService.prototype, 'isConfigured').mockReturnValue(true);
+    const push = jest.spyOn(BokunService.prototype, 'trySyncBooking').mockImplementation(async ({ bookingId, shopifyOrderId, lineItemId }) => {
+      const result = { booking_id: bookingId, shopify_order_id: shopifyOrderId, line_item_id: lineItemId };
+      return bookingId === '1003-1'
+        ? { ...result, status: 'unmapped', error: 'No Bokun activity mapped to product 1' }
+        : { ...result, status: 'created', bokun_confirmation_code: `EXT-${bookingId}` };
+    });
+
+    const queued = syncJobs.enqueue({ connector: 'bokun', account: 'ignored', provider: 'Venchi' });
+    expect(queued).toMatchObject({ connector: 'bokun', account: null, status: 'queued' });
+
+    await syncJobs.drain();
+
+    const job = syncJobs.get(queued.id);
+    expect(job).toMatchObject({ status: 'completed', progress: { total: 3, created: 2, unmapped: 1, failed: 0 } });
+    expect(job.items[0]).toMatchObject({ booking_id: '1001-1', status: 'created', bokun_confirmation_code: 'EXT-1001-1' });
+    expect(syncJobs.list({ connector: 'bokun' }).map(summary => summary.id)).toEqual([queued.id]);
+    expect(syncJobs.list({ connector: 'bookingkit' }).map(summary => summary.id)).not.toContain(queued.id);
+    expect(bookingKitService.syncBooking).not.toHaveBeenCalled();
+
+    expect(() => syncJobs.enqueue({ connector: 'fareharbor' })).toThrow('Invalid connector');
+
+    push.mockRestore();
+    configured.mockRestore();
+  });
+});
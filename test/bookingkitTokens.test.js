@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-tokens-'));
+process.env.BOOKINGKIT_TOKEN_ENCRYPTION_KEY = 'test-encryption-key';
+
+const BookingKitService = require('../services/bookingkitService');
+
+function tokenResponse(accessToken, expiresIn = 3600) {
+  return { data: { access_token: accessToken, refresh_token: `refresh-${accessToken}`, expires_in: expiresIn, token_type: 'Bearer' } };
+}
+
+describe('BookingKit OAuth token storage', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('stores tokens per account, encrypted at rest', async () => {
+    const venchi = new BookingKitService('venchi');
+    const llamas = new BookingKitService('llamas');
+    jest.spyOn(venchi.client, 'post').mockResolvedValue(tokenResponse('venchi-access'));
+    jest.spyOn(llamas.client, 'post').mockResolvedValue(tokenResponse('llamas-access'));
+
+    await venchi.exchangeCodeForToken('code', 'https://example.com/callback');
+    await llamas.exchangeCodeForToken('code', 'https://example.com/callback');
+
+    expect(await new BookingKitService('venchi').getValidAccessToken()).toBe('venchi-access');
+    expect(await new BookingKitService('llamas').getValidAccessToken()).toBe('llamas-access');
+
+    const onDisk = fs.readFileSync(path.join(process.env.DATA_DIR, 'bookingkit-tokens.json'), 'utf8');
+    expect(onDisk).not.toContain('venchi-access');
+    expect(onDisk).not.toContain('refresh-venchi-access');
+  });
+
+  test('collapses concurrent refreshes into one request', async () => {
+    const service = new BookingKitService('refreshing');
+    const post = jest.spyOn(service.client, 'post').mockResolvedValueOnce(tokenResponse('expired', 0));
+    await service.exchangeCodeForToken('code', 'https://example.com/callback');
+
+    post.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(tokenResponse('fresh')), 20)));
+
+    const tokens = await Promise.all([
+      service.getValidAccessToken(),
+      new BookingKitService('refreshing').getValidAccessToken(),
+      service.getValidAccessToken()
+    ]);
+
+    expect(tokens).toEqual(['fresh', 'fresh', 'fresh']);
+    expect(post).toHaveBeenCalledTimes(2); // authorization + a single refresh
+  });
+
+  test('marks the account as needing re-authorization when the refresh token is rejected', async () => {
+    const service = new BookingKitService('revoked');
+    const post = jest.spyOn(service.client, 'post').mockResolvedValueOnce(tokenResponse('expired', 0));
+    await service.exchangeCodeForToken('code', 'https://example.com/callback');
+
+    post.mockRejectedValue({ response: { status: 400, data: { error: 'invalid_grant' } } });
+
+    await expect(service.getValidAccessToken()).rejects.toThrow('Failed to refresh token: invalid_grant');
+    expect(service.isAuthorized()).toBe(false);
+    expect(service.getAuthorizationStatus()).toMatchObject({
+      status: 'needs_reauthorization',
+      last_error: 'Token refresh rejected: invalid_grant'
+    });
+    await expect(service.getValidAccessToken()).rejects.toThrow('needs re-authorization');
+  });
+});
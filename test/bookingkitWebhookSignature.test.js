@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-signature-'));
+process.env.BOOKINGKIT_WEBHOOK_SECRET = 'new-secret, old-secret';
+
+const BookingKitService = require('../services/bookingkitService');
+const WebhookInboxService = require('../services/webhookInboxService');
+const bookingkitWebhookRoutes = require('../routes/bookingkitWebhooks');
+
+// Deliberately not re-serialized JSON: spacing and key order must survive untouched
+const BODY = '{"event_type": "booking.created",  "data": {"id": "bk-1"}}';
+
+function sign(content, secret = 'new-secret') {
+  return crypto.createHmac('sha256', secret).update(content).digest('hex');
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+describe('BookingKit webhook signatures', () => {
+  const service = new BookingKitService('signatures');
+  const body = Buffer.from(BODY);
+
+  afterEach(() => {
+    delete process.env.BOOKINGKIT_WEBHOOK_REQUIRE_TIMESTAMP;
+  });
+
+  test('accepts timestamped signatures inside the replay window', () => {
+    const t = now();
+    expect(service.verifyWebhookSignature(body, { 'x-bookingkit-signature': `t=${t},v1=${sign(`${t}.${BODY}`)}` })).toEqual({ valid: true, error: null });
+    expect(service.verifyWebhookSignature(body, {
+      'x-bookingkit-signature': `sha256=${sign(`${t}.${BODY}`)}`,
+      'x-bookingkit-timestamp': String(t)
+    }).valid).toBe(true);
+  });
+
+  test('refuses replays outside the window and tampered bodies', () => {
+    const old = now() - 600;
+    const t = now();
+
+    expect(service.verifyWebhookSignature(body, { 'x-bookingkit-signature': `t=${old},v1=${sign(`${old}.${BODY}`)}` }).error)
+      .toBe('Signature timestamp outside the replay window');
+    expect(service.verifyWebhookSignature(Buffer.from(`${BODY} `), { 'x-bookingkit-signature': `t=${t},v1=${sign(`${t}.${BODY}`)}` }).error)
+      .toBe('Invalid signature');
+  });
+
+  test('accepts every configured secret during a rotation', () => {
+    expect(service.verifyWebhookSignature(body, { 'x-bookingkit-signature': `sha256=${sign(BODY, 'old-secret')}` }).valid).toBe(true);
+    expect(service.verifyWebhookSignature(body, { 'x-bookingkit-signature': `sha256=${sign(BODY, 'unknown-secret')}` }).valid).toBe(false);
+  });
+
+  test('refuses missing signatures, and untimestamped ones when timestamps are required', () => {
+    expect(service.verifyWebhookSignature(body, {}).error).toBe('Missing signature');
+
+    process.env.BOOKINGKIT_WEBHOOK_REQUIRE_TIMESTAMP = 'true';
+    expect(service.verifyWebhookSignature(body, { 'x-bookingkit-signature': `sha256=${sign(BODY)}` }).error)
+      .toBe('Missing signature timestamp');
+  });
+});
+
+describe('POST /api/bookingkit/webhooks', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Same order as server.js: the webhook router sees the body before express.json()
+    const app = express();
+    app.use('/api/bookingkit/webhooks', bookingkitWebhookRoutes);
+    app.use(express.json());
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://127.0.0.1:${server.address().port}/api/bookingkit/webhooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('verifies the signature over the exact raw bytes', async () => {
+    jest.spyOn(BookingKitService.forAccount(), 'processWebhook').mockResolvedValue({ processed: true, action: 'ignored' });
+    const t = now();
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-BookingKit-Signature': `t=${t},v1=${sign(`${t}.${BODY}`)}` },
+      body: BODY
+    });
+
+    expect(response.status).toBe(202);
+    await new WebhookInboxService().drain();
+    expect(BookingKitService.forAccount().processWebhook).toHaveBeenCalledWith({ event_type: 'booking.created', data: { id: 'bk-1' } });
+  });
+
+  test('rejects unsigned webhooks', async () => {
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: BODY });
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toMatchObject({ error: 'Invalid signature', message: 'Missing signature' });
+  });
+});
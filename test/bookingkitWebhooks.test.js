@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bookingkit-webhooks-'));
+
+const BookingKitService = require('../services/bookingkitService');
+const ShopifyService = require('../services/shopifyService');
+
+function shopifyOrder(noteAttributes = []) {
+  return {
+    id: 1001,
+    order_number: 1,
+    name: '#1001',
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+    financial_status: 'paid',
+    cancelled_at: null,
+    note_attributes: noteAttributes,
+    refunds: [],
+    line_items: [
+      {
+        id: 7001,
+        name: 'Chocolate tasting',
+        quantity: 2,
+        price: '25.00',
+        vendor: 'Venchi',
+        product_id: null,
+        properties: [
+          { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+          { name: '__cow_internal_id', value: 'cow-1' }
+        ]
+      }
+    ]
+  };
+}
+
+describe('BookingKit webhooks written back to Shopify', () => {
+  let service;
+  let order;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    delete process.env.BOOKINGKIT_RESCHEDULE_POLICY;
+    delete process.env.BOOKINGKIT_CANCELLATION_POLICY;
+
+    service = new BookingKitService(`account-${Math.random().toString(36).slice(2)}`);
+    order = shopifyOrder();
+
+    const shopify = service.shopifyService;
+    jest.spyOn(shopify, 'getOrderById').mockImplementation(async () => order);
+    jest.spyOn(shopify, 'getProductHost').mockResolvedValue(null);
+    jest.spyOn(shopify, 'annotateOrder').mockImplementation(async (orderId, { noteAttributes = [] }) => {
+      order = shopifyOrder([...order.note_attributes, ...noteAttributes]);
+      return order;
+    });
+    jest.spyOn(shopify, 'refundLineItem').mockResolvedValue({ id: 1 });
+    jest.spyOn(shopify, 'cancelOrder').mockResolvedValue({ id: 1001 });
+
+    jest.spyOn(service, 'getBookings').mockResolvedValue([]);
+    jest.spyOn(service, 'createBooking').mockResolvedValue({ id: 'bk-1' });
+    jest.spyOn(service, 'updateBooking').mockResolvedValue({ id: 'bk-1' });
+
+    const [booking] = await shopify.parseOrderWithCowlendar(order);
+    await service.syncBooking(booking);
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('writes a reschedule into the order as the rescheduled Cowlendar date', async () => {
+    const result = await service.processWebhook({
+      event_type: 'booking.updated',
+      data: { id: 'bk-1', start_date: '2025-12-01T17:00:00+01:00', end_date: '2025-12-01T18:30:00+01:00' }
+    });
+
+    expect(result).toMatchObject({ processed: true, action: 'rescheduled', shopify_booking_id: '1001-7001' });
+    expect(service.shopifyService.annotateOrder).toHaveBeenCalledWith(1001, expect.objectContaining({
+      tags: ['bookingkit-rescheduled'],
+      noteAttributes: [{ name: 'Rescheduled Date #7001', value: '1 dec 2025, 17:00 - 18:30 (Europe/Rome)' }]
+    }));
+
+    // The order now reads with the new date, and syncing it back to BookingKit is a no-op
+    const [booking] = await service.shopifyService.parseOrderWithCowlendar(order);
+    expect(booking.startDateTime).toBe('2025-12-01T17:00:00+01:00');
+    expect(await service.syncBooking(booking)).toEqual({ action: 'skipped', booking_id: 'bk-1' });
+
+    expect(service.auditLog.list({ account: service.accountId })).toEqual([
+      expect.objectContaining({ event_type: 'booking.updated', action: 'rescheduled', policy: 'date', shopify_order_id: 1001 })
+    ]);
+  });
+
+  test('ignores updates that do not move the booking', async () => {
+    const result = await service.processWebhook({
+      event_type: 'booking.updated',
+      data: { id: 'bk-1', start_date: '2025-11-30T16:00:00Z', end_date: '2025-11-30T17:30:00Z' }
+    });
+
+    expect(result.action).toBe('unchanged');
+    expect(service.shopifyService.annotateOrder).not.toHaveBeenCalled();
+  });
+
+  test('refunds the line item on cancellation under the refund policy, once', async () => {
+    process.env.BOOKINGKIT_CANCELLATION_POLICY = 'refund';
+
+    const result = await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-1' } });
+
+    expect(result.action).toBe('refunded');
+    expect(service.shopifyService.refundLineItem).toHaveBeenCalledWith(1001, 7001, 2, expect.any(Object));
+    expect((await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-1' } })).action).toBe('ignored');
+    expect(service.shopifyService.refundLineItem).toHaveBeenCalledTimes(1);
+  });
+
+  test('only notes cancellations by default and never pushes the booking again', async () => {
+    const result = await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-1' } });
+
+    expect(result.action).toBe('noted');
+    expect(service.shopifyService.annotateOrder).toHaveBeenCalledWith(1001, expect.objectContaining({ tags: ['bookingkit-cancelled'] }));
+    expect(service.shopifyService.cancelOrder).not.toHaveBeenCalled();
+
+    const [booking] = await service.shopifyService.parseOrderWithCowlendar(order);
+    expect(await service.syncBooking(booking)).toEqual({ action: 'skipped', booking_id: 'bk-1' });
+    expect(service.updateBooking).toHaveBeenCalledTimes(0);
+  });
+
+  test('cancels the whole order under the cancel policy when no other booking is active', async () => {
+    process.env.BOOKINGKIT_CANCELLATION_POLICY = 'cancel';
+
+    expect((await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-1' } })).action).toBe('order_cancelled');
+    expect(service.shopifyService.cancelOrder).toHaveBeenCalledWith(1001, { reason: 'customer' });
+  });
+
+  test('links bookings that carry the bare order ID as external_id', async () => {
+    process.env.BOOKINGKIT_CANCELLATION_POLICY = 'refund';
+
+    const result = await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-legacy', external_id: '1001' } });
+    expect(result).toMatchObject({ action: 'ignored', shopify_booking_id: null });
+
+    // Once the Shopify booking has no sync record of its own, the legacy booking is linked to it
+    service.syncMappings.data.accounts[service.accountId] = {};
+    const linked = await service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-legacy', external_id: '1001' } });
+
+    expect(linked).toMatchObject({ action: 'refunded', shopify_booking_id: '1001-7001' });
+    expect(service.shopifyService.refundLineItem).toHaveBeenCalledWith(1001, 7001, 2, expect.any(Object));
+    expect(service.getSyncMapping('1001-7001')).toMatchObject({ bookingkitId: 'bk-legacy', cancelledIn: 'bookingkit' });
+  });
+
+  test('records failures and bookings that did not come from Shopify', async () => {
+    service.shopifyService.annotateOrder.mockRejectedValue(new Error('Failed to update order 1001: Not Found'));
+
+    await expect(service.processWebhook({ event_type: 'booking.cancelled', data: { id: 'bk-1' } })).rejects.toThrow('Not Found');
+    expect((await service.processWebhook({ event_type: 'booking.created', data: { id: 'bk-direct' } })).action).toBe('ignored');
+
+    expect(service.auditLog.list({ account: service.accountId }).map(entry => entry.action)).toEqual(['ignored', 'failed']);
+  });
+});
+
+describe('ShopifyService rescheduled dates', () => {
+  test('the rescheduled date note attribute replaces the line item Date', () => {
+    const shopifyService = new ShopifyService();
+    const order = shopifyOrder([{ name: ShopifyService.rescheduledDateAttribute(7001), value: '1 dec 2025, 17:00 - 18:30 (Europe/Rome)' }]);
+
+    expect(shopifyService.extractCowlendarMetadata(order, order.line_items[0]).eventData).toBe('1 dec 2025, 17:00 - 18:30 (Europe/Rome)');
+    expect(shopifyService.extractCowlendarMetadata(order, { id: 7002, properties: [] }).eventData).toBeNull();
+  });
+});
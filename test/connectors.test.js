@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'connectors-'));
+process.env.API_KEY = 'global-key';
+process.env.BOOKINGKIT_CLIENT_ID = 'client-id';
+process.env.BOOKINGKIT_WEBHOOK_SECRET = 'connector-secret';
+
+const BookingKitService = require('../services/bookingkitService');
+const BookingKitSyncJobService = require('../services/bookingkitSyncJobService');
+const BookingIndexService = require('../services/bookingIndexService');
+const WebhookInboxService = require('../services/webhookInboxService');
+const { BookingConnector, registerConnector, getConnector, listConnectors } = require('../services/connectors');
+const { transformForBookingApp, transformForBookun } = require('../services/bookingAppFormat');
+const connectorRoutes = require('../routes/connectors');
+
+function booking(overrides = {}) {
+  return {
+    bookingId: '4001-9201',
+    shopifyOrderId: 4001,
+    lineItemId: 9201,
+    orderNumber: 4001,
+    orderName: '#4001',
+    productId: 111,
+    eventName: 'Chocolate tasting',
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '' },
+    quantity: 2,
+    eventDate: '2025-12-05',
+    startTime: '10:00',
+    startDateTime: '2025-12-05T10:00:00+01:00',
+    provider: 'venchi',
+    host: 'venchi',
+    vendor: 'Venchi',
+    cancelledAt: null,
+    financialStatus: 'paid',
+    ...overrides
+  };
+}
+
+/**
+ * Connector implementing only health and transform, like a platform being added
+ */
+class TestPlatformConnector extends BookingConnector {
+  constructor() {
+    super({ name: 'test-platform', displayName: 'Test Platform' });
+  }
+
+  transform(item) {
+    return { reference: item.bookingId, guests: item.quantity };
+  }
+
+  async health() {
+    return { configured: true };
+  }
+}
+
+describe('Connector registry', () => {
+  test('registers BookingKit and Bokun with the operations they implement', () => {
+    expect(listConnectors().map(connector => connector.describe())).toEqual([
+      {
+        name: 'bookingkit',
+        display_name: 'BookingKit',
+        accounts: true,
+        operations: ['authenticate', 'transform', 'push', 'pull', 'handleWebhook', 'health']
+      },
+      {
+        name: 'bokun',
+        display_name: 'Bokun',
+        accounts: false,
+        operations: ['authenticate', 'transform', 'push', 'health']
+      }
+    ]);
+  });
+
+  test('refuses invalid and duplicate connectors', () => {
+    expect(() => registerConnector({ name: 'plain-object' })).toThrow('Invalid connector');
+    expect(() => registerConnector(new BookingConnector({ name: 'Not Valid' }))).toThrow('Invalid connector');
+    expect(() => registerConnector(new BookingConnector({ name: 'bokun' }))).toThrow('Invalid connector');
+  });
+
+  test('operations a connector does not implement are unsupported', async () => {
+    const connector = new TestPlatformConnector();
+
+    expect(connector.supports('transform')).toBe(true);
+    expect(connector.supports('push')).toBe(false);
+    await expect(connector.push([])).rejects.toThrow('Unsupported operation: the Test Platform connector does not implement push');
+  });
+
+  test('BookingKit starts OAuth per account', async () => {
+    const result = await getConnector('bookingkit').authenticate({ account: 'Venchi', redirectUri: 'https://api.example.com/callback' });
+    const url = new URL(result.authorization_url);
+
+    expect(result.account).toBe('venchi');
+    expect(url.searchParams.get('client_id')).toBe('client-id');
+    expect(url.searchParams.get('state')).toBe(result.state);
+    expect(() => getConnector('bookingkit').resolveAccount('../etc')).toThrow('Invalid account');
+  });
+
+  test('OAuth states are single use and remember their account', async () => {
+    const connector = getConnector('bookingkit');
+    const { state } = await connector.authenticate({ account: 'Venchi', redirectUri: 'https://api.example.com/callback' });
+
+    expect(connector.consumeAuthorizationState('forged')).toBeNull();
+    expect(connector.consumeAuthorizationState(['forged'])).toBeNull();
+    expect(connector.consumeAuthorizationState(state)).toEqual({ account: 'venchi' });
+    expect(connector.consumeAuthorizationState(state)).toBeNull();
+  });
+});
+
+describe('transformForBookun', () => {
+  test('is the booking app format with the host in the event', () => {
+    const { provider, vendor, ...appBooking } = transformForBookingApp(booking());
+    const bookunBooking = transformForBookun(booking());
+
+    expect(bookunBooking).toEqual({ ...appBooking, event: { ...appBooking.event, host: 'venchi' } });
+    expect(Object.keys(bookunBooking.event).slice(0, 2)).toEqual(['name', 'host']);
+  });
+});
+
+describe('/api/connectors', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(BookingIndexService.prototype, 'ensureReady').mockResolvedValue();
+    jest.spyOn(BookingIndexService.prototype, 'sync').mockResolvedValue();
+    jest.spyOn(BookingIndexService.prototype, 'getOrFetch').mockResolvedValue([booking()]);
+
+    registerConnector(new TestPlatformConnector());
+
+    // Same order as server.js: connector routes see the body before express.json()
+    const app = express();
+    app.use('/api/connectors', connectorRoutes);
+    app.use(express.json());
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    base = `http://127.0.0.1:${server.address().port}/api/connectors`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const headers = { 'X-API-Key': 'global-key', 'Content-Type': 'application/json' };
+
+  test('generates routes for the operations a connector implements', async () => {
+    const list = await (await fetch(base, { headers })).json();
+    expect(list.data.map(connector => connector.name)).toEqual(['bookingkit', 'bokun', 'test-platform']);
+
+    const health = await fetch(`${base}/test-platform/health`, { headers });
+    expect(await health.json()).toEqual({ success: true, connector: 'test-platform', data: { configured: true } });
+
+    const preview = await fetch(`${base}/test-platform/preview/4001`, { headers });
+    expect((await preview.json()).data).toEqual([{ booking_id: '4001-9201', payload: { reference: '4001-9201', guests: 2 } }]);
+
+    const push = await fetch(`${base}/test-platform/push`, { method: 'POST', headers, body: '{}' });
+    expect(push.status).toBe(404);
+
+    const unknown = await fetch(`${base}/fareharbor/health`, { headers });
+    expect(unknown.status).toBe(404);
+    expect(await unknown.json()).toMatchObject({ error: 'Connector not found' });
+  });
+
+  test('refuses to push to an unauthorized BookingKit account', async () => {
+    const response = await fetch(`${base}/bookingkit/push?account=nobody`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ order_ids: ['4001'] })
+    });
+
+    expect(response.status).toBe(409);
+    expect(await response.json()).toMatchObject({
+      error: 'Invalid connector state',
+      message: 'Invalid state: BookingKit account "nobody" is not authorized'
+    });
+  });
+
+  test('queues pushes as background sync jobs followed under the connector', async () => {
+    const service = BookingKitService.forAccount('pushed');
+    jest.spyOn(service, 'isAuthorized').mockReturnValue(true);
+    jest.spyOn(service, 'syncBooking').mockResolvedValue({ action: 'created', booking_id: 'bk-4001' });
+    const select = jest.spyOn(BookingIndexService.prototype, 'select').mockReturnValue([booking()]);
+
+    const response = await fetch(`${base}/bookingkit/push?account=pushed`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ provider: 'venchi' })
+    });
+    const queued = await response.json();
+
+    expect(response.status).toBe(202);
+    expect(queued).toMatchObject({
+      success: true,
+      connector: 'bookingkit',
+      account: 'pushed',
+      job_id: queued.data.id,
+      status_url: `/api/connectors/bookingkit/push/${queued.data.id}`,
+      data: { connector: 'bookingkit', account: 'pushed', status: 'queued', request: { provider: 'venchi' } }
+    });
+
+    await new BookingKitSyncJobService().drain();
+
+    const job = await (await fetch(`${base}/bookingkit/push/${queued.job_id}`, { headers })).json();
+    expect(job.data).toMatchObject({ status: 'completed', progress: { total: 1, created: 1 } });
+    expect(job.data.items).toEqual([expect.objectContaining({ booking_id: '4001-9201', status: 'created', bookingkit_id: 'bk-4001' })]);
+
+    const list = await (await fetch(`${base}/bookingkit/push`, { headers })).json();
+    expect(list.data.map(summary => summary.id)).toContain(queued.job_id);
+
+    // Jobs are only served under their own connector
+    expect((await fetch(`${base}/bokun/push/${queued.job_id}`, { headers })).status).toBe(404);
+    expect((await fetch(`${base}/bokun/push/${queued.job_id}/cancel`, { method: 'POST', headers })).status).toBe(404);
+
+    const finished = await fetch(`${base}/bookingkit/push/${queued.job_id}/cancel`, { method: 'POST', headers });
+    expect(finished.status).toBe(409);
+
+    select.mockRestore();
+  });
+
+  test('refuses pushes without a sync key and invalid accounts', async () => {
+    const unauthenticated = await fetch(`${base}/bookingkit/push`, { method: 'POST', body: '{}' });
+    expect(unauthenticated.status).toBe(401);
+
+    const invalid = await fetch(`${base}/bookingkit/health?account=a%20b`, { headers });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('starts OAuth only with an admin key and rejects unknown callback states', async () => {
+    const unauthenticated = await fetch(`${base}/bookingkit/auth?account=venchi`);
+    expect(unauthenticated.status).toBe(401);
+
+    const started = await fetch(`${base}/bookingkit/auth?account=venchi`, { headers });
+    const { data } = await started.json();
+    expect(started.status).toBe(200);
+    expect(data.state).toBeUndefined();
+    expect(new URL(data.authorization_url).searchParams.get('state')).toMatch(/^[0-9a-f]{64}$/);
+
+    const forged = await fetch(`${base}/bookingkit/auth/callback?code=abc&state=forged`);
+    expect(forged.status).toBe(400);
+    expect(await forged.json()).toMatchObject({ error: 'Invalid state parameter' });
+  });
+
+  test('accepts signed BookingKit webhooks into the inbox', async () => {
+    const processWebhook = jest.spyOn(BookingKitService.forAccount('connectors'), 'processWebhook')
+      .mockResolvedValue({ processed: true, action: 'ignored' });
+    const body = '{"id": "evt-connector-1", "event_type": "booking.updated", "data": {"id": "bk-9"}}';
+    const t = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', 'connector-secret').update(`${t}.${body}`).digest('hex');
+
+    const response = await fetch(`${base}/bookingkit/webhooks?account=connectors`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-BookingKit-Signature': `t=${t},v1=${signature}` },
+      body
+    });
+
+    expect(response.status).toBe(202);
+    expect(await response.json()).toMatchObject({ success: true, duplicate: false, event_id: 'evt-connector-1' });
+
+    await new WebhookInboxService().drain();
+    expect(processWebhook).toHaveBeenCalledWith({ id: 'evt-connector-1', event_type: 'booking.updated', data: { id: 'bk-9' } });
+  });
+});
+
+describe('/api/bookingkit/health and /api/bokun/health', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/bookingkit', require('../routes/bookingkit'));
+    app.use('/api/bokun', require('../routes/bokun'));
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    base = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const headers = { 'X-API-Key': 'global-key' };
+
+  test('reject invalid BookingKit accounts without creating a service for them', async () => {
+    const forAccount = jest.spyOn(BookingKitService, 'forAccount');
+
+    for (const query of ['account[]=a&account[]=b', 'account=a%20b']) {
+      const response = await fetch(`${base}/bookingkit/health?${query}`, { headers });
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        success: false,
+        error: 'Invalid account',
+        message: 'account may only contain letters, digits, "-" and "_"'
+      });
+    }
+    expect(forAccount).not.toHaveBeenCalled();
+
+    const health = await fetch(`${base}/bookingkit/health?account=Venchi`, { headers });
+    expect((await health.json()).bookingkit_integration).toMatchObject({ account: 'venchi', token_status: 'no_token' });
+
+    forAccount.mockRestore();
+  });
+
+  test('are rate limited as admin endpoints', async () => {
+    for (const url of ['/bookingkit/health', '/bokun/health']) {
+      const response = await fetch(`${base}${url}`, { headers });
+      expect(response.headers.get('RateLimit-Limit')).toBe('30');
+    }
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,51 @@
+const { parseCowlendarDate } = require('../services/cowlendarDateParser');
+const ShopifyService = require('../services/shopifyService');
+const fixtures = require('./fixtures/cowlendar-dates.json');
+
+const options = { defaultTimezone: 'Europe/Rome' };
+
+describe('parseCowlendarDate', () => {
+  test.each(fixtures.valid.map(fixture => [fixture.description, fixture]))('%s', (description, fixture) => {
+    const result = parseCowlendarDate(fixture.input, options);
+
+    expect(result.parseError).toBeNull();
+    expect(result).toMatchObject(fixture.expected);
+  });
+
+  test.each(fixtures.invalid.map(fixture => [fixture.description, fixture]))('reports %s', (description, fixture) => {
+    const result = parseCowlendarDate(fixture.input, options);
+
+    expect(result.parseError).toContain(fixture.error);
+    expect(result.eventDate).toBeNull();
+    expect(result.startDateTime).toBeNull();
+    expect(result.durationMinutes).toBeNull();
+  });
+});
+
+describe('ShopifyService.parseOrderWithCowlendar', () => {
+  const shopifyService = new ShopifyService();
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(shopifyService, 'getProductHost').mockResolvedValue(null);
+  });
+
+  test('reports parse_error on the booking instead of dropping the date silently', async () => {
+    const [booking] = await shopifyService.parseOrderWithCowlendar({
+      id: 1,
+      line_items: [{
+        id: 10,
+        name: 'Workshop',
+        quantity: 1,
+        vendor: 'Llamas',
+        properties: [
+          { name: '__cow_internal_id', value: 'cow-1' },
+          { name: 'Date', value: '30 foo 2025, 17:00 - 18:30 (Europe/Rome)' }
+        ]
+      }]
+    });
+
+    expect(booking.eventDate).toBeNull();
+    expect(booking.parseError).toBe('Unknown month "foo"');
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'host-scope-'));
+process.env.API_KEY = 'global-key';
+process.env.HOST_API_KEY_LLAMAS = 'llamas-key';
+process.env.HOST_API_KEY_VENCHI = 'venchi-key';
+
+const BookingIndexService = require('../services/bookingIndexService');
+const BookingKitService = require('../services/bookingkitService');
+const ShopifyService = require('../services/shopifyService');
+const { registerSyncJobs } = require('../services/syncJobs');
+const orderRoutes = require('../routes/orders');
+const bookingRoutes = require('../routes/bookings');
+const bookingKitRoutes = require('../routes/bookingkit');
+
+// Product 1 has the host metafield "llamas" but, like product 2, is sold under the Venchi vendor
+function lineItem(id, productId) {
+  return {
+    id,
+    name: `Workshop ${id}`,
+    quantity: 1,
+    price: '20.00',
+    vendor: 'Venchi',
+    product_id: productId,
+    properties: [
+      { name: 'Date', value: '5 dec 2025, 10:00 - 12:00 (Europe/Rome)' },
+      { name: '__cow_internal_id', value: `cow-${id}` }
+    ]
+  };
+}
+
+function order(id, lineItems) {
+  return {
+    id,
+    order_number: id,
+    name: `#${id}`,
+    customer: { first_name: 'Grace', last_name: 'Hopper', email: 'grace@example.com' },
+    financial_status: 'paid',
+    note_attributes: [],
+    line_items: lineItems
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('host-specific keys', () => {
+  let server;
+  let baseUrl;
+
+  async function get(url, key) {
+    const response = await fetch(`${baseUrl}${url}`, { headers: { 'X-API-Key': key } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ShopifyService.prototype, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(ShopifyService.prototype, 'getProductHost').mockImplementation(async productId =>
+      productId === 1 ? 'llamas' : null
+    );
+    jest.spyOn(ShopifyService.prototype, 'getOrderById').mockRejectedValue(new Error('Failed to fetch order'));
+
+    const bookingIndex = new BookingIndexService();
+    await bookingIndex.applyOrders([
+      order(5001, [lineItem(9501, 1), lineItem(9502, 2)]),
+      order(5002, [lineItem(9503, 1)])
+    ]);
+    bookingIndex.store.data.lastSyncedAt = new Date().toISOString();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', orderRoutes);
+    app.use('/api/bookings', bookingRoutes);
+    app.use('/api/bookingkit', bookingKitRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('only see bookings whose host is theirs, not bookings sharing their vendor name', async () => {
+    const venchi = await get('/api/orders', 'venchi-key');
+    expect(venchi.body.data.map(booking => booking.booking_id)).toEqual(['5001-9502']);
+
+    const llamas = await get('/api/bookings', 'llamas-key');
+    expect(llamas.body.data.map(booking => booking.booking_id).sort()).toEqual(['5001-9501', '5002-9503']);
+
+    const all = await get('/api/orders', 'global-key');
+    expect(all.body.data).toHaveLength(3);
+  });
+
+  test('cannot read the bookings of another host by order or filter', async () => {
+    const order = await get('/api/orders/5002', 'venchi-key');
+    expect(order.status).toBe(404);
+
+    const mixed = await get('/api/bookings?order_id=5001', 'venchi-key');
+    expect(mixed.body.data.map(booking => booking.booking_id)).toEqual(['5001-9502']);
+
+    const otherProvider = await get('/api/orders?provider=llamas', 'venchi-key');
+    expect(otherProvider.status).toBe(403);
+    expect(otherProvider.body.message).toBe('Host "venchi" cannot access data for host "llamas"');
+
+    expect((await get('/api/bookings?host=venchi', 'llamas-key')).status).toBe(403);
+    expect((await get('/api/bookings/host/venchi', 'llamas-key')).status).toBe(403);
+  });
+
+  test('reject provider and host filters given more than once', async () => {
+    for (const key of ['venchi-key', 'global-key']) {
+      const response = await get('/api/orders?provider=venchi&provider=llamas', key);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Invalid request',
+        message: 'The provider query parameter must be given once'
+      });
+    }
+
+    expect((await get('/api/bookings?host[]=venchi', 'venchi-key')).status).toBe(400);
+  });
+
+  test('scheduled BookingKit syncs of a vendor-only provider pick its bookings under every host', async () => {
+    process.env.BOOKINGKIT_SYNC_SCHEDULES = 'Venchi=0 * * * *';
+    const jobs = {};
+    registerSyncJobs({ register: (name, job) => { jobs[name] = job; } }, new BookingIndexService());
+    delete process.env.BOOKINGKIT_SYNC_SCHEDULES;
+
+    const sync = jest.spyOn(BookingIndexService.prototype, 'sync').mockResolvedValue({});
+    const authorized = jest.spyOn(BookingKitService.prototype, 'isAuthorized').mockReturnValue(true);
+    const push = jest.spyOn(BookingKitService.prototype, 'syncBookings')
+      .mockResolvedValue({ created: 3, updated: 0, skipped: 0, failed: 0, results: [] });
+
+    const run = await jobs['bookingkit-sync:venchi'].run();
+
+    expect(run).toMatchObject({ bookings: 3, created: 3, errors: [] });
+    expect(push.mock.calls[0][0].map(booking => booking.bookingId).sort()).toEqual(['5001-9501', '5001-9502', '5002-9503']);
+
+    push.mockRestore();
+    authorized.mockRestore();
+    sync.mockRestore();
+  });
+
+  test('suggest BookingKit events for the products of a vendor-only provider', async () => {
+    const suggest = jest.spyOn(BookingKitService.prototype, 'suggestEventMappings').mockImplementation(async products => products);
+
+    const venchi = await get('/api/bookingkit/events/suggestions?provider=venchi', 'global-key');
+    expect(venchi.body.data.map(product => product.product_id).sort()).toEqual(['1', '2']);
+
+    const repeated = await get('/api/bookingkit/events/suggestions?provider=venchi&provider=llamas', 'global-key');
+    expect(repeated.status).toBe(400);
+
+    suggest.mockRestore();
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scheduler-'));
+
+const JobScheduler = require('../services/jobScheduler');
+const { parseSyncSchedules } = require('../services/syncJobs');
+
+describe('JobScheduler', () => {
+  let scheduler;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    scheduler = new JobScheduler();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('records counts and errors of a run', async () => {
+    scheduler.register('counting', {
+      run: async () => ({ created: 2, failed: 1, errors: ['1001-7001: BookingKit API error'] })
+    });
+
+    const started = await scheduler.trigger('counting');
+    expect(started).toMatchObject({ job: 'counting', trigger: 'manual', status: 'running' });
+
+    const run = await scheduler.waitFor('counting');
+    expect(run).toMatchObject({
+      status: 'completed_with_errors',
+      counts: { created: 2, failed: 1 },
+      errors: ['1001-7001: BookingKit API error']
+    });
+    expect(run.finished_at).not.toBeNull();
+    expect(scheduler.getRun(started.id)).toEqual(run);
+  });
+
+  test('refuses to start a job that is already running', async () => {
+    let finish;
+    scheduler.register('slow', { run: () => new Promise(resolve => { finish = resolve; }) });
+
+    const first = await scheduler.trigger('slow');
+    await expect(scheduler.trigger('slow')).rejects.toMatchObject({
+      message: 'Job already running: slow',
+      run: { id: first.id }
+    });
+
+    finish({ indexed: 0 });
+    expect(await scheduler.waitFor('slow')).toMatchObject({ status: 'succeeded' });
+    expect(scheduler.list().find(job => job.name === 'slow').running).toBe(false);
+  });
+
+  test('marks failed runs and filters run history', async () => {
+    scheduler.register('broken', { run: async () => { throw new Error('Shopify unavailable'); } });
+
+    await scheduler.trigger('broken');
+    await scheduler.waitFor('broken');
+
+    expect(scheduler.getRuns({ job: 'broken' })).toEqual([
+      expect.objectContaining({ status: 'failed', errors: ['Shopify unavailable'] })
+    ]);
+    expect(scheduler.getRuns({ status: 'failed' }).every(run => run.job === 'broken')).toBe(true);
+  });
+
+  test('rejects invalid cron expressions and unknown jobs', async () => {
+    expect(() => scheduler.register('bad', { schedule: 'every minute', run: async () => {} })).toThrow('Invalid cron expression');
+    await expect(scheduler.trigger('missing')).rejects.toThrow('Job not found: missing');
+  });
+});
+
+describe('parseSyncSchedules', () => {
+  test('parses provider=cron pairs', () => {
+    expect(parseSyncSchedules('venchi=*/15 * * * *; llamas=0 * * * *')).toEqual([
+      { provider: 'venchi', schedule: '*/15 * * * *' },
+      { provider: 'llamas', schedule: '0 * * * *' }
+    ]);
+    expect(parseSyncSchedules(undefined)).toEqual([]);
+    expect(() => parseSyncSchedules('*/15 * * * *')).toThrow('expected provider=cron');
+  });
+});
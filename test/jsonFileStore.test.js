@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+
+const JsonFileStore = require('../services/jsonFileStore');
+
+function storePath(name) {
+  return path.join(process.env.DATA_DIR, `${name}.json`);
+}
+
+function readStore(name) {
+  return JSON.parse(fs.readFileSync(storePath(name), 'utf8'));
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('JsonFileStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('starts from the defaults when the file does not exist', () => {
+    const store = new JsonFileStore(storePath('missing'), { orders: {} });
+
+    expect(store.data).toEqual({ orders: {} });
+    expect(fs.existsSync(storePath('missing'))).toBe(false);
+  });
+
+  test('refuses to load a corrupt file and leaves it unchanged', () => {
+    fs.writeFileSync(storePath('corrupt'), '{"orders": {"1": [');
+
+    expect(() => JsonFileStore.open('corrupt', { orders: {} }))
+      .toThrow(`Store ${storePath('corrupt')} is not valid JSON`);
+    expect(fs.readFileSync(storePath('corrupt'), 'utf8')).toBe('{"orders": {"1": [');
+  });
+
+  test('batches saves into one write', () => {
+    jest.useFakeTimers();
+    const write = jest.spyOn(fs, 'writeFileSync');
+    const store = new JsonFileStore(storePath('batched'), { count: 0 });
+
+    for (let i = 0; i < 5; i++) {
+      store.data.count++;
+      store.save();
+    }
+
+    expect(write).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(readStore('batched')).toEqual({ count: 5 });
+    expect(fs.readdirSync(process.env.DATA_DIR).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('flush writes right away and cancels the pending batch', () => {
+    jest.useFakeTimers();
+    const store = new JsonFileStore(storePath('flushed'), { count: 0 });
+
+    store.data.count = 1;
+    store.save();
+    store.flush();
+
+    expect(readStore('flushed')).toEqual({ count: 1 });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('keeps changes pending when a batched write fails', () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = new JsonFileStore(storePath('retried'), { count: 0 });
+    jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+      throw new Error('disk full');
+    });
+
+    store.data.count = 1;
+    store.save();
+    jest.advanceTimersByTime(100);
+
+    expect(console.error).toHaveBeenCalledWith(`Error writing store ${storePath('retried')}:`, 'disk full');
+    expect(fs.existsSync(storePath('retried'))).toBe(false);
+
+    jest.advanceTimersByTime(100);
+    expect(readStore('retried')).toEqual({ count: 1 });
+  });
+
+  test('flushAll writes the pending changes of every open store', () => {
+    const first = JsonFileStore.open('first', { value: null });
+    const second = JsonFileStore.open('second', { value: null });
+
+    first.data.value = 'a';
+    first.save();
+    second.data.value = 'b';
+    second.save();
+
+    JsonFileStore.flushAll();
+
+    expect(readStore('first')).toEqual({ value: 'a' });
+    expect(readStore('second')).toEqual({ value: 'b' });
+  });
+});
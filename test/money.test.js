@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'money-'));
+
+const { toMinorUnits, formatMinorUnits, lineItemMoney, moneyPayload } = require('../services/money');
+const BookingKitService = require('../services/bookingkitService');
+const ShopifyService = require('../services/shopifyService');
+
+function order(overrides = {}) {
+  return {
+    id: 1001,
+    currency: 'USD',
+    total_price: '59.40',
+    taxes_included: false,
+    refunds: [],
+    ...overrides
+  };
+}
+
+function lineItem(overrides = {}) {
+  return {
+    id: 7001,
+    quantity: 3,
+    price: '19.99',
+    discount_allocations: [{ amount: '5.97' }],
+    tax_lines: [{ title: 'Sales tax', rate: 0.1, price: '5.40' }],
+    ...overrides
+  };
+}
+
+describe('money', () => {
+  test('converts decimal amounts to integer minor units without float errors', () => {
+    expect(toMinorUnits('19.99', 'EUR')).toBe(1999);
+    expect(toMinorUnits(0.1 + 0.2, 'EUR')).toBe(30);
+    expect(toMinorUnits('12.345', 'EUR')).toBe(1235);
+    expect(toMinorUnits('-4.5', 'EUR')).toBe(-450);
+    expect(toMinorUnits('1500.00', 'JPY')).toBe(1500);
+    expect(toMinorUnits('2.125', 'KWD')).toBe(2125);
+    expect(toMinorUnits(null, 'EUR')).toBe(0);
+    expect(() => toMinorUnits('ten', 'EUR')).toThrow('Invalid amount: ten');
+
+    expect(formatMinorUnits(1999, 'EUR')).toBe('19.99');
+    expect(formatMinorUnits(-5, 'EUR')).toBe('-0.05');
+    expect(formatMinorUnits(1500, 'JPY')).toBe('1500');
+  });
+
+  test('computes line totals from quantity, discounts and taxes', () => {
+    expect(lineItemMoney(order(), lineItem())).toEqual({
+      currency: 'USD',
+      unitPrice: 1999,
+      quantity: 3,
+      subtotal: 5997,
+      discount: 597,
+      tax: 540,
+      taxesIncluded: false,
+      total: 5940,
+      refundedQuantity: 0,
+      refunded: 0,
+      net: 5940,
+      orderTotal: 5940
+    });
+
+    // Prices that include tax already contain it
+    expect(lineItemMoney(order({ taxes_included: true }), lineItem())).toMatchObject({ tax: 540, total: 5400 });
+
+    // Older REST payloads only carry total_discount
+    expect(lineItemMoney(order(), lineItem({ discount_allocations: undefined, total_discount: '1.00' })).discount).toBe(100);
+  });
+
+  test('subtracts refunded amounts of the line item', () => {
+    const refunded = order({
+      refunds: [
+        { refund_line_items: [{ line_item_id: 7001, quantity: 1, subtotal: 18.0, total_tax: 1.8 }] },
+        { refund_line_items: [{ line_item_id: 7002, quantity: 1, subtotal: 99.0, total_tax: 0 }] }
+      ]
+    });
+
+    expect(lineItemMoney(refunded, lineItem())).toMatchObject({ refundedQuantity: 1, refunded: 1980, net: 3960 });
+    expect(moneyPayload(lineItemMoney(refunded, lineItem()))).toMatchObject({
+      currency: 'USD',
+      decimals: 2,
+      unit_price: 1999,
+      refunded_quantity: 1,
+      refunded: 1980,
+      net: 3960,
+      order_total: 5940
+    });
+    expect(moneyPayload(undefined)).toBeNull();
+  });
+
+  test('reads money fields from GraphQL orders', () => {
+    const restOrder = new ShopifyService().toRestOrder({
+      legacyResourceId: '1001',
+      number: 1,
+      name: '#1001',
+      currencyCode: 'GBP',
+      taxesIncluded: true,
+      totalPriceSet: { shopMoney: { amount: '40.0' } },
+      customAttributes: [],
+      refunds: [{
+        refundLineItems: {
+          nodes: [{
+            quantity: 1,
+            lineItem: { id: 'gid://shopify/LineItem/7001' },
+            subtotalSet: { shopMoney: { amount: '20.0' } },
+            totalTaxSet: { shopMoney: { amount: '3.33' } }
+          }]
+        }
+      }],
+      lineItems: {
+        nodes: [{
+          id: 'gid://shopify/LineItem/7001',
+          name: 'Walking tour',
+          quantity: 2,
+          vendor: 'Tours',
+          originalUnitPriceSet: { shopMoney: { amount: '20.0' } },
+          discountAllocations: [],
+          taxLines: [{ title: 'VAT', rate: 0.2, priceSet: { shopMoney: { amount: '6.67' } } }],
+          customAttributes: [],
+          product: null,
+          variant: null
+        }]
+      }
+    });
+
+    expect(lineItemMoney(restOrder, restOrder.line_items[0])).toMatchObject({
+      currency: 'GBP',
+      subtotal: 4000,
+      tax: 667,
+      total: 4000,
+      refunded: 2000,
+      net: 2000,
+      orderTotal: 4000
+    });
+  });
+
+  test('BookingKit payloads carry the order currency and the net amount', () => {
+    const money = lineItemMoney(order(), lineItem());
+    const payload = new BookingKitService('money').transformShopifyOrderToBookingKit({
+      bookingId: '1001-7001',
+      customer: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', phone: '' },
+      eventName: 'Walking tour',
+      financialStatus: 'paid',
+      quantity: 3,
+      refundedQuantity: 0,
+      lineItems: [],
+      money
+    });
+
+    expect(payload).toMatchObject({ total_amount: 59.4, currency: 'USD', metadata: { money: moneyPayload(money) } });
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'order-bookings-'));
+process.env.API_KEY = 'global-key';
+process.env.HOST_API_KEY_LLAMAS = 'llamas-key';
+
+const BookingIndexService = require('../services/bookingIndexService');
+const ShopifyService = require('../services/shopifyService');
+const orderRoutes = require('../routes/orders');
+const bookingRoutes = require('../routes/bookings');
+
+function lineItem(id, { vendor, date, quantity = 1, cowlendarId = `cow-${id}` }) {
+  return {
+    id,
+    name: `${vendor} workshop`,
+    quantity,
+    price: '25.00',
+    vendor,
+    product_id: id,
+    properties: [
+      { name: 'Date', value: date },
+      { name: '__cow_internal_id', value: cowlendarId }
+    ]
+  };
+}
+
+// One cart with workshops from two hosts and a product that is not a booking
+function multiEventOrder() {
+  return {
+    id: 6001,
+    order_number: 6,
+    name: '#6001',
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+    financial_status: 'paid',
+    note_attributes: [],
+    line_items: [
+      lineItem(9601, { vendor: 'Llamas', date: '5 dec 2025, 10:00 - 12:00 (Europe/Rome)', quantity: 2 }),
+      { id: 9602, name: 'Gift card', quantity: 1, price: '50.00', vendor: 'Shop', properties: [] },
+      lineItem(9603, { vendor: 'Venchi', date: '7 dec 2025, 15:00 - 16:30 (Europe/Rome)' })
+    ]
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(ShopifyService.prototype, 'warmProductHostsForOrders').mockResolvedValue();
+  jest.spyOn(ShopifyService.prototype, 'getProductHost').mockResolvedValue(null);
+});
+
+describe('parseOrderWithCowlendar', () => {
+  test('makes each Cowlendar line item its own booking', async () => {
+    const bookings = await new ShopifyService().parseOrderWithCowlendar(multiEventOrder());
+
+    expect(bookings).toHaveLength(2);
+    expect(bookings[0]).toMatchObject({
+      bookingId: '6001-9601',
+      lineItemId: 9601,
+      host: 'Llamas',
+      vendor: 'Llamas',
+      quantity: 2,
+      eventDate: '2025-12-05',
+      startTime: '10:00',
+      cowlendarId: 'cow-9601'
+    });
+    expect(bookings[1]).toMatchObject({
+      bookingId: '6001-9603',
+      lineItemId: 9603,
+      host: 'Venchi',
+      quantity: 1,
+      eventDate: '2025-12-07',
+      startTime: '15:00',
+      cowlendarId: 'cow-9603'
+    });
+  });
+});
+
+describe('order and booking lookups', () => {
+  let server;
+  let baseUrl;
+
+  async function get(url, key = 'global-key') {
+    const response = await fetch(`${baseUrl}${url}`, { headers: { 'X-API-Key': key } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeAll(async () => {
+    const bookingIndex = new BookingIndexService();
+    await bookingIndex.applyOrders([multiEventOrder()]);
+    bookingIndex.store.data.lastSyncedAt = new Date().toISOString();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', orderRoutes);
+    app.use('/api/bookings', bookingRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('GET /api/orders/:orderId keeps data a single booking and lists every booking', async () => {
+    const { body } = await get('/api/orders/6001');
+
+    expect(body.data).toMatchObject({ booking_id: '6001-9601', shopify_order_id: 6001 });
+    expect(body.bookings.map(booking => booking.booking_id)).toEqual(['6001-9601', '6001-9603']);
+    expect(body.count).toBe(2);
+    expect(body.bookings.map(booking => booking.legacy_booking_id)).toEqual([6001, null]);
+
+    const scoped = await get('/api/orders/6001', 'llamas-key');
+    expect(scoped.body.data.booking_id).toBe('6001-9601');
+    expect(scoped.body.bookings).toHaveLength(1);
+  });
+
+  test('/api/orders?provider= returns only the line items of that provider', async () => {
+    const { body } = await get('/api/orders?provider=venchi');
+
+    expect(body.data.map(booking => booking.booking_id)).toEqual(['6001-9603']);
+  });
+
+  test('GET /api/bookings/:id answers with one booking in data for every kind of ID', async () => {
+    const byOrder = await get('/api/bookings/6001');
+    const byBooking = await get('/api/bookings/6001-9603');
+    const byCowlendar = await get('/api/bookings/cow-9603?id_type=cowlendar');
+
+    expect(byOrder.body.data.booking_id).toBe('6001-9601');
+    expect(byOrder.body.bookings.map(booking => booking.booking_id)).toEqual(['6001-9601', '6001-9603']);
+    expect(byBooking.body).toMatchObject({ data: { booking_id: '6001-9603' }, count: 1 });
+    expect(byCowlendar.body).toMatchObject({ data: { booking_id: '6001-9603' }, count: 1 });
+
+    expect((await get('/api/bookings/6001-9602')).status).toBe(404);
+    expect((await get('/api/bookings/6001-9603', 'llamas-key')).status).toBe(404);
+  });
+});
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'order-pagination-'));
+process.env.API_KEY = 'global-key';
+
+const BookingIndexService = require('../services/bookingIndexService');
+const ShopifyService = require('../services/shopifyService');
+const orderRoutes = require('../routes/orders');
+
+function link(cursors) {
+  return Object.entries(cursors)
+    .map(([rel, cursor]) => `<https://shop.myshopify.com/admin/api/2023-10/orders.json?limit=2&page_info=${cursor}>; rel="${rel}"`)
+    .join(', ');
+}
+
+function page(ids, cursors = {}) {
+  return { data: { orders: ids.map(id => ({ id })) }, headers: { link: link(cursors) } };
+}
+
+function eventOrder(id, day) {
+  return {
+    id,
+    order_number: id,
+    name: `#${id}`,
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+    financial_status: 'paid',
+    note_attributes: [],
+    created_at: `2025-11-0${day}T10:00:00Z`,
+    line_items: [{
+      id: id * 10,
+      name: 'Pasta class',
+      quantity: 1,
+      price: '40.00',
+      vendor: 'Llamas',
+      product_id: id,
+      properties: [
+        { name: 'Date', value: '5 dec 2025, 10:00 - 12:00 (Europe/Rome)' },
+        { name: '__cow_internal_id', value: `cow-${id}` }
+      ]
+    }]
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Shopify REST cursor pagination', () => {
+  let service;
+  let get;
+
+  beforeEach(() => {
+    service = new ShopifyService({ backend: 'rest' });
+    get = jest.spyOn(service.client, 'get');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads next and previous cursors from the Link header', () => {
+    expect(service.parseLinkHeader(link({ previous: 'abc', next: 'def' }))).toEqual({ next: 'def', previous: 'abc' });
+    expect(service.parseLinkHeader(link({ next: 'def' }))).toEqual({ next: 'def', previous: null });
+    expect(service.parseLinkHeader(undefined)).toEqual({ next: null, previous: null });
+  });
+
+  test('follows page_info cursors until the limit is reached', async () => {
+    get
+      .mockResolvedValueOnce(page([1, 2], { next: 'page-2' }))
+      .mockResolvedValueOnce(page([3, 4], { previous: 'page-1', next: 'page-3' }))
+      .mockResolvedValueOnce(page([5], { previous: 'page-2', next: 'page-4' }));
+
+    const orders = await service.getOrders({ limit: 5, status: 'any', updated_at_min: '2025-11-01T00:00:00Z' });
+
+    expect(orders.map(order => order.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(get).toHaveBeenCalledTimes(3);
+
+    // Filters go on the first request only; Shopify rejects them next to a cursor
+    expect(get.mock.calls[0][1].params).toMatchObject({ status: 'any', limit: 5, updated_at_min: '2025-11-01T00:00:00Z' });
+    expect(get.mock.calls[1][1].params).toEqual({ limit: 3, fields: expect.any(String), page_info: 'page-2' });
+    expect(get.mock.calls[2][1].params).toEqual({ limit: 1, fields: expect.any(String), page_info: 'page-3' });
+  });
+
+  test('walks every page with an unlimited limit and caps pages at 250', async () => {
+    get
+      .mockResolvedValueOnce(page([1], { next: 'page-2' }))
+      .mockResolvedValueOnce(page([2], { previous: 'page-1' }));
+
+    const orders = await service.getOrders({ limit: Infinity });
+
+    expect(orders.map(order => order.id)).toEqual([1, 2]);
+    expect(get.mock.calls.map(([, { params }]) => params.limit)).toEqual([250, 250]);
+  });
+
+  test('returns the neighbouring cursors with a page of event orders', async () => {
+    jest.spyOn(service, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(service, 'getProductHost').mockResolvedValue(null);
+    get.mockResolvedValueOnce({
+      data: { orders: [eventOrder(2001, 1), { id: 2002, line_items: [], note_attributes: [] }] },
+      headers: { link: link({ previous: 'page-1', next: 'page-3' }) }
+    });
+
+    const result = await service.getEventOrdersPage({ page_info: 'page-2', limit: 2 });
+
+    expect(result.orders.map(booking => booking.shopifyOrderId)).toEqual([2001]);
+    expect(result).toMatchObject({ nextCursor: 'page-3', prevCursor: 'page-1' });
+  });
+});
+
+describe('GET /api/orders cursors', () => {
+  let server;
+  let baseUrl;
+
+  async function get(url) {
+    const response = await fetch(`${baseUrl}${url}`, { headers: { 'X-API-Key': 'global-key' } });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ShopifyService.prototype, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(ShopifyService.prototype, 'getProductHost').mockResolvedValue(null);
+
+    const bookingIndex = new BookingIndexService();
+    await bookingIndex.applyOrders([eventOrder(3001, 1), eventOrder(3002, 2), eventOrder(3003, 3)]);
+    bookingIndex.store.data.lastSyncedAt = new Date().toISOString();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/orders', orderRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  test('pages through bookings with next_cursor and prev_cursor', async () => {
+    const first = await get('/api/orders?limit=2');
+    expect(first.body.data.map(booking => booking.shopify_order_id)).toEqual([3003, 3002]);
+    expect(first.body.prev_cursor).toBeNull();
+
+    const second = await get(`/api/orders?limit=2&cursor=${first.body.next_cursor}`);
+    expect(second.body.data.map(booking => booking.shopify_order_id)).toEqual([3001]);
+    expect(second.body.next_cursor).toBeNull();
+    expect(second.body.filters.cursor).toBe(first.body.next_cursor);
+
+    const back = await get(`/api/orders?limit=2&cursor=${second.body.prev_cursor}`);
+    expect(back.body.data.map(booking => booking.shopify_order_id)).toEqual([3003, 3002]);
+  });
+
+  test('rejects cursors it did not issue', async () => {
+    expect(await get('/api/orders?cursor=bogus')).toMatchObject({
+      status: 400,
+      body: { success: false, error: 'Invalid cursor' }
+    });
+  });
+});
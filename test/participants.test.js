@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'participants-'));
+
+const { parseBookingForm, participantsPayload } = require('../services/cowlendarProperties');
+const { transformForBookingApp } = require('../services/bookingAppFormat');
+const BookingKitService = require('../services/bookingkitService');
+const ShopifyService = require('../services/shopifyService');
+
+function order(overrides = {}) {
+  return {
+    id: 1001,
+    order_number: 1,
+    name: '#1001',
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+    financial_status: 'paid',
+    note_attributes: [
+      { name: 'How did you hear about us?', value: 'Instagram' },
+      { name: 'Rescheduled Date #7002', value: '2 dec 2025, 10:00 - 11:00 (Europe/Rome)' }
+    ],
+    line_items: [{
+      id: 7001,
+      name: 'Chocolate tasting',
+      quantity: 1,
+      price: '25.00',
+      vendor: 'Venchi',
+      variant_title: 'Family',
+      properties: [
+        { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+        { name: '__cow_internal_id', value: 'cow-1' },
+        { name: '__cow_integrity', value: 'abc' },
+        { name: '_hidden', value: 'x' },
+        { name: 'Adults', value: '2' },
+        { name: 'Children:', value: '1' },
+        { name: 'Attendee 1', value: 'Ada Lovelace' },
+        { name: 'Attendee 2', value: 'Charles Babbage' },
+        { name: 'Dietary requirements', value: 'Vegan' },
+        { name: 'Comments', value: '' }
+      ]
+    }],
+    ...overrides
+  };
+}
+
+describe('booking participants and custom fields', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.COWLENDAR_TICKET_PROPERTIES;
+  });
+
+  test('reads ticket counts, attendees and custom questions from line item properties', async () => {
+    const [booking] = await new ShopifyService().parseOrderWithCowlendar(order());
+
+    expect(booking.participants).toEqual({
+      total: 3,
+      byTicketType: [{ type: 'Adults', quantity: 2 }, { type: 'Children', quantity: 1 }],
+      attendees: ['Ada Lovelace', 'Charles Babbage']
+    });
+    expect(booking.customFields).toEqual([
+      { name: 'Dietary requirements', value: 'Vegan', source: 'line_item' },
+      { name: 'How did you hear about us?', value: 'Instagram', source: 'order' }
+    ]);
+
+    // Cowlendar metadata is still read as before
+    expect(booking.cowlendarId).toBe('cow-1');
+    expect(booking.eventDate).toBe('2025-11-30');
+  });
+
+  test('falls back to the line item quantity, typed by the variant sold as a ticket', () => {
+    expect(parseBookingForm({ quantity: 2, variantTitle: 'Child' }).participants)
+      .toEqual({ total: 2, byTicketType: [{ type: 'Child', quantity: 2 }], attendees: [] });
+    expect(parseBookingForm({ quantity: 4, variantTitle: 'Default Title' }).participants.byTicketType)
+      .toEqual([{ type: null, quantity: 4 }]);
+    expect(parseBookingForm({ quantity: 0 }).participants).toEqual({ total: 0, byTicketType: [], attendees: [] });
+  });
+
+  test('recognizes localized names and configured ticket properties', () => {
+    process.env.COWLENDAR_TICKET_PROPERTIES = 'Early bird, Members';
+
+    const form = parseBookingForm({
+      quantity: 1,
+      properties: [
+        { name: 'Bambini', value: '2' },
+        { name: 'Erwachsene', value: '1' },
+        { name: 'Early Bird', value: '3' },
+        { name: 'Nome partecipante 1', value: 'Giulia Rossi' },
+        { name: 'Adults', value: 'two' }
+      ]
+    });
+
+    expect(form.participants.total).toBe(6);
+    expect(form.participants.attendees).toEqual(['Giulia Rossi']);
+    expect(form.customFields).toEqual([{ name: 'Adults', value: 'two', source: 'line_item' }]);
+  });
+
+  test('keeps questions whose names merely contain "data"', async () => {
+    const [booking] = await new ShopifyService().parseOrderWithCowlendar(order({
+      note_attributes: [{ name: 'Metadata consent', value: 'yes' }],
+      line_items: [{
+        ...order().line_items[0],
+        properties: [
+          { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+          { name: '__cow_internal_id', value: 'cow-1' },
+          { name: 'Data di nascita', value: '1990-05-01' }
+        ]
+      }]
+    }));
+
+    expect(booking.customFields).toEqual([
+      { name: 'Data di nascita', value: '1990-05-01', source: 'line_item' },
+      { name: 'Metadata consent', value: 'yes', source: 'order' }
+    ]);
+    expect(booking.eventDate).toBe('2025-11-30');
+  });
+
+  test('leaves the date note attribute of legacy orders out of the form', async () => {
+    const [booking] = await new ShopifyService().parseOrderWithCowlendar(order({
+      note_attributes: [
+        { name: '__cow_internal_id', value: 'cow-legacy' },
+        { name: 'Event data', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+        { name: 'Allergies', value: 'Nuts' }
+      ],
+      line_items: [{ ...order().line_items[0], properties: [] }]
+    }));
+
+    expect(booking.eventDate).toBe('2025-11-30');
+    expect(booking.customFields).toEqual([{ name: 'Allergies', value: 'Nuts', source: 'order' }]);
+  });
+
+  test('only gives order answers to the booking they belong to in multi-booking orders', async () => {
+    const secondItem = {
+      id: 7002,
+      name: 'Pasta class',
+      quantity: 1,
+      price: '40.00',
+      vendor: 'Llamas',
+      properties: [
+        { name: 'Date', value: '1 dec 2025, 10:00 - 12:00 (Europe/Rome)' },
+        { name: '__cow_internal_id', value: 'cow-2' }
+      ]
+    };
+    const [venchi, llamas] = await new ShopifyService().parseOrderWithCowlendar(order({
+      note_attributes: [
+        { name: 'How did you hear about us?', value: 'Instagram' },
+        { name: 'Allergies #7002', value: 'Gluten' },
+        { name: 'Rescheduled Date #7002', value: '2 dec 2025, 10:00 - 11:00 (Europe/Rome)' }
+      ],
+      line_items: [order().line_items[0], secondItem]
+    }));
+
+    expect(venchi.customFields).toEqual([{ name: 'Dietary requirements', value: 'Vegan', source: 'line_item' }]);
+    expect(llamas.customFields).toEqual([{ name: 'Allergies', value: 'Gluten', source: 'order' }]);
+    expect(llamas.eventDate).toBe('2025-12-02');
+  });
+
+  test('booking payloads carry the participants and custom fields', async () => {
+    const [booking] = await new ShopifyService().parseOrderWithCowlendar(order());
+
+    expect(transformForBookingApp(booking)).toMatchObject({
+      participants: {
+        total: 3,
+        by_ticket_type: [{ type: 'Adults', quantity: 2 }, { type: 'Children', quantity: 1 }],
+        attendees: ['Ada Lovelace', 'Charles Babbage']
+      },
+      custom_fields: booking.customFields
+    });
+
+    expect(new BookingKitService('participants').transformShopifyOrderToBookingKit(booking)).toMatchObject({
+      participants: 3,
+      metadata: { participants: participantsPayload(booking.participants), custom_fields: booking.customFields }
+    });
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
@@ -0,0 +1,270 @@
+const dns = require('dns');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'partner-webhooks-'));
+process.env.PARTNER_WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.API_KEY = 'global-key';
+process.env.HOST_API_KEY_LLAMAS = 'llamas-key';
+process.env.PARTNER_WEBHOOK_ALLOW_LOCAL_URLS = 'true';
+
+const ApiKeyService = require('../services/apiKeyService');
+const BookingIndexService = require('../services/bookingIndexService');
+const PartnerWebhookService = require('../services/partnerWebhookService');
+const webhookRoutes = require('../routes/webhooks');
+
+function shopifyOrder({ vendor = 'Llamas', quantity = 2, cancelledAt = null } = {}) {
+  return {
+    id: 2001,
+    order_number: 2,
+    name: '#2001',
+    customer: { first_name: 'Grace', last_name: 'Hopper', email: 'grace@example.com' },
+    financial_status: 'paid',
+    cancelled_at: cancelledAt,
+    note_attributes: [],
+    refunds: [],
+    line_items: [
+      {
+        id: 8001,
+        name: 'Llama trek',
+        quantity,
+        price: '40.00',
+        vendor,
+        product_id: null,
+        properties: [
+          { name: 'Date', value: '5 dec 2025, 10:00 - 12:00 (Europe/Rome)' },
+          { name: '__cow_internal_id', value: 'cow-2' }
+        ]
+      }
+    ]
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('Partner webhooks', () => {
+  let receiver;
+  let callbackUrl;
+  let received;
+  let responseStatus;
+  let partnerWebhooks;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const app = express();
+    app.post('/hook', express.raw({ type: () => true }), (req, res) => {
+      received.push({ headers: req.headers, body: req.body.toString('utf8') });
+      res.status(responseStatus).end();
+    });
+
+    await new Promise(resolve => { receiver = app.listen(0, resolve); });
+    callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 204;
+    partnerWebhooks = new PartnerWebhookService();
+    partnerWebhooks.retryBaseMs = 0;
+    partnerWebhooks.store.data.subscriptions = [];
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  test('posts signed booking payloads to the matching subscriptions only', async () => {
+    const { subscription, secret } = partnerWebhooks.subscribe({ provider: 'Llamas', url: callbackUrl, events: ['booking.created'] });
+    partnerWebhooks.subscribe({ provider: 'venchi', url: callbackUrl });
+
+    const [booking] = await partnerWebhooks.shopifyService.parseOrderWithCowlendar(shopifyOrder());
+    const [queued] = partnerWebhooks.publish('booking.created', booking);
+    expect(partnerWebhooks.publish('booking.updated', booking)).toEqual([]);
+    await partnerWebhooks.drain();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    expect(signature).toBe(PartnerWebhookService.sign(secret, timestamp, body));
+    expect(headers['x-webhook-event']).toBe('booking.created');
+    expect(JSON.parse(body)).toMatchObject({
+      id: headers['x-webhook-id'],
+      type: 'booking.created',
+      provider: 'llamas',
+      data: { booking_id: '2001-8001', shopify_order_id: 2001, event: { quantity: 2 }, status: 'confirmed' }
+    });
+
+    expect(partnerWebhooks.getDelivery(queued.id)).toMatchObject({
+      subscription_id: subscription.id,
+      status: 'delivered',
+      attempts: 1,
+      response_status: 204
+    });
+    expect(subscription.secret).toBeUndefined();
+  });
+
+  test('retries failed deliveries with backoff and gives up after the last attempt', async () => {
+    partnerWebhooks.subscribe({ provider: 'llamas', url: callbackUrl });
+    const [booking] = await partnerWebhooks.shopifyService.parseOrderWithCowlendar(shopifyOrder());
+
+    responseStatus = 500;
+    const [delivery] = partnerWebhooks.publish('booking.updated', booking);
+    await partnerWebhooks.drain();
+
+    expect(received).toHaveLength(3);
+    expect(new Set(received.map(request => request.headers['x-webhook-id'])).size).toBe(1);
+    expect(partnerWebhooks.getDelivery(delivery.id)).toMatchObject({
+      status: 'dead',
+      attempts: 3,
+      last_error: 'Callback responded with HTTP 500'
+    });
+
+    responseStatus = 200;
+    expect(partnerWebhooks.redeliver(delivery.id, 'llamas')).toMatchObject({ status: 'pending', attempts: 0 });
+    await partnerWebhooks.drain();
+
+    expect(partnerWebhooks.getDelivery(delivery.id).history.map(attempt => attempt.status))
+      .toEqual(['failed', 'failed', 'dead', 'redelivery', 'delivered']);
+    expect(partnerWebhooks.redeliver(delivery.id, 'venchi')).toBeNull();
+  });
+
+  test('rejects invalid subscriptions', () => {
+    expect(() => partnerWebhooks.subscribe({ provider: 'llamas', url: 'ftp://example.com' })).toThrow('http or https');
+    expect(() => partnerWebhooks.subscribe({ provider: 'llamas', url: callbackUrl, events: ['order.paid'] }))
+      .toThrow('unknown event(s) order.paid');
+    expect(() => partnerWebhooks.subscribe({ url: callbackUrl })).toThrow('provider is required');
+  });
+
+  test('refuses callbacks into the local network unless local URLs are allowed', async () => {
+    const subscribe = url => () => partnerWebhooks.subscribe({ provider: 'llamas', url });
+    const { subscription } = partnerWebhooks.subscribe({ provider: 'llamas', url: callbackUrl });
+    const [booking] = await partnerWebhooks.shopifyService.parseOrderWithCowlendar(shopifyOrder());
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+    delete process.env.PARTNER_WEBHOOK_ALLOW_LOCAL_URLS;
+
+    try {
+      // Subscriptions saved while local URLs were allowed are not delivered to
+      const [delivery] = partnerWebhooks.publish('booking.created', booking);
+      await partnerWebhooks.drain();
+
+      expect(received).toHaveLength(0);
+      expect(partnerWebhooks.getDelivery(delivery.id)).toMatchObject({
+        subscription_id: subscription.id,
+        last_error: 'Invalid subscription: url must use https'
+      });
+
+      expect(subscribe('http://partner.example.com/hook')).toThrow('url must use https');
+      ['https://localhost/hook', 'https://127.0.0.1/hook', 'https://0x7f.1/hook', 'https://10.0.0.8/hook',
+        'https://192.168.1.1/hook', 'https://169.254.169.254/latest/meta-data', 'https://[::1]/hook', 'https://[fd00::1]/hook']
+        .forEach(url => expect(subscribe(url)).toThrow('must not point to a loopback, private or link-local address'));
+      expect(subscribe('https://partner.example.com/hook')).not.toThrow();
+
+      // Public host names are resolved again for each delivery
+      lookup.mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+      const deliveries = partnerWebhooks.publish('booking.updated', booking);
+      await partnerWebhooks.drain();
+
+      expect(deliveries.map(queued => partnerWebhooks.getDelivery(queued.id).last_error)).toContain(
+        'Callback host partner.example.com resolves to the non-public address 10.0.0.5'
+      );
+    } finally {
+      lookup.mockRestore();
+      process.env.PARTNER_WEBHOOK_ALLOW_LOCAL_URLS = 'true';
+    }
+  });
+
+  test('the booking index publishes created, updated and cancelled bookings', async () => {
+    partnerWebhooks.subscribe({ provider: 'llamas', url: callbackUrl });
+
+    const bookingIndex = new BookingIndexService(partnerWebhooks.shopifyService);
+    jest.spyOn(bookingIndex.shopifyService, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(bookingIndex.shopifyService, 'getProductHost').mockResolvedValue(null);
+
+    // Nothing is published while the index is first populated
+    bookingIndex.store.data.lastSyncedAt = null;
+    await bookingIndex.applyOrders([shopifyOrder({ quantity: 1 })]);
+    bookingIndex.remove(2001);
+    bookingIndex.store.data.lastSyncedAt = new Date().toISOString();
+
+    await bookingIndex.applyOrders([shopifyOrder()]);
+    await bookingIndex.applyOrders([shopifyOrder()]);
+    await bookingIndex.applyOrders([shopifyOrder({ quantity: 3 })]);
+    await bookingIndex.applyOrders([shopifyOrder({ quantity: 3, cancelledAt: '2025-11-01T10:00:00Z' })]);
+    await partnerWebhooks.drain();
+
+    expect(received.map(request => request.headers['x-webhook-event']))
+      .toEqual(['booking.created', 'booking.updated', 'booking.cancelled']);
+    expect(JSON.parse(received[2].body).data.status).toBe('cancelled');
+  });
+});
+
+describe('/api/webhooks subscription management', () => {
+  let server;
+  let baseUrl;
+
+  function request(method, url, key, body) {
+    return fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  let llamasKey;
+
+  beforeAll(async () => {
+    new PartnerWebhookService().store.data.subscriptions = [];
+    llamasKey = new ApiKeyService().create({ label: 'Llamas', tenant: 'llamas', scopes: ['read:orders', 'write:webhooks'] }).apiKey;
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/webhooks', webhookRoutes);
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('host keys only manage subscriptions of their own provider', async () => {
+    const created = await request('POST', '/api/webhooks/subscriptions', llamasKey, { url: 'https://llamas.example.com/hook' });
+    expect(created.status).toBe(201);
+    const { data, secret } = await created.json();
+    expect(data).toMatchObject({ provider: 'llamas', events: PartnerWebhookService.EVENT_TYPES });
+    expect(secret).toMatch(/^whsec_/);
+
+    const other = await request('POST', '/api/webhooks/subscriptions', 'global-key', { provider: 'venchi', url: 'https://venchi.example.com/hook' });
+    const venchi = (await other.json()).data;
+
+    const listed = await (await request('GET', '/api/webhooks/subscriptions', llamasKey)).json();
+    expect(listed.data.map(subscription => subscription.id)).toEqual([data.id]);
+
+    expect((await request('GET', `/api/webhooks/subscriptions/${venchi.id}`, llamasKey)).status).toBe(404);
+    expect((await request('DELETE', `/api/webhooks/subscriptions/${venchi.id}`, llamasKey)).status).toBe(404);
+    expect((await request('POST', '/api/webhooks/subscriptions', llamasKey, { provider: 'venchi', url: 'https://x.example.com' })).status).toBe(403);
+    expect((await request('GET', '/api/webhooks/deliveries?provider=venchi', llamasKey)).status).toBe(403);
+
+    // Keys without the write:webhooks scope can only read
+    expect((await request('GET', '/api/webhooks/subscriptions', 'llamas-key')).status).toBe(200);
+    expect((await request('POST', '/api/webhooks/subscriptions', 'llamas-key', { url: 'https://llamas.example.com/hook' })).status).toBe(403);
+    expect((await request('DELETE', `/api/webhooks/subscriptions/${data.id}`, 'llamas-key')).status).toBe(403);
+
+    const paused = await request('PATCH', `/api/webhooks/subscriptions/${data.id}`, llamasKey, { active: false });
+    expect((await paused.json()).data.active).toBe(false);
+  });
+
+  test('the global key must name the provider', async () => {
+    const response = await request('POST', '/api/webhooks/subscriptions', 'global-key', { url: 'https://example.com/hook' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).message).toBe('Invalid subscription: provider is required');
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'product-hosts-'));
+process.env.PRODUCT_HOST_CACHE_TTL = '60';
+
+const BookingIndexService = require('../services/bookingIndexService');
+const ShopifyService = require('../services/shopifyService');
+
+function metafields(host) {
+  return { data: { metafields: host ? [{ namespace: 'custom', key: 'host', value: host }] : [] } };
+}
+
+function productNode(id, { host = null, tags = [] } = {}) {
+  return { id: `gid://shopify/Product/${id}`, tags, host: host ? { value: host } : null };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('product host cache', () => {
+  let service;
+  let get;
+  let graphql;
+  let now;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    now = Date.parse('2025-11-01T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    service = new ShopifyService({ backend: 'rest' });
+    service.invalidateProductHosts();
+    get = jest.spyOn(service.client, 'get');
+    graphql = jest.spyOn(service, 'graphql');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves hosts from the cache until PRODUCT_HOST_CACHE_TTL has passed', async () => {
+    get.mockResolvedValueOnce(metafields('Llamas')).mockResolvedValueOnce(metafields('Llamas Roma'));
+
+    expect(await service.getProductHost(3301)).toBe('Llamas');
+    now += 59 * 1000;
+    expect(await service.getProductHost('3301')).toBe('Llamas');
+    expect(get).toHaveBeenCalledTimes(1);
+
+    now += 1000;
+    expect(await service.getProductHost(3301)).toBe('Llamas Roma');
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('caches products without a host too', async () => {
+    get
+      .mockResolvedValueOnce(metafields(null))
+      .mockResolvedValueOnce({ data: { product: { tags: 'workshop, food' } } });
+
+    expect(await service.getProductHost(3302)).toBeNull();
+    expect(await service.getProductHost(3302)).toBeNull();
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('warms the cache for a set of orders with one GraphQL query per 100 products', async () => {
+    const productIds = Array.from({ length: 150 }, (_, i) => 4000 + i);
+    const orders = [
+      { line_items: productIds.slice(0, 100).map(id => ({ product_id: id })) },
+      { line_items: [...productIds.slice(100).map(id => ({ product_id: id })), { product_id: 4000 }, { product_id: null }] }
+    ];
+    graphql.mockImplementation(async (query, { ids }) => ({
+      nodes: ids.map(gid => {
+        const id = Number(gid.split('/').pop());
+        if (id === 4001) return null;
+        return id % 2 ? productNode(id, { tags: ['host: Venchi'] }) : productNode(id, { host: 'Llamas' });
+      })
+    }));
+
+    await service.warmProductHostsForOrders(orders);
+
+    expect(graphql).toHaveBeenCalledTimes(2);
+    expect(graphql.mock.calls.map(([, { ids }]) => ids.length)).toEqual([100, 50]);
+    expect(graphql.mock.calls[0][1].ids[0]).toBe('gid://shopify/Product/4000');
+
+    expect(await service.getProductHost(4000)).toBe('Llamas');
+    expect(await service.getProductHost(4003)).toBe('Venchi');
+    expect(get).not.toHaveBeenCalled();
+
+    // Products Shopify did not return are left for a lookup of their own
+    get.mockResolvedValueOnce(metafields('Shop'));
+    expect(await service.getProductHost(4001)).toBe('Shop');
+
+    // Cached products are not queried again
+    await service.warmProductHostsForOrders(orders);
+    expect(graphql).toHaveBeenCalledTimes(2);
+  });
+
+  test('falls back to single lookups when a bulk query fails', async () => {
+    graphql.mockRejectedValueOnce(new Error('Throttled'));
+    get.mockResolvedValueOnce(metafields('Llamas'));
+
+    await service.warmProductHosts([3301]);
+
+    expect(console.error).toHaveBeenCalledWith('Error warming product host cache:', 'Throttled');
+    expect(await service.getProductHost(3301)).toBe('Llamas');
+  });
+
+  test('invalidates one product or the whole cache', async () => {
+    graphql.mockResolvedValueOnce({ nodes: [productNode(3301, { host: 'Llamas' }), productNode(3302, { host: 'Venchi' })] });
+    await service.warmProductHosts([3301, 3302]);
+
+    service.invalidateProductHosts(3301);
+    get.mockResolvedValueOnce(metafields('Llamas Roma'));
+    expect(await service.getProductHost(3301)).toBe('Llamas Roma');
+    expect(await service.getProductHost(3302)).toBe('Venchi');
+
+    service.invalidateProductHosts();
+    get.mockResolvedValueOnce(metafields('Venchi Torino'));
+    expect(await service.getProductHost(3302)).toBe('Venchi Torino');
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  test('re-resolves the host of indexed bookings when their product changes', async () => {
+    graphql.mockResolvedValueOnce({ nodes: [productNode(3301, { host: 'Llamas' })] });
+    const index = new BookingIndexService(service);
+    await index.applyOrders([{
+      id: 5001,
+      order_number: 5,
+      name: '#5001',
+      customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+      financial_status: 'paid',
+      note_attributes: [],
+      line_items: [{
+        id: 9501,
+        name: 'Pasta class',
+        quantity: 1,
+        price: '40.00',
+        vendor: 'Shop',
+        product_id: 3301,
+        properties: [
+          { name: 'Date', value: '5 dec 2025, 10:00 - 12:00 (Europe/Rome)' },
+          { name: '__cow_internal_id', value: 'cow-5001' }
+        ]
+      }]
+    }]);
+    expect(index.get(5001)[0].host).toBe('Llamas');
+
+    get.mockResolvedValueOnce(metafields('Llamas Roma'));
+    expect(await index.refreshProductHost(3301)).toBe(1);
+    expect(index.get(5001)[0]).toMatchObject({ host: 'Llamas Roma', provider: 'Llamas Roma' });
+
+    expect(await index.refreshProductHost(9999)).toBe(0);
+  });
+});
@@ -0,0 +1,219 @@
+const net = require('net');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  RespClient
+} = require('../services/rateLimitStore');
+
+/**
+ * Local stand-in for Redis that runs the rate limiter's EVAL script (INCR, then PEXPIRE
+ * when the key has no TTL) and records the expiries it sets
+ */
+function startRedisStandIn(expiries = new Map()) {
+  const values = new Map();
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      // Commands arrive as RESP arrays: *N\r\n($len\r\narg\r\n)*
+      let match;
+      while ((match = buffer.match(/^\*(\d+)\r\n/))) {
+        const parts = buffer.slice(match[0].length).split('\r\n');
+        const count = parseInt(match[1]);
+        if (parts.length < count * 2 + 1) {
+          return;
+        }
+
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          args.push(parts[i * 2 + 1]);
+        }
+        buffer = parts.slice(count * 2).join('\r\n');
+
+        const [command, script, , key, windowMs] = args;
+        if (command === 'EVAL' && script.includes('INCR') && script.includes('PEXPIRE')) {
+          values.set(key, (values.get(key) || 0) + 1);
+          if (!expiries.has(key)) {
+            expiries.set(key, Number(windowMs));
+          }
+          socket.write(`:${values.get(key)}\r\n`);
+        } else {
+          socket.write(`-ERR unknown command '${command}'\r\n`);
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.assign(this.headers, name);
+      } else {
+        this.headers[name] = value;
+      }
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+async function callMiddleware(middleware, req) {
+  const res = mockResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('MemoryRateLimitStore', () => {
+  test('counts hits per key until the window expires', async () => {
+    const store = new MemoryRateLimitStore();
+
+    expect(await store.increment('a', 50)).toBe(1);
+    expect(await store.increment('a', 50)).toBe(2);
+    expect(await store.increment('b', 50)).toBe(1);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(await store.increment('a', 50)).toBe(1);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  const expiries = new Map();
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = await startRedisStandIn(expiries);
+    client = new RespClient(`redis://127.0.0.1:${server.address().port}`);
+  });
+
+  afterAll(done => {
+    client.close();
+    server.close(done);
+  });
+
+  test('counts hits and sets the expiry in one atomic command', async () => {
+    const store = new RedisRateLimitStore(client);
+
+    expect(await store.increment('read:key:1:1', 1000)).toBe(1);
+    expect(await store.increment('read:key:1:1', 1000)).toBe(2);
+    expect(expiries.get('ratelimit:read:key:1:1')).toBe(1000);
+  });
+
+  test('rejects on Redis error replies', async () => {
+    await expect(client.command(['FLUSHALL'])).rejects.toThrow("unknown command 'FLUSHALL'");
+  });
+});
+
+describe('RespClient timeouts', () => {
+  test('rejects commands a stalled server never answers, then reconnects', async () => {
+    const sockets = [];
+    const stalled = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+
+    const client = new RespClient(`redis://127.0.0.1:${stalled.address().port}`, { timeoutMs: 50 });
+
+    await expect(client.command(['PING'])).rejects.toThrow('Redis command PING timed out after 50ms');
+    expect(client.socket).toBeNull();
+
+    await expect(client.command(['PING'])).rejects.toThrow('timed out');
+    expect(sockets).toHaveLength(2);
+
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => stalled.close(resolve));
+  });
+
+  test('rate limiting fails open when Redis stalls', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const sockets = [];
+    const stalled = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+
+    const client = new RespClient(`redis://127.0.0.1:${stalled.address().port}`, { timeoutMs: 50 });
+    const middleware = rateLimit('read', { limit: 1, store: new RedisRateLimitStore(client) });
+
+    expect((await callMiddleware(middleware, { apiKey: { id: 'key_a' } })).passed).toBe(true);
+
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => stalled.close(resolve));
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const tenantKey = { id: 'key_a', tenant: 'llamas', scopes: ['read:orders'] };
+  const otherTenantKey = { id: 'key_b', tenant: 'venchi', scopes: ['read:orders'] };
+
+  test('sets RateLimit headers and rejects over the limit with Retry-After', async () => {
+    const middleware = rateLimit('read', { limit: 2, windowMs: 60000, store: new MemoryRateLimitStore() });
+    const req = { apiKey: tenantKey };
+
+    const first = await callMiddleware(middleware, req);
+    expect(first.passed).toBe(true);
+    expect(first.res.headers['RateLimit-Limit']).toBe('2');
+    expect(first.res.headers['RateLimit-Remaining']).toBe('1');
+    expect(first.res.headers['RateLimit-Policy']).toBe('2;w=60');
+
+    await callMiddleware(middleware, req);
+    const third = await callMiddleware(middleware, req);
+
+    expect(third.passed).toBe(false);
+    expect(third.res.statusCode).toBe(429);
+    expect(third.res.headers['RateLimit-Remaining']).toBe('0');
+    expect(Number(third.res.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+
+  test('keeps separate budgets per tenant and per route group', async () => {
+    const store = new MemoryRateLimitStore();
+    const read = rateLimit('read', { limit: 1, windowMs: 60000, store });
+    const sync = rateLimit('sync', { limit: 1, windowMs: 60000, store });
+
+    await callMiddleware(read, { apiKey: tenantKey });
+
+    expect((await callMiddleware(read, { apiKey: tenantKey })).passed).toBe(false);
+    expect((await callMiddleware(read, { apiKey: { ...tenantKey, id: 'key_c' } })).passed).toBe(false);
+    expect((await callMiddleware(read, { apiKey: otherTenantKey })).passed).toBe(true);
+    expect((await callMiddleware(sync, { apiKey: tenantKey })).passed).toBe(true);
+  });
+
+  test('a misconfigured store fails when the routes are built, not per request', () => {
+    process.env.RATE_LIMIT_STORE = 'redis';
+    delete process.env.REDIS_URL;
+
+    try {
+      jest.isolateModules(() => {
+        const { rateLimit: isolatedRateLimit } = require('../middleware/rateLimit');
+        expect(() => isolatedRateLimit('read')).toThrow('RATE_LIMIT_STORE=redis requires REDIS_URL');
+      });
+    } finally {
+      delete process.env.RATE_LIMIT_STORE;
+    }
+  });
+
+  test('allows requests when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { increment: () => Promise.reject(new Error('connection refused')) };
+    const middleware = rateLimit('read', { limit: 1, store });
+
+    expect((await callMiddleware(middleware, { apiKey: tenantKey })).passed).toBe(true);
+  });
+});
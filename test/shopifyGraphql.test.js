@@ -0,0 +1,233 @@
+const ShopifyService = require('../services/shopifyService');
+
+const money = amount => ({ shopMoney: { amount } });
+
+function lineItemNode(id, overrides = {}) {
+  return {
+    id: `gid://shopify/LineItem/${id}`,
+    name: 'Chocolate tasting',
+    variantTitle: null,
+    quantity: 2,
+    vendor: 'Venchi',
+    originalUnitPriceSet: money('25.0'),
+    discountAllocations: [{ allocatedAmountSet: money('5.0') }],
+    taxLines: [{ title: 'IVA', rate: 0.22, priceSet: money('9.02') }],
+    customAttributes: [
+      { key: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+      { key: '__cow_internal_id', value: `cow-${id}` }
+    ],
+    variant: { legacyResourceId: '4401' },
+    product: { legacyResourceId: '3301', tags: [], host: { value: 'llamas' } },
+    ...overrides
+  };
+}
+
+function refundLineItemNode(lineItemId, quantity = 1) {
+  return {
+    quantity,
+    lineItem: { id: `gid://shopify/LineItem/${lineItemId}` },
+    subtotalSet: money('25.0'),
+    totalTaxSet: money('4.51')
+  };
+}
+
+function orderNode(overrides = {}) {
+  return {
+    legacyResourceId: '7001',
+    number: 7,
+    name: '#7001',
+    email: 'ada@example.com',
+    createdAt: '2025-11-01T10:00:00Z',
+    updatedAt: '2025-11-02T10:00:00Z',
+    closedAt: null,
+    cancelledAt: null,
+    displayFinancialStatus: 'PARTIALLY_REFUNDED',
+    displayFulfillmentStatus: 'UNFULFILLED',
+    currencyCode: 'EUR',
+    taxesIncluded: true,
+    totalPriceSet: money('45.0'),
+    customAttributes: [{ key: 'How did you hear about us?', value: 'Instagram' }],
+    refunds: [{
+      id: 'gid://shopify/Refund/1',
+      refundLineItems: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [refundLineItemNode(9701)] }
+    }],
+    customer: { firstName: 'Ada', lastName: 'Lovelace', email: null, phone: '+390000' },
+    lineItems: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [lineItemNode(9701)] },
+    ...overrides
+  };
+}
+
+describe('ShopifyService GraphQL backend', () => {
+  let service;
+  let graphql;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new ShopifyService({ backend: 'graphql' });
+    graphql = jest.spyOn(service, 'graphql');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('maps orders to the REST shape', () => {
+    const order = service.toRestOrder(orderNode());
+
+    expect(order).toMatchObject({
+      id: 7001,
+      order_number: 7,
+      customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com', phone: '+390000' },
+      note_attributes: [{ name: 'How did you hear about us?', value: 'Instagram' }],
+      currency: 'EUR',
+      total_price: '45.0',
+      financial_status: 'partially_refunded',
+      fulfillment_status: null,
+      refunds: [{ refund_line_items: [{ line_item_id: 9701, quantity: 1, subtotal: '25.0', total_tax: '4.51' }] }]
+    });
+    expect(order.line_items).toEqual([{
+      id: 9701,
+      name: 'Chocolate tasting',
+      variant_title: null,
+      quantity: 2,
+      price: '25.0',
+      vendor: 'Venchi',
+      product_id: 3301,
+      variant_id: 4401,
+      discount_allocations: [{ amount: '5.0' }],
+      tax_lines: [{ title: 'IVA', rate: 0.22, price: '9.02' }],
+      properties: [
+        { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+        { name: '__cow_internal_id', value: 'cow-9701' }
+      ]
+    }]);
+  });
+
+  test('parses GraphQL orders into the same bookings as REST orders', async () => {
+    const fromGraphql = await service.parseOrderWithCowlendar(service.toRestOrder(orderNode()));
+
+    const restOrder = {
+      id: 7001,
+      order_number: 7,
+      name: '#7001',
+      email: 'ada@example.com',
+      customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com', phone: '+390000' },
+      line_items: [{
+        id: 9701,
+        name: 'Chocolate tasting',
+        variant_title: null,
+        quantity: 2,
+        price: '25.00',
+        vendor: 'Venchi',
+        product_id: 3301,
+        variant_id: 4401,
+        discount_allocations: [{ amount: '5.00' }],
+        tax_lines: [{ title: 'IVA', rate: 0.22, price: '9.02' }],
+        properties: [
+          { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+          { name: '__cow_internal_id', value: 'cow-9701' }
+        ]
+      }],
+      note_attributes: [{ name: 'How did you hear about us?', value: 'Instagram' }],
+      currency: 'EUR',
+      total_price: '45.00',
+      taxes_included: true,
+      refunds: [{ refund_line_items: [{ line_item_id: 9701, quantity: 1, subtotal: '25.00', total_tax: '4.51' }] }],
+      created_at: '2025-11-01T10:00:00Z',
+      updated_at: '2025-11-02T10:00:00Z',
+      closed_at: null,
+      cancelled_at: null,
+      financial_status: 'partially_refunded',
+      fulfillment_status: null
+    };
+    const fromRest = await service.parseOrderWithCowlendar(restOrder);
+
+    const { lineItems: graphqlLineItems, ...graphqlBooking } = fromGraphql[0];
+    const { lineItems: restLineItems, ...restBooking } = fromRest[0];
+    expect(graphqlBooking).toEqual(restBooking);
+    expect(graphqlBooking).toMatchObject({ host: 'llamas', eventDate: '2025-11-30', quantity: 2 });
+  });
+
+  test('keeps amounts of currencies without two decimals exact', async () => {
+    const yen = service.toRestOrder(orderNode({
+      currencyCode: 'JPY',
+      refunds: [],
+      lineItems: {
+        pageInfo: { hasNextPage: false },
+        nodes: [lineItemNode(9701, { originalUnitPriceSet: money('1500'), discountAllocations: [], taxLines: [] })]
+      }
+    }));
+    const dinar = service.toRestOrder(orderNode({
+      currencyCode: 'KWD',
+      refunds: [],
+      lineItems: {
+        pageInfo: { hasNextPage: false },
+        nodes: [lineItemNode(9701, { originalUnitPriceSet: money('12.345'), discountAllocations: [], taxLines: [] })]
+      }
+    }));
+
+    expect(yen.line_items[0].price).toBe('1500');
+    expect(dinar.line_items[0].price).toBe('12.345');
+
+    const [booking] = await service.parseOrderWithCowlendar(dinar);
+    expect(booking.money).toMatchObject({ currency: 'KWD', unitPrice: 12345, subtotal: 24690 });
+  });
+
+  test('follows line item and refund line item pages of an order', async () => {
+    graphql
+      .mockResolvedValueOnce({
+        order: orderNode({
+          refunds: [{
+            id: 'gid://shopify/Refund/1',
+            refundLineItems: { pageInfo: { hasNextPage: true, endCursor: 'refund-page-1' }, nodes: [refundLineItemNode(9701)] }
+          }],
+          lineItems: { pageInfo: { hasNextPage: true, endCursor: 'page-1' }, nodes: [lineItemNode(9701)] }
+        })
+      })
+      .mockResolvedValueOnce({
+        order: { lineItems: { pageInfo: { hasNextPage: true, endCursor: 'page-2' }, nodes: [lineItemNode(9702)] } }
+      })
+      .mockResolvedValueOnce({
+        order: { lineItems: { pageInfo: { hasNextPage: false, endCursor: 'page-3' }, nodes: [lineItemNode(9703)] } }
+      })
+      .mockResolvedValueOnce({
+        node: { refundLineItems: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [refundLineItemNode(9703, 2)] } }
+      });
+
+    const order = await service.getOrderById(7001);
+
+    expect(order.line_items.map(item => item.id)).toEqual([9701, 9702, 9703]);
+    expect(order.refunds[0].refund_line_items.map(item => [item.line_item_id, item.quantity])).toEqual([[9701, 1], [9703, 2]]);
+
+    expect(graphql.mock.calls.map(([query, variables]) => [query.match(/query (\w+)/)[1], variables])).toEqual([
+      ['Order', { id: 'gid://shopify/Order/7001' }],
+      ['OrderLineItems', { id: 'gid://shopify/Order/7001', after: 'page-1' }],
+      ['OrderLineItems', { id: 'gid://shopify/Order/7001', after: 'page-2' }],
+      ['RefundLineItems', { id: 'gid://shopify/Refund/1', after: 'refund-page-1' }]
+    ]);
+  });
+
+  test('logs orders with more refunds than are read', async () => {
+    const refunds = Array.from({ length: 20 }, (_, i) => ({
+      id: `gid://shopify/Refund/${i}`,
+      refundLineItems: { pageInfo: { hasNextPage: false }, nodes: [] }
+    }));
+    graphql.mockResolvedValueOnce({
+      orders: {
+        pageInfo: { hasNextPage: true, hasPreviousPage: false, startCursor: 'start', endCursor: 'end' },
+        nodes: [orderNode({ refunds })]
+      }
+    });
+
+    const page = await service.getOrdersPage({ limit: 1, email: 'ada@example.com' });
+
+    expect(page.orders).toHaveLength(1);
+    expect(page.prevCursor).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith('Order 7001 has 20 or more refunds; only the first 20 are read');
+
+    // The next page repeats the original search with the end cursor
+    graphql.mockResolvedValueOnce({ orders: { pageInfo: { hasNextPage: false, hasPreviousPage: true }, nodes: [] } });
+    await service.getOrdersPage({ limit: 1, page_info: page.nextCursor });
+    expect(graphql.mock.calls[1][1]).toEqual({ query: 'email:"ada@example.com"', first: 1, after: 'end' });
+  });
+});
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { AxiosError } = axios;
+const ShopifyRequestScheduler = require('../services/shopifyRequestScheduler');
+
+/**
+ * axios instance answering from a script of outcomes, one per request:
+ * a status code, 'network' for a connection error, or a response object
+ */
+function scriptedClient(scheduler, outcomes) {
+  const requests = [];
+  const client = axios.create({
+    adapter: async config => {
+      requests.push(`${config.method.toUpperCase()} ${config.url}`);
+      const outcome = outcomes.shift() ?? 200;
+
+      if (outcome === 'network') {
+        throw new AxiosError('socket hang up', 'ECONNRESET', config);
+      }
+
+      const response = typeof outcome === 'object'
+        ? { data: {}, config, ...outcome }
+        : { status: outcome, headers: {}, data: {}, config };
+
+      if (response.status >= 400) {
+        throw new AxiosError(`Request failed with status code ${response.status}`, 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    }
+  });
+
+  scheduler.attach(client);
+  return { client, requests };
+}
+
+describe('ShopifyRequestScheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new ShopifyRequestScheduler({ baseDelayMs: 1, maxRetries: 2 });
+  });
+
+  test('retries reads after network errors and 5xx responses', async () => {
+    const { client, requests } = scriptedClient(scheduler, ['network', 503, 200]);
+
+    expect((await client.get('/orders.json')).status).toBe(200);
+    expect(requests).toEqual(['GET /orders.json', 'GET /orders.json', 'GET /orders.json']);
+    expect(scheduler.getStats()).toMatchObject({ retries: 2, server_errors: 1, failures: 0 });
+  });
+
+  test('does not resend writes that may already have been applied', async () => {
+    const { client, requests } = scriptedClient(scheduler, ['network', 502, 500]);
+
+    await expect(client.post('/orders/1/refunds.json', {})).rejects.toThrow('socket hang up');
+    await expect(client.post('/orders/1/cancel.json', {})).rejects.toThrow('status code 502');
+    await expect(client.put('/orders/1.json', {})).rejects.toThrow('status code 500');
+
+    expect(requests).toEqual(['POST /orders/1/refunds.json', 'POST /orders/1/cancel.json', 'PUT /orders/1.json']);
+    expect(scheduler.getStats()).toMatchObject({ retries: 0, failures: 3 });
+  });
+
+  test('retries POSTs marked idempotent, such as GraphQL queries', async () => {
+    const { client, requests } = scriptedClient(scheduler, [503, 200]);
+
+    await client.post('/graphql.json', { query: '{ shop { name } }' }, { shopifyIdempotent: true });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('retries throttled requests of every method, honoring Retry-After', async () => {
+    const { client, requests } = scriptedClient(scheduler, [{ status: 429, headers: { 'retry-after': '0.05' } }, 201]);
+    const startedAt = Date.now();
+
+    expect((await client.post('/orders/1/refunds.json', {})).status).toBe(201);
+    expect(requests).toHaveLength(2);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(45);
+    expect(scheduler.getStats()).toMatchObject({ throttled: 1, retries: 1 });
+  });
+
+  test('gives up after maxRetries', async () => {
+    const { client, requests } = scriptedClient(scheduler, [500, 500, 500, 200]);
+
+    await expect(client.get('/orders.json')).rejects.toThrow('status code 500');
+    expect(requests).toHaveLength(3);
+    expect(scheduler.getStats().failures).toBe(1);
+  });
+
+  test('pauses new requests while the leaky bucket is nearly full', async () => {
+    scheduler = new ShopifyRequestScheduler({ leakRate: 40, bucketHeadroom: 4 });
+    const { client } = scriptedClient(scheduler, [{ status: 200, headers: { 'x-shopify-shop-api-call-limit': '38/40' } }, 200]);
+
+    await client.get('/orders.json');
+    expect(scheduler.getStats().bucket).toEqual({ used: 38, size: 40 });
+
+    // 2 requests over the headroom at 40 requests/s leak out in 50ms
+    const pausedUntil = Date.parse(scheduler.getStats().paused_until);
+    expect(pausedUntil - Date.now()).toBeGreaterThan(0);
+    expect(pausedUntil - Date.now()).toBeLessThanOrEqual(50);
+
+    await client.get('/orders.json');
+    expect(Date.now()).toBeGreaterThanOrEqual(pausedUntil);
+  });
+
+  test('keeps at most maxConcurrency requests in flight', async () => {
+    scheduler = new ShopifyRequestScheduler({ maxConcurrency: 2 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const client = axios.create({
+      adapter: async config => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        inFlight--;
+        return { status: 200, headers: {}, data: {}, config };
+      }
+    });
+    scheduler.attach(client);
+
+    await Promise.all(Array.from({ length: 5 }, () => client.get('/orders.json')));
+
+    expect(maxInFlight).toBe(2);
+    expect(scheduler.getStats()).toMatchObject({ requests: 5, active: 0, queued: 0 });
+  });
+});
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-webhooks-'));
+process.env.SHOPIFY_WEBHOOK_SECRET = 'shopify-secret';
+
+const BookingIndexService = require('../services/bookingIndexService');
+const BookingKitService = require('../services/bookingkitService');
+const ShopifyService = require('../services/shopifyService');
+const WebhookInboxService = require('../services/webhookInboxService');
+const shopifyRoutes = require('../routes/shopify');
+
+function cowlendarOrder() {
+  return {
+    id: 3001,
+    order_number: 3,
+    name: '#3001',
+    customer: { first_name: 'Ada', last_name: 'Lovelace', email: 'ada@example.com' },
+    financial_status: 'paid',
+    note_attributes: [],
+    line_items: [{
+      id: 9301,
+      name: 'Pasta class',
+      quantity: 2,
+      price: '30.00',
+      vendor: 'Venchi',
+      product_id: 555,
+      properties: [
+        { name: 'Date', value: '30 nov 2025, 17:00 - 18:30 (Europe/Rome)' },
+        { name: '__cow_internal_id', value: 'cow-3' }
+      ]
+    }]
+  };
+}
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+describe('POST /api/shopify/webhooks', () => {
+  let server;
+  let url;
+
+  function send(topic, payload, secret = 'shopify-secret', webhookId = crypto.randomUUID()) {
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': topic,
+        'X-Shopify-Hmac-Sha256': signature,
+        'X-Shopify-Webhook-Id': webhookId
+      },
+      body
+    });
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ShopifyService.prototype, 'warmProductHostsForOrders').mockResolvedValue();
+    jest.spyOn(ShopifyService.prototype, 'getProductHost').mockResolvedValue(null);
+
+    // Same as server.js: mounted before express.json() so the HMAC sees the raw body
+    const app = express();
+    app.use('/api/shopify', shopifyRoutes);
+    app.use(express.json());
+
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    url = `http://127.0.0.1:${server.address().port}/api/shopify/webhooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('rejects payloads without a valid signature', async () => {
+    const response = await send('orders/create', cowlendarOrder(), 'wrong-secret');
+
+    expect(response.status).toBe(401);
+    expect(await response.json()).toEqual({ success: false, error: 'Invalid signature' });
+    expect(new BookingIndexService().store.data.orders['3001']).toBeUndefined();
+  });
+
+  test('indexes Cowlendar orders and drops orders that are no longer bookings', async () => {
+    const created = await send('orders/create', cowlendarOrder());
+
+    expect(await created.json()).toEqual({
+      success: true,
+      processed: true,
+      topic: 'orders/create',
+      order_id: 3001,
+      event_order: true,
+      bookings: 1
+    });
+    expect(new BookingIndexService().store.data.orders['3001']).toMatchObject([
+      { bookingId: '3001-9301', provider: 'Venchi', quantity: 2, eventDate: '2025-11-30' }
+    ]);
+
+    const order = cowlendarOrder();
+    order.line_items[0].properties = [];
+    const updated = await send('orders/updated', order);
+
+    expect(await updated.json()).toMatchObject({ processed: true, event_order: false, bookings: 0 });
+    expect(new BookingIndexService().store.data.orders['3001']).toBeUndefined();
+  });
+
+  test('skips payloads older than the indexed order', async () => {
+    const cancelled = { ...cowlendarOrder(), updated_at: '2025-11-02T10:00:00Z', cancelled_at: '2025-11-02T10:00:00Z' };
+    await send('orders/cancelled', cancelled);
+
+    const late = await send('orders/updated', { ...cowlendarOrder(), updated_at: '2025-11-01T10:00:00Z' });
+
+    expect(await late.json()).toMatchObject({ processed: true, bookings: 0 });
+    expect(new BookingIndexService().get(3001)[0]).toMatchObject({ cancelledAt: '2025-11-02T10:00:00Z', updatedAt: '2025-11-02T10:00:00Z' });
+  });
+
+  test('queues BookingKit pushes in the webhook inbox and retries failed ones', async () => {
+    const authorized = jest.spyOn(BookingKitService.prototype, 'isAuthorized').mockReturnValue(true);
+    const push = jest.spyOn(BookingKitService.prototype, 'syncBooking')
+      .mockRejectedValueOnce(new Error('BookingKit unavailable'))
+      .mockResolvedValue({ action: 'updated', booking_id: 'bk-1' });
+    const inbox = new WebhookInboxService();
+
+    const order = { ...cowlendarOrder(), updated_at: '2025-11-03T10:00:00Z' };
+    await send('orders/updated', order, 'shopify-secret', 'webhook-1');
+    await inbox.drain();
+
+    // Shopify's own retry of the same webhook is not queued again
+    await send('orders/updated', order, 'shopify-secret', 'webhook-1');
+
+    const [event] = inbox.list({ source: 'shopify' });
+    expect(event).toMatchObject({
+      event_id: 'webhook-1:3001-9301:bookingkit',
+      event_type: 'orders/updated',
+      account: BookingKitService.defaultAccountId(),
+      status: 'failed',
+      attempts: 1,
+      last_error: 'BookingKit unavailable',
+      duplicates: 1
+    });
+
+    // Due again without waiting for the backoff
+    inbox.findEvent(event.id).next_attempt_at = new Date().toISOString();
+    await inbox.drain();
+
+    expect(inbox.get(event.id)).toMatchObject({ status: 'processed', attempts: 2, result: { action: 'updated', booking_id: 'bk-1' } });
+    expect(push).toHaveBeenCalledTimes(2);
+    expect(push.mock.calls[1][0]).toMatchObject({ bookingId: '3001-9301', updatedAt: '2025-11-03T10:00:00Z' });
+
+    push.mockRestore();
+    authorized.mockRestore();
+  });
+
+  test('answers other topics without processing them', async () => {
+    const response = await send('customers/create', { id: 1 });
+
+    expect(await response.json()).toEqual({ success: true, processed: false, message: 'Unhandled topic: customers/create' });
+  });
+
+  test('refreshes product hosts and reports product webhook failures', async () => {
+    const refresh = jest.spyOn(BookingIndexService.prototype, 'refreshProductHost').mockResolvedValueOnce(2);
+    const updated = await send('products/update', { id: 555 });
+
+    expect(await updated.json()).toEqual({ success: true, processed: true, topic: 'products/update', product_id: 555, updated_orders: 2 });
+    expect(refresh).toHaveBeenCalledWith(555);
+
+    refresh.mockRejectedValueOnce(new Error('Shopify unavailable'));
+    const failed = await send('products/delete', { id: 555 });
+
+    expect(failed.status).toBe(500);
+    expect(await failed.json()).toMatchObject({ error: 'Failed to process webhook', message: 'Shopify unavailable' });
+    refresh.mockRestore();
+  });
+});
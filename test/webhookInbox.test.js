@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-inbox-'));
+process.env.WEBHOOK_INBOX_MAX_ATTEMPTS = '3';
+
+const BookingKitService = require('../services/bookingkitService');
+const WebhookInboxService = require('../services/webhookInboxService');
+
+function webhook(eventId, overrides = {}) {
+  const payload = { id: eventId, event_type: 'booking.cancelled', data: { id: 'bk-1' } };
+  return { source: 'bookingkit', account: 'inbox', payload, rawBody: Buffer.from(JSON.stringify(payload)), ...overrides };
+}
+
+describe('WebhookInboxService', () => {
+  let inbox;
+  let processWebhook;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    inbox = new WebhookInboxService();
+    inbox.retryBaseMs = 0;
+    processWebhook = jest.spyOn(BookingKitService.forAccount('inbox'), 'processWebhook')
+      .mockResolvedValue({ processed: true, action: 'noted' });
+  });
+
+  afterEach(() => {
+    processWebhook.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  test('stores an event once and processes it once', async () => {
+    const first = inbox.receive(webhook('evt-1'));
+    const redelivery = inbox.receive(webhook('evt-1'));
+
+    expect(first).toMatchObject({ duplicate: false, event: { event_id: 'evt-1', status: 'pending' } });
+    expect(redelivery).toMatchObject({ duplicate: true, event: { id: first.event.id } });
+
+    await inbox.drain();
+
+    expect(processWebhook).toHaveBeenCalledTimes(1);
+    expect(inbox.get(first.event.id)).toMatchObject({
+      status: 'processed',
+      attempts: 1,
+      duplicates: 1,
+      result: { action: 'noted' }
+    });
+  });
+
+  test('deduplicates payloads without an event ID by their content', async () => {
+    const payload = { event_type: 'booking.updated', data: { id: 'bk-2' } };
+    const rawBody = Buffer.from(JSON.stringify(payload));
+
+    expect(inbox.receive({ source: 'bookingkit', account: 'inbox', payload, rawBody }).duplicate).toBe(false);
+    expect(inbox.receive({ source: 'bookingkit', account: 'inbox', payload, rawBody }).duplicate).toBe(true);
+
+    await inbox.drain();
+    expect(processWebhook).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries failed events and dead-letters them after the last attempt', async () => {
+    processWebhook.mockRejectedValue(new Error('Shopify unavailable'));
+    const { event } = inbox.receive(webhook('evt-3'));
+
+    await inbox.drain();
+
+    expect(processWebhook).toHaveBeenCalledTimes(3);
+    expect(inbox.get(event.id)).toMatchObject({ status: 'dead', attempts: 3, last_error: 'Shopify unavailable' });
+    expect(inbox.get(event.id).history.map(entry => entry.status)).toEqual(['failed', 'failed', 'dead']);
+    expect(inbox.list({ status: 'dead' }).map(dead => dead.id)).toContain(event.id);
+  });
+
+  test('replays a dead event', async () => {
+    processWebhook.mockRejectedValue(new Error('Shopify unavailable'));
+    const { event } = inbox.receive(webhook('evt-4'));
+    await inbox.drain();
+
+    processWebhook.mockResolvedValue({ processed: true, action: 'refunded' });
+    expect(inbox.replay(event.id)).toMatchObject({ status: 'pending', attempts: 0 });
+    await inbox.drain();
+
+    expect(inbox.get(event.id)).toMatchObject({ status: 'processed', result: { action: 'refunded' } });
+    expect(inbox.replay('missing')).toBeNull();
+  });
+
+  test('resumes events left processing by a restart', async () => {
+    const { event } = inbox.receive(webhook('evt-5'));
+    inbox.store.data.events.find(stored => stored.id === event.id).status = 'processing';
+
+    await inbox.resume();
+
+    expect(inbox.get(event.id).status).toBe('processed');
+  });
+});